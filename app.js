@@ -16,14 +16,15 @@
  * - Error handling with try-catch
  */
 
-import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
+  Alert,
   AppState,
   Linking,
   Modal,
-  Platform,
   RefreshControl,
   SafeAreaView,
+  ScrollView,
   Text,
   TextInput,
   TouchableOpacity,
@@ -33,143 +34,189 @@ import {
   NativeModules,
   NativeEventEmitter,
 } from 'react-native';
-import MapView, { Marker } from 'react-native-maps';
+import MapView, { Circle, Marker } from 'react-native-maps';
+import Slider from '@react-native-community/slider';
 import * as Contacts from 'expo-contacts';
 import * as Location from 'expo-location';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { indexCreationDates, matchCreationDate } from './services/creationDates';
+import { createNativeContactDates } from './services/nativeContactDates';
+import { createContactSync, describeSyncStatus, SYNC_REASONS } from './services/contactSync';
+import {
+  CONTACT_EVENTS,
+  SYNC_REQUEST,
+  createContactEventHandlers,
+  createContactEventQueue,
+} from './services/contactEvents';
+import { formatAbsoluteTime, formatShortDate } from './services/format';
+import { openLocationInNativeMaps } from './services/links';
+import { regionForCoordinates } from './services/mapRegion';
+import { clusterExpansionRegion, clusterPoints, densityCells } from './services/mapClusters';
+import {
+  advanceTimelineCursor,
+  ALL_TIME_RANGE_ID,
+  buildDateRanges,
+  filterPointsByTime,
+  timelineBounds,
+  TIMELINE_TICK_MS,
+} from './services/mapTimeline';
+import { describeDueDate, isReminderOverdue, REMINDER_PRESETS } from './services/reminders';
+import { buildExportRecords, EXPORT_FORMATS, shareExport, shareTextFile } from './services/export';
+import { matchBackupContacts, migrateBackupEntries, parseBackup } from './services/backup';
+import { matchImportRows, parseImportFile } from './services/importer';
+import ContactDetail from './components/ContactDetail';
+import RestoreReview from './components/RestoreReview';
+import ImportPreview from './components/ImportPreview';
+import ProximitySettings from './components/ProximitySettings';
+import EventDetail from './components/EventDetail';
+import BatchActionBar from './components/BatchActionBar';
+import ContactArchive from './components/ContactArchive';
+import {
+  createProximityMonitor,
+  defineProximityTasks,
+  DEFAULT_PROXIMITY_SETTINGS,
+} from './services/proximity';
+import { parseFilterQuery } from './services/filterQuery';
+import {
+  createContactStore,
+  getEncounters,
+  BATCH_ACTIONS,
+  getLatestPin,
+  IMPORT_MODES,
+  PIN_SOURCES,
+} from './services/contactStore';
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
 /**
- * AsyncStorage persistence keys
- * Prefixed with @nf: to avoid collisions with other apps
+ * Shared store for @nf: metadata and import/tracking rules
  */
-const STORAGE_KEYS = {
-  FIRST_SEEN: '@nf:firstSeen',      // When contact was first seen by app
-  TAGS: '@nf:tags',                 // User-created tags per contact
-  PINS: '@nf:pins',                 // Location pins for contacts
-  READY: '@nf:ready',               // Timestamp when app was initialized
-  IMPORT_CHOICE: '@nf:importChoice' // 'all' | 'newOnly'
-};
+const contactStore = createContactStore();
 
 /**
- * Native modules for enhanced contact functionality
+ * Watches for places where the user met people
+ * 
+ * Why module scope: The OS can start the app in the background just to
+ * deliver a geofence event, before App ever mounts.
  */
-const { ContactsCreationDateModule, ContactsEventsModule } = NativeModules;
+const proximityMonitor = createProximityMonitor();
+defineProximityTasks(proximityMonitor);
 
 /**
- * Event emitter for real-time contact change notifications
+ * Contact fields to load: phones and emails for matching and search,
+ * organization details for search
  */
-const contactsEventEmitter = ContactsEventsModule
-  ? new NativeEventEmitter(ContactsEventsModule)
-  : null;
-
-// ============================================================================
-// UTILITY FUNCTIONS
-// ============================================================================
+const CONTACT_FIELDS = [
+  Contacts.Fields.PhoneNumbers,
+  Contacts.Fields.Emails,
+  Contacts.Fields.Company,
+  Contacts.Fields.JobTitle,
+  Contacts.Fields.Department,
+];
 
 /**
- * Loads and parses JSON data from AsyncStorage
+ * Keeps the store in step with the address book, coalescing event bursts
  * 
- * @param {string} key - Storage key
- * @param {*} fallbackValue - Default value if key doesn't exist
- * @returns {Promise<*>} Parsed data or fallback
+ * Why module scope: ContactsChanged, foreground and pull-to-refresh
+ * requests must share one queue, whichever render they come from.
  */
-const loadJSON = async (key, fallbackValue) => {
-  try {
-    const value = await AsyncStorage.getItem(key);
-    return value ? JSON.parse(value) : fallbackValue;
-  } catch (error) {
-    console.error(`Failed to load ${key}:`, error);
-    return fallbackValue;
-  }
-};
+const contactSync = createContactSync({
+  store: contactStore,
+  readContacts: async () => (await Contacts.getContactsAsync({ fields: CONTACT_FIELDS })).data,
+});
 
 /**
- * Saves data to AsyncStorage as JSON
- * 
- * @param {string} key - Storage key
- * @param {*} data - Data to serialize and save
+ * Show follow-up reminders even while the app is open
  */
-const saveJSON = (key, data) => {
-  AsyncStorage.setItem(key, JSON.stringify(data));
-};
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
 
 /**
- * Extracts only digits from a phone number string
- * 
- * Why: Phone numbers can have various formats (+1-303-555-1212)
- *      but we need consistent comparison (13035551212)
- * 
- * @param {string} phoneNumber - Formatted phone number
- * @returns {string} Digits only
+ * Formats offered in the export sheet
  */
-const extractDigitsOnly = (phoneNumber = '') => {
-  return (phoneNumber.match(/\d+/g) || []).join('');
-};
+const EXPORT_FORMAT_OPTIONS = [
+  { format: EXPORT_FORMATS.CSV, label: 'CSV', description: 'Spreadsheet, one row per contact' },
+  { format: EXPORT_FORMATS.JSON, label: 'JSON', description: 'Everything NeverForget knows' },
+  { format: EXPORT_FORMATS.VCARD, label: 'vCard', description: 'For other address books' },
+];
 
 /**
- * Formats epoch timestamp as localized datetime string
- * 
- * @param {number} milliseconds - Epoch timestamp
- * @returns {string} Formatted date/time or empty string on error
+ * How long the undo bar stays up after a batch action
  */
-const formatAbsoluteTime = (milliseconds) => {
-  try {
-    return new Date(milliseconds).toLocaleString();
-  } catch {
-    return '';
-  }
-};
+const BATCH_UNDO_MS = 10000;
+
+/**
+ * Marker color for pins placed or corrected by hand
+ */
+const MANUAL_PIN_COLOR = '#3366ff';
+
+/**
+ * Address book creation dates, read natively on iOS
+ */
+const nativeContactDates = createNativeContactDates();
+
+/**
+ * Native module for real-time contact change notifications
+ */
+const { ContactsEventsModule } = NativeModules;
 
 /**
- * Opens device's native maps app with coordinates
+ * Event emitter for real-time contact change notifications
+ */
+const contactsEventEmitter = ContactsEventsModule
+  ? new NativeEventEmitter(ContactsEventsModule)
+  : null;
+
+/**
+ * Handles native contact events and the app's syncs one at a time
  * 
- * @param {Object} location - Location object with latitude/longitude
- * @param {string} label - Label for the map pin
+ * Why module scope: One queue must cover every listener and sync request,
+ * including ones from a render that has since been replaced.
  */
-const openLocationInNativeMaps = ({ latitude, longitude }, label = 'Location') => {
-  const encodedLabel = encodeURIComponent(label);
-  const url = Platform.select({
-    ios: `http://maps.apple.com/?ll=${latitude},${longitude}&q=${encodedLabel}`,
-    android: `geo:${latitude},${longitude}?q=${latitude},${longitude}(${encodedLabel})`,
-  });
-  Linking.openURL(url);
-};
+const contactEventQueue = createContactEventQueue(createContactEventHandlers({
+  store: contactStore,
+  sync: contactSync,
+  locate: locateCurrentPosition,
+}));
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
 
 /**
- * Fetches contact creation dates from native AddressBook
+ * Describes a batch action for the undo bar
  * 
- * Why: CNContacts API doesn't expose creation dates, but deprecated
- *      AddressBook still works and provides this metadata
+ * @param {string} verb - "Tagged", "Cleared pins for", …
+ * @returns {Function} (count) => "Tagged 12 contacts"
+ */
+function describeBatch(verb) {
+  return (count) => `${verb} ${count} ${count === 1 ? 'contact' : 'contacts'}`;
+}
+
+/**
+ * Reads the current position for a new contact's encounter
  * 
- * @returns {Promise<Object>} Map of phone number (digits) to creation timestamp
+ * @returns {Promise<Object|null>} { latitude, longitude }, or null without permission
  */
-async function loadNativeContactCreationDates() {
-  try {
-    if (!ContactsCreationDateModule?.getPhoneDates) {
-      return {};
-    }
-    
-    const rows = await ContactsCreationDateModule.getPhoneDates();
-    const phoneToTimestampMap = {};
-    
-    for (const row of rows || []) {
-      const timestamp = Date.parse(row.creationDate);
-      const digitsOnly = extractDigitsOnly(row.phone);
-      
-      if (digitsOnly && Number.isFinite(timestamp)) {
-        phoneToTimestampMap[digitsOnly] = timestamp;
-      }
-    }
-    
-    return phoneToTimestampMap;
-  } catch (error) {
-    console.error('Failed to load native creation dates:', error);
-    return {};
-  }
+async function locateCurrentPosition() {
+  const { status } = await Location.getForegroundPermissionsAsync();
+  if (status !== 'granted') return null;
+
+  const position = await Location.getCurrentPositionAsync({
+    accuracy: Location.Accuracy.Balanced
+  });
+  const { latitude, longitude } = position.coords;
+  return { latitude, longitude };
 }
 
 // ============================================================================
@@ -193,21 +240,64 @@ export default function App() {
   
   const [contactPermission, setContactPermission] = useState('undetermined');
   const [contacts, setContacts] = useState([]);
-  const [nativeCreationDates, setNativeCreationDates] = useState({});
+  const [nativeCreationDates, setNativeCreationDates] = useState(() => indexCreationDates());
   const [firstSeenTimestamps, setFirstSeenTimestamps] = useState({});
   const [tagsByContactId, setTagsByContactId] = useState({});
   const [locationPinsByContactId, setLocationPinsByContactId] = useState({});
   const [isLoadingContacts, setIsLoadingContacts] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [syncStatus, setSyncStatus] = useState(() => contactSync.getStatus());
   
   const [searchQuery, setSearchQuery] = useState('');
-  const [currentView, setCurrentView] = useState('list'); // 'list' | 'map'
+  const [currentView, setCurrentView] = useState('list'); // 'list' | 'map' | 'due' | 'events' | 'smartList'
+  
+  const [smartLists, setSmartLists] = useState([]);
+  const [activeSmartListId, setActiveSmartListId] = useState(null);
+  const [showSaveListModal, setShowSaveListModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [exportScope, setExportScope] = useState('all'); // 'all' | 'view' | 'tag' | 'selected'
+  const [exportTag, setExportTag] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [restoreReview, setRestoreReview] = useState(null); // { createdAt, entries, matches, ambiguous, unmatched }
+  const [reviewDeviceContacts, setReviewDeviceContacts] = useState(new Map());
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [importPreview, setImportPreview] = useState(null); // { fileName, rows }
+  const [isImporting, setIsImporting] = useState(false);
+  const [smartListNameText, setSmartListNameText] = useState('');
   
   const [showImportModal, setShowImportModal] = useState(false);
-  const [importMode, setImportMode] = useState(null); // 'all' | 'newOnly'
   
-  const [contactBeingTagged, setContactBeingTagged] = useState(null);
-  const [tagInputText, setTagInputText] = useState('');
+
+  const [pendingPinCoordinate, setPendingPinCoordinate] = useState(null);
+  const [pinPickerQuery, setPinPickerQuery] = useState('');
+  const [visibleMapRegion, setVisibleMapRegion] = useState(null); // null until the map settles
+  const [mapMode, setMapMode] = useState('pins'); // 'pins' | 'heatmap'
+  const [mapDateRangeId, setMapDateRangeId] = useState(ALL_TIME_RANGE_ID);
+  const [timelineCursor, setTimelineCursor] = useState(null); // null = whole range shown
+  const [isTimelinePlaying, setIsTimelinePlaying] = useState(false);
+  const mapRef = useRef(null);
+
+  const [notesByContactId, setNotesByContactId] = useState({});
+  const [detailContactId, setDetailContactId] = useState(null);
+  const [quickNoteQueue, setQuickNoteQueue] = useState([]); // [{ id, name }]
+  const [quickNoteText, setQuickNoteText] = useState('');
+  const [quickNoteReminderPresetId, setQuickNoteReminderPresetId] = useState(null);
+  const [remindersByContactId, setRemindersByContactId] = useState({});
+  const [proximitySettings, setProximitySettings] = useState(DEFAULT_PROXIMITY_SETTINGS);
+  const [showProximitySettings, setShowProximitySettings] = useState(false);
+  const [isSavingProximitySettings, setIsSavingProximitySettings] = useState(false);
+  const [events, setEvents] = useState([]);
+  const [detailEventId, setDetailEventId] = useState(null);
+  const [selectedContactIds, setSelectedContactIds] = useState(null); // Set while selecting, else null
+  const [batchUndo, setBatchUndo] = useState(null); // { message } for the last batch action
+  const [changeLogByContactId, setChangeLogByContactId] = useState({});
+  const [archivedContacts, setArchivedContacts] = useState([]);
+  const [showArchive, setShowArchive] = useState(false);
+  const [restoringArchiveId, setRestoringArchiveId] = useState(null);
+
+  const [contactLoggingEncounter, setContactLoggingEncounter] = useState(null);
+  const [encounterNoteText, setEncounterNoteText] = useState('');
+  const [isSavingEncounter, setIsSavingEncounter] = useState(false);
 
   // --------------------------------------------------------------------------
   // TAG MANAGEMENT
@@ -220,17 +310,7 @@ export default function App() {
    * @param {string} tagText - Tag to add
    */
   const addTagToContact = useCallback(async (contactId, tagText) => {
-    const trimmedTag = (tagText || '').trim();
-    if (!trimmedTag) return;
-    
-    setTagsByContactId(previousTags => {
-      const existingTags = previousTags[contactId] || [];
-      const updatedTags = Array.from(new Set([...existingTags, trimmedTag]));
-      const newTagState = { ...previousTags, [contactId]: updatedTags };
-      
-      saveJSON(STORAGE_KEYS.TAGS, newTagState);
-      return newTagState;
-    });
+    setTagsByContactId(await contactStore.addTag(contactId, tagText));
   }, []);
 
   /**
@@ -240,60 +320,563 @@ export default function App() {
    * @param {string} tagToRemove - Tag to remove
    */
   const removeTagFromContact = useCallback(async (contactId, tagToRemove) => {
-    setTagsByContactId(previousTags => {
-      const filteredTags = (previousTags[contactId] || []).filter(
-        tag => tag !== tagToRemove
+    setTagsByContactId(await contactStore.removeTag(contactId, tagToRemove));
+  }, []);
+
+  /**
+   * Renames one of a contact's tags
+   * 
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} oldTag - Tag to rename
+   * @param {string} newTag - New tag text
+   */
+  const renameContactTag = useCallback(async (contactId, oldTag, newTag) => {
+    setTagsByContactId(await contactStore.renameTag(contactId, oldTag, newTag));
+  }, []);
+
+  // --------------------------------------------------------------------------
+  // ENCOUNTER LOGGING
+  // --------------------------------------------------------------------------
+
+  /**
+   * Logs a repeat meeting with a contact at the current location
+   * 
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} note - Optional note about the meeting
+   * @returns {Promise<boolean>} True if the encounter was saved
+   */
+  const logEncounterHere = useCallback(async (contactId, note) => {
+    try {
+      const { status } = await Location.getForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Location unavailable', 'Allow location access to log where you met.');
+        return false;
+      }
+
+      const position = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.Balanced
+      });
+      const { latitude, longitude } = position.coords;
+
+      setLocationPinsByContactId(
+        await contactStore.addEncounter(contactId, { latitude, longitude, note })
       );
-      const newTagState = { ...previousTags, [contactId]: filteredTags };
-      
-      saveJSON(STORAGE_KEYS.TAGS, newTagState);
-      return newTagState;
+      return true;
+    } catch (error) {
+      console.error('Encounter logging error:', error);
+      Alert.alert('Location unavailable', 'Could not get your current location.');
+      return false;
+    }
+  }, []);
+
+  // --------------------------------------------------------------------------
+  // NOTES
+  // --------------------------------------------------------------------------
+
+  /**
+   * Adds a note to a contact
+   * 
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} text - Note text
+   */
+  const addNoteToContact = useCallback(async (contactId, text) => {
+    setNotesByContactId(await contactStore.addNote(contactId, text));
+  }, []);
+
+  /**
+   * Replaces a note's text (clearing it deletes the note)
+   * 
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} noteId - Note to edit
+   * @param {string} text - New text
+   */
+  const updateContactNote = useCallback(async (contactId, noteId, text) => {
+    setNotesByContactId(await contactStore.updateNote(contactId, noteId, text));
+  }, []);
+
+  /**
+   * Deletes a note
+   * 
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} noteId - Note to delete
+   */
+  const deleteContactNote = useCallback(async (contactId, noteId) => {
+    setNotesByContactId(await contactStore.deleteNote(contactId, noteId));
+  }, []);
+
+  /**
+   * Queues newly detected contacts for the "how did you meet?" prompt
+   * 
+   * Why a queue: Several contacts can arrive in one change event, and the
+   * native add-contact flow reports the same contact through two events.
+   * 
+   * @param {Object[]} newContacts - [{ id, name }]
+   */
+  const enqueueQuickNotes = useCallback((newContacts) => {
+    if (newContacts.length === 0) return;
+
+    setQuickNoteQueue(queue => {
+      const queuedIds = new Set(queue.map(entry => entry.id));
+      const additions = newContacts
+        .filter(contact => !queuedIds.has(contact.id))
+        .map(contact => ({ id: contact.id, name: contact.name }));
+      return additions.length ? [...queue, ...additions] : queue;
     });
   }, []);
 
+  /**
+   * Clears the quick note prompt and moves on to the next new contact
+   */
+  const dismissQuickNote = useCallback(() => {
+    setQuickNoteText('');
+    setQuickNoteReminderPresetId(null);
+    setQuickNoteQueue(queue => queue.slice(1));
+  }, []);
+
+  // --------------------------------------------------------------------------
+  // FOLLOW-UP REMINDERS
+  // --------------------------------------------------------------------------
+
+  /**
+   * Name used in a contact's reminder notifications
+   * 
+   * @param {string} contactId - Unique contact identifier
+   * @returns {string|undefined} Contact name
+   */
+  const getContactName = useCallback((contactId) => {
+    return contacts.find(contact => contact.id === contactId)?.name;
+  }, [contacts]);
+
+  /**
+   * Schedules a follow-up for a contact, replacing any existing one
+   * 
+   * @param {string} contactId - Unique contact identifier
+   * @param {Object} preset - Entry from REMINDER_PRESETS
+   */
+  const setContactReminder = useCallback(async (contactId, preset) => {
+    setRemindersByContactId(await contactStore.setReminder(contactId, preset, {
+      contactName: getContactName(contactId),
+    }));
+  }, [getContactName]);
+
+  /**
+   * Marks a follow-up done (repeating ones roll forward)
+   * 
+   * @param {string} contactId - Unique contact identifier
+   */
+  const completeContactReminder = useCallback(async (contactId) => {
+    setRemindersByContactId(await contactStore.completeReminder(contactId, {
+      contactName: getContactName(contactId),
+    }));
+  }, [getContactName]);
+
+  /**
+   * Cancels a follow-up
+   * 
+   * @param {string} contactId - Unique contact identifier
+   */
+  const clearContactReminder = useCallback(async (contactId) => {
+    setRemindersByContactId(await contactStore.clearReminder(contactId));
+  }, []);
+
+  // --------------------------------------------------------------------------
+  // NEARBY REMINDERS
+  // --------------------------------------------------------------------------
+
+  /**
+   * What the proximity monitor needs to build its watched places
+   * 
+   * @returns {Object} { pins, tags, names } keyed by contact ID
+   */
+  const getProximityMetadata = useCallback(() => ({
+    pins: locationPinsByContactId,
+    tags: tagsByContactId,
+    names: Object.fromEntries(contacts.map(contact => [contact.id, contact.name])),
+  }), [locationPinsByContactId, tagsByContactId, contacts]);
+
+  /**
+   * Saves nearby reminder settings and starts or stops watching
+   * 
+   * @param {Object} settings - From the settings screen
+   */
+  const saveProximitySettings = useCallback(async (settings) => {
+    setIsSavingProximitySettings(true);
+    try {
+      const result = await proximityMonitor.updateSettings(settings, getProximityMetadata());
+      setProximitySettings(result.settings);
+      setShowProximitySettings(false);
+
+      if (settings.enabled && !result.settings.enabled) {
+        Alert.alert(
+          'Location needed',
+          'Allow location access in Settings to get nearby reminders.'
+        );
+      } else if (result.settings.enabled && !result.background) {
+        Alert.alert(
+          'Only while open',
+          'Nearby reminders will only work while NeverForget is open. Allow location "Always" in Settings to get them in the background.'
+        );
+      }
+    } catch (error) {
+      console.error('Nearby settings error:', error);
+      Alert.alert('Error', 'Failed to save nearby reminder settings');
+    } finally {
+      setIsSavingProximitySettings(false);
+    }
+  }, [getProximityMetadata]);
+
+  /**
+   * Loads saved settings on launch
+   */
+  useEffect(() => {
+    proximityMonitor.loadSettings()
+      .then(setProximitySettings)
+      .catch(error => console.error('Nearby settings load error:', error));
+  }, []);
+
+  /**
+   * Keeps watched places in step with pins, tags and names
+   */
+  useEffect(() => {
+    if (!proximitySettings.enabled) return;
+    proximityMonitor.syncPlaces(getProximityMetadata())
+      .catch(error => console.error('Nearby places sync error:', error));
+  }, [proximitySettings, getProximityMetadata]);
+
+  /**
+   * Checks for nearby places while the app is open, which also covers
+   * users who only allow location while using the app
+   */
+  useEffect(() => {
+    if (!proximitySettings.enabled) return undefined;
+
+    let subscription = null;
+    let isCancelled = false;
+    proximityMonitor.watchWhileOpen()
+      .then((watch) => {
+        if (isCancelled) watch.remove();
+        else subscription = watch;
+      })
+      .catch(error => console.error('Nearby watch error:', error));
+
+    return () => {
+      isCancelled = true;
+      subscription?.remove();
+    };
+  }, [proximitySettings.enabled]);
+
+  // --------------------------------------------------------------------------
+  // EVENTS
+  // --------------------------------------------------------------------------
+
+  /**
+   * Renames the open event
+   * 
+   * @param {string} name - New name
+   */
+  const renameDetailEvent = useCallback(async (name) => {
+    setEvents(await contactStore.renameEvent(detailEventId, name));
+  }, [detailEventId]);
+
+  /**
+   * Adds a contact to the open event
+   * 
+   * @param {string} contactId - Unique contact identifier
+   */
+  const addContactToDetailEvent = useCallback(async (contactId) => {
+    setEvents(await contactStore.addContactToEvent(detailEventId, contactId));
+  }, [detailEventId]);
+
+  /**
+   * Removes a contact from the open event
+   * 
+   * @param {string} contactId - Unique contact identifier
+   */
+  const removeContactFromDetailEvent = useCallback(async (contactId) => {
+    setEvents(await contactStore.removeContactFromEvent(detailEventId, contactId));
+  }, [detailEventId]);
+
+  /**
+   * Tags everyone in the open event
+   * 
+   * @param {string} tagText - Tag to add
+   */
+  const tagDetailEventMembers = useCallback(async (tagText) => {
+    setTagsByContactId(await contactStore.tagEventMembers(detailEventId, tagText));
+  }, [detailEventId]);
+
+  /**
+   * Deletes the open event and closes it
+   */
+  const deleteDetailEvent = useCallback(async () => {
+    setEvents(await contactStore.deleteEvent(detailEventId));
+    setDetailEventId(null);
+  }, [detailEventId]);
+
+  /**
+   * Leaves the event screen for one of its members
+   * 
+   * Why close first: Two page sheets can't be stacked reliably.
+   * 
+   * @param {string} contactId - Unique contact identifier
+   */
+  const openEventMember = useCallback((contactId) => {
+    setDetailEventId(null);
+    setDetailContactId(contactId);
+  }, []);
+
+  // --------------------------------------------------------------------------
+  // SMART LISTS
+  // --------------------------------------------------------------------------
+
+  /**
+   * Saves the current search as a smart list and opens its tab
+   * 
+   * @param {string} name - Tab label
+   * @param {string} queryText - Search bar text
+   */
+  const saveSearchAsSmartList = useCallback(async (name, queryText) => {
+    const updatedLists = await contactStore.saveSmartList(name, queryText);
+    setSmartLists(updatedLists);
+
+    const savedList = updatedLists[updatedLists.length - 1];
+    if (savedList) {
+      setActiveSmartListId(savedList.id);
+      setCurrentView('smartList');
+      setSearchQuery('');
+    }
+  }, []);
+
+  /**
+   * Asks before deleting a smart list
+   * 
+   * @param {Object} smartList - List to delete
+   */
+  const confirmDeleteSmartList = useCallback((smartList) => {
+    Alert.alert(
+      `Delete "${smartList.name}"?`,
+      'Only the saved search is removed. Contacts and tags stay as they are.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            setSmartLists(await contactStore.deleteSmartList(smartList.id));
+            if (activeSmartListId === smartList.id) {
+              setActiveSmartListId(null);
+              setCurrentView('list');
+            }
+          },
+        },
+      ]
+    );
+  }, [activeSmartListId]);
+
+  // --------------------------------------------------------------------------
+  // MANUAL PIN PLACEMENT
+  // --------------------------------------------------------------------------
+
+  /**
+   * Drops a hand-placed pin for a contact
+   * 
+   * Why: GPS fails indoors and offline, so the user needs a way to say
+   *      where a meeting actually happened.
+   * 
+   * @param {string} contactId - Unique contact identifier
+   * @param {Object} coordinate - { latitude, longitude } from the map
+   */
+  const placeManualPin = useCallback(async (contactId, { latitude, longitude }) => {
+    setLocationPinsByContactId(
+      await contactStore.addEncounter(contactId, {
+        latitude,
+        longitude,
+        source: PIN_SOURCES.MANUAL,
+      })
+    );
+  }, []);
+
+  /**
+   * Moves an existing encounter to corrected coordinates
+   * 
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} encounterId - Encounter being corrected
+   * @param {Object} coordinate - { latitude, longitude } from the map
+   */
+  const moveEncounterTo = useCallback(async (contactId, encounterId, coordinate) => {
+    setLocationPinsByContactId(
+      await contactStore.moveEncounter(contactId, encounterId, coordinate)
+    );
+  }, []);
+
+  // --------------------------------------------------------------------------
+  // MAP CLUSTERING
+  // --------------------------------------------------------------------------
+
+  /**
+   * Zooms in on a cluster until its pins come apart
+   * 
+   * @param {Object} cluster - From clusterPoints
+   */
+  const expandCluster = useCallback((cluster) => {
+    mapRef.current?.animateToRegion(clusterExpansionRegion(cluster), 300);
+  }, []);
+
+  /**
+   * Forgets the last map region when leaving the map, so reopening it
+   * frames the current pins again
+   */
+  useEffect(() => {
+    if (currentView !== 'map') {
+      setVisibleMapRegion(null);
+      setIsTimelinePlaying(false);
+    }
+  }, [currentView]);
+
   // --------------------------------------------------------------------------
   // CONTACT TIMESTAMP RESOLUTION
   // --------------------------------------------------------------------------
   
   /**
-   * Determines when a contact was created
+   * Determines when a contact was created and where that date came from
    * 
    * Priority:
-   * 1. Native creation date from AddressBook (most accurate)
+   * 1. Native creation date from AddressBook (most accurate), matched by
+   *    identifier or any phone number (see creationDates.js)
    * 2. First seen timestamp (when app first saw this contact)
    * 3. 0 (unknown/not tracked)
    * 
+   * Native dates that can't be told apart are passed along as
+   * ambiguousDates, for the detail screen to show, instead of guessing.
+   * 
    * @param {Object} contact - Contact object from Expo Contacts
-   * @returns {number} Creation timestamp or 0
+   * @returns {Object} { timestamp, source: 'native' | 'firstSeen' | null, ambiguousDates }
    */
-  const getContactCreationTime = useCallback((contact) => {
-    // Try to get native creation date via phone number
-    const phoneDigits = extractDigitsOnly(contact?.phoneNumbers?.[0]?.number);
-    if (phoneDigits && nativeCreationDates[phoneDigits]) {
-      return nativeCreationDates[phoneDigits];
+  const getContactCreationDetails = useCallback((contact) => {
+    const nativeMatch = matchCreationDate(contact, nativeCreationDates);
+    if (nativeMatch.timestamp) {
+      return { timestamp: nativeMatch.timestamp, source: 'native', ambiguousDates: [] };
     }
+    const ambiguousDates = nativeMatch.candidates || [];
     
     // Fall back to first seen timestamp
     if (firstSeenTimestamps[contact.id]) {
-      return firstSeenTimestamps[contact.id];
+      return { timestamp: firstSeenTimestamps[contact.id], source: 'firstSeen', ambiguousDates };
     }
     
-    return 0; // Unknown
+    return { timestamp: 0, source: null, ambiguousDates }; // Unknown
   }, [nativeCreationDates, firstSeenTimestamps]);
 
+  /**
+   * Determines when a contact was created
+   * 
+   * @param {Object} contact - Contact object from Expo Contacts
+   * @returns {number} Creation timestamp or 0
+   */
+  const getContactCreationTime = useCallback((contact) => {
+    return getContactCreationDetails(contact).timestamp;
+  }, [getContactCreationDetails]);
+
+  // --------------------------------------------------------------------------
+  // EXPORT
+  // --------------------------------------------------------------------------
+
+  /**
+   * Writes contacts with their metadata to a file and opens the share sheet
+   * 
+   * @param {Object[]} contactsToExport - Contacts in export order
+   * @param {string} format - EXPORT_FORMATS value
+   */
+  const exportContacts = useCallback(async (contactsToExport, format) => {
+    setIsExporting(true);
+    try {
+      const records = buildExportRecords(
+        contactsToExport,
+        contactStore.getState(),
+        getContactCreationTime
+      );
+      await shareExport(records, format);
+      setShowExportModal(false);
+    } catch (error) {
+      console.error('Export error:', error);
+      Alert.alert('Export failed', error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  }, [getContactCreationTime]);
+
+  /**
+   * Shares the pinned contacts on the map as GeoJSON or KML
+   * 
+   * Why through the alert: Two formats don't justify a modal, and the map
+   * stays visible behind it.
+   * 
+   * @param {Object[]} mappedContacts - Contacts with pins, already filtered
+   */
+  const exportMap = useCallback((mappedContacts) => {
+    const shareMap = async (format) => {
+      try {
+        const records = buildExportRecords(
+          mappedContacts,
+          contactStore.getState(),
+          getContactCreationTime
+        );
+        await shareExport(records, format, {
+          baseName: 'NeverForget-map',
+          dialogTitle: 'Export map',
+        });
+      } catch (error) {
+        console.error('Map export error:', error);
+        Alert.alert('Export failed', error.message);
+      }
+    };
+
+    const count = mappedContacts.length;
+    Alert.alert(
+      'Export map',
+      `${count} ${count === 1 ? 'contact' : 'contacts'} with location pins`,
+      [
+        { text: 'GeoJSON', onPress: () => shareMap(EXPORT_FORMATS.GEOJSON) },
+        { text: 'KML (Google Earth)', onPress: () => shareMap(EXPORT_FORMATS.KML) },
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  }, [getContactCreationTime]);
+
   // --------------------------------------------------------------------------
   // CONTACT FETCHING
   // --------------------------------------------------------------------------
   
+  /**
+   * Runs a contact event or sync through the queue (see contactEvents.js),
+   * then offers a quick note for new contacts and mirrors their pins
+   * 
+   * Why syncs too: The sync that first stamps a contact is the one that
+   * pins it, so a refresh or foreground sync that gets there before
+   * ContactsChanged must capture the location itself.
+   * 
+   * @param {string} name - CONTACT_EVENTS value or SYNC_REQUEST
+   * @param {Object} payload - Event body, or { reasons, immediate } for a sync
+   */
+  const runContactEvent = useCallback(async (name, payload) => {
+    const { newContacts } = await contactEventQueue.enqueue(name, payload);
+    enqueueQuickNotes(newContacts);
+
+    const { pins, firstSeen } = contactStore.getState();
+    setLocationPinsByContactId(pins);
+    setFirstSeenTimestamps(firstSeen);
+  }, [enqueueQuickNotes]);
+
   /**
    * Fetches contacts from device and applies import mode filtering
    * 
    * This function:
    * - Requests contacts permission if needed
-   * - Loads all device contacts
-   * - Loads persisted metadata (tags, pins, timestamps)
-   * - Applies import mode logic (all vs. newOnly)
-   * - Updates state
+   * - Queues a sync that runs right away (see contactSync.js), sharing it
+   *   with any sync already waiting
+   * 
+   * State is updated from the sync result by the effect below, the same
+   * way as for syncs started by contact events.
    * 
    * @param {boolean} isRefreshAction - True if user manually refreshed
    */
@@ -316,116 +899,280 @@ export default function App() {
       setContactPermission(permissionStatus);
       if (!isGranted) return;
 
-      // Fetch all data in parallel for performance
-      const [
-        contactsResult,
-        nativeDates,
-        firstSeenMap,
-        tagsMap,
-        pinsMap
-      ] = await Promise.all([
-        Contacts.getContactsAsync({ fields: [Contacts.Fields.PhoneNumbers] }),
-        loadNativeContactCreationDates(),
-        loadJSON(STORAGE_KEYS.FIRST_SEEN, {}),
-        loadJSON(STORAGE_KEYS.TAGS, {}),
-        loadJSON(STORAGE_KEYS.PINS, {}),
-      ]);
-
-      setNativeCreationDates(nativeDates);
-      setTagsByContactId(tagsMap);
-      setLocationPinsByContactId(pinsMap);
-
-      let firstSeenWorkingCopy = { ...firstSeenMap };
-      const readyTimestamp = await AsyncStorage.getItem(STORAGE_KEYS.READY);
-
-      // Apply import mode logic
-      if (importMode === 'all') {
-        // Import all contacts: timestamp any new ones, show all
-        const now = Date.now();
-        const newContactIds = [];
-        
-        for (const contact of contactsResult.data) {
-          if (!firstSeenWorkingCopy[contact.id]) {
-            firstSeenWorkingCopy[contact.id] = now;
-            newContactIds.push(contact.id);
-          }
-        }
-        
-        if (!readyTimestamp) {
-          await AsyncStorage.setItem(STORAGE_KEYS.READY, '1');
-        }
-        if (newContactIds.length) {
-          await saveJSON(STORAGE_KEYS.FIRST_SEEN, firstSeenWorkingCopy);
-        }
-        
-        setFirstSeenTimestamps(firstSeenWorkingCopy);
-        setContacts(contactsResult.data);
-        
-      } else if (importMode === 'newOnly') {
-        // Only new contacts: mark existing as seen, filter to show only new
-        
-        if (!readyTimestamp) {
-          // First run: mark all existing contacts with cutoff time
-          const cutoffTime = Date.now();
-          console.log('First run - setting cutoff time:', cutoffTime);
-          
-          for (const contact of contactsResult.data) {
-            firstSeenWorkingCopy[contact.id] = cutoffTime;
-          }
-          
-          await AsyncStorage.setItem(STORAGE_KEYS.READY, cutoffTime.toString());
-          await saveJSON(STORAGE_KEYS.FIRST_SEEN, firstSeenWorkingCopy);
-          setFirstSeenTimestamps(firstSeenWorkingCopy);
-          setContacts([]); // Show empty list initially
-          console.log('Set contacts to empty array');
-          
-        } else {
-          // Subsequent runs: only show contacts added AFTER cutoff
-          const cutoffTime = parseInt(readyTimestamp);
-          console.log('Using cutoff time:', cutoffTime, new Date(cutoffTime));
-          const now = Date.now();
-          const newContactIds = [];
-          
-          for (const contact of contactsResult.data) {
-            if (!firstSeenWorkingCopy[contact.id]) {
-              firstSeenWorkingCopy[contact.id] = now;
-              newContactIds.push(contact.id);
-            }
-          }
-          
-          if (newContactIds.length > 0) {
-            console.log('Found new contacts:', newContactIds.length);
-            await saveJSON(STORAGE_KEYS.FIRST_SEEN, firstSeenWorkingCopy);
-          }
-          
-          setFirstSeenTimestamps(firstSeenWorkingCopy);
-          
-          // Filter to only contacts seen AFTER cutoff
-          const filteredContacts = contactsResult.data.filter(contact => {
-            const seenTime = firstSeenWorkingCopy[contact.id];
-            const shouldShow = seenTime && seenTime > cutoffTime;
-            if (shouldShow) {
-              console.log('Showing contact:', contact.name, 'seen at:', new Date(seenTime));
-            }
-            return shouldShow;
-          });
-          
-          console.log('Filtered contacts count:', filteredContacts.length);
-          setContacts(filteredContacts);
-        }
-      } else {
-        // No import mode selected yet
-        setFirstSeenTimestamps(firstSeenWorkingCopy);
-        setContacts(contactsResult.data);
-      }
-      
+      await runContactEvent(SYNC_REQUEST, {
+        reasons: [isRefreshAction ? SYNC_REASONS.REFRESH : SYNC_REASONS.LAUNCH],
+        immediate: true,
+      });
     } catch (error) {
       console.error('fetchContacts error:', error);
     } finally {
       setIsLoadingContacts(false);
       setIsRefreshing(false);
     }
-  }, [importMode]);
+  }, [runContactEvent]);
+
+  /**
+   * Publishes sync status to the header caption and the effect below
+   */
+  useEffect(() => contactSync.subscribe(setSyncStatus), []);
+
+  /**
+   * Mirrors each finished sync into state
+   * 
+   * Why read the store: Syncs move metadata between contacts (merges,
+   * deletions). Slices and contacts that didn't change keep their
+   * references, so nothing downstream re-renders for them.
+   */
+  useEffect(() => {
+    const result = syncStatus.lastResult;
+    if (!result) return;
+
+    const syncedState = contactStore.getState();
+    setTagsByContactId(syncedState.tags);
+    setLocationPinsByContactId(syncedState.pins);
+    setNotesByContactId(syncedState.notes);
+    setRemindersByContactId(syncedState.reminders);
+    setEvents(syncedState.events);
+    setSmartLists(syncedState.smartLists);
+    setChangeLogByContactId(syncedState.changeLog);
+    setArchivedContacts(syncedState.archive);
+    setFirstSeenTimestamps(result.firstSeen);
+    setContacts(result.visibleContacts);
+
+    // Creation dates cost a second full scan natively, so only after changes
+    const hasChanges = Object.values(result.changes).some(list => list.length > 0);
+    if (
+      hasChanges
+      || result.reasons.includes(SYNC_REASONS.LAUNCH)
+      || result.reasons.includes(SYNC_REASONS.REFRESH)
+    ) {
+      nativeContactDates.loadRecords()
+        .then(records => setNativeCreationDates(indexCreationDates(records, result.deviceContacts)))
+        .catch(error => console.error('Failed to load native creation dates:', error));
+    }
+  }, [syncStatus.lastResult]);
+
+  // --------------------------------------------------------------------------
+  // BACKUP AND RESTORE
+  // --------------------------------------------------------------------------
+
+  /**
+   * Saves every @nf: key with contact fingerprints and opens the share sheet
+   * 
+   * Why all device contacts: Metadata also exists for contacts hidden by
+   * the "only new" import mode, and they need fingerprints too.
+   */
+  const backUpData = useCallback(async () => {
+    try {
+      const { data: deviceContacts } = await Contacts.getContactsAsync({ fields: CONTACT_FIELDS });
+      const backup = await contactStore.createBackup(deviceContacts);
+      const date = new Date().toISOString().slice(0, 10);
+
+      await shareTextFile(`NeverForget-backup-${date}.json`, JSON.stringify(backup), {
+        mimeType: 'application/json',
+        uti: 'public.json',
+        dialogTitle: 'Save NeverForget backup',
+      });
+    } catch (error) {
+      console.error('Backup error:', error);
+      Alert.alert('Backup failed', error.message);
+    }
+  }, []);
+
+  /**
+   * Reads a backup file and matches its contacts for review
+   * 
+   * Nothing is written until the user confirms on the review screen.
+   */
+  const pickBackupToRestore = useCallback(async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'public.json'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const backup = parseBackup(await FileSystem.readAsStringAsync(result.assets[0].uri));
+      const entries = await migrateBackupEntries(backup);
+      const { data: deviceContacts } = await Contacts.getContactsAsync({ fields: CONTACT_FIELDS });
+
+      setReviewDeviceContacts(new Map(deviceContacts.map(contact => [contact.id, contact])));
+      setRestoreReview({
+        createdAt: backup.createdAt,
+        entries,
+        ...matchBackupContacts(backup.fingerprints, deviceContacts),
+      });
+    } catch (error) {
+      console.error('Restore error:', error);
+      Alert.alert('Can\'t restore this file', error.message);
+    }
+  }, []);
+
+  /**
+   * Merges the reviewed backup into this device's data
+   * 
+   * @param {Object} idMap - Backup contactId -> device contactId
+   */
+  const restoreReviewedBackup = useCallback(async (idMap) => {
+    setIsRestoring(true);
+    try {
+      const contactNames = {};
+      for (const [contactId, contact] of reviewDeviceContacts) {
+        contactNames[contactId] = contact.name;
+      }
+
+      const { restoredCount } = await contactStore.restoreBackup(restoreReview.entries, idMap, contactNames);
+      setRestoreReview(null);
+      await fetchContactsFromDevice(false);
+
+      Alert.alert('Restore complete', `Restored data for ${restoredCount} contacts.`);
+    } catch (error) {
+      console.error('Restore error:', error);
+      Alert.alert('Restore failed', error.message);
+    } finally {
+      setIsRestoring(false);
+    }
+  }, [restoreReview, reviewDeviceContacts, fetchContactsFromDevice]);
+
+  // --------------------------------------------------------------------------
+  // DELETED CONTACTS
+  // --------------------------------------------------------------------------
+
+  /**
+   * Opens the archive of contacts deleted from the address book
+   * 
+   * Why all device contacts: The same person may be hidden by the "only
+   * new" import mode, and restoring onto them should still be offered.
+   */
+  const openArchive = useCallback(async () => {
+    try {
+      const { data: deviceContacts } = await Contacts.getContactsAsync({ fields: CONTACT_FIELDS });
+      setReviewDeviceContacts(new Map(deviceContacts.map(contact => [contact.id, contact])));
+      setShowArchive(true);
+    } catch (error) {
+      console.error('Archive error:', error);
+      Alert.alert('Can\'t open deleted contacts', error.message);
+    }
+  }, []);
+
+  /**
+   * Puts an archived contact's metadata back on a device contact
+   * 
+   * @param {string} archiveId - Archive entry to restore
+   * @param {string} contactId - Contact to attach it to
+   */
+  const restoreArchivedContact = useCallback(async (archiveId, contactId) => {
+    setRestoringArchiveId(archiveId);
+    try {
+      const restored = await contactStore.restoreArchivedContact(archiveId, contactId, {
+        contactName: reviewDeviceContacts.get(contactId)?.name,
+      });
+      setTagsByContactId(restored.tags);
+      setLocationPinsByContactId(restored.pins);
+      setNotesByContactId(restored.notes);
+      setRemindersByContactId(restored.reminders);
+      setEvents(restored.events);
+      setChangeLogByContactId(restored.changeLog);
+      setFirstSeenTimestamps(restored.firstSeen);
+      setArchivedContacts(restored.archive);
+    } catch (error) {
+      console.error('Archive restore error:', error);
+      Alert.alert('Restore failed', error.message);
+    } finally {
+      setRestoringArchiveId(null);
+    }
+  }, [reviewDeviceContacts]);
+
+  /**
+   * Permanently removes an archived contact's metadata
+   * 
+   * @param {string} archiveId - Archive entry to discard
+   */
+  const discardArchivedContact = useCallback(async (archiveId) => {
+    try {
+      setArchivedContacts(await contactStore.discardArchivedContact(archiveId));
+    } catch (error) {
+      console.error('Archive discard error:', error);
+      Alert.alert('Couldn\'t discard', error.message);
+    }
+  }, []);
+
+  // --------------------------------------------------------------------------
+  // PIN IMPORT
+  // --------------------------------------------------------------------------
+
+  /**
+   * Reads a CSV, KML or GPX file and matches its rows for preview
+   * 
+   * Nothing is written until the user confirms on the preview screen.
+   */
+  const pickPinImportFile = useCallback(async () => {
+    try {
+      // KML and GPX have no common MIME type across platforms
+      const result = await DocumentPicker.getDocumentAsync({
+        type: '*/*',
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const [file] = result.assets;
+      const { rows } = parseImportFile(await FileSystem.readAsStringAsync(file.uri), file.name);
+      const { data: deviceContacts } = await Contacts.getContactsAsync({ fields: CONTACT_FIELDS });
+
+      setReviewDeviceContacts(new Map(deviceContacts.map(contact => [contact.id, contact])));
+      setImportPreview({ fileName: file.name, rows: matchImportRows(rows, deviceContacts) });
+    } catch (error) {
+      console.error('Import error:', error);
+      Alert.alert('Can\'t import this file', error.message);
+    }
+  }, []);
+
+  /**
+   * Writes the rows accepted on the preview screen
+   * 
+   * @param {Object[]} rows - Import rows with a contactId
+   */
+  const importAcceptedRows = useCallback(async (rows) => {
+    setIsImporting(true);
+    try {
+      const { pins, tags, firstSeen, added } = await contactStore.importRecords(rows);
+      setLocationPinsByContactId(pins);
+      setTagsByContactId(tags);
+      setFirstSeenTimestamps(firstSeen);
+      setImportPreview(null);
+
+      Alert.alert(
+        'Import complete',
+        `Added ${added.encounters} pins and ${added.tags} tags. `
+          + `Moved ${added.firstSeen} first-met dates earlier.`
+      );
+    } catch (error) {
+      console.error('Import error:', error);
+      Alert.alert('Import failed', error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  }, []);
+
+  /**
+   * Offers backup, restore, import, and deleted contacts when there are any
+   */
+  const showDataOptions = useCallback(() => {
+    Alert.alert(
+      'Your data',
+      'Back up tags, pins, notes and first-seen times, restore them from a backup, '
+        + 'or import pins kept in a spreadsheet, KML or GPX file.',
+      [
+        { text: 'Back up now', onPress: backUpData },
+        { text: 'Restore from backup', onPress: pickBackupToRestore },
+        { text: 'Import pins and tags', onPress: pickPinImportFile },
+        ...(archivedContacts.length > 0
+          ? [{ text: `Deleted contacts (${archivedContacts.length})`, onPress: openArchive }]
+          : []),
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  }, [backUpData, pickBackupToRestore, pickPinImportFile, archivedContacts, openArchive]);
 
   // --------------------------------------------------------------------------
   // APP INITIALIZATION
@@ -467,10 +1214,9 @@ export default function App() {
       }
 
       // Check if user has chosen import preference
-      const savedImportChoice = await AsyncStorage.getItem(STORAGE_KEYS.IMPORT_CHOICE);
-      setImportMode(savedImportChoice);
+      const { importMode } = await contactStore.load();
       
-      if (!savedImportChoice) {
+      if (!importMode) {
         setShowImportModal(true);
       } else {
         await fetchContactsFromDevice(false);
@@ -479,15 +1225,23 @@ export default function App() {
 
     initializeApp();
     
-    // Re-initialize when app comes to foreground
-    const appStateSubscription = AppState.addEventListener('change', state => {
-      if (state === 'active') {
+    // Catch up when the app comes to the foreground: an incremental sync
+    // once set up, otherwise the full bootstrap (permission may have just
+    // been granted in Settings)
+    const appStateSubscription = AppState.addEventListener('change', async (state) => {
+      if (state !== 'active') return;
+
+      const { status } = await Contacts.getPermissionsAsync();
+      if (status === 'granted' && contactStore.getState().importMode) {
+        runContactEvent(SYNC_REQUEST, { reasons: [SYNC_REASONS.FOREGROUND] })
+          .catch(error => console.error('Foreground sync error:', error));
+      } else {
         initializeApp();
       }
     });
     
     return () => appStateSubscription.remove();
-  }, [fetchContactsFromDevice]);
+  }, [fetchContactsFromDevice, runContactEvent]);
 
   // --------------------------------------------------------------------------
   // CONTACT CHANGE DETECTION
@@ -497,138 +1251,102 @@ export default function App() {
    * Listens for contact additions and automatically captures location
    * 
    * This effect:
-   * - Subscribes to ContactsChanged event from native module
-   * - Detects new contacts by comparing IDs
-   * - Automatically gets current location
-   * - Saves location pin for new contacts
-   * - Refreshes contact list
+   * - Subscribes to ContactsChanged and ContactAddedWithLocation from the
+   *   native module
+   * - Hands each event to the serialized queue (see contactEvents.js),
+   *   which pins contacts @nf:firstSeen has never seen
+   * - Offers a quick note for them and mirrors pins and first-seen times
    * 
-   * Why automatic: Better UX than prompting user every time
+   * Why a queue: Events overlap (adding a contact through the native UI
+   * fires both), and handling them concurrently processed the same
+   * contact twice.
    */
   useEffect(() => {
     if (!contactsEventEmitter) return;
 
-    const subscription = contactsEventEmitter.addListener('ContactsChanged', async () => {
-      const currentContactsResult = await Contacts.getContactsAsync({
-        fields: [Contacts.Fields.PhoneNumbers]
-      });
-
-      const currentContactIds = new Set(currentContactsResult.data.map(c => c.id));
-      const previousContactIds = new Set(contacts.map(c => c.id));
-      const newContactIds = [...currentContactIds].filter(id => !previousContactIds.has(id));
-
-      if (newContactIds.length > 0) {
-        // Automatically capture location for new contacts
-        try {
-          const { status } = await Location.getForegroundPermissionsAsync();
-          
-          if (status === 'granted') {
-            const position = await Location.getCurrentPositionAsync({
-              accuracy: Location.Accuracy.Balanced
-            });
-
-            const { latitude, longitude } = position.coords;
-            const timestamp = Date.now();
-
-            // Save location pins
-            setLocationPinsByContactId(previousPins => {
-              const updatedPins = { ...previousPins };
-              for (const contactId of newContactIds) {
-                updatedPins[contactId] = { latitude, longitude, timestamp };
-              }
-              saveJSON(STORAGE_KEYS.PINS, updatedPins);
-              return updatedPins;
-            });
-
-            // Update first seen timestamps
-            setFirstSeenTimestamps(previousTimestamps => {
-              const updatedTimestamps = { ...previousTimestamps };
-              for (const contactId of newContactIds) {
-                if (!updatedTimestamps[contactId]) {
-                  updatedTimestamps[contactId] = timestamp;
-                }
-              }
-              saveJSON(STORAGE_KEYS.FIRST_SEEN, updatedTimestamps);
-              return updatedTimestamps;
-            });
-          }
-        } catch (error) {
-          console.error('Location capture error:', error);
-        }
-        
-        // Refresh contact list
-        fetchContactsFromDevice(true);
+    const handleEvent = name => async (payload) => {
+      try {
+        await runContactEvent(name, payload);
+      } catch (error) {
+        console.error(`${name} error:`, error);
       }
-    });
+    };
 
-    return () => subscription.remove();
-  }, [contacts, fetchContactsFromDevice]);
+    const subscriptions = Object.values(CONTACT_EVENTS).map(name =>
+      contactsEventEmitter.addListener(name, handleEvent(name))
+    );
+
+    return () => subscriptions.forEach(subscription => subscription.remove());
+  }, [runContactEvent]);
 
   /**
-   * Handles location events from native module
+   * Labels new or moved pins with a place name
    * 
-   * Why separate from ContactsChanged: Native module can also emit
-   * location events with contact ID when using native add contact UI
+   * Why an effect: Every pin source (GPS, native event, manual placement)
+   * ends in a pins update, so labelling here covers all of them. Stops on
+   * its own once nothing changes, including when the geocoder fails.
    */
   useEffect(() => {
-    if (!contactsEventEmitter) return;
+    const hasUnlabeledPins = Object.values(locationPinsByContactId)
+      .flat()
+      .some(encounter => encounter.placeLabel === undefined);
+    if (!hasUnlabeledPins) return;
 
-    const subscription = contactsEventEmitter.addListener(
-      'ContactAddedWithLocation',
-      async (payload) => {
-        console.log('ContactAddedWithLocation event received:', payload);
-        const { id, lat, lng, timestamp } = payload || {};
-        const finalTimestamp = Number.isFinite(timestamp) ? timestamp : Date.now();
-
-        setFirstSeenTimestamps(previous => {
-          const updated = { ...previous, [id]: finalTimestamp };
-          saveJSON(STORAGE_KEYS.FIRST_SEEN, updated);
-          return updated;
-        });
+    contactStore.resolvePlaceLabels()
+      .then(setLocationPinsByContactId)
+      .catch(error => console.error('Place labelling error:', error));
+  }, [locationPinsByContactId]);
 
-        setLocationPinsByContactId(previous => {
-          const updated = { 
-            ...previous, 
-            [id]: { latitude: lat, longitude: lng, timestamp: finalTimestamp } 
-          };
-          console.log('Saving pin for contact:', id, { latitude: lat, longitude: lng });
-          saveJSON(STORAGE_KEYS.PINS, updated);
-          return updated;
-        });
+  /**
+   * Groups newly met contacts into events
+   * 
+   * Why on pins: Every new contact arrives with a pin, and geocoded
+   * labels arriving later also rename untouched events.
+   */
+  useEffect(() => {
+    contactStore.detectEvents()
+      .then(setEvents)
+      .catch(error => console.error('Event detection error:', error));
+  }, [locationPinsByContactId]);
+
+  /**
+   * Opens the contact a tapped reminder notification is about
+   * 
+   * Why check the last response: Tapping a notification can launch the
+   * app, in which case the listener isn't registered yet.
+   */
+  useEffect(() => {
+    const openReminderContact = (response) => {
+      const contactId = response?.notification.request.content.data?.contactId;
+      if (contactId) setDetailContactId(contactId);
+    };
 
-        await fetchContactsFromDevice(true);
-      }
-    );
+    Notifications.getLastNotificationResponseAsync()
+      .then(openReminderContact)
+      .catch(error => console.error('Notification response error:', error));
 
+    const subscription = Notifications.addNotificationResponseReceivedListener(openReminderContact);
     return () => subscription.remove();
-  }, [fetchContactsFromDevice]);
+  }, []);
 
   // --------------------------------------------------------------------------
   // DATA TRANSFORMATIONS
   // --------------------------------------------------------------------------
   
   /**
-   * Filters and sorts contacts for display
+   * Header caption for the sync engine (empty before the first sync)
+   */
+  const syncCaption = useMemo(() => describeSyncStatus(syncStatus), [syncStatus]);
+
+  /**
+   * Sorts contacts for display
    * 
    * Sorting priority:
    * 1. Contacts with timestamps (newest first)
    * 2. Contacts without timestamps (alphabetical)
    */
-  const displayedContacts = useMemo(() => {
-    const queryLowercase = searchQuery.trim().toLowerCase();
-    
-    const filteredContacts = queryLowercase
-      ? contacts.filter(contact => {
-          const nameMatch = (contact.name || '').toLowerCase().includes(queryLowercase);
-          const tagMatch = (tagsByContactId[contact.id] || []).some(
-            tag => tag.toLowerCase().includes(queryLowercase)
-          );
-          return nameMatch || tagMatch;
-        })
-      : contacts.slice();
-
-    // Sort by creation time (most recent first)
-    filteredContacts.sort((contactA, contactB) => {
+  const contactsByRecency = useMemo(() => {
+    return contacts.slice().sort((contactA, contactB) => {
       const timeA = getContactCreationTime(contactA);
       const timeB = getContactCreationTime(contactB);
       const hasTimeA = timeA > 0;
@@ -641,19 +1359,198 @@ export default function App() {
       // Neither has time: alphabetical
       return (contactA.name || '').localeCompare(contactB.name || '');
     });
+  }, [contacts, getContactCreationTime]);
+
+  /**
+   * Tags, pins and notes the search index covers, passed to every query
+   */
+  const searchMetadata = useMemo(() => ({
+    tags: tagsByContactId,
+    pins: locationPinsByContactId,
+    notes: notesByContactId,
+  }), [tagsByContactId, locationPinsByContactId, notesByContactId]);
+
+  /**
+   * Filters contacts by the search bar (free text and filters like tag:work)
+   * 
+   * Matches are ranked by relevance, with recency breaking ties.
+   */
+  const displayedContacts = useMemo(() => {
+    return contactStore.query(contactsByRecency, {
+      searchText: searchQuery,
+      getCreationTime: getContactCreationTime,
+      metadata: searchMetadata,
+    });
+  }, [contactsByRecency, searchQuery, searchMetadata, getContactCreationTime]);
+
+  /**
+   * Live number of contacts in each smart list
+   */
+  const smartListCounts = useMemo(() => {
+    const counts = {};
+    for (const smartList of smartLists) {
+      counts[smartList.id] = contactStore.query(contactsByRecency, {
+        searchText: smartList.query,
+        getCreationTime: getContactCreationTime,
+        metadata: searchMetadata,
+      }).length;
+    }
+    return counts;
+  }, [smartLists, contactsByRecency, searchMetadata, getContactCreationTime]);
+
+  /**
+   * Contacts for the list view: the active smart list narrowed by the
+   * search bar, or just the search bar on the Created tab
+   */
+  const listViewContacts = useMemo(() => {
+    const activeSmartList = currentView === 'smartList'
+      ? smartLists.find(smartList => smartList.id === activeSmartListId)
+      : null;
+    if (!activeSmartList) return displayedContacts;
+
+    return contactStore.query(contactsByRecency, {
+      searchText: `(${activeSmartList.query}) ${searchQuery}`,
+      getCreationTime: getContactCreationTime,
+      metadata: searchMetadata,
+    });
+  }, [
+    currentView,
+    smartLists,
+    activeSmartListId,
+    displayedContacts,
+    contactsByRecency,
+    searchQuery,
+    searchMetadata,
+    getContactCreationTime,
+  ]);
+
+  /**
+   * Contacts with a follow-up, soonest due first
+   * 
+   * Overdue follow-ups sort to the top; contacts due at the same moment
+   * fall back to the usual newest-first creation order.
+   */
+  const dueContacts = useMemo(() => {
+    return displayedContacts
+      .filter(contact => remindersByContactId[contact.id])
+      .sort((contactA, contactB) => {
+        const dueDifference = remindersByContactId[contactA.id].dueAt
+          - remindersByContactId[contactB.id].dueAt;
+        if (dueDifference !== 0) return dueDifference;
+        return getContactCreationTime(contactB) - getContactCreationTime(contactA);
+      });
+  }, [displayedContacts, remindersByContactId, getContactCreationTime]);
+
+  /**
+   * Number of overdue follow-ups, shown on the Due tab
+   */
+  const overdueCount = useMemo(() => {
+    const now = Date.now();
+    return Object.values(remindersByContactId)
+      .filter(reminder => isReminderOverdue(reminder, now))
+      .length;
+  }, [remindersByContactId]);
+
+  /**
+   * Every tag in use, for the export tag filter
+   */
+  const allTags = useMemo(() => {
+    const tags = new Set(Object.values(tagsByContactId).flat());
+    return [...tags].sort((tagA, tagB) => tagA.localeCompare(tagB));
+  }, [tagsByContactId]);
+
+  /**
+   * Contacts the export sheet would write with its current filter
+   * 
+   * "view" is whatever the list shows: the search bar, narrowed by the
+   * active smart list.
+   */
+  const contactsToExport = useMemo(() => {
+    if (exportScope === 'view') return listViewContacts;
+    if (exportScope === 'selected') {
+      return contactsByRecency.filter(contact => selectedContactIds?.has(contact.id));
+    }
+    if (exportScope === 'tag') {
+      return contactsByRecency.filter(contact => (tagsByContactId[contact.id] || []).includes(exportTag));
+    }
+    return contactsByRecency;
+  }, [exportScope, exportTag, listViewContacts, contactsByRecency, tagsByContactId, selectedContactIds]);
 
-    return filteredContacts;
-  }, [contacts, searchQuery, tagsByContactId, getContactCreationTime]);
+  /**
+   * Problem with the search bar's filter syntax, shown under the input
+   */
+  const searchQueryError = useMemo(() => {
+    return parseFilterQuery(searchQuery).error;
+  }, [searchQuery]);
 
   /**
    * Filters contacts to only those with location pins
    */
   const contactsWithLocationPins = useMemo(() => {
-    return displayedContacts.filter(contact => locationPinsByContactId[contact.id]);
+    return displayedContacts.filter(contact => getLatestPin(locationPinsByContactId, contact.id));
   }, [displayedContacts, locationPinsByContactId]);
 
   /**
-   * Calculates map region to fit all pins
+   * One map point per encounter so repeat meetings all show up
+   * 
+   * Pins without a timestamp fall back to when the contact was created.
+   */
+  const mapPoints = useMemo(() => {
+    return contactsWithLocationPins.flatMap(contact => (
+      getEncounters(locationPinsByContactId, contact.id).map(pin => ({
+        key: `${contact.id}:${pin.id}`,
+        latitude: pin.latitude,
+        longitude: pin.longitude,
+        timestamp: pin.timestamp || getContactCreationTime(contact),
+        contact,
+        pin,
+      }))
+    ));
+  }, [contactsWithLocationPins, locationPinsByContactId, getContactCreationTime]);
+
+  /**
+   * Date ranges offered above the map, and the one in use
+   */
+  const mapDateRanges = useMemo(() => {
+    return buildDateRanges(mapPoints.map(point => point.timestamp));
+  }, [mapPoints]);
+
+  const activeMapDateRange = useMemo(() => {
+    return mapDateRanges.find(range => range.id === mapDateRangeId) || mapDateRanges[0];
+  }, [mapDateRanges, mapDateRangeId]);
+
+  /**
+   * Map points inside the selected date range, and the span they cover
+   */
+  const rangedMapPoints = useMemo(() => {
+    return filterPointsByTime(mapPoints, activeMapDateRange);
+  }, [mapPoints, activeMapDateRange]);
+
+  const timelineRange = useMemo(() => {
+    return timelineBounds(rangedMapPoints);
+  }, [rangedMapPoints]);
+
+  /**
+   * Map points revealed so far by timeline playback
+   */
+  const visibleMapPoints = useMemo(() => {
+    if (timelineCursor === null) return rangedMapPoints;
+    return rangedMapPoints.filter(point => point.timestamp <= timelineCursor);
+  }, [rangedMapPoints, timelineCursor]);
+
+  /**
+   * Contacts offered when placing a pin by hand, filtered by name
+   */
+  const pinPickerContacts = useMemo(() => {
+    const queryLowercase = pinPickerQuery.trim().toLowerCase();
+    if (!queryLowercase) return displayedContacts;
+    return displayedContacts.filter(contact =>
+      (contact.name || '').toLowerCase().includes(queryLowercase)
+    );
+  }, [displayedContacts, pinPickerQuery]);
+
+  /**
+   * Calculates map region to fit every encounter
    * 
    * Algorithm:
    * 1. Find min/max latitude and longitude
@@ -661,31 +1558,233 @@ export default function App() {
    * 3. Set delta to encompass all pins with 1.5x padding
    */
   const calculatedMapRegion = useMemo(() => {
-    if (contactsWithLocationPins.length === 0) {
-      // Default to Denver, CO area if no pins
-      return {
-        latitude: 39.7392,
-        longitude: -104.9903,
-        latitudeDelta: 0.5,
-        longitudeDelta: 0.5,
-      };
+    return regionForCoordinates(mapPoints);
+  }, [mapPoints]);
+
+  /**
+   * Pins and clusters, or heatmap cells, for the part of the map on screen
+   */
+  const mapClusters = useMemo(() => {
+    if (mapMode !== 'pins') return [];
+    return clusterPoints(visibleMapPoints, visibleMapRegion || calculatedMapRegion);
+  }, [mapMode, visibleMapPoints, visibleMapRegion, calculatedMapRegion]);
+
+  const mapHeatCells = useMemo(() => {
+    if (mapMode !== 'heatmap') return [];
+    return densityCells(visibleMapPoints, visibleMapRegion || calculatedMapRegion);
+  }, [mapMode, visibleMapPoints, visibleMapRegion, calculatedMapRegion]);
+
+  /**
+   * Contact shown on the detail screen
+   */
+  const detailContact = useMemo(() => {
+    return contacts.find(contact => contact.id === detailContactId) || null;
+  }, [contacts, detailContactId]);
+
+  /**
+   * When the detail screen's contact was created, and how we know
+   */
+  const detailCreation = useMemo(() => {
+    return detailContact
+      ? getContactCreationDetails(detailContact)
+      : { timestamp: 0, source: null, ambiguousDates: [] };
+  }, [detailContact, getContactCreationDetails]);
+
+  /**
+   * Events for the Events tab, most recent first
+   */
+  const listedEvents = useMemo(() => {
+    return events
+      .filter(event => !event.deletedAt)
+      .sort((a, b) => b.startAt - a.startAt);
+  }, [events]);
+
+  /**
+   * Event shown on the event screen
+   */
+  const detailEvent = useMemo(() => {
+    return listedEvents.find(event => event.id === detailEventId) || null;
+  }, [listedEvents, detailEventId]);
+
+  /**
+   * Name for the quick note prompt
+   * 
+   * Why look it up: Native location events only carry the contact ID.
+   */
+  const quickNoteContactName = useMemo(() => {
+    const pending = quickNoteQueue[0];
+    if (!pending) return '';
+    return pending.name
+      || contacts.find(contact => contact.id === pending.id)?.name
+      || '(No name)';
+  }, [quickNoteQueue, contacts]);
+
+  // --------------------------------------------------------------------------
+  // BULK SELECTION
+  // --------------------------------------------------------------------------
+
+  /**
+   * Selected contacts that are still listed
+   */
+  const selectedContacts = useMemo(() => {
+    if (!selectedContactIds) return [];
+    return contactsByRecency.filter(contact => selectedContactIds.has(contact.id));
+  }, [contactsByRecency, selectedContactIds]);
+
+  /**
+   * Tags the selected contacts have, for batch untagging
+   */
+  const selectedTags = useMemo(() => {
+    const tags = new Set(selectedContacts.flatMap(contact => tagsByContactId[contact.id] || []));
+    return [...tags].sort((tagA, tagB) => tagA.localeCompare(tagB));
+  }, [selectedContacts, tagsByContactId]);
+
+  /**
+   * Whether every contact on screen is selected
+   */
+  const isEveryVisibleSelected = useMemo(() => {
+    return !!selectedContactIds
+      && listViewContacts.length > 0
+      && listViewContacts.every(contact => selectedContactIds.has(contact.id));
+  }, [selectedContactIds, listViewContacts]);
+
+  /**
+   * Selects or deselects one contact, entering selection mode if needed
+   * 
+   * @param {string} contactId - Unique contact identifier
+   */
+  const toggleContactSelection = useCallback((contactId) => {
+    setSelectedContactIds((current) => {
+      const next = new Set(current || []);
+      if (next.has(contactId)) {
+        next.delete(contactId);
+      } else {
+        next.add(contactId);
+      }
+      return next;
+    });
+  }, []);
+
+  /**
+   * Selects everything the list shows (search and smart list applied),
+   * or clears the selection if that's already the case
+   */
+  const toggleSelectAllVisible = useCallback(() => {
+    setSelectedContactIds(isEveryVisibleSelected
+      ? new Set()
+      : new Set(listViewContacts.map(contact => contact.id)));
+  }, [isEveryVisibleSelected, listViewContacts]);
+
+  /**
+   * Applies one edit to every selected contact and offers to undo it
+   * 
+   * @param {string} type - BATCH_ACTIONS value
+   * @param {Object} options - { tag } or { interval }
+   * @param {Function} describe - (count) => message for the undo bar
+   */
+  const runBatchAction = useCallback(async (type, options, describe) => {
+    try {
+      const contactNames = Object.fromEntries(
+        selectedContacts.map(contact => [contact.id, contact.name])
+      );
+      const result = await contactStore.applyBatch(
+        selectedContacts.map(contact => contact.id),
+        type,
+        { ...options, contactNames }
+      );
+
+      setTagsByContactId(result.tags);
+      setLocationPinsByContactId(result.pins);
+      setRemindersByContactId(result.reminders);
+      setBatchUndo(result.changedCount > 0 ? { message: describe(result.changedCount) } : null);
+    } catch (error) {
+      console.error('Batch action error:', error);
+      Alert.alert('Error', 'Failed to update the selected contacts');
+    }
+  }, [selectedContacts]);
+
+  /**
+   * Reverts the last batch action
+   */
+  const undoBatchAction = useCallback(async () => {
+    setBatchUndo(null);
+    try {
+      const result = await contactStore.undoBatch();
+      setTagsByContactId(result.tags);
+      setLocationPinsByContactId(result.pins);
+      setRemindersByContactId(result.reminders);
+    } catch (error) {
+      console.error('Batch undo error:', error);
+      Alert.alert('Error', 'Failed to undo');
+    }
+  }, []);
+
+  /**
+   * Hides the undo bar after a while
+   * 
+   * Why time out: Undo puts back the values from before the batch, which
+   * would also discard later single-contact edits.
+   */
+  useEffect(() => {
+    if (!batchUndo) return undefined;
+    const timeout = setTimeout(() => setBatchUndo(null), BATCH_UNDO_MS);
+    return () => clearTimeout(timeout);
+  }, [batchUndo]);
+
+  /**
+   * Leaves selection mode when switching away from the list
+   */
+  useEffect(() => {
+    if (currentView !== 'list' && currentView !== 'smartList') setSelectedContactIds(null);
+  }, [currentView]);
+
+  // --------------------------------------------------------------------------
+  // MAP TIMELINE PLAYBACK
+  // --------------------------------------------------------------------------
+
+  /**
+   * Chooses the map's date range and shows all of it again
+   * 
+   * @param {string} rangeId - From mapDateRanges
+   */
+  const selectMapDateRange = useCallback((rangeId) => {
+    setMapDateRangeId(rangeId);
+    setTimelineCursor(null);
+    setIsTimelinePlaying(false);
+  }, []);
+
+  /**
+   * Plays or pauses the timeline, starting over once it has finished
+   */
+  const toggleTimelinePlayback = useCallback(() => {
+    if (!timelineRange) return;
+    if (isTimelinePlaying) {
+      setIsTimelinePlaying(false);
+      return;
+    }
+    if (timelineCursor === null || timelineCursor >= timelineRange.end) {
+      setTimelineCursor(timelineRange.start);
     }
+    setIsTimelinePlaying(true);
+  }, [timelineRange, isTimelinePlaying, timelineCursor]);
 
-    const latitudes = contactsWithLocationPins.map(c => locationPinsByContactId[c.id].latitude);
-    const longitudes = contactsWithLocationPins.map(c => locationPinsByContactId[c.id].longitude);
+  /**
+   * Moves the timeline while playing, stopping at the end of the range
+   */
+  useEffect(() => {
+    if (!isTimelinePlaying || !timelineRange) return undefined;
 
-    const minLatitude = Math.min(...latitudes);
-    const maxLatitude = Math.max(...latitudes);
-    const minLongitude = Math.min(...longitudes);
-    const maxLongitude = Math.max(...longitudes);
+    const interval = setInterval(() => {
+      setTimelineCursor(cursor => advanceTimelineCursor(cursor ?? timelineRange.start, timelineRange));
+    }, TIMELINE_TICK_MS);
+    return () => clearInterval(interval);
+  }, [isTimelinePlaying, timelineRange]);
 
-    return {
-      latitude: (minLatitude + maxLatitude) / 2,
-      longitude: (minLongitude + maxLongitude) / 2,
-      latitudeDelta: Math.max(maxLatitude - minLatitude, 0.05) * 1.5,
-      longitudeDelta: Math.max(maxLongitude - minLongitude, 0.05) * 1.5,
-    };
-  }, [contactsWithLocationPins, locationPinsByContactId]);
+  useEffect(() => {
+    if (isTimelinePlaying && timelineRange && timelineCursor >= timelineRange.end) {
+      setIsTimelinePlaying(false);
+    }
+  }, [isTimelinePlaying, timelineRange, timelineCursor]);
 
   // --------------------------------------------------------------------------
   // RENDER: PERMISSION GATE
@@ -714,19 +1813,62 @@ export default function App() {
   
   return (
     <SafeAreaView style={styles.container}>
-      <Text style={styles.title}>NeverForget</Text>
+      <View style={styles.headerRow}>
+        <Text style={[styles.title, { flex: 1 }]}>NeverForget</Text>
+        {(currentView === 'list' || currentView === 'smartList') && (
+          <TouchableOpacity
+            onPress={() => setSelectedContactIds(selectedContactIds ? null : new Set())}
+          >
+            <Text style={styles.headerButtonText}>{selectedContactIds ? 'Done' : 'Select'}</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          onPress={() => {
+            // Default to what's on screen when a search or smart list is active
+            setExportScope(searchQuery.trim() || currentView === 'smartList' ? 'view' : 'all');
+            setShowExportModal(true);
+          }}
+        >
+          <Text style={styles.headerButtonText}>Export</Text>
+        </TouchableOpacity>
+        <TouchableOpacity onPress={showDataOptions}>
+          <Text style={styles.headerButtonText}>Data</Text>
+        </TouchableOpacity>
+      </View>
+      {!!syncCaption && <Text style={styles.syncStatusText}>{syncCaption}</Text>}
 
       {/* Search Bar */}
-      <TextInput
-        value={searchQuery}
-        onChangeText={setSearchQuery}
-        placeholder="Search name or tag…"
-        autoCapitalize="none"
-        style={styles.searchInput}
-      />
+      <View style={styles.searchRow}>
+        <TextInput
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholder="Search, or filter: tag:work added:last7d has:pin"
+          autoCapitalize="none"
+          autoCorrect={false}
+          style={[styles.searchInput, { flex: 1 }, searchQueryError && styles.searchInputInvalid]}
+        />
+        {!!searchQuery.trim() && !searchQueryError && currentView !== 'smartList' && (
+          <TouchableOpacity
+            onPress={() => setShowSaveListModal(true)}
+            style={styles.saveListButton}
+          >
+            <Text style={styles.tagAddButtonText}>Save list</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {searchQueryError && (
+        <Text style={styles.searchErrorText}>
+          {searchQueryError.message} (at character {searchQueryError.position + 1}). Showing plain text matches.
+        </Text>
+      )}
 
-      {/* View Tabs */}
-      <View style={styles.tabBar}>
+      {/* View Tabs (built-in views, then saved smart lists) */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.tabBarScroller}
+        contentContainerStyle={styles.tabBar}
+      >
         <TouchableOpacity
           onPress={() => setCurrentView('list')}
           style={[styles.tab, currentView === 'list' && styles.tabActive]}
@@ -743,7 +1885,42 @@ export default function App() {
             Map
           </Text>
         </TouchableOpacity>
-      </View>
+        <TouchableOpacity
+          onPress={() => setCurrentView('due')}
+          style={[styles.tab, currentView === 'due' && styles.tabActive]}
+        >
+          <Text style={[styles.tabText, currentView === 'due' && styles.tabTextActive]}>
+            Due{overdueCount ? ` (${overdueCount})` : ''}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => setCurrentView('events')}
+          style={[styles.tab, currentView === 'events' && styles.tabActive]}
+        >
+          <Text style={[styles.tabText, currentView === 'events' && styles.tabTextActive]}>
+            Events
+          </Text>
+        </TouchableOpacity>
+        {smartLists.map((smartList) => {
+          const isActive = currentView === 'smartList' && activeSmartListId === smartList.id;
+
+          return (
+            <TouchableOpacity
+              key={smartList.id}
+              onPress={() => {
+                setActiveSmartListId(smartList.id);
+                setCurrentView('smartList');
+              }}
+              onLongPress={() => confirmDeleteSmartList(smartList)}
+              style={[styles.tab, isActive && styles.tabActive]}
+            >
+              <Text style={[styles.tabText, isActive && styles.tabTextActive]}>
+                {smartList.name} ({smartListCounts[smartList.id] ?? 0})
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
 
       {/* Loading Indicator */}
       {isLoadingContacts ? (
@@ -754,150 +1931,756 @@ export default function App() {
         
       ) : currentView === 'map' ? (
         // Map View
-        <View style={styles.mapContainer}>
-          {contactsWithLocationPins.length === 0 ? (
-            <View style={styles.emptyMapState}>
-              <Text style={styles.emptyText}>No contacts with location data</Text>
-              <Text style={styles.emptyHint}>
-                Add a contact to see where you met them
-              </Text>
+        <View style={{ flex: 1 }}>
+          {/* Mode and date range */}
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            style={styles.mapControlsScroller}
+            contentContainerStyle={styles.mapControls}
+          >
+            {[['pins', 'Pins'], ['heatmap', 'Heatmap']].map(([mode, label]) => (
+              <TouchableOpacity
+                key={mode}
+                onPress={() => setMapMode(mode)}
+                style={[styles.tagChip, mapMode === mode && styles.tabActive]}
+              >
+                <Text style={[styles.tagText, mapMode === mode && styles.tabTextActive]}>
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+            <View style={styles.mapControlsDivider} />
+            {mapDateRanges.map((range) => {
+              const isSelected = range.id === activeMapDateRange.id;
+              return (
+                <TouchableOpacity
+                  key={range.id}
+                  onPress={() => selectMapDateRange(range.id)}
+                  style={[styles.tagChip, isSelected && styles.tabActive]}
+                >
+                  <Text style={[styles.tagText, isSelected && styles.tabTextActive]}>
+                    {range.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          {/* Timeline: replays pins appearing in the order they were met */}
+          {timelineRange && timelineRange.end > timelineRange.start && (
+            <View style={styles.timelineRow}>
+              <TouchableOpacity style={styles.mapButton} onPress={toggleTimelinePlayback}>
+                <Text style={styles.mapButtonText}>{isTimelinePlaying ? 'Pause' : 'Play'}</Text>
+              </TouchableOpacity>
+              <Slider
+                style={styles.timelineSlider}
+                minimumValue={timelineRange.start}
+                maximumValue={timelineRange.end}
+                value={timelineCursor ?? timelineRange.end}
+                minimumTrackTintColor="#3366ff"
+                onSlidingStart={() => setIsTimelinePlaying(false)}
+                onValueChange={setTimelineCursor}
+              />
+              <TouchableOpacity
+                disabled={timelineCursor === null}
+                onPress={() => selectMapDateRange(activeMapDateRange.id)}
+              >
+                <Text style={styles.timelineLabel}>
+                  {timelineCursor === null
+                    ? `${visibleMapPoints.length} pins`
+                    : `${formatShortDate(timelineCursor)} · ${visibleMapPoints.length}`}
+                </Text>
+              </TouchableOpacity>
             </View>
-          ) : (
+          )}
+
+          <View style={styles.mapContainer}>
             <MapView
+              ref={mapRef}
               style={styles.map}
               initialRegion={calculatedMapRegion}
               showsUserLocation
               showsMyLocationButton
+              onRegionChangeComplete={setVisibleMapRegion}
+              onLongPress={(event) => setPendingPinCoordinate(event.nativeEvent.coordinate)}
             >
-              {contactsWithLocationPins.map((contact) => {
-                const pin = locationPinsByContactId[contact.id];
+              {mapHeatCells.map(cell => (
+                <Circle
+                  key={cell.key}
+                  center={{ latitude: cell.latitude, longitude: cell.longitude }}
+                  radius={cell.radius}
+                  strokeWidth={0}
+                  fillColor={`rgba(255, 69, 0, ${(0.15 + 0.5 * cell.intensity).toFixed(2)})`}
+                />
+              ))}
+
+              {mapClusters.map((cluster) => {
+                if (cluster.points.length > 1) {
+                  return (
+                    <Marker
+                      key={cluster.key}
+                      coordinate={{
+                        latitude: cluster.latitude,
+                        longitude: cluster.longitude,
+                      }}
+                      onPress={() => expandCluster(cluster)}
+                    >
+                      <View style={styles.clusterBadge}>
+                        <Text style={styles.clusterBadgeText}>{cluster.points.length}</Text>
+                      </View>
+                    </Marker>
+                  );
+                }
+
+                const [{ contact, pin }] = cluster.points;
                 const tags = tagsByContactId[contact.id] || [];
                 const tagText = tags.length > 0 ? ` • ${tags.join(', ')}` : '';
-                
+                const placeText = pin.placeLabel ? ` • ${pin.placeLabel}` : '';
+                const noteText = pin.note ? ` • ${pin.note}` : '';
+                const isManual = pin.source === PIN_SOURCES.MANUAL;
+
                 return (
                   <Marker
-                    key={contact.id}
+                    key={cluster.key}
                     coordinate={{
                       latitude: pin.latitude,
                       longitude: pin.longitude,
                     }}
                     title={contact.name || '(No name)'}
-                    description={`${contact.phoneNumbers?.[0]?.number || ''}${tagText}`}
+                    description={`${formatAbsoluteTime(pin.timestamp)}${isManual ? ' (placed by hand)' : ''}${placeText}${tagText}${noteText}`}
+                    pinColor={isManual ? MANUAL_PIN_COLOR : undefined}
+                    draggable
+                    onDragEnd={(event) => 
+                      moveEncounterTo(contact.id, pin.id, event.nativeEvent.coordinate)
+                    }
                     onCalloutPress={() => openLocationInNativeMaps(pin, contact.name || 'Contact')}
                   />
                 );
               })}
             </MapView>
-          )}
+
+            <View style={styles.mapActions}>
+              <TouchableOpacity
+                style={styles.mapActionButton}
+                onPress={() => setShowProximitySettings(true)}
+              >
+                <Text style={styles.mapButtonText}>
+                  Nearby: {proximitySettings.enabled ? 'On' : 'Off'}
+                </Text>
+              </TouchableOpacity>
+
+              {/* Exports what the map shows, so search and smart lists apply */}
+              {contactsWithLocationPins.length > 0 && (
+                <TouchableOpacity
+                  style={styles.mapActionButton}
+                  onPress={() => exportMap(contactsWithLocationPins)}
+                >
+                  <Text style={styles.mapButtonText}>Export map</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+
+            {/* Empty hint floats over the map so long-press still works */}
+            {contactsWithLocationPins.length === 0 && (
+              <View style={styles.emptyMapOverlay} pointerEvents="none">
+                <Text style={styles.emptyText}>No contacts with location data</Text>
+                <Text style={styles.emptyHint}>
+                  Add a contact, or long-press the map to place a pin
+                </Text>
+              </View>
+            )}
+          </View>
         </View>
         
-      ) : (
-        // List View
+      ) : currentView === 'due' ? (
+        // Due View (follow-up reminders)
         <FlatList
-          data={displayedContacts}
+          data={dueContacts}
           keyExtractor={(item) => item.id}
-          refreshControl={
-            <RefreshControl 
-              refreshing={isRefreshing} 
-              onRefresh={() => fetchContactsFromDevice(true)} 
-            />
-          }
           ItemSeparatorComponent={() => <View style={styles.separator} />}
-          ListEmptyComponent={<Text style={styles.emptyText}>No contacts</Text>}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>
+              No follow-ups scheduled. Set one from a contact&apos;s detail screen.
+            </Text>
+          }
           renderItem={({ item: contact }) => {
+            const reminder = remindersByContactId[contact.id];
             const creationTime = getContactCreationTime(contact);
-            const tags = tagsByContactId[contact.id] || [];
-            const locationPin = locationPinsByContactId[contact.id];
 
             return (
-              <View style={styles.contactRow}>
+              <TouchableOpacity
+                style={styles.contactRow}
+                onPress={() => setDetailContactId(contact.id)}
+              >
                 <View style={{ flex: 1 }}>
                   <Text style={styles.contactName}>
                     {contact.name || '(No name)'}
                   </Text>
-                  
-                  {!!contact.phoneNumbers?.length && (
+                  <Text
+                    style={[
+                      styles.contactSubtext,
+                      isReminderOverdue(reminder) && styles.overdueText,
+                    ]}
+                  >
+                    {describeDueDate(reminder)}
+                  </Text>
+                  {!!creationTime && (
                     <Text style={styles.contactSubtext}>
-                      {contact.phoneNumbers[0]?.number}
+                      Met {formatAbsoluteTime(creationTime)}
                     </Text>
                   )}
+                </View>
+                <TouchableOpacity
+                  onPress={() => completeContactReminder(contact.id)}
+                  style={styles.mapButton}
+                >
+                  <Text style={styles.mapButtonText}>Done</Text>
+                </TouchableOpacity>
+              </TouchableOpacity>
+            );
+          }}
+        />
 
-                  {/* Tags Row */}
-                  <View style={styles.tagsRow}>
-                    {tags.map((tag) => (
-                      <TouchableOpacity
-                        key={tag}
-                        onLongPress={() => removeTagFromContact(contact.id, tag)}
-                        style={styles.tagChip}
-                      >
-                        <Text style={styles.tagText}>{tag}</Text>
-                      </TouchableOpacity>
-                    ))}
-                    
-                    {/* Tag Editor */}
-                    {contactBeingTagged === contact.id ? (
-                      <View style={styles.tagEditor}>
-                        <TextInput
-                          style={styles.tagInput}
-                          placeholder="Add tag"
-                          value={tagInputText}
-                          onChangeText={setTagInputText}
-                          onSubmitEditing={async () => {
-                            await addTagToContact(contact.id, tagInputText);
-                            setTagInputText('');
-                            setContactBeingTagged(null);
-                          }}
-                          autoCapitalize="none"
-                        />
-                        <TouchableOpacity
-                          onPress={async () => {
-                            await addTagToContact(contact.id, tagInputText);
-                            setTagInputText('');
-                            setContactBeingTagged(null);
-                          }}
-                          style={styles.tagSaveButton}
-                        >
-                          <Text style={styles.tagSaveButtonText}>Add</Text>
-                        </TouchableOpacity>
+      ) : currentView === 'events' ? (
+        // Events View (people met together)
+        <FlatList
+          data={listedEvents}
+          keyExtractor={(item) => item.id}
+          ItemSeparatorComponent={() => <View style={styles.separator} />}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>
+              No events yet. People you add around the same time and place are grouped here.
+            </Text>
+          }
+          renderItem={({ item: event }) => (
+            <TouchableOpacity
+              style={styles.contactRow}
+              onPress={() => setDetailEventId(event.id)}
+            >
+              <View style={{ flex: 1 }}>
+                <Text style={styles.contactName}>{event.name}</Text>
+                <Text style={styles.contactSubtext}>
+                  {formatShortDate(event.startAt)} · {event.contactIds.length}{' '}
+                  {event.contactIds.length === 1 ? 'person' : 'people'}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          )}
+        />
+
+      ) : (
+        // List View (Created tab or a smart list)
+        <View style={{ flex: 1 }}>
+          {selectedContactIds && (
+            <View style={styles.selectionHeader}>
+              <Text style={[styles.contactSubtext, { flex: 1 }]}>
+                {selectedContacts.length} selected
+              </Text>
+              <TouchableOpacity onPress={toggleSelectAllVisible} style={styles.mapButton}>
+                <Text style={styles.mapButtonText}>
+                  {isEveryVisibleSelected ? 'Deselect all' : `Select all (${listViewContacts.length})`}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+          <FlatList
+            data={listViewContacts}
+            keyExtractor={(item) => item.id}
+            refreshControl={
+              <RefreshControl 
+                refreshing={isRefreshing} 
+                onRefresh={() => fetchContactsFromDevice(true)} 
+              />
+            }
+            ItemSeparatorComponent={() => <View style={styles.separator} />}
+            ListEmptyComponent={<Text style={styles.emptyText}>No contacts</Text>}
+            renderItem={({ item: contact }) => {
+              const creationTime = getContactCreationTime(contact);
+              const tags = tagsByContactId[contact.id] || [];
+              const locationPin = getLatestPin(locationPinsByContactId, contact.id);
+              const noteCount = (notesByContactId[contact.id] || []).length;
+              const isSelected = !!selectedContactIds?.has(contact.id);
+
+              return (
+                <TouchableOpacity
+                  style={styles.contactRow}
+                  onPress={() => (selectedContactIds
+                    ? toggleContactSelection(contact.id)
+                    : setDetailContactId(contact.id))}
+                  onLongPress={() => toggleContactSelection(contact.id)}
+                >
+                  {selectedContactIds && (
+                    <View style={[styles.selectionCheck, isSelected && styles.selectionCheckOn]}>
+                      {isSelected && <Text style={styles.selectionCheckMark}>✓</Text>}
+                    </View>
+                  )}
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.contactName}>
+                      {contact.name || '(No name)'}
+                    </Text>
+
+                    {!!locationPin?.placeLabel && (
+                      <Text style={styles.contactSubtext}>
+                        Met at {locationPin.placeLabel}
+                      </Text>
+                    )}
+                  
+                    {!!contact.phoneNumbers?.length && (
+                      <Text style={styles.contactSubtext}>
+                        {contact.phoneNumbers[0]?.number}
+                      </Text>
+                    )}
+
+                    {/* Tags Row (edited on the detail screen) */}
+                    <View style={styles.tagsRow}>
+                      {tags.map((tag) => (
+                        <View key={tag} style={styles.tagChip}>
+                          <Text style={styles.tagText}>{tag}</Text>
+                        </View>
+                      ))}
+
+                      {noteCount > 0 && (
+                        <Text style={styles.contactSubtext}>
+                          {noteCount === 1 ? '1 note' : `${noteCount} notes`}
+                        </Text>
+                      )}
+
+                      {/* Log Encounter Button */}
+                      {!selectedContactIds && (
                         <TouchableOpacity
-                          onPress={() => {
-                            setTagInputText('');
-                            setContactBeingTagged(null);
-                          }}
+                          onPress={() => setContactLoggingEncounter(contact)}
+                          style={styles.mapButton}
                         >
-                          <Text style={styles.tagCancelText}>Cancel</Text>
+                          <Text style={styles.mapButtonText}>+ Met again</Text>
                         </TouchableOpacity>
-                      </View>
-                    ) : (
-                      <TouchableOpacity
-                        onPress={() => setContactBeingTagged(contact.id)}
-                        style={styles.tagAddButton}
-                      >
-                        <Text style={styles.tagAddButtonText}>+ Tag</Text>
-                      </TouchableOpacity>
+                      )}
+                    </View>
+                  </View>
+
+                  {/* Timestamp Badges */}
+                  <View style={styles.timestampColumn}>
+                    <Text style={styles.timestampBadge}>
+                      {creationTime ? formatAbsoluteTime(creationTime) : ''}
+                    </Text>
+                    {locationPin && locationPin.timestamp !== creationTime && (
+                      <Text style={styles.timestampBadge}>
+                        Last seen {formatAbsoluteTime(locationPin.timestamp)}
+                      </Text>
                     )}
+                  </View>
+                </TouchableOpacity>
+              );
+            }}
+          />
+          {selectedContactIds && (
+            <BatchActionBar
+              selectedCount={selectedContacts.length}
+              allTags={allTags}
+              selectedTags={selectedTags}
+              onAddTag={tag => runBatchAction(BATCH_ACTIONS.ADD_TAG, { tag }, describeBatch('Tagged'))}
+              onRemoveTag={tag => runBatchAction(BATCH_ACTIONS.REMOVE_TAG, { tag }, describeBatch('Untagged'))}
+              onSetReminder={preset => runBatchAction(
+                BATCH_ACTIONS.SET_REMINDER,
+                { interval: preset },
+                describeBatch('Set follow-ups for')
+              )}
+              onClearReminders={() => runBatchAction(
+                BATCH_ACTIONS.CLEAR_REMINDER,
+                {},
+                describeBatch('Cleared follow-ups for')
+              )}
+              onExport={() => {
+                setExportScope('selected');
+                setShowExportModal(true);
+              }}
+              onClearPins={() => runBatchAction(BATCH_ACTIONS.CLEAR_PINS, {}, describeBatch('Cleared pins for'))}
+            />
+          )}
+        </View>
+      )}
 
-                    {/* Map Button */}
-                    {locationPin && (
+      {/* Undo Bar for the Last Batch Action */}
+      {batchUndo && (
+        <View style={styles.undoBar}>
+          <Text style={styles.undoBarText}>{batchUndo.message}</Text>
+          <TouchableOpacity onPress={undoBatchAction}>
+            <Text style={styles.undoBarAction}>Undo</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Manual Pin Placement Modal */}
+      <Modal transparent visible={!!pendingPinCoordinate} animationType="fade">
+        <View style={styles.modalBackdrop}>
+          <View style={[styles.modalCard, styles.pinPickerCard]}>
+            <Text style={styles.modalTitle}>Who did you meet here?</Text>
+            <TextInput
+              style={styles.searchInput}
+              placeholder="Search contacts…"
+              value={pinPickerQuery}
+              onChangeText={setPinPickerQuery}
+              autoCapitalize="none"
+            />
+            <FlatList
+              data={pinPickerContacts}
+              keyExtractor={(item) => item.id}
+              keyboardShouldPersistTaps="handled"
+              ItemSeparatorComponent={() => <View style={styles.separator} />}
+              ListEmptyComponent={<Text style={styles.emptyText}>No contacts</Text>}
+              renderItem={({ item: contact }) => {
+                const latestPin = getLatestPin(locationPinsByContactId, contact.id);
+                const closePicker = () => {
+                  setPinPickerQuery('');
+                  setPendingPinCoordinate(null);
+                };
+
+                return (
+                  <View style={styles.pinPickerRow}>
+                    <Text style={[styles.contactName, { flex: 1 }]} numberOfLines={1}>
+                      {contact.name || '(No name)'}
+                    </Text>
+                    <TouchableOpacity
+                      style={styles.tagAddButton}
+                      onPress={async () => {
+                        await placeManualPin(contact.id, pendingPinCoordinate);
+                        closePicker();
+                      }}
+                    >
+                      <Text style={styles.tagAddButtonText}>Add pin</Text>
+                    </TouchableOpacity>
+                    {latestPin && (
                       <TouchableOpacity
-                        onPress={() => openLocationInNativeMaps(locationPin, contact.name || 'Contact')}
                         style={styles.mapButton}
+                        onPress={async () => {
+                          await moveEncounterTo(contact.id, latestPin.id, pendingPinCoordinate);
+                          closePicker();
+                        }}
                       >
-                        <Text style={styles.mapButtonText}>Open in Maps</Text>
+                        <Text style={styles.mapButtonText}>Move last pin</Text>
                       </TouchableOpacity>
                     )}
                   </View>
-                </View>
+                );
+              }}
+            />
+            <TouchableOpacity
+              style={[styles.callToAction, { backgroundColor: '#444' }]}
+              onPress={() => {
+                setPinPickerQuery('');
+                setPendingPinCoordinate(null);
+              }}
+            >
+              <Text style={styles.callToActionText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Contact Detail Screen */}
+      <ContactDetail
+        contact={detailContact}
+        creationTime={detailCreation.timestamp}
+        creationSource={detailCreation.source}
+        ambiguousCreationDates={detailCreation.ambiguousDates}
+        tags={tagsByContactId[detailContactId] || []}
+        encounters={getEncounters(locationPinsByContactId, detailContactId)}
+        notes={notesByContactId[detailContactId] || []}
+        reminder={remindersByContactId[detailContactId] || null}
+        changeLog={changeLogByContactId[detailContactId] || []}
+        onSetReminder={(preset) => setContactReminder(detailContactId, preset)}
+        onCompleteReminder={() => completeContactReminder(detailContactId)}
+        onClearReminder={() => clearContactReminder(detailContactId)}
+        onAddTag={(tag) => addTagToContact(detailContactId, tag)}
+        onRenameTag={(oldTag, newTag) => renameContactTag(detailContactId, oldTag, newTag)}
+        onRemoveTag={(tag) => removeTagFromContact(detailContactId, tag)}
+        onAddNote={(text) => addNoteToContact(detailContactId, text)}
+        onUpdateNote={(noteId, text) => updateContactNote(detailContactId, noteId, text)}
+        onDeleteNote={(noteId) => deleteContactNote(detailContactId, noteId)}
+        onClose={() => setDetailContactId(null)}
+      />
+
+      {/* Event Screen */}
+      <EventDetail
+        event={detailEvent}
+        contacts={contacts}
+        pinsByContactId={locationPinsByContactId}
+        onRename={renameDetailEvent}
+        onAddMember={addContactToDetailEvent}
+        onRemoveMember={removeContactFromDetailEvent}
+        onTagAll={tagDetailEventMembers}
+        onDelete={deleteDetailEvent}
+        onOpenContact={openEventMember}
+        onClose={() => setDetailEventId(null)}
+      />
+
+      {/* Quick Note Prompt for Newly Detected Contacts */}
+      <Modal
+        transparent
+        visible={!!quickNoteQueue[0] && !detailContactId && !detailEventId}
+        animationType="fade"
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>
+              New contact: {quickNoteContactName}
+            </Text>
+            <Text style={styles.modalParagraph}>
+              How did you meet? Who introduced you? Anything to follow up on?
+            </Text>
+            <TextInput
+              style={[styles.searchInput, styles.quickNoteInput]}
+              placeholder="Note (optional)"
+              value={quickNoteText}
+              onChangeText={setQuickNoteText}
+              multiline
+            />
+
+            <Text style={styles.quickNoteLabel}>Remind me to follow up</Text>
+            <View style={styles.tagsRow}>
+              {REMINDER_PRESETS.map((preset) => {
+                const isSelected = quickNoteReminderPresetId === preset.id;
+                return (
+                  <TouchableOpacity
+                    key={preset.id}
+                    onPress={() => setQuickNoteReminderPresetId(isSelected ? null : preset.id)}
+                    style={[styles.tagChip, isSelected && styles.tabActive]}
+                  >
+                    <Text style={[styles.tagText, isSelected && styles.tabTextActive]}>
+                      {preset.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            
+            <TouchableOpacity
+              style={styles.callToAction}
+              disabled={!quickNoteText.trim() && !quickNoteReminderPresetId}
+              onPress={async () => {
+                const contactId = quickNoteQueue[0].id;
+                const preset = REMINDER_PRESETS.find(entry => entry.id === quickNoteReminderPresetId);
+
+                await addNoteToContact(contactId, quickNoteText);
+                if (preset) await setContactReminder(contactId, preset);
+
+                dismissQuickNote();
+              }}
+            >
+              <Text style={styles.callToActionText}>Save</Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={[styles.callToAction, { backgroundColor: '#444' }]}
+              onPress={dismissQuickNote}
+            >
+              <Text style={styles.callToActionText}>
+                {quickNoteQueue.length > 1 ? `Skip (${quickNoteQueue.length - 1} more)` : 'Skip'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Restore Review Screen */}
+      <RestoreReview
+        review={restoreReview}
+        deviceContactsById={reviewDeviceContacts}
+        isRestoring={isRestoring}
+        onRestore={restoreReviewedBackup}
+        onCancel={() => setRestoreReview(null)}
+      />
+
+      {/* Deleted Contacts Screen */}
+      <ContactArchive
+        visible={showArchive}
+        archive={archivedContacts}
+        deviceContactsById={reviewDeviceContacts}
+        restoringId={restoringArchiveId}
+        onRestore={restoreArchivedContact}
+        onDiscard={discardArchivedContact}
+        onClose={() => setShowArchive(false)}
+      />
+
+      {/* Import Preview Screen */}
+      <ImportPreview
+        preview={importPreview}
+        deviceContactsById={reviewDeviceContacts}
+        isImporting={isImporting}
+        onImport={importAcceptedRows}
+        onCancel={() => setImportPreview(null)}
+      />
+
+      {/* Nearby Reminder Settings */}
+      <ProximitySettings
+        visible={showProximitySettings}
+        settings={proximitySettings}
+        allTags={allTags}
+        isSaving={isSavingProximitySettings}
+        onSave={saveProximitySettings}
+        onClose={() => setShowProximitySettings(false)}
+      />
+
+      {/* Export Modal */}
+      <Modal transparent visible={showExportModal} animationType="fade">
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Export contacts</Text>
+            <Text style={styles.modalParagraph}>
+              Includes first-seen times, tags, encounters, notes and follow-ups.
+            </Text>
+
+            <Text style={styles.quickNoteLabel}>Which contacts</Text>
+            <View style={styles.tagsRow}>
+              {[
+                { scope: 'all', label: `All (${contactsByRecency.length})` },
+                (searchQuery.trim() || currentView === 'smartList')
+                  && { scope: 'view', label: `Current search (${listViewContacts.length})` },
+                selectedContacts.length > 0
+                  && { scope: 'selected', label: `Selected (${selectedContacts.length})` },
+              ].filter(Boolean).map(({ scope, label }) => (
+                <TouchableOpacity
+                  key={scope}
+                  onPress={() => setExportScope(scope)}
+                  style={[styles.tagChip, exportScope === scope && styles.tabActive]}
+                >
+                  <Text style={[styles.tagText, exportScope === scope && styles.tabTextActive]}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              {allTags.map((tag) => {
+                const isSelected = exportScope === 'tag' && exportTag === tag;
+                return (
+                  <TouchableOpacity
+                    key={`tag-${tag}`}
+                    onPress={() => {
+                      setExportScope('tag');
+                      setExportTag(tag);
+                    }}
+                    style={[styles.tagChip, isSelected && styles.tabActive]}
+                  >
+                    <Text style={[styles.tagText, isSelected && styles.tabTextActive]}>
+                      #{tag}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
 
-                {/* Timestamp Badge */}
-                <Text style={styles.timestampBadge}>
-                  {creationTime ? formatAbsoluteTime(creationTime) : ''}
+            {EXPORT_FORMAT_OPTIONS.map(({ format, label, description }) => (
+              <TouchableOpacity
+                key={format}
+                style={styles.callToAction}
+                disabled={isExporting || contactsToExport.length === 0}
+                onPress={() => exportContacts(contactsToExport, format)}
+              >
+                <Text style={styles.callToActionText}>
+                  {label} · {description}
                 </Text>
-              </View>
-            );
-          }}
-        />
-      )}
+              </TouchableOpacity>
+            ))}
+            {isExporting && <ActivityIndicator style={{ marginTop: 10 }} />}
+
+            <TouchableOpacity
+              style={[styles.callToAction, { backgroundColor: '#444' }]}
+              onPress={() => setShowExportModal(false)}
+            >
+              <Text style={styles.callToActionText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Save Smart List Modal */}
+      <Modal transparent visible={showSaveListModal} animationType="fade">
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Save as smart list</Text>
+            <Text style={styles.modalParagraph}>
+              Shows as a tab that always matches: {searchQuery.trim()}
+            </Text>
+            <TextInput
+              style={[styles.searchInput, { marginTop: 12 }]}
+              placeholder="List name"
+              value={smartListNameText}
+              onChangeText={setSmartListNameText}
+            />
+            
+            <TouchableOpacity
+              style={styles.callToAction}
+              disabled={!smartListNameText.trim()}
+              onPress={async () => {
+                await saveSearchAsSmartList(smartListNameText, searchQuery);
+                setSmartListNameText('');
+                setShowSaveListModal(false);
+              }}
+            >
+              <Text style={styles.callToActionText}>Save</Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={[styles.callToAction, { backgroundColor: '#444' }]}
+              onPress={() => {
+                setSmartListNameText('');
+                setShowSaveListModal(false);
+              }}
+            >
+              <Text style={styles.callToActionText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Encounter Logging Modal */}
+      <Modal transparent visible={!!contactLoggingEncounter} animationType="fade">
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>
+              Met {contactLoggingEncounter?.name || 'this contact'} again?
+            </Text>
+            <Text style={styles.modalParagraph}>
+              Saves your current location and the time as a new encounter.
+            </Text>
+            <TextInput
+              style={[styles.searchInput, { marginTop: 12 }]}
+              placeholder="Note (optional)"
+              value={encounterNoteText}
+              onChangeText={setEncounterNoteText}
+            />
+            
+            <TouchableOpacity
+              style={styles.callToAction}
+              disabled={isSavingEncounter}
+              onPress={async () => {
+                setIsSavingEncounter(true);
+                const saved = await logEncounterHere(contactLoggingEncounter.id, encounterNoteText);
+                setIsSavingEncounter(false);
+                if (saved) {
+                  setEncounterNoteText('');
+                  setContactLoggingEncounter(null);
+                }
+              }}
+            >
+              {isSavingEncounter ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.callToActionText}>Log encounter</Text>
+              )}
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={[styles.callToAction, { backgroundColor: '#444' }]}
+              onPress={() => {
+                setEncounterNoteText('');
+                setContactLoggingEncounter(null);
+              }}
+            >
+              <Text style={styles.callToActionText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
 
       {/* Import Mode Selection Modal */}
       <Modal transparent visible={showImportModal} animationType="fade">
@@ -915,8 +2698,7 @@ export default function App() {
             <TouchableOpacity
               style={styles.callToAction}
               onPress={async () => {
-                await AsyncStorage.setItem(STORAGE_KEYS.IMPORT_CHOICE, 'all');
-                setImportMode('all');
+                await contactStore.chooseImportMode(IMPORT_MODES.ALL, []);
                 setShowImportModal(false);
                 await fetchContactsFromDevice(false);
               }}
@@ -927,23 +2709,12 @@ export default function App() {
             <TouchableOpacity
               style={[styles.callToAction, { backgroundColor: '#444' }]}
               onPress={async () => {
-                const cutoffTime = Date.now();
-                console.log('User chose newOnly, setting cutoff:', cutoffTime);
-                await AsyncStorage.setItem(STORAGE_KEYS.IMPORT_CHOICE, 'newOnly');
-                await AsyncStorage.setItem(STORAGE_KEYS.READY, cutoffTime.toString());
-                
                 // Mark all existing contacts as seen with cutoff time
-                const firstSeenMap = await loadJSON(STORAGE_KEYS.FIRST_SEEN, {});
                 const allContacts = await Contacts.getContactsAsync({ 
-                  fields: [Contacts.Fields.PhoneNumbers] 
+                  fields: CONTACT_FIELDS 
                 });
+                await contactStore.chooseImportMode(IMPORT_MODES.NEW_ONLY, allContacts.data);
                 
-                for (const contact of allContacts.data) {
-                  firstSeenMap[contact.id] = cutoffTime;
-                }
-                await saveJSON(STORAGE_KEYS.FIRST_SEEN, firstSeenMap);
-                
-                setImportMode('newOnly');
                 setShowImportModal(false);
                 await fetchContactsFromDevice(false);
               }}
@@ -978,6 +2749,16 @@ const styles = {
     marginTop: 8, 
     marginBottom: 10 
   },
+  headerRow: { 
+    flexDirection: 'row', 
+    alignItems: 'center', 
+    gap: 16 
+  },
+  headerButtonText: { 
+    color: '#3366ff', 
+    fontWeight: '700', 
+    fontSize: 16 
+  },
   searchInput: { 
     borderWidth: 1, 
     borderColor: '#ddd', 
@@ -986,11 +2767,52 @@ const styles = {
     paddingVertical: 8, 
     marginBottom: 10 
   },
-  tabBar: { 
+  searchInputInvalid: { 
+    borderColor: '#d33' 
+  },
+  syncStatusText: { 
+    color: '#888', 
+    fontSize: 12, 
+    marginTop: -8, 
+    marginBottom: 8 
+  },
+  searchErrorText: { 
+    color: '#d33', 
+    fontSize: 12, 
+    marginTop: -6, 
+    marginBottom: 10 
+  },
+  searchRow: { 
     flexDirection: 'row', 
-    gap: 8, 
+    alignItems: 'flex-start', 
+    gap: 8 
+  },
+  quickNoteLabel: { 
+    fontWeight: '700', 
+    marginTop: 12 
+  },
+  overdueText: { 
+    color: '#d33', 
+    fontWeight: '700' 
+  },
+  quickNoteInput: { 
+    marginTop: 12, 
+    minHeight: 70 
+  },
+  saveListButton: { 
+    paddingHorizontal: 10, 
+    paddingVertical: 10, 
+    borderRadius: 10, 
+    backgroundColor: '#e8f0ff' 
+  },
+  tabBarScroller: { 
+    flexGrow: 0, 
     marginBottom: 8 
   },
+  tabBar: { 
+    flexDirection: 'row', 
+    gap: 8 
+  },
   tab: { 
     paddingVertical: 6, 
     paddingHorizontal: 12, 
@@ -1042,6 +2864,10 @@ const styles = {
     marginTop: 2, 
     fontSize: 14 
   },
+  timestampColumn: { 
+    alignSelf: 'flex-start', 
+    gap: 2 
+  },
   timestampBadge: { 
     alignSelf: 'flex-start', 
     color: '#666', 
@@ -1087,35 +2913,6 @@ const styles = {
     color: '#3366ff', 
     fontSize: 12 
   },
-  tagEditor: { 
-    flexDirection: 'row', 
-    alignItems: 'center', 
-    gap: 8 
-  },
-  tagInput: { 
-    borderWidth: 1, 
-    borderColor: '#ddd', 
-    borderRadius: 8, 
-    paddingHorizontal: 10, 
-    paddingVertical: 6, 
-    minWidth: 120, 
-    fontSize: 14 
-  },
-  tagSaveButton: { 
-    backgroundColor: '#111', 
-    borderRadius: 8, 
-    paddingHorizontal: 12, 
-    paddingVertical: 6 
-  },
-  tagSaveButtonText: { 
-    color: '#fff', 
-    fontWeight: '700', 
-    fontSize: 12 
-  },
-  tagCancelText: { 
-    color: '#666', 
-    fontSize: 12 
-  },
   mapContainer: { 
     flex: 1, 
     borderRadius: 12, 
@@ -1125,11 +2922,80 @@ const styles = {
   map: { 
     flex: 1 
   },
-  emptyMapState: { 
+  clusterBadge: { 
+    minWidth: 32, 
+    height: 32, 
+    paddingHorizontal: 6, 
+    borderRadius: 16, 
+    borderWidth: 2, 
+    borderColor: '#fff', 
+    backgroundColor: '#3366ff', 
+    alignItems: 'center', 
+    justifyContent: 'center' 
+  },
+  clusterBadgeText: { 
+    color: '#fff', 
+    fontWeight: '800', 
+    fontSize: 13 
+  },
+  mapControlsScroller: { 
+    flexGrow: 0 
+  },
+  mapControls: { 
+    flexDirection: 'row', 
+    alignItems: 'center', 
+    gap: 6 
+  },
+  mapControlsDivider: { 
+    width: 1, 
+    height: 18, 
+    backgroundColor: '#ddd' 
+  },
+  timelineRow: { 
+    flexDirection: 'row', 
+    alignItems: 'center', 
+    gap: 8, 
+    marginTop: 6 
+  },
+  timelineSlider: { 
     flex: 1, 
+    height: 32 
+  },
+  timelineLabel: { 
+    color: '#666', 
+    fontSize: 12, 
+    fontVariant: ['tabular-nums'] 
+  },
+  mapActions: { 
+    position: 'absolute', 
+    left: 12, 
+    bottom: 12, 
+    flexDirection: 'row', 
+    gap: 8 
+  },
+  mapActionButton: { 
+    paddingHorizontal: 12, 
+    paddingVertical: 8, 
+    borderRadius: 999, 
+    backgroundColor: '#e8f0ff' 
+  },
+  emptyMapOverlay: { 
+    position: 'absolute', 
+    top: 0, 
+    left: 0, 
+    right: 0, 
     alignItems: 'center', 
-    justifyContent: 'center', 
-    backgroundColor: '#f9f9f9' 
+    paddingBottom: 16, 
+    backgroundColor: 'rgba(249,249,249,0.9)' 
+  },
+  pinPickerCard: { 
+    maxHeight: '70%' 
+  },
+  pinPickerRow: { 
+    flexDirection: 'row', 
+    alignItems: 'center', 
+    paddingVertical: 8, 
+    gap: 8 
   },
   modalBackdrop: { 
     flex: 1, 
@@ -1165,4 +3031,47 @@ const styles = {
     fontWeight: '800', 
     fontSize: 16 
   },
+  selectionHeader: { 
+    flexDirection: 'row', 
+    alignItems: 'center', 
+    paddingBottom: 6 
+  },
+  selectionCheck: { 
+    width: 22, 
+    height: 22, 
+    borderRadius: 11, 
+    borderWidth: 2, 
+    borderColor: '#ccc', 
+    alignItems: 'center', 
+    justifyContent: 'center', 
+    marginTop: 2 
+  },
+  selectionCheckOn: { 
+    borderColor: '#3366ff', 
+    backgroundColor: '#3366ff' 
+  },
+  selectionCheckMark: { 
+    color: '#fff', 
+    fontWeight: '800', 
+    fontSize: 12 
+  },
+  undoBar: { 
+    marginVertical: 8, 
+    flexDirection: 'row', 
+    alignItems: 'center', 
+    backgroundColor: '#222', 
+    borderRadius: 10, 
+    paddingHorizontal: 14, 
+    paddingVertical: 12 
+  },
+  undoBarText: { 
+    flex: 1, 
+    color: '#fff', 
+    fontSize: 14 
+  },
+  undoBarAction: { 
+    color: '#8fb0ff', 
+    fontWeight: '800', 
+    fontSize: 14 
+  },
 };
\ No newline at end of file
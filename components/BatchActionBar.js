@@ -0,0 +1,268 @@
+/**
+ * NeverForget - Batch Action Bar
+ *
+ * Purpose: The actions offered while contacts are selected in the list:
+ *          tag, untag, set or clear follow-ups, export, and clear pins.
+ *          Actions that need a choice open a small panel above the buttons.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  ScrollView,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { REMINDER_PRESETS } from '../services/reminders';
+
+/**
+ * Batch action bar
+ *
+ * @param {Object} props
+ * @param {number} props.selectedCount - How many contacts are selected
+ * @param {string[]} props.allTags - Every tag in use, offered when tagging
+ * @param {string[]} props.selectedTags - Tags the selected contacts have
+ * @param {Function} props.onAddTag - (tag) => Promise
+ * @param {Function} props.onRemoveTag - (tag) => Promise
+ * @param {Function} props.onSetReminder - (preset) => Promise
+ * @param {Function} props.onClearReminders - () => Promise
+ * @param {Function} props.onExport - Opens the export sheet for the selection
+ * @param {Function} props.onClearPins - () => Promise
+ */
+export default function BatchActionBar({
+  selectedCount,
+  allTags,
+  selectedTags,
+  onAddTag,
+  onRemoveTag,
+  onSetReminder,
+  onClearReminders,
+  onExport,
+  onClearPins,
+}) {
+  const [panel, setPanel] = useState(null); // null | 'tag' | 'untag' | 'remind'
+  const [tagText, setTagText] = useState('');
+
+  // A panel for an empty selection would apply to no one
+  useEffect(() => {
+    if (selectedCount === 0) setPanel(null);
+  }, [selectedCount]);
+
+  const togglePanel = (name) => setPanel(current => (current === name ? null : name));
+
+  /**
+   * Runs an action and closes the panel it came from
+   *
+   * @param {Function} action - Returns a promise
+   */
+  const runAndClose = async (action) => {
+    setPanel(null);
+    setTagText('');
+    await action();
+  };
+
+  const confirmClearPins = () => {
+    Alert.alert(
+      'Clear location pins?',
+      `Removes every encounter for ${selectedCount} ${selectedCount === 1 ? 'contact' : 'contacts'}. You can undo right after.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clear', style: 'destructive', onPress: onClearPins },
+      ]
+    );
+  };
+
+  const isDisabled = selectedCount === 0;
+  const actions = [
+    { key: 'tag', label: 'Tag', onPress: () => togglePanel('tag') },
+    { key: 'untag', label: 'Untag', onPress: () => togglePanel('untag') },
+    { key: 'remind', label: 'Remind', onPress: () => togglePanel('remind') },
+    { key: 'export', label: 'Export', onPress: onExport },
+    { key: 'pins', label: 'Clear pins', onPress: confirmClearPins },
+  ];
+
+  return (
+    <View style={styles.container}>
+      {panel === 'tag' && (
+        <View style={styles.panel}>
+          <View style={styles.inputRow}>
+            <TextInput
+              style={styles.input}
+              placeholder="New tag"
+              value={tagText}
+              onChangeText={setTagText}
+              onSubmitEditing={() => tagText.trim() && runAndClose(() => onAddTag(tagText))}
+              autoCapitalize="none"
+              autoFocus
+            />
+            <TouchableOpacity
+              style={styles.primaryButton}
+              disabled={!tagText.trim()}
+              onPress={() => runAndClose(() => onAddTag(tagText))}
+            >
+              <Text style={styles.primaryButtonText}>Add</Text>
+            </TouchableOpacity>
+          </View>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <View style={styles.chipRow}>
+              {allTags.map(tag => (
+                <TouchableOpacity key={tag} style={styles.chip} onPress={() => runAndClose(() => onAddTag(tag))}>
+                  <Text style={styles.chipText}>#{tag}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </ScrollView>
+        </View>
+      )}
+
+      {panel === 'untag' && (
+        <View style={styles.panel}>
+          {selectedTags.length === 0 ? (
+            <Text style={styles.subtext}>None of the selected contacts have tags.</Text>
+          ) : (
+            <View style={styles.chipRow}>
+              {selectedTags.map(tag => (
+                <TouchableOpacity key={tag} style={styles.chip} onPress={() => runAndClose(() => onRemoveTag(tag))}>
+                  <Text style={styles.chipText}>#{tag} ✕</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+      )}
+
+      {panel === 'remind' && (
+        <View style={styles.panel}>
+          <View style={styles.chipRow}>
+            {REMINDER_PRESETS.map(preset => (
+              <TouchableOpacity
+                key={preset.id}
+                style={styles.chip}
+                onPress={() => runAndClose(() => onSetReminder(preset))}
+              >
+                <Text style={styles.chipText}>{preset.label}</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity style={styles.chip} onPress={() => runAndClose(onClearReminders)}>
+              <Text style={[styles.chipText, styles.destructiveText]}>Clear follow-ups</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      <View style={styles.actionRow}>
+        {actions.map(({ key, label, onPress }) => {
+          const isOpen = panel === key;
+          return (
+            <TouchableOpacity
+              key={key}
+              style={[styles.actionButton, isOpen && styles.actionButtonOpen]}
+              disabled={isDisabled}
+              onPress={onPress}
+            >
+              <Text
+                style={[
+                  styles.actionText,
+                  isOpen && styles.actionTextOpen,
+                  isDisabled && styles.actionTextDisabled,
+                ]}
+              >
+                {label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  container: {
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    paddingTop: 8,
+    paddingBottom: 4
+  },
+  panel: {
+    gap: 8,
+    marginBottom: 8
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14
+  },
+  primaryButton: {
+    backgroundColor: '#111',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 7
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 13
+  },
+  subtext: {
+    color: '#666',
+    fontSize: 14
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8
+  },
+  chip: {
+    backgroundColor: '#f0f0f0',
+    borderRadius: 999,
+    paddingHorizontal: 10,
+    paddingVertical: 5
+  },
+  chipText: {
+    fontWeight: '600',
+    color: '#333',
+    fontSize: 13
+  },
+  destructiveText: {
+    color: '#d33'
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between'
+  },
+  actionButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 999
+  },
+  actionButtonOpen: {
+    backgroundColor: '#111'
+  },
+  actionText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 14
+  },
+  actionTextOpen: {
+    color: '#fff'
+  },
+  actionTextDisabled: {
+    color: '#aaa'
+  },
+};
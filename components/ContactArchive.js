@@ -0,0 +1,283 @@
+/**
+ * NeverForget - Contact Archive
+ *
+ * Purpose: Lists the tags, pins and notes of contacts deleted from the
+ *          address book, and puts them back on a contact that's still
+ *          there (usually the same person, re-added or synced from another
+ *          account) or discards them for good.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  Modal,
+  SafeAreaView,
+  ScrollView,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { matchBackupContacts } from '../services/backup';
+import { formatAbsoluteTime } from '../services/format';
+
+/**
+ * Most contacts offered when searching by name
+ */
+const MAX_PICK_SUGGESTIONS = 6;
+
+/**
+ * Summarizes what an archive entry holds
+ *
+ * @param {Object} entry - Archive entry
+ * @returns {string} "3 pins · 2 notes · #work · follow-up · 1 event"
+ */
+function describeArchivedData({ data, eventIds }) {
+  const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  return [
+    data.pins?.length > 0 && count(data.pins.length, 'pin'),
+    data.notes?.length > 0 && count(data.notes.length, 'note'),
+    ...(data.tags || []).map(tag => `#${tag}`),
+    data.reminders && 'follow-up',
+    eventIds.length > 0 && count(eventIds.length, 'event'),
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Contact archive screen
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Shows the screen
+ * @param {Object[]} props.archive - Archive entries, oldest first
+ * @param {Map<string, Object>} props.deviceContactsById - Every contact on this device
+ * @param {string|null} props.restoringId - Archive entry being restored, if any
+ * @param {Function} props.onRestore - (archiveId, contactId) => Promise
+ * @param {Function} props.onDiscard - (archiveId) => Promise
+ * @param {Function} props.onClose - Dismisses the screen
+ */
+export default function ContactArchive({
+  visible,
+  archive,
+  deviceContactsById,
+  restoringId,
+  onRestore,
+  onDiscard,
+  onClose,
+}) {
+  const [pickingId, setPickingId] = useState(null); // Entry choosing a contact by name
+  const [pickText, setPickText] = useState('');
+
+  useEffect(() => {
+    if (!visible) setPickingId(null);
+  }, [visible]);
+
+  // Same matching as a backup restore: the archive keeps each fingerprint
+  const { matches, ambiguous } = useMemo(() => matchBackupContacts(
+    Object.fromEntries(archive.map(entry => [entry.id, entry.fingerprint])),
+    [...deviceContactsById.values()]
+  ), [archive, deviceContactsById]);
+
+  const candidatesById = useMemo(() => {
+    const candidates = {};
+    for (const [archiveId, contactId] of Object.entries(matches)) {
+      candidates[archiveId] = [contactId];
+    }
+    for (const { backupId, candidateIds } of ambiguous) {
+      candidates[backupId] = candidateIds;
+    }
+    return candidates;
+  }, [matches, ambiguous]);
+
+  const pickSuggestions = useMemo(() => {
+    const text = pickText.trim().toLowerCase();
+    if (!text) return [];
+    return [...deviceContactsById.values()]
+      .filter(contact => (contact.name || '').toLowerCase().includes(text))
+      .slice(0, MAX_PICK_SUGGESTIONS);
+  }, [pickText, deviceContactsById]);
+
+  const startPicking = (archiveId) => {
+    setPickingId(current => (current === archiveId ? null : archiveId));
+    setPickText('');
+  };
+
+  const confirmDiscard = (entry) => {
+    Alert.alert(
+      `Discard ${entry.name || 'this contact'}?`,
+      'Their tags, pins and notes will be gone for good.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => onDiscard(entry.id) },
+      ]
+    );
+  };
+
+  const renderRestoreButton = (entry, contactId) => {
+    const contact = deviceContactsById.get(contactId);
+    return (
+      <TouchableOpacity
+        key={contactId}
+        style={styles.choiceRow}
+        disabled={Boolean(restoringId)}
+        onPress={() => onRestore(entry.id, contactId)}
+      >
+        <Text style={styles.choiceText}>Restore to {contact?.name || '(No name)'}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Deleted contacts</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.doneText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.subtext}>
+          Kept when a contact with tags, pins or notes is deleted from Contacts.
+        </Text>
+
+        <ScrollView keyboardShouldPersistTaps="handled">
+          {archive.length === 0 && (
+            <Text style={styles.emptyText}>Nothing here.</Text>
+          )}
+
+          {[...archive].reverse().map(entry => (
+            <View key={entry.id} style={styles.card}>
+              <View style={styles.cardHeader}>
+                <Text style={styles.cardName}>{entry.name || '(No name)'}</Text>
+                {restoringId === entry.id && <ActivityIndicator />}
+              </View>
+              <Text style={styles.subtext}>Deleted {formatAbsoluteTime(entry.archivedAt)}</Text>
+              <Text style={styles.summaryText}>{describeArchivedData(entry)}</Text>
+
+              {(candidatesById[entry.id] || []).map(contactId => renderRestoreButton(entry, contactId))}
+
+              {pickingId === entry.id && (
+                <>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Search contacts by name"
+                    value={pickText}
+                    onChangeText={setPickText}
+                    autoFocus
+                  />
+                  {pickSuggestions.map(contact => renderRestoreButton(entry, contact.id))}
+                </>
+              )}
+
+              <View style={styles.actionRow}>
+                <TouchableOpacity onPress={() => startPicking(entry.id)}>
+                  <Text style={styles.linkText}>
+                    {pickingId === entry.id ? 'Cancel' : 'Restore to someone else'}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => confirmDiscard(entry)} disabled={Boolean(restoringId)}>
+                  <Text style={styles.destructiveText}>Discard</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingHorizontal: 16
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+    marginBottom: 6
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '800'
+  },
+  doneText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 16
+  },
+  subtext: {
+    color: '#666',
+    fontSize: 14
+  },
+  emptyText: {
+    color: '#888',
+    fontSize: 15,
+    marginTop: 24,
+    textAlign: 'center'
+  },
+  card: {
+    backgroundColor: '#f6f6f6',
+    borderRadius: 10,
+    padding: 10,
+    marginTop: 12
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between'
+  },
+  cardName: {
+    fontWeight: '700',
+    fontSize: 16
+  },
+  summaryText: {
+    color: '#333',
+    fontSize: 14,
+    marginTop: 4
+  },
+  choiceRow: {
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginTop: 6,
+    backgroundColor: '#111'
+  },
+  choiceText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 14
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+    marginTop: 8,
+    backgroundColor: '#fff'
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 10
+  },
+  linkText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 14
+  },
+  destructiveText: {
+    color: '#d33',
+    fontWeight: '700',
+    fontSize: 14
+  },
+};
@@ -0,0 +1,691 @@
+/**
+ * NeverForget - Contact Detail
+ *
+ * Purpose: Full-screen view of one contact and the context NeverForget keeps
+ *          about them: every phone and email, when and where we met, tags,
+ *          free-form notes and follow-up reminders, plus call/text/Contacts
+ *          actions.
+ *
+ * Why a separate component: The list row only has room for a summary;
+ * anything that needs editing space lives here.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Modal,
+  SafeAreaView,
+  ScrollView,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+import * as Contacts from 'expo-contacts';
+import { formatAbsoluteTime } from '../services/format';
+import { callPhoneNumber, openLocationInNativeMaps, textPhoneNumber } from '../services/links';
+import { regionForCoordinates } from '../services/mapRegion';
+import { PIN_SOURCES } from '../services/contactStore';
+import { describeDueDate, isReminderOverdue, REMINDER_PRESETS } from '../services/reminders';
+import { describeChange } from '../services/changeTracker';
+
+/**
+ * Where the "met" timestamp came from, in words
+ *
+ * Why show it: A first-seen time is only as old as the app's install, so
+ * people should know when a date is approximate.
+ */
+const CREATION_SOURCE_LABELS = {
+  native: 'Created date from the Contacts app',
+  firstSeen: 'First seen by NeverForget (approximate)',
+};
+
+/**
+ * How an encounter's coordinates were set, when not captured by GPS
+ */
+const PIN_SOURCE_LABELS = {
+  [PIN_SOURCES.MANUAL]: 'placed by hand',
+  [PIN_SOURCES.IMPORT]: 'imported',
+};
+
+/**
+ * Opens the contact in the system contact card
+ *
+ * @param {Object} contact - Contact from Expo Contacts
+ */
+async function openInContactsApp(contact) {
+  try {
+    await Contacts.presentFormAsync(contact.id);
+  } catch (error) {
+    console.error('Error opening contact card:', error);
+    Alert.alert('Not available', 'This contact couldn\'t be opened in Contacts.');
+  }
+}
+
+/**
+ * Contact detail screen
+ *
+ * @param {Object} props
+ * @param {Object|null} props.contact - Contact to show (null hides the screen)
+ * @param {number} props.creationTime - When we met (0 if unknown)
+ * @param {string|null} props.creationSource - 'native', 'firstSeen' or null
+ * @param {number[]} props.ambiguousCreationDates - Address book dates that couldn't be told apart
+ * @param {string[]} props.tags - Contact's tags
+ * @param {Object[]} props.encounters - Pins, oldest first
+ * @param {Object[]} props.notes - [{ id, text, createdAt, updatedAt }]
+ * @param {Object|null} props.reminder - Follow-up reminder, if one is set
+ * @param {Object[]} props.changeLog - Address book changes, oldest first (see changeTracker.js)
+ * @param {Function} props.onSetReminder - (preset) => Promise
+ * @param {Function} props.onCompleteReminder - () => Promise
+ * @param {Function} props.onClearReminder - () => Promise
+ * @param {Function} props.onAddTag - (tag) => Promise
+ * @param {Function} props.onRenameTag - (oldTag, newTag) => Promise
+ * @param {Function} props.onRemoveTag - (tag) => Promise
+ * @param {Function} props.onAddNote - (text) => Promise
+ * @param {Function} props.onUpdateNote - (noteId, text) => Promise
+ * @param {Function} props.onDeleteNote - (noteId) => Promise
+ * @param {Function} props.onClose - Dismisses the screen
+ */
+export default function ContactDetail({
+  contact,
+  creationTime,
+  creationSource,
+  ambiguousCreationDates = [],
+  tags,
+  encounters,
+  notes,
+  reminder,
+  changeLog = [],
+  onSetReminder,
+  onCompleteReminder,
+  onClearReminder,
+  onAddTag,
+  onRenameTag,
+  onRemoveTag,
+  onAddNote,
+  onUpdateNote,
+  onDeleteNote,
+  onClose,
+}) {
+  const [newNoteText, setNewNoteText] = useState('');
+  const [editingNoteId, setEditingNoteId] = useState(null);
+  const [editingNoteText, setEditingNoteText] = useState('');
+  const [newTagText, setNewTagText] = useState('');
+  const [editingTag, setEditingTag] = useState(null);
+  const [editingTagText, setEditingTagText] = useState('');
+
+  const closeEditor = () => {
+    setEditingNoteId(null);
+    setEditingNoteText('');
+  };
+
+  const closeTagEditor = () => {
+    setEditingTag(null);
+    setEditingTagText('');
+  };
+
+  // Drop half-finished edits when a different contact is shown
+  const contactId = contact?.id;
+  useEffect(() => {
+    setNewNoteText('');
+    setEditingNoteId(null);
+    setEditingNoteText('');
+    setNewTagText('');
+    setEditingTag(null);
+    setEditingTagText('');
+  }, [contactId]);
+
+  const phoneNumbers = contact?.phoneNumbers || [];
+  const emails = contact?.emails || [];
+  const organization = [contact?.jobTitle, contact?.company].filter(Boolean).join(', ');
+
+  const newestEncountersFirst = useMemo(() => [...encounters].reverse(), [encounters]);
+  const miniMapRegion = useMemo(
+    () => regionForCoordinates(encounters, { minDelta: 0.01 }),
+    [encounters]
+  );
+
+  /**
+   * Asks before deleting a tag
+   *
+   * @param {string} tag - Tag to delete
+   */
+  const confirmRemoveTag = (tag) => {
+    Alert.alert('Delete tag?', `Remove "${tag}" from ${contact?.name || 'this contact'}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          await onRemoveTag(tag);
+          closeTagEditor();
+        },
+      },
+    ]);
+  };
+
+  /**
+   * Asks before deleting, since notes can't be recovered
+   *
+   * @param {Object} note - Note to delete
+   */
+  const confirmDeleteNote = (note) => {
+    Alert.alert('Delete note?', note.text, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          await onDeleteNote(note.id);
+          closeEditor();
+        },
+      },
+    ]);
+  };
+
+  return (
+    <Modal
+      visible={!!contact}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title} numberOfLines={1}>
+            {contact?.name || '(No name)'}
+          </Text>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.doneText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView keyboardShouldPersistTaps="handled">
+          {!!organization && <Text style={styles.subtext}>{organization}</Text>}
+
+          {/* Actions */}
+          <View style={styles.actionRow}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              disabled={phoneNumbers.length === 0}
+              onPress={() => callPhoneNumber(phoneNumbers[0].number)}
+            >
+              <Text style={[styles.actionText, !phoneNumbers.length && styles.actionTextDisabled]}>
+                Call
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.actionButton}
+              disabled={phoneNumbers.length === 0}
+              onPress={() => textPhoneNumber(phoneNumbers[0].number)}
+            >
+              <Text style={[styles.actionText, !phoneNumbers.length && styles.actionTextDisabled]}>
+                Text
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => openInContactsApp(contact)}
+            >
+              <Text style={styles.actionText}>Contacts</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Phones and Emails */}
+          {phoneNumbers.map((phone, index) => (
+            <View key={phone.id || `phone-${index}`} style={styles.fieldRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.fieldLabel}>{phone.label || 'phone'}</Text>
+                <Text style={styles.fieldValue} selectable>{phone.number}</Text>
+              </View>
+              <TouchableOpacity onPress={() => callPhoneNumber(phone.number)}>
+                <Text style={styles.linkText}>Call</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => textPhoneNumber(phone.number)}>
+                <Text style={styles.linkText}>Text</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+          {emails.map((email, index) => (
+            <View key={email.id || `email-${index}`} style={styles.fieldRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.fieldLabel}>{email.label || 'email'}</Text>
+                <Text style={styles.fieldValue} selectable>{email.email}</Text>
+              </View>
+            </View>
+          ))}
+
+          {/* When We Met */}
+          <Text style={styles.sectionTitle}>Met</Text>
+          <Text style={styles.fieldValue}>
+            {creationTime ? formatAbsoluteTime(creationTime) : 'Unknown'}
+          </Text>
+          <Text style={styles.subtext}>
+            {CREATION_SOURCE_LABELS[creationSource] || 'No creation date or first-seen record'}
+          </Text>
+          {ambiguousCreationDates.length > 0 && (
+            <Text style={styles.subtext}>
+              Not sure which Contacts app date is theirs (their number is shared or
+              listed twice): {ambiguousCreationDates.map(formatAbsoluteTime).join(', ')}
+            </Text>
+          )}
+
+          {/* Follow-up */}
+          <Text style={styles.sectionTitle}>Follow up</Text>
+          {reminder ? (
+            <View style={styles.fieldRow}>
+              <Text
+                style={[
+                  styles.fieldValue,
+                  { flex: 1 },
+                  isReminderOverdue(reminder) && styles.overdueText,
+                ]}
+              >
+                {describeDueDate(reminder)}
+              </Text>
+              <TouchableOpacity style={styles.primaryButton} onPress={onCompleteReminder}>
+                <Text style={styles.primaryButtonText}>Done</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={onClearReminder}>
+                <Text style={styles.cancelText}>Clear</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <Text style={styles.emptyText}>No reminder set.</Text>
+          )}
+          <View style={styles.presetRow}>
+            {REMINDER_PRESETS.map((preset) => (
+              <TouchableOpacity
+                key={preset.id}
+                style={styles.presetChip}
+                onPress={() => onSetReminder(preset)}
+              >
+                <Text style={styles.presetText}>{preset.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* Encounters */}
+          <Text style={styles.sectionTitle}>Encounters ({encounters.length})</Text>
+          {encounters.length === 0 ? (
+            <Text style={styles.emptyText}>No pins yet.</Text>
+          ) : (
+            <>
+              <MapView
+                style={styles.miniMap}
+                region={miniMapRegion}
+                scrollEnabled={false}
+                zoomEnabled={false}
+                rotateEnabled={false}
+                pitchEnabled={false}
+              >
+                {encounters.map((encounter) => (
+                  <Marker
+                    key={encounter.id}
+                    coordinate={{ latitude: encounter.latitude, longitude: encounter.longitude }}
+                    title={encounter.placeLabel || undefined}
+                    description={formatAbsoluteTime(encounter.timestamp)}
+                  />
+                ))}
+              </MapView>
+              {newestEncountersFirst.map((encounter) => (
+                <TouchableOpacity
+                  key={encounter.id}
+                  style={styles.fieldRow}
+                  onPress={() => openLocationInNativeMaps(encounter, contact?.name || 'Contact')}
+                >
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.fieldValue}>
+                      {encounter.placeLabel
+                        || `${encounter.latitude.toFixed(4)}, ${encounter.longitude.toFixed(4)}`}
+                    </Text>
+                    <Text style={styles.fieldLabel}>
+                      {formatAbsoluteTime(encounter.timestamp)}
+                      {PIN_SOURCE_LABELS[encounter.source] ? ` · ${PIN_SOURCE_LABELS[encounter.source]}` : ''}
+                    </Text>
+                    {!!encounter.note && <Text style={styles.subtext}>{encounter.note}</Text>}
+                  </View>
+                  <Text style={styles.linkText}>Maps</Text>
+                </TouchableOpacity>
+              ))}
+            </>
+          )}
+
+          {/* Tags */}
+          <Text style={styles.sectionTitle}>Tags</Text>
+          {tags.length === 0 && <Text style={styles.emptyText}>No tags yet.</Text>}
+          {tags.map((tag) => (
+            <View key={tag} style={styles.fieldRow}>
+              {editingTag === tag ? (
+                <>
+                  <TextInput
+                    style={[styles.tagInput, { flex: 1 }]}
+                    value={editingTagText}
+                    onChangeText={setEditingTagText}
+                    autoCapitalize="none"
+                    autoFocus
+                  />
+                  <TouchableOpacity
+                    style={styles.primaryButton}
+                    onPress={async () => {
+                      await onRenameTag(tag, editingTagText);
+                      closeTagEditor();
+                    }}
+                  >
+                    <Text style={styles.primaryButtonText}>Save</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={closeTagEditor}>
+                    <Text style={styles.cancelText}>Cancel</Text>
+                  </TouchableOpacity>
+                </>
+              ) : (
+                <>
+                  <Text style={[styles.fieldValue, { flex: 1 }]}>{tag}</Text>
+                  <TouchableOpacity
+                    onPress={() => {
+                      setEditingTag(tag);
+                      setEditingTagText(tag);
+                    }}
+                  >
+                    <Text style={styles.linkText}>Edit</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => confirmRemoveTag(tag)}>
+                    <Text style={styles.destructiveText}>Delete</Text>
+                  </TouchableOpacity>
+                </>
+              )}
+            </View>
+          ))}
+          <View style={styles.fieldRow}>
+            <TextInput
+              style={[styles.tagInput, { flex: 1 }]}
+              placeholder="Add tag"
+              value={newTagText}
+              onChangeText={setNewTagText}
+              onSubmitEditing={async () => {
+                await onAddTag(newTagText);
+                setNewTagText('');
+              }}
+              autoCapitalize="none"
+            />
+            <TouchableOpacity
+              style={styles.primaryButton}
+              disabled={!newTagText.trim()}
+              onPress={async () => {
+                await onAddTag(newTagText);
+                setNewTagText('');
+              }}
+            >
+              <Text style={styles.primaryButtonText}>Add</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Notes */}
+          <Text style={styles.sectionTitle}>Notes</Text>
+          {notes.length === 0 && (
+            <Text style={styles.emptyText}>
+              Who introduced you, what you talked about, what you promised…
+            </Text>
+          )}
+          {notes.map((note) => (
+            <View key={note.id} style={styles.noteCard}>
+              {editingNoteId === note.id ? (
+                <>
+                  <TextInput
+                    style={styles.noteInput}
+                    value={editingNoteText}
+                    onChangeText={setEditingNoteText}
+                    multiline
+                    autoFocus
+                  />
+                  <View style={styles.noteActions}>
+                    <TouchableOpacity
+                      style={styles.primaryButton}
+                      onPress={async () => {
+                        await onUpdateNote(note.id, editingNoteText);
+                        closeEditor();
+                      }}
+                    >
+                      <Text style={styles.primaryButtonText}>Save</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => confirmDeleteNote(note)}>
+                      <Text style={styles.destructiveText}>Delete</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={closeEditor}>
+                      <Text style={styles.cancelText}>Cancel</Text>
+                    </TouchableOpacity>
+                  </View>
+                </>
+              ) : (
+                <TouchableOpacity
+                  onPress={() => {
+                    setEditingNoteId(note.id);
+                    setEditingNoteText(note.text);
+                  }}
+                >
+                  <Text style={styles.noteText}>{note.text}</Text>
+                  <Text style={styles.noteTimestamp}>
+                    {formatAbsoluteTime(note.createdAt)}
+                    {note.updatedAt !== note.createdAt ? ' (edited)' : ''}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+
+          {/* New Note */}
+          <TextInput
+            style={styles.noteInput}
+            placeholder="Add a note"
+            value={newNoteText}
+            onChangeText={setNewNoteText}
+            multiline
+          />
+          <TouchableOpacity
+            style={[styles.primaryButton, { alignSelf: 'flex-start' }]}
+            disabled={!newNoteText.trim()}
+            onPress={async () => {
+              await onAddNote(newNoteText);
+              setNewNoteText('');
+            }}
+          >
+            <Text style={styles.primaryButtonText}>Add note</Text>
+          </TouchableOpacity>
+
+          {/* History */}
+          {changeLog.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>History</Text>
+              {[...changeLog].reverse().map(entry => (
+                <View key={entry.id} style={styles.historyRow}>
+                  <Text style={styles.historyText}>{describeChange(entry)}</Text>
+                  <Text style={styles.noteTimestamp}>{formatAbsoluteTime(entry.at)}</Text>
+                </View>
+              ))}
+            </>
+          )}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingHorizontal: 16
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 8,
+    marginBottom: 6
+  },
+  title: {
+    flex: 1,
+    fontSize: 24,
+    fontWeight: '800'
+  },
+  doneText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 16
+  },
+  subtext: {
+    color: '#666',
+    fontSize: 14
+  },
+  actionRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+    marginBottom: 8
+  },
+  actionButton: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: '#f1f4ff',
+    borderRadius: 10,
+    paddingVertical: 10
+  },
+  actionText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 14
+  },
+  actionTextDisabled: {
+    color: '#aab'
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 14,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee'
+  },
+  fieldLabel: {
+    color: '#888',
+    fontSize: 12
+  },
+  fieldValue: {
+    color: '#111',
+    fontSize: 15
+  },
+  linkText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 13
+  },
+  overdueText: {
+    color: '#d33',
+    fontWeight: '700'
+  },
+  presetRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 8
+  },
+  presetChip: {
+    backgroundColor: '#f0f0f0',
+    borderRadius: 999,
+    paddingHorizontal: 10,
+    paddingVertical: 4
+  },
+  presetText: {
+    fontSize: 12,
+    fontWeight: '600'
+  },
+  miniMap: {
+    height: 160,
+    borderRadius: 10,
+    marginBottom: 4
+  },
+  tagInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '800',
+    marginTop: 20,
+    marginBottom: 8
+  },
+  emptyText: {
+    color: '#999',
+    fontSize: 14,
+    marginBottom: 8
+  },
+  noteCard: {
+    backgroundColor: '#f6f6f6',
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 8
+  },
+  noteText: {
+    color: '#111',
+    fontSize: 15
+  },
+  noteTimestamp: {
+    color: '#888',
+    fontSize: 12,
+    marginTop: 4
+  },
+  noteInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    minHeight: 60,
+    fontSize: 15,
+    marginBottom: 8,
+    backgroundColor: '#fff'
+  },
+  noteActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16
+  },
+  primaryButton: {
+    backgroundColor: '#111',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 13
+  },
+  destructiveText: {
+    color: '#d33',
+    fontWeight: '700',
+    fontSize: 13
+  },
+  cancelText: {
+    color: '#666',
+    fontSize: 13
+  },
+  historyRow: {
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0'
+  },
+  historyText: {
+    color: '#333',
+    fontSize: 14
+  },
+};
@@ -0,0 +1,334 @@
+/**
+ * NeverForget - Event Detail
+ *
+ * Purpose: One event (a meetup, conference or dinner) with everyone met
+ *          there on a map, and the edits that apply to the whole group:
+ *          renaming, adding or removing people, and tagging everyone.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Modal,
+  SafeAreaView,
+  ScrollView,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+import { formatAbsoluteTime } from '../services/format';
+import { regionForCoordinates } from '../services/mapRegion';
+import { eventEncounter } from '../services/events';
+
+/**
+ * How many people to suggest when adding by name
+ */
+const MAX_ADD_SUGGESTIONS = 8;
+
+/**
+ * Event detail screen
+ *
+ * @param {Object} props
+ * @param {Object|null} props.event - Event to show (null hides the screen)
+ * @param {Object[]} props.contacts - Every listed contact, for members and adding
+ * @param {Object} props.pinsByContactId - contactId -> encounters
+ * @param {Function} props.onRename - (name) => Promise
+ * @param {Function} props.onAddMember - (contactId) => Promise
+ * @param {Function} props.onRemoveMember - (contactId) => Promise
+ * @param {Function} props.onTagAll - (tag) => Promise
+ * @param {Function} props.onDelete - () => Promise
+ * @param {Function} props.onOpenContact - (contactId) => void
+ * @param {Function} props.onClose - Dismisses the screen
+ */
+export default function EventDetail({
+  event,
+  contacts,
+  pinsByContactId,
+  onRename,
+  onAddMember,
+  onRemoveMember,
+  onTagAll,
+  onDelete,
+  onOpenContact,
+  onClose,
+}) {
+  const [nameText, setNameText] = useState('');
+  const [tagText, setTagText] = useState('');
+  const [addQuery, setAddQuery] = useState('');
+
+  // Drop half-finished edits when a different event is shown
+  const eventId = event?.id;
+  const eventName = event?.name;
+  useEffect(() => {
+    setNameText(eventName || '');
+    setTagText('');
+    setAddQuery('');
+  }, [eventId, eventName]);
+
+  const members = useMemo(() => {
+    if (!event) return [];
+    const contactsById = new Map(contacts.map(contact => [contact.id, contact]));
+    return event.contactIds.map(contactId => ({
+      contactId,
+      name: contactsById.get(contactId)?.name || '(No name)',
+      encounter: eventEncounter(event, pinsByContactId[contactId]),
+    }));
+  }, [event, contacts, pinsByContactId]);
+
+  const memberEncounters = useMemo(() => members.filter(member => member.encounter), [members]);
+  const mapRegion = useMemo(
+    () => regionForCoordinates(memberEncounters.map(member => member.encounter), { minDelta: 0.005 }),
+    [memberEncounters]
+  );
+
+  const addSuggestions = useMemo(() => {
+    const query = addQuery.trim().toLowerCase();
+    if (!event || !query) return [];
+    return contacts
+      .filter(contact => !event.contactIds.includes(contact.id))
+      .filter(contact => (contact.name || '').toLowerCase().includes(query))
+      .slice(0, MAX_ADD_SUGGESTIONS);
+  }, [event, contacts, addQuery]);
+
+  if (!event) return null;
+
+  const confirmRemoveMember = (member) => {
+    Alert.alert(
+      'Remove from event?',
+      `${member.name} won't be added back automatically.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => onRemoveMember(member.contactId) },
+      ]
+    );
+  };
+
+  const confirmDelete = () => {
+    Alert.alert(
+      'Delete event?',
+      'The contacts, their tags and pins are kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: onDelete },
+      ]
+    );
+  };
+
+  const tagEveryone = async () => {
+    await onTagAll(tagText);
+    setTagText('');
+  };
+
+  const isRenamed = nameText.trim() && nameText.trim() !== event.name;
+
+  return (
+    <Modal visible animationType="slide" presentationStyle="pageSheet" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TextInput
+            style={styles.titleInput}
+            value={nameText}
+            onChangeText={setNameText}
+            onSubmitEditing={() => isRenamed && onRename(nameText)}
+            returnKeyType="done"
+          />
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.doneText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+        {isRenamed ? (
+          <TouchableOpacity style={styles.primaryButton} onPress={() => onRename(nameText)}>
+            <Text style={styles.primaryButtonText}>Save name</Text>
+          </TouchableOpacity>
+        ) : (
+          <Text style={styles.subtext}>
+            {formatAbsoluteTime(event.startAt)}
+            {event.placeLabel ? ` · ${event.placeLabel}` : ''}
+          </Text>
+        )}
+
+        <ScrollView keyboardShouldPersistTaps="handled">
+          {/* Where everyone was met */}
+          {memberEncounters.length > 0 && (
+            <MapView style={styles.map} region={mapRegion}>
+              {memberEncounters.map(({ contactId, name, encounter }) => (
+                <Marker
+                  key={contactId}
+                  coordinate={{ latitude: encounter.latitude, longitude: encounter.longitude }}
+                  title={name}
+                  description={formatAbsoluteTime(encounter.timestamp)}
+                  onCalloutPress={() => onOpenContact(contactId)}
+                />
+              ))}
+            </MapView>
+          )}
+
+          {/* Members */}
+          <Text style={styles.sectionTitle}>People ({members.length})</Text>
+          {members.map(member => (
+            <View key={member.contactId} style={styles.fieldRow}>
+              <TouchableOpacity style={{ flex: 1 }} onPress={() => onOpenContact(member.contactId)}>
+                <Text style={styles.fieldValue}>{member.name}</Text>
+                {member.encounter && (
+                  <Text style={styles.fieldLabel}>Met {formatAbsoluteTime(member.encounter.timestamp)}</Text>
+                )}
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => confirmRemoveMember(member)}>
+                <Text style={styles.destructiveText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          {/* Add by name */}
+          <TextInput
+            style={[styles.input, { marginTop: 8 }]}
+            placeholder="Add someone by name"
+            value={addQuery}
+            onChangeText={setAddQuery}
+            autoCorrect={false}
+          />
+          {addSuggestions.map(contact => (
+            <TouchableOpacity
+              key={contact.id}
+              style={styles.fieldRow}
+              onPress={async () => {
+                await onAddMember(contact.id);
+                setAddQuery('');
+              }}
+            >
+              <Text style={styles.fieldValue}>{contact.name || '(No name)'}</Text>
+              <Text style={styles.linkText}>Add</Text>
+            </TouchableOpacity>
+          ))}
+
+          {/* Tag everyone */}
+          <Text style={styles.sectionTitle}>Tag everyone</Text>
+          <View style={styles.inputRow}>
+            <TextInput
+              style={[styles.input, { flex: 1 }]}
+              placeholder="Tag"
+              value={tagText}
+              onChangeText={setTagText}
+              onSubmitEditing={tagEveryone}
+              autoCapitalize="none"
+            />
+            <TouchableOpacity
+              style={styles.primaryButton}
+              disabled={!tagText.trim() || members.length === 0}
+              onPress={tagEveryone}
+            >
+              <Text style={styles.primaryButtonText}>Tag {members.length}</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TouchableOpacity style={styles.deleteButton} onPress={confirmDelete}>
+            <Text style={styles.destructiveText}>Delete event</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingHorizontal: 16
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 8,
+    marginBottom: 6
+  },
+  titleInput: {
+    flex: 1,
+    fontSize: 24,
+    fontWeight: '800',
+    paddingVertical: 0
+  },
+  doneText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 16
+  },
+  subtext: {
+    color: '#666',
+    fontSize: 14
+  },
+  map: {
+    height: 220,
+    borderRadius: 10,
+    marginTop: 12
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '800',
+    marginTop: 20,
+    marginBottom: 8
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 14,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee'
+  },
+  fieldLabel: {
+    color: '#888',
+    fontSize: 12
+  },
+  fieldValue: {
+    color: '#111',
+    fontSize: 15
+  },
+  linkText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 13
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14
+  },
+  primaryButton: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#111',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 13
+  },
+  destructiveText: {
+    color: '#d33',
+    fontWeight: '700',
+    fontSize: 13
+  },
+  deleteButton: {
+    alignItems: 'center',
+    paddingVertical: 16,
+    marginTop: 12
+  },
+};
@@ -0,0 +1,266 @@
+/**
+ * NeverForget - Import Preview
+ *
+ * Purpose: Shows how rows from a CSV, KML or GPX file matched device
+ *          contacts before anything is written, and lets the user settle
+ *          conflicts by hand.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  ActivityIndicator,
+  Modal,
+  SafeAreaView,
+  ScrollView,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { formatAbsoluteTime } from '../services/format';
+import { IMPORT_ROW_STATUS } from '../services/importer';
+
+/**
+ * Summarizes what a row would add
+ *
+ * @param {Object} row - Matched import row
+ * @returns {string} "Mar 4, 2022 · 39.7400, -104.9900 · #conf"
+ */
+function describeRow(row) {
+  return [
+    row.timestamp ? formatAbsoluteTime(row.timestamp) : null,
+    row.latitude !== null ? `${row.latitude.toFixed(4)}, ${row.longitude.toFixed(4)}` : null,
+    row.tags.length ? row.tags.map(tag => `#${tag}`).join(' ') : null,
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Import preview screen
+ *
+ * @param {Object} props
+ * @param {Object|null} props.preview - { fileName, rows } (null hides the screen)
+ * @param {Map<string, Object>} props.deviceContactsById - Device contacts for labels
+ * @param {boolean} props.isImporting - Shows progress and disables the button
+ * @param {Function} props.onImport - (rows with contactId) => Promise
+ * @param {Function} props.onCancel - Dismisses without importing
+ */
+export default function ImportPreview({
+  preview,
+  deviceContactsById,
+  isImporting,
+  onImport,
+  onCancel,
+}) {
+  // Row index -> chosen contactId for conflicts (missing = skip)
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    setChoices({});
+  }, [preview]);
+
+  if (!preview) return null;
+
+  const rowsWithIndex = preview.rows.map((row, index) => ({ ...row, index }));
+  const rowsByStatus = (status) => rowsWithIndex.filter(row => row.status === status);
+  const matchedRows = rowsByStatus(IMPORT_ROW_STATUS.MATCHED);
+  const conflictRows = rowsByStatus(IMPORT_ROW_STATUS.CONFLICT);
+  const unmatchedRows = rowsByStatus(IMPORT_ROW_STATUS.UNMATCHED);
+  const invalidRows = rowsByStatus(IMPORT_ROW_STATUS.INVALID);
+
+  const acceptedRows = [
+    ...matchedRows,
+    ...conflictRows
+      .filter(row => choices[row.index])
+      .map(row => ({ ...row, contactId: choices[row.index] })),
+  ];
+
+  const contactName = (contactId) => deviceContactsById.get(contactId)?.name || '(No name)';
+
+  return (
+    <Modal visible animationType="slide" presentationStyle="pageSheet" onRequestClose={onCancel}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Import preview</Text>
+          <TouchableOpacity onPress={onCancel} disabled={isImporting}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.subtext} numberOfLines={1}>{preview.fileName}</Text>
+
+        <ScrollView keyboardShouldPersistTaps="handled">
+          {/* Matched */}
+          <Text style={styles.sectionTitle}>Matched ({matchedRows.length})</Text>
+          {matchedRows.map(row => (
+            <View key={row.index} style={styles.rowItem}>
+              <Text style={styles.rowName}>{contactName(row.contactId)}</Text>
+              <Text style={styles.rowDetail}>{describeRow(row)}</Text>
+            </View>
+          ))}
+
+          {/* Conflicts */}
+          {conflictRows.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>Conflicts ({conflictRows.length})</Text>
+              <Text style={styles.subtext}>
+                More than one contact fits. Pick one, or leave the row out.
+              </Text>
+              {conflictRows.map(row => (
+                <View key={row.index} style={styles.reviewCard}>
+                  <Text style={styles.rowName}>
+                    {row.source}: {[row.name, row.phone].filter(Boolean).join(' · ')}
+                  </Text>
+                  <Text style={styles.rowDetail}>{describeRow(row)}</Text>
+                  {row.candidateIds.map((candidateId) => {
+                    const isChosen = choices[row.index] === candidateId;
+                    return (
+                      <TouchableOpacity
+                        key={candidateId}
+                        style={[styles.choiceRow, isChosen && styles.choiceRowChosen]}
+                        onPress={() => setChoices(current => ({
+                          ...current,
+                          [row.index]: isChosen ? null : candidateId,
+                        }))}
+                      >
+                        <Text style={[styles.choiceText, isChosen && styles.choiceTextChosen]}>
+                          {contactName(candidateId)}
+                          {deviceContactsById.get(candidateId)?.phoneNumbers?.[0]
+                            ? ` · ${deviceContactsById.get(candidateId).phoneNumbers[0].number}`
+                            : ''}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              ))}
+            </>
+          )}
+
+          {/* Unmatched */}
+          {unmatchedRows.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>No matching contact ({unmatchedRows.length})</Text>
+              {unmatchedRows.map(row => (
+                <Text key={row.index} style={styles.rowDetail}>
+                  {row.source}: {[row.name, row.phone].filter(Boolean).join(' · ')}
+                </Text>
+              ))}
+            </>
+          )}
+
+          {/* Invalid */}
+          {invalidRows.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>Skipped ({invalidRows.length})</Text>
+              {invalidRows.map(row => (
+                <Text key={row.index} style={styles.rowDetail}>
+                  {row.source}: {row.error}
+                </Text>
+              ))}
+            </>
+          )}
+        </ScrollView>
+
+        <TouchableOpacity
+          style={styles.importButton}
+          disabled={isImporting || acceptedRows.length === 0}
+          onPress={() => onImport(acceptedRows)}
+        >
+          {isImporting ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.importButtonText}>
+              Import {acceptedRows.length} {acceptedRows.length === 1 ? 'row' : 'rows'}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingHorizontal: 16
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+    marginBottom: 6
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '800'
+  },
+  cancelText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 16
+  },
+  subtext: {
+    color: '#666',
+    fontSize: 14
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '800',
+    marginTop: 20,
+    marginBottom: 4
+  },
+  rowItem: {
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee'
+  },
+  rowName: {
+    fontWeight: '700',
+    fontSize: 15
+  },
+  rowDetail: {
+    color: '#555',
+    fontSize: 13,
+    paddingVertical: 2
+  },
+  reviewCard: {
+    backgroundColor: '#f6f6f6',
+    borderRadius: 10,
+    padding: 10,
+    marginTop: 8
+  },
+  choiceRow: {
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginTop: 4,
+    backgroundColor: '#fff'
+  },
+  choiceRowChosen: {
+    backgroundColor: '#111'
+  },
+  choiceText: {
+    color: '#111',
+    fontSize: 14
+  },
+  choiceTextChosen: {
+    color: '#fff',
+    fontWeight: '700'
+  },
+  importButton: {
+    backgroundColor: '#111',
+    borderRadius: 10,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginVertical: 12
+  },
+  importButtonText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 16
+  },
+};
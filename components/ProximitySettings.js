@@ -0,0 +1,287 @@
+/**
+ * NeverForget - Nearby Reminder Settings
+ *
+ * Purpose: Lets the user opt in to "you've been here before" notifications,
+ *          and choose how close, for whom, and when not to be disturbed.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  ActivityIndicator,
+  Modal,
+  SafeAreaView,
+  ScrollView,
+  Switch,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { PROXIMITY_RADIUS_OPTIONS } from '../services/proximity';
+
+/**
+ * Formats a radius for a chip
+ *
+ * @param {number} meters - Radius
+ * @returns {string} "250 m" or "1 km"
+ */
+function formatRadius(meters) {
+  return meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+}
+
+/**
+ * Formats an hour of the day
+ *
+ * @param {number} hour - 0-23
+ * @returns {string} "22:00"
+ */
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Nearby reminder settings screen
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Shows the screen
+ * @param {Object} props.settings - Saved settings (see DEFAULT_PROXIMITY_SETTINGS)
+ * @param {string[]} props.allTags - Tags that can be opted in
+ * @param {boolean} props.isSaving - Shows progress and disables the button
+ * @param {Function} props.onSave - (settings) => Promise
+ * @param {Function} props.onClose - Dismisses without saving
+ */
+export default function ProximitySettings({
+  visible,
+  settings,
+  allTags,
+  isSaving,
+  onSave,
+  onClose,
+}) {
+  const [draft, setDraft] = useState(settings);
+
+  // Start from what's saved each time the screen opens
+  useEffect(() => {
+    if (visible) setDraft(settings);
+  }, [visible, settings]);
+
+  const update = (changes) => setDraft(current => ({ ...current, ...changes }));
+  const updateQuietHours = (changes) => setDraft(current => ({
+    ...current,
+    quietHours: { ...current.quietHours, ...changes },
+  }));
+  const shiftHour = (hour, step) => (hour + step + 24) % 24;
+
+  const toggleTag = (tag) => {
+    const current = draft.tags || [];
+    const next = current.includes(tag) ? current.filter(item => item !== tag) : [...current, tag];
+    update({ tags: next.length > 0 ? next : null });
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Nearby reminders</Text>
+          <TouchableOpacity onPress={onClose} disabled={isSaving}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView>
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Remind me who I met when I&apos;m back somewhere</Text>
+            <Switch value={draft.enabled} onValueChange={enabled => update({ enabled })} />
+          </View>
+          <Text style={styles.subtext}>
+            The phone wakes NeverForget only near places you&apos;ve pinned. Allow location
+            &quot;Always&quot; for alerts while the app is closed.
+          </Text>
+
+          {/* Distance */}
+          <Text style={styles.sectionTitle}>Within</Text>
+          <View style={styles.chipRow}>
+            {PROXIMITY_RADIUS_OPTIONS.map((meters) => {
+              const isSelected = draft.radiusMeters === meters;
+              return (
+                <TouchableOpacity
+                  key={meters}
+                  style={[styles.chip, isSelected && styles.chipSelected]}
+                  onPress={() => update({ radiusMeters: meters })}
+                >
+                  <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                    {formatRadius(meters)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {/* Tag opt-in */}
+          <Text style={styles.sectionTitle}>For</Text>
+          <View style={styles.chipRow}>
+            <TouchableOpacity
+              style={[styles.chip, draft.tags === null && styles.chipSelected]}
+              onPress={() => update({ tags: null })}
+            >
+              <Text style={[styles.chipText, draft.tags === null && styles.chipTextSelected]}>
+                Everyone
+              </Text>
+            </TouchableOpacity>
+            {allTags.map((tag) => {
+              const isSelected = !!draft.tags?.includes(tag);
+              return (
+                <TouchableOpacity
+                  key={tag}
+                  style={[styles.chip, isSelected && styles.chipSelected]}
+                  onPress={() => toggleTag(tag)}
+                >
+                  <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                    #{tag}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {/* Quiet hours */}
+          <View style={[styles.switchRow, { marginTop: 20 }]}>
+            <Text style={styles.switchLabel}>Quiet hours</Text>
+            <Switch
+              value={draft.quietHours.enabled}
+              onValueChange={enabled => updateQuietHours({ enabled })}
+            />
+          </View>
+          {draft.quietHours.enabled && (
+            <View style={styles.chipRow}>
+              {[['From', 'startHour'], ['To', 'endHour']].map(([label, field]) => (
+                <View key={field} style={styles.hourStepper}>
+                  <Text style={styles.subtext}>{label}</Text>
+                  <TouchableOpacity
+                    style={styles.chip}
+                    onPress={() => updateQuietHours({ [field]: shiftHour(draft.quietHours[field], -1) })}
+                  >
+                    <Text style={styles.chipText}>−</Text>
+                  </TouchableOpacity>
+                  <Text style={styles.hourText}>{formatHour(draft.quietHours[field])}</Text>
+                  <TouchableOpacity
+                    style={styles.chip}
+                    onPress={() => updateQuietHours({ [field]: shiftHour(draft.quietHours[field], 1) })}
+                  >
+                    <Text style={styles.chipText}>+</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </View>
+          )}
+        </ScrollView>
+
+        <TouchableOpacity
+          style={styles.saveButton}
+          disabled={isSaving}
+          onPress={() => onSave(draft)}
+        >
+          {isSaving ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.saveButtonText}>Save</Text>
+          )}
+        </TouchableOpacity>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingHorizontal: 16
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+    marginBottom: 6
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '800'
+  },
+  cancelText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 16
+  },
+  subtext: {
+    color: '#666',
+    fontSize: 14
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '800',
+    marginTop: 20,
+    marginBottom: 6
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginVertical: 8
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8
+  },
+  chip: {
+    backgroundColor: '#f0f0f0',
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    paddingVertical: 6
+  },
+  chipSelected: {
+    backgroundColor: '#111'
+  },
+  chipText: {
+    fontWeight: '600',
+    color: '#333',
+    fontSize: 14
+  },
+  chipTextSelected: {
+    color: '#fff'
+  },
+  hourStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginRight: 12
+  },
+  hourText: {
+    fontSize: 16,
+    fontWeight: '700',
+    fontVariant: ['tabular-nums']
+  },
+  saveButton: {
+    backgroundColor: '#111',
+    borderRadius: 10,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginVertical: 12
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 16
+  },
+};
@@ -0,0 +1,252 @@
+/**
+ * NeverForget - Restore Review
+ *
+ * Purpose: Shows how a backup's contacts were matched to this device's
+ *          contacts before anything is written, and lets the user settle
+ *          the matches that need a human decision.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  ActivityIndicator,
+  Modal,
+  SafeAreaView,
+  ScrollView,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+import { formatAbsoluteTime } from '../services/format';
+
+/**
+ * Summarizes a contact for choosing between candidates
+ *
+ * @param {Object} details - { name, phones, emails }
+ * @returns {string} "Ann Lee · 303-555-1212"
+ */
+function describeContact({ name, phones = [], emails = [] }) {
+  return [name || '(No name)', phones[0] || emails[0]].filter(Boolean).join(' · ');
+}
+
+/**
+ * Restore review screen
+ *
+ * @param {Object} props
+ * @param {Object|null} props.review - { createdAt, matches, ambiguous, unmatched } (null hides the screen)
+ * @param {Map<string, Object>} props.deviceContactsById - Device contacts for candidate labels
+ * @param {boolean} props.isRestoring - Shows progress and disables the button
+ * @param {Function} props.onRestore - (idMap) => Promise
+ * @param {Function} props.onCancel - Dismisses without restoring
+ */
+export default function RestoreReview({
+  review,
+  deviceContactsById,
+  isRestoring,
+  onRestore,
+  onCancel,
+}) {
+  // Backup contactId -> chosen device contactId (null = skip)
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    setChoices({});
+  }, [review]);
+
+  if (!review) return null;
+
+  const matchedCount = Object.keys(review.matches).length;
+  const decidedCount = Object.values(choices).filter(Boolean).length;
+
+  return (
+    <Modal visible animationType="slide" presentationStyle="pageSheet" onRequestClose={onCancel}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Restore backup</Text>
+          <TouchableOpacity onPress={onCancel} disabled={isRestoring}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+        <Text style={styles.subtext}>
+          Backup from {formatAbsoluteTime(Date.parse(review.createdAt))}
+        </Text>
+
+        <ScrollView keyboardShouldPersistTaps="handled">
+          <Text style={styles.summaryText}>
+            {matchedCount} {matchedCount === 1 ? 'contact' : 'contacts'} matched by phone or email.
+          </Text>
+
+          {/* Needs Review */}
+          {review.ambiguous.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>
+                Needs review ({review.ambiguous.length})
+              </Text>
+              <Text style={styles.subtext}>
+                Pick the contact each entry belongs to, or skip it.
+              </Text>
+              {review.ambiguous.map(({ backupId, fingerprint, candidateIds }) => (
+                <View key={backupId} style={styles.reviewCard}>
+                  <Text style={styles.reviewName}>{describeContact(fingerprint)}</Text>
+                  {candidateIds.map((candidateId) => {
+                    const candidate = deviceContactsById.get(candidateId);
+                    const isChosen = choices[backupId] === candidateId;
+                    return (
+                      <TouchableOpacity
+                        key={candidateId}
+                        style={[styles.choiceRow, isChosen && styles.choiceRowChosen]}
+                        onPress={() => setChoices(current => ({ ...current, [backupId]: candidateId }))}
+                      >
+                        <Text style={[styles.choiceText, isChosen && styles.choiceTextChosen]}>
+                          {describeContact({
+                            name: candidate?.name,
+                            phones: (candidate?.phoneNumbers || []).map(phone => phone.number),
+                            emails: (candidate?.emails || []).map(email => email.email),
+                          })}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                  <TouchableOpacity
+                    style={[styles.choiceRow, !choices[backupId] && styles.choiceRowChosen]}
+                    onPress={() => setChoices(current => ({ ...current, [backupId]: null }))}
+                  >
+                    <Text style={[styles.choiceText, !choices[backupId] && styles.choiceTextChosen]}>
+                      Skip
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </>
+          )}
+
+          {/* Not Found */}
+          {review.unmatched.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>
+                Not found on this device ({review.unmatched.length})
+              </Text>
+              <Text style={styles.subtext}>
+                Their tags, pins and notes stay in the backup file. Add them to
+                Contacts and restore again to bring them back.
+              </Text>
+              {review.unmatched.map(({ backupId, fingerprint }) => (
+                <Text key={backupId} style={styles.unmatchedText}>
+                  {describeContact(fingerprint)}
+                </Text>
+              ))}
+            </>
+          )}
+        </ScrollView>
+
+        <TouchableOpacity
+          style={styles.restoreButton}
+          disabled={isRestoring}
+          onPress={() => {
+            const idMap = { ...review.matches };
+            for (const [backupId, deviceId] of Object.entries(choices)) {
+              if (deviceId) idMap[backupId] = deviceId;
+            }
+            onRestore(idMap);
+          }}
+        >
+          {isRestoring ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <Text style={styles.restoreButtonText}>
+              Restore {matchedCount + decidedCount} {matchedCount + decidedCount === 1 ? 'contact' : 'contacts'}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+// ============================================================================
+// STYLES
+// ============================================================================
+
+const styles = {
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+    paddingHorizontal: 16
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+    marginBottom: 6
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: '800'
+  },
+  cancelText: {
+    color: '#3366ff',
+    fontWeight: '700',
+    fontSize: 16
+  },
+  subtext: {
+    color: '#666',
+    fontSize: 14
+  },
+  summaryText: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginTop: 16
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '800',
+    marginTop: 20,
+    marginBottom: 4
+  },
+  reviewCard: {
+    backgroundColor: '#f6f6f6',
+    borderRadius: 10,
+    padding: 10,
+    marginTop: 8
+  },
+  reviewName: {
+    fontWeight: '700',
+    fontSize: 15,
+    marginBottom: 6
+  },
+  choiceRow: {
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginTop: 4,
+    backgroundColor: '#fff'
+  },
+  choiceRowChosen: {
+    backgroundColor: '#111'
+  },
+  choiceText: {
+    color: '#111',
+    fontSize: 14
+  },
+  choiceTextChosen: {
+    color: '#fff',
+    fontWeight: '700'
+  },
+  unmatchedText: {
+    color: '#444',
+    fontSize: 14,
+    paddingVertical: 4
+  },
+  restoreButton: {
+    backgroundColor: '#111',
+    borderRadius: 10,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginVertical: 12
+  },
+  restoreButtonText: {
+    color: '#fff',
+    fontWeight: '700',
+    fontSize: 16
+  },
+};
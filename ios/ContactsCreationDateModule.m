@@ -3,4 +3,6 @@
 @interface RCT_EXTERN_MODULE(ContactsCreationDateModule, NSObject)
 RCT_EXTERN_METHOD(getPhoneDates:(RCTPromiseResolveBlock)resolve
                   rejecter:(RCTPromiseRejectBlock)reject)
+RCT_EXTERN_METHOD(getContactMetadata:(RCTPromiseResolveBlock)resolve
+                  rejecter:(RCTPromiseRejectBlock)reject)
 @end
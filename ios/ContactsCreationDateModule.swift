@@ -32,8 +32,9 @@ import AddressBook
 /**
  * React Native bridge module for contact metadata retrieval
  *
- * This module provides a single method that returns an array of phone numbers
- * with their associated creation and modification timestamps.
+ * getContactMetadata returns one row per contact with its identifier, dates,
+ * phone numbers and emails. getPhoneDates returns dates keyed by phone number
+ * and is kept for JavaScript bundles that predate getContactMetadata.
  */
 @objc(ContactsCreationDateModule)
 class ContactsCreationDateModule: NSObject {}
@@ -45,7 +46,8 @@ extension ContactsCreationDateModule: RCTBridgeModule {
   /**
    * Module name exposed to JavaScript
    *
-   * JavaScript will access this as: ContactsCreationDateModule.getPhoneDates()
+   * JavaScript will access this as: ContactsCreationDateModule.getContactMetadata()
+   * (wrapped by services/nativeContactDates.js)
    */
   static func moduleName() -> String! { 
     return "ContactsCreationDateModule" 
@@ -77,11 +79,9 @@ extension ContactsCreationDateModule: RCTBridgeModule {
    *                     from AddressBook that also exists in CNContacts.
    *
    * Algorithm:
-   * 1. Request permission via CNContacts (modern API for better UX)
-   * 2. Access AddressBook (deprecated but still functional)
-   * 3. Iterate all contacts
-   * 4. For each phone number, track earliest creation and latest modification
-   * 5. Return aggregated data
+   * 1. Open AddressBook (see withAddressBook for the permission flow)
+   * 2. For each phone number, track earliest creation and latest modification
+   * 3. Return one row per phone number
    *
    * Why aggregate: A single phone number might appear in multiple contacts
    *                (linked contacts). We want the earliest creation date.
@@ -91,146 +91,324 @@ extension ContactsCreationDateModule: RCTBridgeModule {
     resolve: @escaping RCTPromiseResolveBlock,
     rejecter reject: @escaping RCTPromiseRejectBlock
   ) {
-    // Step 1: Request permission through modern CNContacts API
+    withAddressBook(rejecter: reject) { addressBook in
+      guard let allPeople = ABAddressBookCopyArrayOfAllPeople(addressBook)?
+              .takeRetainedValue() as? [ABRecord] else { 
+        // No contacts - return empty array rather than error
+        resolve([])
+        return 
+      }
+
+      // Data structures:
+      // - earliestCreation: phone -> earliest creation date across contacts
+      // - latestModification: phone -> latest modification date across contacts
+      //
+      // Why separate dictionaries: A phone might have creation date but no
+      //                            modification date, or vice versa.
+      var earliestCreation: [String: Date] = [:]
+      var latestModification: [String: Date] = [:]
+
+      for person in allPeople {
+        // Extract timestamps for this contact
+        let creationDate = ABRecordCopyValue(person, kABPersonCreationDateProperty)?
+          .takeRetainedValue() as? Date
+        let modificationDate = ABRecordCopyValue(person, kABPersonModificationDateProperty)?
+          .takeRetainedValue() as? Date
+
+        // Get all phone numbers for this contact
+        guard let phoneNumbersMultiValue = ABRecordCopyValue(person, kABPersonPhoneProperty)?
+                .takeRetainedValue() as? ABMultiValue else { 
+          continue 
+        }
+
+        let phoneCount = ABMultiValueGetCount(phoneNumbersMultiValue)
+        
+        for index in 0..<phoneCount {
+          guard let phoneNumberString = ABMultiValueCopyValueAtIndex(
+                  phoneNumbersMultiValue, 
+                  index
+                )?.takeRetainedValue() as? String else {
+            continue
+          }
+
+          // Normalize phone number to digits only for consistent lookups
+          let digitsOnly = phoneNumberString.filter { "0123456789".contains($0) }
+          if digitsOnly.isEmpty { continue }
+
+          // Update earliest creation date for this phone number
+          if let creation = creationDate {
+            if let existingCreation = earliestCreation[digitsOnly] {
+              if creation < existingCreation {
+                earliestCreation[digitsOnly] = creation
+              }
+            } else {
+              earliestCreation[digitsOnly] = creation
+            }
+          }
+
+          // Update latest modification date for this phone number
+          if let modification = modificationDate {
+            if let existingModification = latestModification[digitsOnly] {
+              if modification > existingModification {
+                latestModification[digitsOnly] = modification
+              }
+            } else {
+              latestModification[digitsOnly] = modification
+            }
+          }
+        }
+      }
+
+      // Format dates as ISO 8601 strings for JSON serialization
+      let dateFormatter = ISO8601DateFormatter()
+      var outputArray: [[String: Any]] = []
+      
+      // Get union of all phone numbers from both dictionaries
+      let allPhoneNumbers = Set(earliestCreation.keys).union(latestModification.keys)
+      
+      for phoneNumber in allPhoneNumbers {
+        var row: [String: Any] = ["phone": phoneNumber]
+        
+        // Add creation date or null
+        if let creation = earliestCreation[phoneNumber] {
+          row["creationDate"] = dateFormatter.string(from: creation)
+        } else {
+          row["creationDate"] = NSNull()
+        }
+        
+        // Add modification date or null
+        if let modification = latestModification[phoneNumber] {
+          row["modificationDate"] = dateFormatter.string(from: modification)
+        } else {
+          row["modificationDate"] = NSNull()
+        }
+        
+        outputArray.append(row)
+      }
+
+      resolve(outputArray)
+    }
+  }
+
+  /**
+   * Fetches dates, identifier, phone numbers and emails for every contact
+   *
+   * Returns: Array of objects with structure:
+   * [{
+   *   identifier: "410FE041-5C4E-48DA-B4DE-04C15EA3DBAC:ABPerson" | null,
+   *   creationDate: "2021-03-10T18:14:22Z" | null,
+   *   modificationDate: "2025-09-05T04:12:00Z" | null,
+   *   phones: ["+1 (303) 555-1212"],   // As stored, for JS to normalize
+   *   emails: ["sam@example.com"]
+   * }]
+   *
+   * Why join identifiers here: AddressBook records only carry numeric
+   * record IDs, while expo-contacts uses CNContact identifiers, and
+   * neither API maps one to the other. Both read the same store, so a
+   * record's names, phones and emails (its fingerprint) usually match its
+   * CNContact exactly.
+   *
+   * Limits of the join:
+   * - CNContacts returns unified contacts (linked cards merged into one),
+   *   AddressBook returns every card. A linked card rarely has all of its
+   *   unified contact's fields, so it usually gets a null identifier
+   * - A fingerprint shared by several CNContacts or several AddressBook
+   *   records gets a null identifier rather than a guess. This also stops
+   *   a linked card that looks exactly like another contact joining it
+   * - A card can still join the wrong contact if it exactly matches a
+   *   unified contact other than its own while no other card does (that
+   *   takes a contact made only of linked cards, copied as another card)
+   * Null identifiers fall back to matching phone numbers in JavaScript.
+   */
+  @objc(getContactMetadata:rejecter:)
+  func getContactMetadata(
+    resolve: @escaping RCTPromiseResolveBlock,
+    rejecter reject: @escaping RCTPromiseRejectBlock
+  ) {
+    withAddressBook(rejecter: reject) { addressBook in
+      let identifiers: [String: String]
+      do {
+        identifiers = try self.contactIdentifiersByFingerprint()
+      } catch {
+        reject("CN_FETCH_ERR", "Unable to read contacts", error)
+        return
+      }
+
+      guard let allPeople = ABAddressBookCopyArrayOfAllPeople(addressBook)?
+              .takeRetainedValue() as? [ABRecord] else {
+        resolve([])
+        return
+      }
+
+      let records = allPeople.map { person -> (person: ABRecord, phones: [String], emails: [String], fingerprint: String) in
+        let phones = self.stringValues(of: person, property: kABPersonPhoneProperty)
+        let emails = self.stringValues(of: person, property: kABPersonEmailProperty)
+        let fingerprint = self.fingerprint(
+          givenName: self.stringValue(of: person, property: kABPersonFirstNameProperty),
+          familyName: self.stringValue(of: person, property: kABPersonLastNameProperty),
+          organization: self.stringValue(of: person, property: kABPersonOrganizationProperty),
+          phones: phones,
+          emails: emails
+        )
+        return (person, phones, emails, fingerprint)
+      }
+
+      // Fingerprints shared by several cards can't say which card is which
+      var fingerprintCounts: [String: Int] = [:]
+      records.forEach { fingerprintCounts[$0.fingerprint, default: 0] += 1 }
+
+      let dateFormatter = ISO8601DateFormatter()
+      let outputArray: [[String: Any]] = records.map { person, phones, emails, fingerprint in
+        let identifier = fingerprintCounts[fingerprint] == 1 ? identifiers[fingerprint] : nil
+        let creationDate = ABRecordCopyValue(person, kABPersonCreationDateProperty)?
+          .takeRetainedValue() as? Date
+        let modificationDate = ABRecordCopyValue(person, kABPersonModificationDateProperty)?
+          .takeRetainedValue() as? Date
+
+        return [
+          "identifier": identifier.map { $0 as Any } ?? NSNull(),
+          "creationDate": creationDate.map { dateFormatter.string(from: $0) as Any } ?? NSNull(),
+          "modificationDate": modificationDate.map { dateFormatter.string(from: $0) as Any } ?? NSNull(),
+          "phones": phones,
+          "emails": emails,
+        ]
+      }
+
+      resolve(outputArray)
+    }
+  }
+
+  // MARK: - Helpers
+
+  /**
+   * Opens AddressBook once both permission flows have succeeded
+   *
+   * Why CNContacts first: Its permission prompt is the modern one users
+   * recognize. AddressBook is deprecated but still requires its own
+   * permission flow; with CNContacts granted it typically succeeds
+   * immediately.
+   *
+   * Rejects the promise itself on any failure, so callers only handle
+   * the success path.
+   */
+  private func withAddressBook(
+    rejecter reject: @escaping RCTPromiseRejectBlock,
+    body: @escaping (ABAddressBook) -> Void
+  ) {
     CNContactStore().requestAccess(for: .contacts) { granted, error in
-      if let error = error { 
+      if let error = error {
         reject("PERM_ERR", "Contacts permission error", error)
-        return 
+        return
       }
-      if !granted { 
+      if !granted {
         reject("PERM_DENIED", "Contacts permission denied", nil)
-        return 
+        return
       }
 
-      // Step 2: Create AddressBook instance
       var addressBookError: Unmanaged<CFError>?
       guard let addressBook = ABAddressBookCreateWithOptions(nil, &addressBookError)?
               .takeRetainedValue() else {
         reject(
-          "AB_CREATE_ERR", 
-          "Unable to create AddressBook", 
+          "AB_CREATE_ERR",
+          "Unable to create AddressBook",
           addressBookError?.takeRetainedValue()
         )
         return
       }
 
-      // Step 3: Request AddressBook permission (separate from Contacts)
-      //
-      // Why separate: AddressBook is deprecated but still requires its own
-      //               permission flow. We've already granted CNContacts above,
-      //               so this typically succeeds immediately.
       ABAddressBookRequestAccessWithCompletion(addressBook) { accessGranted, accessError in
-        if let accessError = accessError { 
+        if let accessError = accessError {
           reject("AB_PERM_ERR", "AddressBook permission error", accessError)
-          return 
+          return
         }
-        if !accessGranted { 
+        if !accessGranted {
           reject("AB_DENIED", "AddressBook permission denied", nil)
-          return 
+          return
         }
 
-        // Step 4: Retrieve all contacts from AddressBook
-        guard let allPeople = ABAddressBookCopyArrayOfAllPeople(addressBook)?
-                .takeRetainedValue() as? [ABRecord] else { 
-          // No contacts - return empty array rather than error
-          resolve([])
-          return 
-        }
+        body(addressBook)
+      }
+    }
+  }
 
-        // Step 5: Build aggregated phone number metadata
-        //
-        // Data structures:
-        // - earliestCreation: phone -> earliest creation date across contacts
-        // - latestModification: phone -> latest modification date across contacts
-        //
-        // Why separate dictionaries: A phone might have creation date but no
-        //                            modification date, or vice versa.
-        var earliestCreation: [String: Date] = [:]
-        var latestModification: [String: Date] = [:]
-
-        for person in allPeople {
-          // Extract timestamps for this contact
-          let creationDate = ABRecordCopyValue(person, kABPersonCreationDateProperty)?
-            .takeRetainedValue() as? Date
-          let modificationDate = ABRecordCopyValue(person, kABPersonModificationDateProperty)?
-            .takeRetainedValue() as? Date
-
-          // Get all phone numbers for this contact
-          guard let phoneNumbersMultiValue = ABRecordCopyValue(person, kABPersonPhoneProperty)?
-                  .takeRetainedValue() as? ABMultiValue else { 
-            continue 
-          }
+  /**
+   * Maps contact fingerprints to CNContact identifiers
+   *
+   * Fingerprints shared by several contacts are left out, since they
+   * can't say which identifier an AddressBook record has.
+   */
+  private func contactIdentifiersByFingerprint() throws -> [String: String] {
+    let keysToFetch = [
+      CNContactGivenNameKey,
+      CNContactFamilyNameKey,
+      CNContactOrganizationNameKey,
+      CNContactPhoneNumbersKey,
+      CNContactEmailAddressesKey,
+    ] as [CNKeyDescriptor]
 
-          let phoneCount = ABMultiValueGetCount(phoneNumbersMultiValue)
-          
-          for index in 0..<phoneCount {
-            guard let phoneNumberString = ABMultiValueCopyValueAtIndex(
-                    phoneNumbersMultiValue, 
-                    index
-                  )?.takeRetainedValue() as? String else {
-              continue
-            }
+    var identifiers: [String: String] = [:]
+    var duplicateFingerprints = Set<String>()
 
-            // Normalize phone number to digits only for consistent lookups
-            let digitsOnly = phoneNumberString.filter { "0123456789".contains($0) }
-            if digitsOnly.isEmpty { continue }
-
-            // Update earliest creation date for this phone number
-            if let creation = creationDate {
-              if let existingCreation = earliestCreation[digitsOnly] {
-                if creation < existingCreation {
-                  earliestCreation[digitsOnly] = creation
-                }
-              } else {
-                earliestCreation[digitsOnly] = creation
-              }
-            }
+    try CNContactStore().enumerateContacts(with: CNContactFetchRequest(keysToFetch: keysToFetch)) { contact, _ in
+      let fingerprint = self.fingerprint(
+        givenName: contact.givenName,
+        familyName: contact.familyName,
+        organization: contact.organizationName,
+        phones: contact.phoneNumbers.map { $0.value.stringValue },
+        emails: contact.emailAddresses.map { $0.value as String }
+      )
+      if identifiers[fingerprint] != nil {
+        duplicateFingerprints.insert(fingerprint)
+      }
+      identifiers[fingerprint] = contact.identifier
+    }
 
-            // Update latest modification date for this phone number
-            if let modification = modificationDate {
-              if let existingModification = latestModification[digitsOnly] {
-                if modification > existingModification {
-                  latestModification[digitsOnly] = modification
-                }
-              } else {
-                latestModification[digitsOnly] = modification
-              }
-            }
-          }
-        }
+    duplicateFingerprints.forEach { identifiers.removeValue(forKey: $0) }
+    return identifiers
+  }
 
-        // Step 6: Build output array
-        //
-        // Format dates as ISO 8601 strings for JSON serialization
-        let dateFormatter = ISO8601DateFormatter()
-        var outputArray: [[String: Any]] = []
-        
-        // Get union of all phone numbers from both dictionaries
-        let allPhoneNumbers = Set(earliestCreation.keys).union(latestModification.keys)
-        
-        for phoneNumber in allPhoneNumbers {
-          var row: [String: Any] = ["phone": phoneNumber]
-          
-          // Add creation date or null
-          if let creation = earliestCreation[phoneNumber] {
-            row["creationDate"] = dateFormatter.string(from: creation)
-          } else {
-            row["creationDate"] = NSNull()
-          }
-          
-          // Add modification date or null
-          if let modification = latestModification[phoneNumber] {
-            row["modificationDate"] = dateFormatter.string(from: modification)
-          } else {
-            row["modificationDate"] = NSNull()
-          }
-          
-          outputArray.append(row)
-        }
+  /**
+   * Builds a comparable key from the fields both contact APIs expose
+   *
+   * Why normalize: The two APIs agree on values but not on order, and
+   * phone formatting can differ between them.
+   */
+  private func fingerprint(
+    givenName: String,
+    familyName: String,
+    organization: String,
+    phones: [String],
+    emails: [String]
+  ) -> String {
+    let phoneDigits = phones
+      .map { $0.filter { "0123456789".contains($0) } }
+      .sorted()
+      .joined(separator: ",")
+    let emailKeys = emails
+      .map { $0.lowercased() }
+      .sorted()
+      .joined(separator: ",")
+    return [givenName, familyName, organization, phoneDigits, emailKeys].joined(separator: "|")
+  }
 
-        // Step 7: Return to JavaScript
-        resolve(outputArray)
-      }
+  /**
+   * Reads a single-value string property, empty when unset
+   */
+  private func stringValue(of person: ABRecord, property: ABPropertyID) -> String {
+    return ABRecordCopyValue(person, property)?.takeRetainedValue() as? String ?? ""
+  }
+
+  /**
+   * Reads every value of a multi-value string property (phones, emails)
+   */
+  private func stringValues(of person: ABRecord, property: ABPropertyID) -> [String] {
+    guard let multiValue = ABRecordCopyValue(person, property)?
+            .takeRetainedValue() as? ABMultiValue else {
+      return []
+    }
+
+    return (0..<ABMultiValueGetCount(multiValue)).compactMap { index in
+      ABMultiValueCopyValueAtIndex(multiValue, index)?.takeRetainedValue() as? String
     }
   }
 }
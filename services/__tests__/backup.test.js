@@ -0,0 +1,130 @@
+import { describe, expect, it } from '@jest/globals';
+import { applyBackup, createBackup, matchBackupContacts, migrateBackupEntries, parseBackup } from '../backup';
+import { CURRENT_SCHEMA_VERSION } from '../migrations';
+import { STORAGE_KEYS, createMemoryStorage } from '../storage';
+
+const DEVICE_CONTACTS = [
+  { id: 'd1', name: 'Ana Boulder', phoneNumbers: [{ number: '+1 (303) 555-1212' }] },
+  { id: 'd2', name: 'Ben Ruiz', emails: [{ email: 'ben@example.com' }] },
+  { id: 'd3', name: 'Sam Wilder' },
+  { id: 'd4', name: 'Sam Wilder' },
+  { id: 'd5', name: 'Kim Lee', phoneNumbers: [{ number: '+1 720 555 0100' }] },
+  { id: 'd6', name: 'Kim Lee', phoneNumbers: [{ number: '+1 720 555 0100' }] },
+];
+
+const pin = (id, timestamp) => ({ id, latitude: 40, longitude: -105, timestamp, source: 'gps' });
+const note = (id, createdAt) => ({ id, text: id, createdAt });
+
+describe('matchBackupContacts', () => {
+  it('matches by normalized phone number or email', () => {
+    const { matches } = matchBackupContacts({
+      b1: { name: 'Ana B.', phones: ['+1 303-555-1212'], emails: [] },
+      b2: { name: 'Benjamin', phones: [], emails: [' BEN@example.com'] },
+    }, DEVICE_CONTACTS);
+
+    expect(matches).toEqual({ b1: 'd1', b2: 'd2' });
+  });
+
+  it('leaves a name-only match or a shared number for a decision by hand', () => {
+    const { matches, ambiguous } = matchBackupContacts({
+      b3: { name: 'sam  wilder', phones: [], emails: [] },
+      b4: { name: 'Ana Boulder', phones: [], emails: [] },
+      b5: { name: 'Kim Lee', phones: ['+1 (720) 555-0100'], emails: [] },
+    }, DEVICE_CONTACTS);
+
+    expect(matches).toEqual({});
+    expect(ambiguous).toEqual([
+      expect.objectContaining({ backupId: 'b3', candidateIds: ['d3', 'd4'] }),
+      expect.objectContaining({ backupId: 'b4', candidateIds: ['d1'] }),
+      expect.objectContaining({ backupId: 'b5', candidateIds: ['d5', 'd6'] }),
+    ]);
+  });
+
+  it('reports contacts with no candidates as unmatched', () => {
+    const fingerprint = { name: 'Nobody', phones: ['+44 20 7946 0000'], emails: ['no@example.com'] };
+    const { matches, ambiguous, unmatched } = matchBackupContacts({ b6: fingerprint }, DEVICE_CONTACTS);
+
+    expect(matches).toEqual({});
+    expect(ambiguous).toEqual([]);
+    expect(unmatched).toEqual([{ backupId: 'b6', fingerprint }]);
+  });
+});
+
+describe('parseBackup', () => {
+  it('reads a backup it made, with fingerprints for referenced contacts', async () => {
+    const storage = createMemoryStorage({
+      [STORAGE_KEYS.TAGS]: '{"d1":["climbing"]}',
+      [STORAGE_KEYS.CONTACT_SNAPSHOT]: '{}',
+    });
+    const backup = parseBackup(JSON.stringify(await createBackup(storage, DEVICE_CONTACTS, { now: 0 })));
+
+    expect(Object.keys(backup.entries)).toEqual([STORAGE_KEYS.TAGS]);
+    expect(backup.fingerprints).toEqual({ d1: { name: 'Ana Boulder', phones: ['+1 (303) 555-1212'], emails: [] } });
+  });
+
+  it('rejects other files and backups from a newer version', async () => {
+    const backup = await createBackup(createMemoryStorage(), [], { now: 0 });
+
+    expect(() => parseBackup('not json')).toThrow('valid JSON');
+    expect(() => parseBackup('{"format":"other","entries":{}}')).toThrow('isn\'t a NeverForget backup');
+    expect(() => parseBackup(JSON.stringify({ ...backup, version: backup.version + 1 }))).toThrow('newer version');
+  });
+
+  it('rejects entries from a newer storage schema', async () => {
+    const backup = {
+      entries: { [STORAGE_KEYS.SCHEMA_VERSION]: String(CURRENT_SCHEMA_VERSION + 1) },
+    };
+
+    await expect(migrateBackupEntries(backup)).rejects.toThrow('newer version');
+  });
+});
+
+describe('applyBackup', () => {
+  const ENTRIES = {
+    [STORAGE_KEYS.READY]: { initializedAt: 1, cutoff: 1 },
+    [STORAGE_KEYS.IMPORT_CHOICE]: 'all',
+    [STORAGE_KEYS.TAGS]: { b1: ['climbing', 'work'], b9: ['lost'] },
+    [STORAGE_KEYS.PINS]: { b1: [pin('enc-1', 100), pin('enc-3', 50)] },
+    [STORAGE_KEYS.NOTES]: { b1: [note('note-1', 100), note('note-3', 300)] },
+  };
+
+  it('merges pins, tags and notes by id under device contact IDs', async () => {
+    const storage = createMemoryStorage({
+      [STORAGE_KEYS.TAGS]: '{"d1":["work","family"]}',
+      [STORAGE_KEYS.PINS]: JSON.stringify({ d1: [pin('enc-1', 100), pin('enc-2', 200)] }),
+      [STORAGE_KEYS.NOTES]: JSON.stringify({ d1: [note('note-1', 100), note('note-2', 200)] }),
+    });
+
+    await expect(applyBackup(storage, ENTRIES, { b1: 'd1' })).resolves.toBe(1);
+
+    const stored = key => JSON.parse(storage.snapshot()[key]);
+    expect(stored(STORAGE_KEYS.TAGS)).toEqual({ d1: ['work', 'family', 'climbing'] });
+    expect(stored(STORAGE_KEYS.PINS).d1.map(encounter => encounter.id)).toEqual(['enc-3', 'enc-1', 'enc-2']);
+    expect(stored(STORAGE_KEYS.NOTES).d1.map(entry => entry.id)).toEqual(['note-1', 'note-2', 'note-3']);
+  });
+
+  it('keeps the device\'s own import choice and marker', async () => {
+    const storage = createMemoryStorage({
+      [STORAGE_KEYS.READY]: '{"initializedAt":5,"cutoff":5}',
+      [STORAGE_KEYS.IMPORT_CHOICE]: 'newOnly',
+    });
+
+    await applyBackup(storage, ENTRIES, { b1: 'd1' });
+
+    expect(storage.snapshot()).toMatchObject({
+      [STORAGE_KEYS.READY]: '{"initializedAt":5,"cutoff":5}',
+      [STORAGE_KEYS.IMPORT_CHOICE]: 'newOnly',
+    });
+  });
+
+  it('restores the import choice and marker onto a fresh device', async () => {
+    const storage = createMemoryStorage();
+
+    await applyBackup(storage, ENTRIES, { b1: 'd1' });
+
+    expect(storage.snapshot()).toMatchObject({
+      [STORAGE_KEYS.READY]: '{"initializedAt":1,"cutoff":1}',
+      [STORAGE_KEYS.IMPORT_CHOICE]: 'all',
+    });
+  });
+});
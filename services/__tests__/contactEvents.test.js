@@ -0,0 +1,185 @@
+import { describe, expect, it, jest } from '@jest/globals';
+import { CONTACT_EVENTS, SYNC_REQUEST, createContactEventHandlers, createContactEventQueue } from '../contactEvents';
+import { IMPORT_MODES, createContactStore } from '../contactStore';
+import { SYNC_REASONS, createContactSync } from '../contactSync';
+import { createMemoryStorage } from '../storage';
+
+// Reminders aren't scheduled here; only the import needs to load
+jest.mock('expo-notifications', () => ({}));
+
+const NOON = new Date(2026, 9, 19, 12).getTime();
+const HOME = { latitude: 40, longitude: -105 };
+
+/**
+ * Store, sync engine and event queue over memory storage, with a clock,
+ * address book and locator the test controls
+ */
+function createTestApp() {
+  const clock = { time: NOON };
+  const now = () => clock.time;
+  const addressBook = [{ id: 'a', name: 'Ana' }, { id: 'b', name: 'Ben' }];
+  const located = [];
+  const reads = [];
+
+  const storage = createMemoryStorage();
+  const store = createContactStore({ storage, now, geocoder: null });
+  const sync = createContactSync({
+    store,
+    readContacts: async () => {
+      reads.push(now());
+      return addressBook.map(contact => ({ ...contact }));
+    },
+    now,
+    debounceMs: 0,
+  });
+  const locate = async () => {
+    located.push(now());
+    return HOME;
+  };
+  const queue = createContactEventQueue(createContactEventHandlers({ store, sync, locate, now }));
+
+  const addContact = (contact) => {
+    addressBook.push(contact);
+    clock.time += 60000;
+  };
+  return { clock, store, queue, addressBook, addContact, located, reads };
+}
+
+const newContactIds = ({ newContacts }) => newContacts.map(contact => contact.id);
+
+describe('ContactsChanged replay', () => {
+  it('pins nobody while the import modal is open', async () => {
+    const { store, queue, addContact, located } = createTestApp();
+    addContact({ id: 'c', name: 'Cy' });
+
+    const result = await queue.enqueue(CONTACT_EVENTS.CHANGED);
+
+    expect(newContactIds(result)).toEqual([]);
+    expect(located).toEqual([]);
+    expect(store.getState()).toMatchObject({ firstSeen: {}, pins: {} });
+  });
+
+  it('pins nobody for the first sync after choosing to import all', async () => {
+    const { store, queue, located } = createTestApp();
+    await store.chooseImportMode(IMPORT_MODES.ALL, []);
+
+    // ContactsChanged runs the first sync, before the app's own launch sync
+    const result = await queue.enqueue(CONTACT_EVENTS.CHANGED);
+
+    expect(newContactIds(result)).toEqual([]);
+    expect(located).toEqual([]);
+    expect(Object.keys(store.getState().firstSeen)).toEqual(['a', 'b']);
+  });
+
+  it('pins only contacts added after choosing new contacts only', async () => {
+    const { clock, store, queue, addressBook, addContact, located } = createTestApp();
+    await store.chooseImportMode(IMPORT_MODES.NEW_ONLY, [...addressBook]);
+    await queue.enqueue(SYNC_REQUEST, { reasons: [SYNC_REASONS.LAUNCH], immediate: true });
+
+    addContact({ id: 'c', name: 'Cy' });
+    const result = await queue.enqueue(CONTACT_EVENTS.CHANGED);
+
+    expect(newContactIds(result)).toEqual(['c']);
+    expect(located).toEqual([clock.time]);
+    expect(Object.keys(store.getState().pins)).toEqual(['c']);
+    expect(store.getState().firstSeen.c).toBe(clock.time);
+  });
+
+  it('finds nobody new when the same change is replayed', async () => {
+    const { store, queue, addContact, located } = createTestApp();
+    await store.chooseImportMode(IMPORT_MODES.ALL, []);
+    await queue.enqueue(SYNC_REQUEST, { reasons: [SYNC_REASONS.LAUNCH], immediate: true });
+
+    addContact({ id: 'c', name: 'Cy' });
+    await queue.enqueue(CONTACT_EVENTS.CHANGED);
+    const replayed = await queue.enqueue(CONTACT_EVENTS.CHANGED);
+
+    expect(newContactIds(replayed)).toEqual([]);
+    expect(located).toHaveLength(1);
+    expect(store.getState().pins.c).toHaveLength(1);
+  });
+});
+
+describe('sync request replay', () => {
+  /**
+   * Test app set up to import all, with its launch sync done
+   */
+  async function createReadyApp() {
+    const app = createTestApp();
+    await app.store.chooseImportMode(IMPORT_MODES.ALL, []);
+    await app.queue.enqueue(SYNC_REQUEST, { reasons: [SYNC_REASONS.LAUNCH], immediate: true });
+    app.reads.length = 0;
+    return app;
+  }
+
+  it('handles change, change, foreground with one sync and one pin', async () => {
+    const { store, queue, addContact, located, reads } = await createReadyApp();
+    addContact({ id: 'c', name: 'Cy' });
+
+    const results = await Promise.all([
+      queue.enqueue(CONTACT_EVENTS.CHANGED),
+      queue.enqueue(CONTACT_EVENTS.CHANGED),
+      queue.enqueue(SYNC_REQUEST, { reasons: [SYNC_REASONS.FOREGROUND] }),
+    ]);
+
+    expect(results.map(newContactIds)).toEqual([['c'], ['c'], ['c']]);
+    expect(reads).toHaveLength(1);
+    expect(located).toHaveLength(1);
+    expect(store.getState().pins.c).toHaveLength(1);
+  });
+
+  it('pins a contact the foreground sync finds before ContactsChanged does', async () => {
+    const { store, queue, addContact, located } = await createReadyApp();
+    addContact({ id: 'c', name: 'Cy' });
+
+    const foreground = await queue.enqueue(SYNC_REQUEST, { reasons: [SYNC_REASONS.FOREGROUND] });
+    const changed = await queue.enqueue(CONTACT_EVENTS.CHANGED);
+
+    expect(newContactIds(foreground)).toEqual(['c']);
+    expect(newContactIds(changed)).toEqual([]);
+    expect(located).toHaveLength(1);
+    expect(store.getState().pins.c).toHaveLength(1);
+  });
+
+  it('ignores a native add before the import choice', async () => {
+    const { clock, store, queue, addContact } = createTestApp();
+    addContact({ id: 'd', name: 'Di' });
+
+    const result = await queue.enqueue(CONTACT_EVENTS.ADDED_WITH_LOCATION, {
+      id: 'd', lat: 39.74, lng: -104.99, timestamp: clock.time,
+    });
+
+    expect(newContactIds(result)).toEqual([]);
+    expect(store.getState()).toMatchObject({ firstSeen: {}, pins: {} });
+  });
+
+  it('keeps first-seen of a contact a sync already stamped', async () => {
+    const { clock, store, queue, addContact } = await createReadyApp();
+    addContact({ id: 'd', name: 'Di' });
+    await queue.enqueue(CONTACT_EVENTS.CHANGED);
+    const stampedAt = store.getState().firstSeen.d;
+
+    clock.time += 60 * 60000;
+    const payload = { id: 'd', lat: 39.74, lng: -104.99, timestamp: clock.time };
+    const result = await queue.enqueue(CONTACT_EVENTS.ADDED_WITH_LOCATION, payload);
+    await queue.enqueue(CONTACT_EVENTS.ADDED_WITH_LOCATION, payload);
+
+    expect(newContactIds(result)).toEqual([]);
+    expect(store.getState().firstSeen.d).toBe(stampedAt);
+    expect(store.getState().pins.d).toHaveLength(2);
+  });
+
+  it('pins contacts the follow-up sync of a native add finds', async () => {
+    const { clock, store, queue, addContact } = await createReadyApp();
+    addContact({ id: 'd', name: 'Di' });
+    addContact({ id: 'e', name: 'Ed' });
+
+    const result = await queue.enqueue(CONTACT_EVENTS.ADDED_WITH_LOCATION, {
+      id: 'd', lat: 39.74, lng: -104.99, timestamp: clock.time,
+    });
+
+    expect(newContactIds(result)).toEqual(['d', 'e']);
+    expect(store.getState().pins.d).toEqual([expect.objectContaining({ latitude: 39.74, longitude: -104.99 })]);
+    expect(store.getState().pins.e).toEqual([expect.objectContaining(HOME)]);
+  });
+});
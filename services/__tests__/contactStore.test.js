@@ -0,0 +1,269 @@
+import { describe, expect, it, jest } from '@jest/globals';
+import { BATCH_ACTIONS, IMPORT_MODES, PIN_SOURCES, createContactStore } from '../contactStore';
+import { STORAGE_KEYS, createMemoryStorage } from '../storage';
+
+// Reminders aren't scheduled here; only the import needs to load
+jest.mock('expo-notifications', () => ({}));
+
+const NOON = new Date(2026, 9, 19, 12).getTime();
+const HOUR = 60 * 60 * 1000;
+
+const CONTACTS = [{ id: 'a', name: 'Ana' }, { id: 'b', name: 'Ben' }];
+
+/**
+ * Loaded store over memory storage, with a clock the test controls
+ */
+async function createTestStore(initialEntries = {}, { geocoder = null } = {}) {
+  const clock = { time: NOON };
+  const storage = createMemoryStorage(initialEntries);
+  const store = createContactStore({ storage, now: () => clock.time, geocoder });
+  await store.load();
+  return { clock, storage, store };
+}
+
+const storedJSON = (storage, key) => JSON.parse(storage.snapshot()[key]);
+
+describe('recordFirstSeen', () => {
+  it('stamps unseen contacts and keeps the first sighting', async () => {
+    const { clock, storage, store } = await createTestStore();
+    await store.recordFirstSeen(['a']);
+
+    clock.time += HOUR;
+    await store.recordFirstSeen(['a', 'b']);
+
+    expect(store.getState().firstSeen).toEqual({ a: NOON, b: NOON + HOUR });
+    expect(storedJSON(storage, STORAGE_KEYS.FIRST_SEEN)).toEqual({ a: NOON, b: NOON + HOUR });
+  });
+
+  it('replaces existing times only when asked to', async () => {
+    const { store } = await createTestStore();
+    await store.recordFirstSeen(['a'], NOON);
+
+    await store.recordFirstSeen(['a'], NOON - HOUR, { overwrite: true });
+
+    expect(store.getState().firstSeen.a).toBe(NOON - HOUR);
+  });
+});
+
+describe('chooseImportMode', () => {
+  it('stamps every existing contact with the cutoff for new contacts only', async () => {
+    const { storage, store } = await createTestStore();
+
+    await store.chooseImportMode(IMPORT_MODES.NEW_ONLY, CONTACTS);
+
+    expect(store.getState()).toMatchObject({
+      importMode: IMPORT_MODES.NEW_ONLY,
+      ready: { initializedAt: NOON, cutoff: NOON },
+      firstSeen: { a: NOON, b: NOON },
+    });
+    expect(storage.snapshot()[STORAGE_KEYS.IMPORT_CHOICE]).toBe(IMPORT_MODES.NEW_ONLY);
+  });
+
+  it('leaves stamping to the first sync when importing all', async () => {
+    const { store } = await createTestStore();
+
+    await store.chooseImportMode(IMPORT_MODES.ALL, CONTACTS);
+
+    expect(store.getState()).toMatchObject({ importMode: IMPORT_MODES.ALL, ready: null, firstSeen: {} });
+  });
+});
+
+describe('syncDeviceContacts', () => {
+  it('shows every contact and stamps nothing before an import choice', async () => {
+    const { store } = await createTestStore();
+
+    const result = await store.syncDeviceContacts(CONTACTS);
+
+    expect(result).toMatchObject({ visibleContacts: CONTACTS, newlySeenIds: [], firstSeen: {} });
+  });
+
+  it('counts nobody as new on the first sync after importing all', async () => {
+    const { clock, store } = await createTestStore();
+    await store.chooseImportMode(IMPORT_MODES.ALL, []);
+
+    const first = await store.syncDeviceContacts(CONTACTS);
+    clock.time += HOUR;
+    const next = await store.syncDeviceContacts([...CONTACTS, { id: 'c', name: 'Cy' }]);
+
+    expect(first).toMatchObject({ visibleContacts: CONTACTS, newlySeenIds: [] });
+    expect(store.getState().ready).toEqual({ initializedAt: NOON, cutoff: null });
+    expect(next.newlySeenIds).toEqual(['c']);
+    expect(next.firstSeen).toEqual({ a: NOON, b: NOON, c: NOON + HOUR });
+  });
+
+  it('shows only contacts seen after the cutoff for new contacts only', async () => {
+    const { clock, store } = await createTestStore();
+    await store.chooseImportMode(IMPORT_MODES.NEW_ONLY, CONTACTS);
+
+    clock.time += HOUR;
+    const result = await store.syncDeviceContacts([...CONTACTS, { id: 'c', name: 'Cy' }]);
+    const replayed = await store.syncDeviceContacts([...CONTACTS, { id: 'c', name: 'Cy' }]);
+
+    expect(result.newlySeenIds).toEqual(['c']);
+    expect(result.visibleContacts.map(contact => contact.id)).toEqual(['c']);
+    expect(replayed.newlySeenIds).toEqual([]);
+  });
+
+  it('stamps the cutoff and counts nobody as new on a first new-only sync', async () => {
+    const { store } = await createTestStore({ [STORAGE_KEYS.IMPORT_CHOICE]: IMPORT_MODES.NEW_ONLY });
+
+    const result = await store.syncDeviceContacts(CONTACTS);
+
+    expect(result).toMatchObject({ visibleContacts: [], newlySeenIds: [], firstSeen: { a: NOON, b: NOON } });
+  });
+});
+
+describe('importRecords', () => {
+  const ROW = { contactId: 'a', latitude: 40, longitude: -105, timestamp: NOON - HOUR, tags: ['climbing'], note: ' Crag ' };
+
+  it('adds import pins and tags and moves first-seen back', async () => {
+    const { storage, store } = await createTestStore();
+    await store.recordFirstSeen(['a']);
+
+    const { added } = await store.importRecords([ROW, { ...ROW, contactId: 'b', latitude: null, longitude: null }]);
+
+    expect(added).toEqual({ encounters: 1, tags: 2, firstSeen: 2 });
+    expect(store.getState().pins.a).toEqual([expect.objectContaining({
+      latitude: 40, longitude: -105, timestamp: NOON - HOUR, source: PIN_SOURCES.IMPORT, note: 'Crag',
+    })]);
+    expect(store.getState().pins.b).toBeUndefined();
+    expect(storedJSON(storage, STORAGE_KEYS.TAGS)).toEqual({ a: ['climbing'], b: ['climbing'] });
+    expect(store.getState().firstSeen).toEqual({ a: NOON - HOUR, b: NOON - HOUR });
+  });
+
+  it('skips what an earlier import of the same file added', async () => {
+    const { store } = await createTestStore();
+    await store.importRecords([ROW]);
+
+    const { added } = await store.importRecords([ROW]);
+
+    expect(added).toEqual({ encounters: 0, tags: 0, firstSeen: 0 });
+    expect(store.getState().pins.a).toHaveLength(1);
+  });
+
+  it('dates undated rows to the import', async () => {
+    const { store } = await createTestStore();
+
+    await store.importRecords([{ ...ROW, timestamp: null }]);
+
+    expect(store.getState().pins.a[0].timestamp).toBe(NOON);
+    expect(store.getState().firstSeen).toEqual({});
+  });
+});
+
+describe('place labels', () => {
+  const PEARL_STREET = { latitude: 40.018, longitude: -105.2797 };
+  const UNION_STATION = { latitude: 39.7527, longitude: -105.0002 };
+  const LABELS = new Map([
+    [PEARL_STREET.latitude, 'Pearl Street Mall, Boulder'],
+    [UNION_STATION.latitude, 'Union Station, Denver'],
+  ]);
+
+  /**
+   * Store with Ana met on Pearl Street twice, Ben met at Union Station,
+   * and a geocoder stub that fails from the given lookup on
+   */
+  async function createPlacesStore({ failFromCall = Infinity } = {}) {
+    const geocoder = {
+      reverseGeocode: jest.fn(async ({ latitude }) => {
+        if (geocoder.reverseGeocode.mock.calls.length >= failFromCall) throw new Error('Rate limited');
+        return LABELS.get(latitude) ?? null;
+      }),
+    };
+    const { storage, store } = await createTestStore({}, { geocoder });
+    await store.addEncounter(['a'], { ...PEARL_STREET, timestamp: NOON - 2 * HOUR });
+    await store.addEncounter(['a'], { ...PEARL_STREET, timestamp: NOON - HOUR });
+    await store.addEncounter(['b'], { ...UNION_STATION, timestamp: NOON - 2 * HOUR });
+    return { geocoder, storage, store };
+  }
+
+  it('looks each place up once and caches the label on the encounter', async () => {
+    const { geocoder, storage, store } = await createPlacesStore();
+
+    await store.resolvePlaceLabels();
+    await store.resolvePlaceLabels();
+
+    expect(geocoder.reverseGeocode).toHaveBeenCalledTimes(2);
+    const pins = storedJSON(storage, STORAGE_KEYS.PINS);
+    expect(pins.a.map(encounter => encounter.placeLabel)).toEqual(['Pearl Street Mall, Boulder', 'Pearl Street Mall, Boulder']);
+    expect(pins.b[0].placeLabel).toBe('Union Station, Denver');
+  });
+
+  it('stops the pass at a failed lookup and resumes on the next one', async () => {
+    const { geocoder, store } = await createPlacesStore({ failFromCall: 2 });
+    const logError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await store.resolvePlaceLabels();
+    expect(store.getState().pins.a[0].placeLabel).toBe('Pearl Street Mall, Boulder');
+    expect(store.getState().pins.b[0].placeLabel).toBeUndefined();
+
+    geocoder.reverseGeocode.mockImplementation(async () => 'Union Station, Denver');
+    await store.resolvePlaceLabels();
+    expect(store.getState().pins.b[0].placeLabel).toBe('Union Station, Denver');
+    logError.mockRestore();
+  });
+
+  it('matches "met in" searches by place only', async () => {
+    const { store } = await createPlacesStore();
+    await store.resolvePlaceLabels();
+    const contacts = [...CONTACTS, { id: 'c', name: 'Boulder Bob' }];
+
+    const ids = searchText => store.query(contacts, { searchText }).map(contact => contact.id);
+
+    expect(ids('met in Boulder')).toEqual(['a']);
+    expect(ids('boulder').sort()).toEqual(['a', 'c']);
+    expect(ids('met at union station')).toEqual(['b']);
+  });
+});
+
+describe('undoBatch', () => {
+  it('reverts the batch\'s tag but keeps tags added since', async () => {
+    const { storage, store } = await createTestStore();
+    await store.addTag('b', 'work');
+    await store.applyBatch(['a', 'b'], BATCH_ACTIONS.ADD_TAG, { tag: 'vip' });
+    await store.addTag('a', 'friend');
+
+    const { restoredCount } = await store.undoBatch();
+
+    expect(restoredCount).toBe(2);
+    expect(storedJSON(storage, STORAGE_KEYS.TAGS)).toEqual({ a: ['friend'], b: ['work'] });
+  });
+
+  it('puts a removed tag back in place without undoing later edits', async () => {
+    const { store } = await createTestStore();
+    await store.addTag('a', 'climbing');
+    await store.addTag('a', 'vip');
+    await store.addTag('a', 'work');
+    await store.applyBatch(['a'], BATCH_ACTIONS.REMOVE_TAG, { tag: 'vip' });
+    await store.removeTag('a', 'climbing');
+    await store.addTag('a', 'friend');
+
+    await store.undoBatch();
+
+    expect(store.getState().tags.a).toEqual(['vip', 'work', 'friend']);
+  });
+
+  it('leaves contacts whose batch edit was already reverted by hand', async () => {
+    const { store } = await createTestStore();
+    await store.applyBatch(['a'], BATCH_ACTIONS.ADD_TAG, { tag: 'vip' });
+    await store.removeTag('a', 'vip');
+    await store.addTag('a', 'friend');
+
+    const { restoredCount } = await store.undoBatch();
+
+    expect(restoredCount).toBe(0);
+    expect(store.getState().tags.a).toEqual(['friend']);
+  });
+
+  it('brings cleared pins back alongside pins added since', async () => {
+    const { clock, store } = await createTestStore();
+    await store.addEncounter(['a'], { latitude: 40, longitude: -105, timestamp: NOON - HOUR });
+    await store.applyBatch(['a'], BATCH_ACTIONS.CLEAR_PINS);
+    clock.time += HOUR;
+    await store.addEncounter(['a'], { latitude: 41, longitude: -105, timestamp: clock.time });
+
+    await store.undoBatch();
+
+    expect(store.getState().pins.a.map(encounter => encounter.latitude)).toEqual([40, 41]);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, expect, it } from '@jest/globals';
+import { indexCreationDates, matchCreationDate } from '../creationDates';
+import { createMockCreationDateModule, createNativeContactDates } from '../nativeContactDates';
+
+const CREATED = '2025-11-16T12:00:00.000Z';
+const CREATED_MS = Date.parse(CREATED);
+
+/**
+ * Matches one device contact against native rows from a build with or
+ * without getContactMetadata
+ */
+async function matchWith(nativeRows, contact, { legacy }) {
+  const records = await createNativeContactDates(createMockCreationDateModule(nativeRows, { legacy })).loadRecords();
+  return matchCreationDate(contact, indexCreationDates(records, [contact]));
+}
+
+describe('matchCreationDate', () => {
+  it('matches on the identifier first', async () => {
+    const contact = { id: 'A1', phoneNumbers: [] };
+    const rows = [{ identifier: 'A1', creationDate: CREATED, phones: [] }];
+
+    await expect(matchWith(rows, contact, { legacy: false }))
+      .resolves.toEqual({ timestamp: CREATED_MS, match: 'identifier' });
+  });
+
+  it('matches any of the contact\'s numbers, not just the first', async () => {
+    const contact = { id: 'A1', phoneNumbers: [{ number: '+1 720 555 0000' }, { number: '(303) 555-1212' }] };
+    const rows = [{ identifier: null, creationDate: CREATED, phones: ['+1 303 555 1212'] }];
+
+    await expect(matchWith(rows, contact, { legacy: false }))
+      .resolves.toEqual({ timestamp: CREATED_MS, match: 'phone' });
+  });
+
+  // Legacy rows are digits only; read as national numbers these missed
+  for (const number of ['+44 20 7946 0958', '+49 30 1234567', '+1 303-555-1212']) {
+    it(`matches legacy digits-only rows for ${number}`, async () => {
+      const contact = { id: 'A1', phoneNumbers: [{ number }] };
+      const rows = [{ creationDate: CREATED, phones: [number] }];
+
+      await expect(matchWith(rows, contact, { legacy: true }))
+        .resolves.toEqual({ timestamp: CREATED_MS, match: 'phone' });
+    });
+  }
+
+  it('doesn\'t read a national legacy row as a foreign number', async () => {
+    // Digits of (303) 555-1212 with a "+" would be a Greek number
+    const contact = { id: 'A1', phoneNumbers: [{ number: '+30 3555 1212' }] };
+    const rows = [{ creationDate: CREATED, phones: ['(303) 555-1212'] }];
+
+    await expect(matchWith(rows, contact, { legacy: true }))
+      .resolves.toEqual({ timestamp: 0, match: null });
+  });
+
+  it('reports a number shared by two contacts as ambiguous', async () => {
+    const contact = { id: 'A1', phoneNumbers: [{ number: '+1 303 555 1212' }] };
+    const rows = [
+      { creationDate: CREATED, phones: ['+1 303 555 1212'] },
+      { creationDate: '2024-01-01T00:00:00.000Z', phones: ['(303) 555-1212'] },
+    ];
+
+    await expect(matchWith(rows, contact, { legacy: true })).resolves.toEqual({
+      timestamp: 0,
+      match: 'ambiguous',
+      candidates: [Date.parse('2024-01-01T00:00:00.000Z'), CREATED_MS],
+    });
+  });
+});
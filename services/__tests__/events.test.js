@@ -0,0 +1,123 @@
+import { describe, expect, it } from '@jest/globals';
+import { EVENT_GAP_MS, EVENT_RADIUS_METERS, MIN_EVENT_MEMBERS, detectEvents } from '../events';
+
+const NOON = new Date(2026, 9, 19, 12).getTime();
+const HOUR = 60 * 60 * 1000;
+const MEETUP = { latitude: 40, longitude: -105 };
+
+// About 111 m of latitude per 0.001 degrees
+const metersNorth = meters => ({ latitude: MEETUP.latitude + meters / 111195, longitude: MEETUP.longitude });
+
+/**
+ * Encounter at the meetup (or another place), some hours after noon
+ */
+const encounter = (hours, place = MEETUP, source = 'gps') => ({
+  id: `enc-${hours}`,
+  ...place,
+  timestamp: NOON + hours * HOUR,
+  source,
+});
+
+/**
+ * Stored event spanning the given hours at the meetup
+ */
+const storedEvent = (id, { contactIds = [], excludedContactIds = [], from = 0, to = 0, deletedAt = null } = {}) => ({
+  id,
+  contactIds,
+  excludedContactIds,
+  startAt: NOON + from * HOUR,
+  endAt: NOON + to * HOUR,
+  ...MEETUP,
+  deletedAt,
+});
+
+const groupIds = ({ groups }) => groups.map(members => members.map(({ contactId }) => contactId));
+const joinIds = ({ joins }) => joins.map(({ eventId, contactId }) => `${eventId}:${contactId}`);
+
+describe('detectEvents new groups', () => {
+  it(`groups ${MIN_EVENT_MEMBERS} contacts met together, oldest first`, () => {
+    const pins = { b: [encounter(1)], a: [encounter(0)], c: [encounter(2, metersNorth(500))] };
+
+    expect(groupIds(detectEvents(pins, []))).toEqual([['a', 'b', 'c']]);
+  });
+
+  it(`waits for ${MIN_EVENT_MEMBERS} members`, () => {
+    const pins = { a: [encounter(0)], b: [encounter(1)] };
+
+    expect(detectEvents(pins, [])).toEqual({ joins: [], groups: [] });
+  });
+
+  it('splits arrivals beyond the gap or the radius', () => {
+    const gapHours = EVENT_GAP_MS / HOUR;
+    const pins = {
+      a: [encounter(0)],
+      b: [encounter(0.5)],
+      far: [encounter(1, metersNorth(EVENT_RADIUS_METERS + 100))],
+      late: [encounter(0.5 + gapHours + 0.5)],
+    };
+
+    expect(detectEvents(pins, [])).toEqual({ joins: [], groups: [] });
+  });
+
+  it('measures the gap from the widened span', () => {
+    const pins = { a: [encounter(0)], b: [encounter(2.5)], c: [encounter(5)], d: [encounter(7.5)] };
+
+    expect(groupIds(detectEvents(pins, []))).toEqual([['a', 'b', 'c', 'd']]);
+  });
+
+  it('counts each contact by their first encounter only', () => {
+    const elsewhere = { latitude: 41, longitude: -105 };
+    const pins = {
+      a: [encounter(0)],
+      b: [encounter(0.5)],
+      known: [encounter(-48, elsewhere), encounter(1)],
+    };
+
+    expect(groupIds(detectEvents(pins, []))).toEqual([]);
+  });
+
+  it('leaves out contacts first met through an import', () => {
+    const pins = {
+      a: [encounter(0, MEETUP, 'import')],
+      b: [encounter(0, MEETUP, 'import')],
+      c: [encounter(0, MEETUP, 'import')],
+      d: [encounter(-24, MEETUP, 'import'), encounter(1)],
+    };
+
+    expect(detectEvents(pins, [])).toEqual({ joins: [], groups: [] });
+  });
+});
+
+describe('detectEvents existing events', () => {
+  it('joins arrivals to a live event and widens its span for later ones', () => {
+    const events = [storedEvent('e1', { contactIds: ['a', 'b', 'c'], from: 0, to: 1 })];
+    const pins = { d: [encounter(3.5)], e: [encounter(6)] };
+
+    expect(joinIds(detectEvents(pins, events))).toEqual(['e1:d', 'e1:e']);
+  });
+
+  it('never regroups members, removed members or members of deleted events', () => {
+    const events = [
+      storedEvent('e1', { contactIds: ['a'], excludedContactIds: ['b'], from: -24, to: -24 }),
+      storedEvent('gone', { contactIds: ['c'], from: 0, to: 0, deletedAt: NOON }),
+    ];
+    const pins = {
+      a: [encounter(0)],
+      b: [encounter(0)],
+      c: [encounter(0)],
+      d: [encounter(0.5)],
+      e: [encounter(1)],
+    };
+
+    expect(detectEvents(pins, events)).toEqual({ joins: [], groups: [] });
+  });
+
+  it('doesn\'t join arrivals to a deleted event', () => {
+    const events = [storedEvent('gone', { contactIds: ['a'], from: 0, to: 0, deletedAt: NOON })];
+    const pins = { b: [encounter(0)], c: [encounter(0.5)], d: [encounter(1)] };
+
+    const result = detectEvents(pins, events);
+    expect(result.joins).toEqual([]);
+    expect(groupIds(result)).toEqual([['b', 'c', 'd']]);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from '@jest/globals';
+import { buildExportRecords, toCSV } from '../export';
+import { parseCSV, parseImportFile } from '../importer';
+
+const METADATA = {
+  firstSeen: {},
+  tags: { c1: ['-vip'] },
+  pins: { c1: [{ latitude: 39.74, longitude: -104.99, timestamp: 1763300000000 }] },
+  notes: { c1: [{ text: '=HYPERLINK("http://example.com","Click")' }] },
+  reminders: {},
+};
+
+const CONTACT = {
+  id: 'c1',
+  name: '@ana',
+  company: 'O\'Brien & Co',
+  phoneNumbers: [{ label: 'mobile', number: '+13035551212' }],
+};
+
+/**
+ * Exports one contact and reads the CSV back as header -> cell
+ */
+function exportRow(contact = CONTACT) {
+  const [header, row] = parseCSV(toCSV(buildExportRecords([contact], METADATA, () => 0)).replace(/^\uFEFF/, ''));
+  return Object.fromEntries(header.map((name, index) => [name, row[index]]));
+}
+
+describe('toCSV', () => {
+  it('prefixes text a spreadsheet would run as a formula', () => {
+    const row = exportRow();
+
+    expect(row['Name']).toBe('\'@ana');
+    expect(row['Phone Numbers']).toBe('\'+13035551212');
+    expect(row['Tags']).toBe('\'-vip');
+    expect(row['Notes']).toBe('\'=HYPERLINK("http://example.com","Click")');
+  });
+
+  it('quotes guarded cells and escapes their quotes', () => {
+    const csv = toCSV(buildExportRecords([CONTACT], METADATA, () => 0));
+
+    expect(csv).toContain(',"\'+13035551212",');
+    expect(csv).toContain('"\'=HYPERLINK(""http://example.com"",""Click"")"');
+  });
+
+  it('leaves numbers and ordinary text alone', () => {
+    const row = exportRow();
+
+    expect(row['Last Met Longitude']).toBe('-104.99');
+    expect(row['Company']).toBe('O\'Brien & Co');
+  });
+
+  it('round-trips through the CSV importer without the prefix', () => {
+    const { rows } = parseImportFile(toCSV(buildExportRecords([CONTACT], METADATA, () => 0)), 'export.csv');
+
+    expect(rows[0].name).toBe('@ana');
+    expect(rows[0].tags).toEqual(['-vip']);
+    expect(rows[0].note).toBe('=HYPERLINK("http://example.com","Click")');
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, expect, it } from '@jest/globals';
+import { collectRankingText, evaluateFilter, parseDateRange, parseFilterQuery } from '../filterQuery';
+
+const NOW = new Date(2025, 9, 15, 12).getTime();
+const DAY = (month, day) => new Date(2025, month - 1, day).getTime();
+
+/**
+ * Filter tree without test functions, for comparing shapes
+ */
+function shape(node) {
+  switch (node.type) {
+    case 'and':
+    case 'or': return { [node.type]: node.children.map(shape) };
+    case 'not': return { not: shape(node.child) };
+    case 'text': return node.value;
+    default: return `${node.key}:${node.value}`;
+  }
+}
+
+const parsedShape = text => shape(parseFilterQuery(text, { now: () => NOW }).filter);
+
+/**
+ * Contact evaluation context with only the given fields filled in
+ */
+const context = ({ tags = [], encounters = [], notes = [], createdAt = 0, ...contact } = {}) => ({
+  contact: { id: 'c1', ...contact },
+  tags,
+  encounters,
+  notes,
+  createdAt,
+});
+
+/**
+ * Whether a query matches a context; free text matches the contact's name
+ */
+function matches(text, contactContext) {
+  const { filter, error } = parseFilterQuery(text, { now: () => NOW });
+  if (error) throw new Error(error.message);
+  return evaluateFilter(filter, contactContext, value => (contactContext.contact.name || '').includes(value));
+}
+
+describe('parseFilterQuery precedence', () => {
+  it('binds AND tighter than OR, with AND implied between terms', () => {
+    expect(parsedShape('tag:a tag:b OR tag:c')).toEqual({ or: [{ and: ['tag:a', 'tag:b'] }, 'tag:c'] });
+    expect(parsedShape('tag:a AND tag:b OR tag:c')).toEqual(parsedShape('tag:a tag:b OR tag:c'));
+  });
+
+  it('groups with parentheses', () => {
+    expect(parsedShape('tag:a (tag:b OR tag:c)')).toEqual({ and: ['tag:a', { or: ['tag:b', 'tag:c'] }] });
+    expect(matches('tag:a (tag:b OR tag:c)', context({ tags: ['a', 'c'] }))).toBe(true);
+    expect(matches('tag:a tag:b OR tag:c', context({ tags: ['c'] }))).toBe(true);
+    expect(matches('tag:a (tag:b OR tag:c)', context({ tags: ['c'] }))).toBe(false);
+  });
+
+  it('joins adjacent words into one phrase for ranking', () => {
+    const { filter } = parseFilterQuery('ana boulder tag:climbing OR sam');
+
+    expect(shape(filter)).toEqual({ or: [{ and: ['ana boulder', 'tag:climbing'] }, 'sam'] });
+    expect(collectRankingText(filter)).toEqual(['ana boulder', 'sam']);
+  });
+});
+
+describe('parseFilterQuery negation', () => {
+  it('negates with a dash or NOT', () => {
+    expect(parsedShape('-tag:work')).toEqual({ not: 'tag:work' });
+    expect(parsedShape('NOT tag:work')).toEqual({ not: 'tag:work' });
+    expect(parsedShape('-"Ana B"')).toEqual({ not: 'Ana B' });
+  });
+
+  it('negates a whole group', () => {
+    expect(matches('NOT (tag:a OR tag:b)', context({ tags: ['b'] }))).toBe(false);
+    expect(matches('NOT (tag:a OR tag:b)', context({ tags: ['c'] }))).toBe(true);
+  });
+
+  it('keeps a leading minus on numbers as text', () => {
+    expect(parsedShape('-5')).toEqual('-5');
+  });
+
+  it('leaves negated text out of ranking', () => {
+    expect(collectRankingText(parseFilterQuery('ana -boulder').filter)).toEqual(['ana']);
+  });
+});
+
+describe('parseFilterQuery filters', () => {
+  it('matches presence fields both ways', () => {
+    const withPhone = context({ phoneNumbers: [{ number: '555' }] });
+
+    expect(matches('has:phone', withPhone)).toBe(true);
+    expect(matches('no:phones', withPhone)).toBe(false);
+    expect(matches('no:pin', withPhone)).toBe(true);
+  });
+
+  it('matches near: against folded place names', () => {
+    const metInDenver = context({ encounters: [{ placeLabel: 'Union Station, Dénver' }] });
+
+    expect(matches('near:denver', metInDenver)).toBe(true);
+    expect(matches('near:"union station"', metInDenver)).toBe(true);
+    expect(matches('-near:denver', metInDenver)).toBe(false);
+  });
+});
+
+describe('parseFilterQuery errors', () => {
+  it.each([
+    ['(tag:a OR tag:b', 'Missing closing parenthesis', 0],
+    ['tag:a)', 'Unexpected ")"', 5],
+    ['team:red', 'Unknown filter "team:"', 0],
+    ['ana tag:', '"tag:" needs a value', 4],
+    ['has:car', '"has:" accepts', 0],
+    ['OR tag:a', '"OR" needs something on both sides', 0],
+    ['tag:a OR', 'Query ends too early', 8],
+    ['near:"Denver', 'Missing closing quote', 5],
+    ['added:2025-02-30', 'Can\'t read date', 0],
+  ])('reports %s', (text, message, position) => {
+    const { filter, error } = parseFilterQuery(text, { now: () => NOW });
+
+    expect(filter).toBeNull();
+    expect(error.message).toContain(message);
+    expect(error.position).toBe(position);
+  });
+
+  it('returns no filter and no error for blank text', () => {
+    expect(parseFilterQuery('   ')).toEqual({ filter: null, error: null });
+  });
+});
+
+describe('added: date bounds', () => {
+  it('covers whole local days, end exclusive', () => {
+    expect(parseDateRange('2025-09-01', NOW)).toEqual({ from: DAY(9, 1), to: DAY(9, 2) });
+    expect(parseDateRange('>2025-09-01', NOW)).toEqual({ from: DAY(9, 2), to: Infinity });
+    expect(parseDateRange('>=2025-09-01', NOW)).toEqual({ from: DAY(9, 1), to: Infinity });
+    expect(parseDateRange('<2025-09-01', NOW)).toEqual({ from: -Infinity, to: DAY(9, 1) });
+    expect(parseDateRange('<=2025-09-01', NOW)).toEqual({ from: -Infinity, to: DAY(9, 2) });
+    expect(parseDateRange('2025-09-01..2025-09-30', NOW)).toEqual({ from: DAY(9, 1), to: DAY(10, 1) });
+  });
+
+  it('reads relative ranges from the clock', () => {
+    expect(parseDateRange('last7d', NOW)).toEqual({ from: NOW - 7 * 24 * 60 * 60 * 1000, to: Infinity });
+    expect(parseDateRange('last2w', NOW)).toEqual(parseDateRange('last14d', NOW));
+    expect(parseDateRange('TODAY', NOW)).toEqual({ from: DAY(10, 15), to: Infinity });
+  });
+
+  it('rejects reversed ranges and impossible dates', () => {
+    expect(parseDateRange('2025-09-30..2025-09-01', NOW)).toBeNull();
+    expect(parseDateRange('2025-13-01', NOW)).toBeNull();
+    expect(parseDateRange('last7x', NOW)).toBeNull();
+  });
+
+  it('matches creation times inside the range, never unknown ones', () => {
+    expect(matches('added:2025-09-01', context({ createdAt: DAY(9, 1) }))).toBe(true);
+    expect(matches('added:2025-09-01', context({ createdAt: DAY(9, 2) }))).toBe(false);
+    expect(matches('added:<2025-09-01', context({ createdAt: 0 }))).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, expect, it, jest } from '@jest/globals';
+import { MIGRATIONS, CURRENT_SCHEMA_VERSION, runMigrations } from '../migrations';
+import { STORAGE_KEYS, createMemoryStorage } from '../storage';
+
+/**
+ * Migrations up to and including a version, as a build at that version ran them
+ */
+const migrationsThrough = version => MIGRATIONS.filter(migration => migration.version <= version);
+
+/**
+ * Memory storage whose writes to one key fail, like a full disk
+ */
+function createFailingStorage(initialEntries, failingKey) {
+  const storage = createMemoryStorage(initialEntries);
+  const fail = async () => { throw new Error('Disk full'); };
+  return {
+    ...storage,
+    setItem: (key, value) => (key === failingKey ? fail() : storage.setItem(key, value)),
+    multiSet: pairs => (pairs.some(([key]) => key === failingKey) ? fail() : storage.multiSet(pairs)),
+  };
+}
+
+const PRE_SCHEMA_STORAGE = {
+  '@nf:importChoice': 'newOnly',
+  '@nf:ready': '1763300000000',
+  '@nf:pins': '{"c1":{"latitude":39.74,"longitude":-104.99,"timestamp":1763300000000}}',
+};
+
+describe('MIGRATIONS', () => {
+  it('are in ascending version order', () => {
+    const versions = MIGRATIONS.map(migration => migration.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(CURRENT_SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+  });
+
+  for (const migration of MIGRATIONS) {
+    describe(`v${migration.version}: ${migration.description}`, () => {
+      it('has fixtures', () => {
+        expect(migration.fixtures.length).toBeGreaterThan(0);
+      });
+
+      for (const fixture of migration.fixtures) {
+        it(`turns before into after: ${fixture.name}`, async () => {
+          const storage = createMemoryStorage(fixture.before);
+
+          await expect(runMigrations(storage, migrationsThrough(migration.version)))
+            .resolves.toBe(migration.version);
+          expect(storage.snapshot()).toEqual(fixture.after);
+        });
+
+        it(`is a no-op when run again: ${fixture.name}`, async () => {
+          const storage = createMemoryStorage(fixture.before);
+          await runMigrations(storage, migrationsThrough(migration.version));
+
+          await runMigrations(storage, migrationsThrough(migration.version));
+          expect(storage.snapshot()).toEqual(fixture.after);
+
+          // A crash after up() but before the version bump re-runs it
+          await migration.up(storage);
+          expect(storage.snapshot()).toEqual(fixture.after);
+        });
+      }
+    });
+  }
+});
+
+describe('runMigrations', () => {
+  it('upgrades pre-schema storage to the current version', async () => {
+    const storage = createMemoryStorage(PRE_SCHEMA_STORAGE);
+
+    await expect(runMigrations(storage)).resolves.toBe(CURRENT_SCHEMA_VERSION);
+    expect(storage.snapshot()).toEqual({
+      '@nf:importChoice': 'newOnly',
+      '@nf:ready': '{"initializedAt":1763300000000,"cutoff":1763300000000}',
+      '@nf:pins': '{"c1":[{"latitude":39.74,"longitude":-104.99,"timestamp":1763300000000,"id":"enc-1763300000000-0","source":"gps"}]}',
+      '@nf:schemaVersion': String(CURRENT_SCHEMA_VERSION),
+    });
+  });
+
+  it('keeps the version of the last finished migration when one fails', async () => {
+    // v1 only writes @nf:ready, so the first failure is v2 rewriting @nf:pins
+    const storage = createFailingStorage(PRE_SCHEMA_STORAGE, STORAGE_KEYS.PINS);
+
+    await expect(runMigrations(storage)).rejects.toThrow(/Migration 2 .* failed: Disk full/);
+    expect(storage.snapshot()).toEqual({
+      '@nf:importChoice': 'newOnly',
+      '@nf:ready': '{"initializedAt":1763300000000,"cutoff":1763300000000}',
+      '@nf:pins': PRE_SCHEMA_STORAGE['@nf:pins'],
+      '@nf:schemaVersion': '1',
+    });
+  });
+
+  it('leaves the version unset when the first migration fails', async () => {
+    const storage = createFailingStorage(PRE_SCHEMA_STORAGE, STORAGE_KEYS.READY);
+
+    await expect(runMigrations(storage)).rejects.toThrow(/Migration 1 /);
+    expect(storage.snapshot()).toEqual(PRE_SCHEMA_STORAGE);
+  });
+
+  it('resumes from the failed migration on the next launch', async () => {
+    const failing = createFailingStorage(PRE_SCHEMA_STORAGE, STORAGE_KEYS.PINS);
+    await expect(runMigrations(failing)).rejects.toThrow();
+
+    const storage = createMemoryStorage(failing.snapshot());
+    await expect(runMigrations(storage)).resolves.toBe(CURRENT_SCHEMA_VERSION);
+
+    const upgraded = createMemoryStorage(PRE_SCHEMA_STORAGE);
+    await runMigrations(upgraded);
+    expect(storage.snapshot()).toEqual(upgraded.snapshot());
+  });
+
+  it('leaves storage from a newer build alone', async () => {
+    const newer = { '@nf:schemaVersion': String(CURRENT_SCHEMA_VERSION + 1), '@nf:pins': '{"c1":"future shape"}' };
+    const storage = createMemoryStorage(newer);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(runMigrations(storage)).resolves.toBe(CURRENT_SCHEMA_VERSION + 1);
+    expect(storage.snapshot()).toEqual(newer);
+    warn.mockRestore();
+  });
+});
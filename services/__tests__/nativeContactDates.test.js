@@ -0,0 +1,136 @@
+import { describe, expect, it } from '@jest/globals';
+import { createMockCreationDateModule, createNativeContactDates } from '../nativeContactDates';
+
+const NATIVE_ROWS = [
+  {
+    identifier: '410FE041-5C4E-48DA-B4DE-04C15EA3DBAC:ABPerson',
+    creationDate: '2021-03-10T18:14:22Z',
+    modificationDate: '2025-09-05T04:12:00Z',
+    phones: ['+1 (303) 555-1212', ''],
+    emails: ['sam@example.com'],
+  },
+  {
+    identifier: null,
+    creationDate: '2023-01-01T00:00:00Z',
+    modificationDate: null,
+    phones: ['(303) 555-1212'],
+    emails: [],
+  },
+];
+
+describe('createMockCreationDateModule', () => {
+  it('returns getContactMetadata rows in the native shape', async () => {
+    const rows = await createMockCreationDateModule(NATIVE_ROWS).getContactMetadata();
+
+    expect(rows).toEqual([
+      {
+        identifier: '410FE041-5C4E-48DA-B4DE-04C15EA3DBAC:ABPerson',
+        creationDate: '2021-03-10T18:14:22Z',
+        modificationDate: '2025-09-05T04:12:00Z',
+        phones: ['+1 (303) 555-1212', ''],
+        emails: ['sam@example.com'],
+      },
+      {
+        identifier: null,
+        creationDate: '2023-01-01T00:00:00Z',
+        modificationDate: null,
+        phones: ['(303) 555-1212'],
+        emails: [],
+      },
+    ]);
+  });
+
+  it('aggregates getPhoneDates per digits, earliest creation and latest modification', async () => {
+    const rows = await createMockCreationDateModule([
+      ...NATIVE_ROWS,
+      { creationDate: '2020-06-01T00:00:00Z', modificationDate: '2025-10-01T00:00:00Z', phones: ['303.555.1212'] },
+    ]).getPhoneDates();
+
+    expect(rows).toEqual([
+      { phone: '13035551212', creationDate: '2021-03-10T18:14:22Z', modificationDate: '2025-09-05T04:12:00Z' },
+      { phone: '3035551212', creationDate: '2020-06-01T00:00:00Z', modificationDate: '2025-10-01T00:00:00Z' },
+    ]);
+  });
+
+  it('only offers getPhoneDates in legacy mode', () => {
+    const legacy = createMockCreationDateModule(NATIVE_ROWS, { legacy: true });
+
+    expect(legacy.getContactMetadata).toBeUndefined();
+    expect(typeof legacy.getPhoneDates).toBe('function');
+  });
+});
+
+describe('createNativeContactDates', () => {
+  it('turns metadata rows into records with parsed dates', async () => {
+    const nativeDates = createNativeContactDates(createMockCreationDateModule(NATIVE_ROWS));
+
+    expect(nativeDates.isAvailable).toBe(true);
+    await expect(nativeDates.loadRecords()).resolves.toEqual([
+      {
+        identifier: '410FE041-5C4E-48DA-B4DE-04C15EA3DBAC:ABPerson',
+        createdAt: Date.parse('2021-03-10T18:14:22Z'),
+        modifiedAt: Date.parse('2025-09-05T04:12:00Z'),
+        phones: ['+1 (303) 555-1212'],
+        emails: ['sam@example.com'],
+      },
+      {
+        identifier: null,
+        createdAt: Date.parse('2023-01-01T00:00:00Z'),
+        modifiedAt: null,
+        phones: ['(303) 555-1212'],
+        emails: [],
+      },
+    ]);
+  });
+
+  it('turns legacy phone rows into unidentified records', async () => {
+    const nativeDates = createNativeContactDates(createMockCreationDateModule(NATIVE_ROWS, { legacy: true }));
+
+    expect(nativeDates.isAvailable).toBe(true);
+    await expect(nativeDates.loadRecords()).resolves.toEqual([
+      {
+        identifier: null,
+        createdAt: Date.parse('2021-03-10T18:14:22Z'),
+        modifiedAt: Date.parse('2025-09-05T04:12:00Z'),
+        phones: ['13035551212'],
+        emails: [],
+      },
+      {
+        identifier: null,
+        createdAt: Date.parse('2023-01-01T00:00:00Z'),
+        modifiedAt: null,
+        phones: ['3035551212'],
+        emails: [],
+      },
+    ]);
+  });
+
+  it('puts the "+" back only on legacy digits that read as international', async () => {
+    const rows = ['442079460958', '3035551212', '13035551212', '02079460958'].map(phone => ({
+      phones: [`+${phone}`], creationDate: '2021-03-10T18:14:22Z',
+    }));
+    const legacyPhones = async defaultCountry => (
+      await createNativeContactDates(createMockCreationDateModule(rows, { legacy: true }), { defaultCountry }).loadRecords()
+    ).map(record => record.phones);
+
+    await expect(legacyPhones('US')).resolves.toEqual([
+      ['442079460958', '+442079460958'],
+      ['3035551212'],
+      ['13035551212'],
+      ['02079460958'],
+    ]);
+    await expect(legacyPhones('GB')).resolves.toEqual([
+      ['442079460958', '+442079460958'],
+      ['3035551212', '+3035551212'],
+      ['13035551212', '+13035551212'],
+      ['02079460958'],
+    ]);
+  });
+
+  it('is unavailable without the native module', async () => {
+    const nativeDates = createNativeContactDates(undefined);
+
+    expect(nativeDates.isAvailable).toBe(false);
+    await expect(nativeDates.loadRecords()).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from '@jest/globals';
+import { isInternationalDigits, normalizePhoneNumber, phoneMatchKey } from '../phone';
+
+const e164 = (phoneNumber, defaultCountry) => normalizePhoneNumber(phoneNumber, { defaultCountry })?.e164 ?? null;
+
+describe('normalizePhoneNumber', () => {
+  it('reads the same US number written every usual way', () => {
+    for (const written of ['+1 303-555-1212', '(303) 555-1212', '1 303 555 1212', '011 1 303 555 1212', '001 303 555 1212']) {
+      expect(e164(written, 'US')).toBe('+13035551212');
+    }
+  });
+
+  it('treats 00 as the international prefix in every known region', () => {
+    expect(e164('0044 20 7946 0958', 'US')).toBe('+442079460958');
+    expect(e164('0044 20 7946 0958', 'DE')).toBe('+442079460958');
+    expect(e164('001 303 555 1212', 'GB')).toBe('+13035551212');
+  });
+
+  it('drops the trunk 0 of national numbers, except where it is kept', () => {
+    expect(e164('020 7946 0958', 'GB')).toBe('+442079460958');
+    expect(e164('+49 (0)30 1234567', 'US')).toBe('+49301234567');
+    expect(e164('06 1234 5678', 'IT')).toBe('+390612345678');
+  });
+
+  it('splits off extensions', () => {
+    expect(normalizePhoneNumber('(303) 555-1212 x4', { defaultCountry: 'US' }))
+      .toEqual({ e164: '+13035551212', extension: '4' });
+  });
+
+  it('rejects numbers it cannot place', () => {
+    expect(e164('555-1212', 'US')).toBeNull();
+    expect(e164('12345', 'XX')).toBeNull();
+  });
+});
+
+describe('isInternationalDigits', () => {
+  const international = (digits, defaultCountry) => isInternationalDigits(digits, { defaultCountry });
+
+  it('reads North American numbers by length', () => {
+    expect(international('3035551212', 'US')).toBe(false);
+    expect(international('13035551212', 'CA')).toBe(false);
+    expect(international('442079460958', 'US')).toBe(true);
+  });
+
+  it('reads numbers without the trunk 0 as international elsewhere', () => {
+    expect(international('02079460958', 'GB')).toBe(false);
+    expect(international('4930123456', 'GB')).toBe(true);
+    expect(international('0612345678', 'IT')).toBe(false);
+    expect(international('3912345678', 'IT')).toBe(true);
+    expect(international('3471234567', 'IT')).toBe(false);
+  });
+
+  it('reads every number as international in an unknown region', () => {
+    expect(international('3035551212', 'ZZ')).toBe(true);
+  });
+});
+
+describe('phoneMatchKey', () => {
+  it('falls back to the last digits for numbers that do not parse', () => {
+    expect(phoneMatchKey('442079460958', { defaultCountry: 'US' })).toBe('2079460958');
+    expect(phoneMatchKey('123', { defaultCountry: 'US' })).toBeNull();
+  });
+});
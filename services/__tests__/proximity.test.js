@@ -0,0 +1,92 @@
+import { describe, expect, it, jest } from '@jest/globals';
+import { createProximityMonitor } from '../proximity';
+import { STORAGE_KEYS, createMemoryStorage } from '../storage';
+
+// Device services are replaced by the fakes below; only the imports need to load
+jest.mock('expo-task-manager', () => ({ defineTask: () => {} }));
+jest.mock('expo-notifications', () => ({}));
+
+const NOON = new Date(2026, 9, 19, 12).getTime();
+const HOME = { latitude: 40, longitude: -105 };
+
+/**
+ * One contact per place, each place 2 km further north than the last
+ */
+function metadataWithPlaces(count) {
+  const pins = {};
+  const names = {};
+  for (let index = 0; index < count; index++) {
+    pins[`c${index}`] = [{ latitude: HOME.latitude + index * 0.018, longitude: HOME.longitude }];
+    names[`c${index}`] = `Contact ${index}`;
+  }
+  return { pins, tags: {}, names };
+}
+
+/**
+ * Monitor with proximity enabled, a fake locator and a notifier that records
+ */
+function createTestMonitor({ position = HOME } = {}) {
+  const storage = createMemoryStorage({
+    [STORAGE_KEYS.PROXIMITY]: JSON.stringify({ enabled: true, radiusMeters: 250, tags: null }),
+  });
+  const armed = [];
+  const sent = [];
+  const locator = {
+    position,
+    hasBackgroundPermission: async () => true,
+    getLastKnownPosition: async () => locator.position,
+    getCurrentPosition: async () => locator.position,
+    startGeofencing: async (regions) => { armed.push(regions); },
+    stopGeofencing: async () => { armed.push([]); },
+  };
+  const notifier = { notify: async (alert) => { sent.push(alert); } };
+
+  const monitor = createProximityMonitor({ storage, now: () => NOON, locator, notifier });
+  return { monitor, locator, armed, sent };
+}
+
+describe('createProximityMonitor geofences', () => {
+  it('arms every place without a refresh region when they all fit', async () => {
+    const { monitor, armed } = createTestMonitor();
+    await monitor.syncPlaces(metadataWithPlaces(5));
+
+    expect(armed[0]).toHaveLength(5);
+    expect(armed[0].every(region => region.notifyOnEnter && !region.notifyOnExit)).toBe(true);
+  });
+
+  it('arms the 19 nearest places and a refresh region when there are more', async () => {
+    const { monitor, armed } = createTestMonitor();
+    await monitor.syncPlaces(metadataWithPlaces(30));
+
+    const regions = armed[0];
+    expect(regions).toHaveLength(20);
+    expect(regions.slice(0, 19).map(region => region.latitude)).toEqual(
+      Array.from({ length: 19 }, (_, index) => HOME.latitude + index * 0.018)
+    );
+    expect(regions[19]).toMatchObject({ ...HOME, notifyOnEnter: false, notifyOnExit: true });
+  });
+
+  it('re-picks places around the new position on leaving the refresh region', async () => {
+    const { monitor, locator, armed } = createTestMonitor();
+    await monitor.syncPlaces(metadataWithPlaces(30));
+    const refreshId = armed[0][19].identifier;
+
+    locator.position = { latitude: HOME.latitude + 29 * 0.018, longitude: HOME.longitude };
+    await monitor.handleGeofenceEvent({ regionId: refreshId, isEnter: false });
+
+    const regions = armed[1];
+    expect(regions[0].latitude).toBeCloseTo(locator.position.latitude);
+    expect(regions[19]).toMatchObject({ ...locator.position, identifier: refreshId });
+  });
+
+  it('alerts on entering a place, once per cooldown', async () => {
+    const { monitor, armed, sent } = createTestMonitor();
+    await monitor.syncPlaces(metadataWithPlaces(1));
+    const placeId = armed[0][0].identifier;
+
+    await monitor.handleGeofenceEvent({ regionId: placeId, isEnter: true });
+    await monitor.handleGeofenceEvent({ regionId: placeId, isEnter: true });
+
+    expect(sent).toEqual([expect.objectContaining({ body: 'You met Contact 0 here.' })]);
+  });
+});
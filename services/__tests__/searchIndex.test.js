@@ -0,0 +1,75 @@
+import { describe, expect, it } from '@jest/globals';
+import { buildSearchFields, createSearchIndex } from '../searchIndex';
+
+const CONTACTS = [
+  { id: 'c1', name: 'Ana Boulder', phoneNumbers: [{ number: '+1 (303) 555-1212' }] },
+  { id: 'c2', name: 'José Ruiz', company: 'Longmont Bakery' },
+  { id: 'c3', name: 'Sam Wilder' },
+];
+
+/**
+ * Index over CONTACTS, with tags for Sam
+ */
+function createTestIndex() {
+  const index = createSearchIndex();
+  index.sync(new Map(CONTACTS.map(contact => [
+    contact.id,
+    buildSearchFields(contact, { tags: contact.id === 'c3' ? ['climbing'] : [] }),
+  ])));
+  return index;
+}
+
+const matchedIds = (index, text, options) => index.search(text, options).map(({ contactId }) => contactId);
+
+describe('createSearchIndex search', () => {
+  it('matches exact, prefix and substring terms', () => {
+    const index = createTestIndex();
+
+    expect(matchedIds(index, 'boulder')).toEqual(['c1']);
+    expect(matchedIds(index, 'boul')).toEqual(['c1']);
+    expect(matchedIds(index, 'ulde')).toEqual(['c1']);
+    expect(matchedIds(index, 'jose')).toEqual(['c2']);
+  });
+
+  it('matches a term with typos that keeps its first character', () => {
+    const index = createTestIndex();
+
+    expect(matchedIds(index, 'bolder')).toEqual(['c1']);
+    expect(matchedIds(index, 'longmnt')).toEqual(['c2']);
+    expect(matchedIds(index, 'climbnig')).toEqual(['c3']);
+    expect(matchedIds(index, 'voulder')).toEqual([]);
+  });
+
+  it('ranks exact matches above fuzzy ones', () => {
+    const index = createTestIndex();
+    index.upsert('c4', buildSearchFields({ id: 'c4', name: 'Kim Bolder' }));
+
+    expect(matchedIds(index, 'bolder')).toEqual(['c4', 'c1']);
+  });
+
+  it('forgets terms of removed contacts, including fuzzy candidates', () => {
+    const index = createTestIndex();
+    index.remove('c1');
+
+    expect(matchedIds(index, 'bolder')).toEqual([]);
+    expect(matchedIds(index, 'wildr')).toEqual(['c3']);
+  });
+
+  it('matches phone numbers by digits', () => {
+    const index = createTestIndex();
+
+    expect(matchedIds(index, '555-12')).toEqual(['c1']);
+  });
+
+  it('searches numbers no phone matches as text', () => {
+    const index = createTestIndex();
+    index.upsert('c4', buildSearchFields(
+      { id: 'c4', name: 'Kim Lee', company: 'Studio 2025' },
+      { notes: [{ text: 'Met at 2025 kickoff' }] }
+    ));
+
+    expect(matchedIds(index, '2025')).toEqual(['c4']);
+    expect(matchedIds(index, '2025', { fields: ['notes'] })).toEqual(['c4']);
+    expect(matchedIds(index, '555')).toEqual(['c1']);
+  });
+});
@@ -0,0 +1,415 @@
+/**
+ * NeverForget - Backup and Restore
+ *
+ * Purpose: Saves every @nf: key to a file and restores it on another
+ *          device (or after a reinstall), re-linking metadata to contacts.
+ *
+ * Why fingerprints: expo-contacts IDs are device-specific, so a restored
+ * tag or pin can't be attached by ID. The backup carries each contact's
+ * name, phone numbers and emails; restore finds the same person among the
+ * new device's contacts by those instead.
+ *
+ * Matching rules:
+ * - A shared phone number or email is a match; the most shared wins
+ * - A tie, or a match on name alone, needs a decision by hand
+ * - No candidates at all is reported as not found
+ */
+
+import { nameMatchKey } from './searchIndex';
+import { phoneMatchKey } from './phone';
+import { runMigrations, CURRENT_SCHEMA_VERSION } from './migrations';
+import { STORAGE_KEYS, createMemoryStorage } from './storage';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Identifies NeverForget backup files
+ */
+export const BACKUP_FORMAT = 'neverforget-backup';
+
+/**
+ * Backup file layout version (not the storage schema version)
+ */
+const BACKUP_VERSION = 1;
+
+/**
+ * Prefix shared by every key NeverForget writes
+ */
+const NF_KEY_PREFIX = '@nf:';
+
+/**
+ * How each per-contact key combines restored entries with what the device
+ * already has for the same contact
+ */
+const CONTACT_KEY_MERGERS = {
+  // The earliest sighting is the meaningful one
+  [STORAGE_KEYS.FIRST_SEEN]: (existing, restored) => (
+    existing ? Math.min(existing, restored) : restored
+  ),
+  [STORAGE_KEYS.TAGS]: (existing = [], restored) => (
+    Array.from(new Set([...existing, ...restored]))
+  ),
+  [STORAGE_KEYS.PINS]: (existing = [], restored) => (
+    mergeById(existing, restored).sort((a, b) => a.timestamp - b.timestamp)
+  ),
+  [STORAGE_KEYS.NOTES]: (existing = [], restored) => (
+    mergeById(existing, restored).sort((a, b) => a.createdAt - b.createdAt)
+  ),
+  // Notification IDs belong to the old device, so restored ones are rescheduled
+  [STORAGE_KEYS.REMINDERS]: (existing, restored) => (
+    existing || { ...restored, notificationId: null }
+  ),
+  [STORAGE_KEYS.CHANGE_LOG]: (existing = [], restored) => (
+    mergeById(existing, restored).sort((a, b) => a.at - b.at)
+  ),
+};
+
+/**
+ * Keys that aren't tied to one contact, restored only if the device has
+ * none of its own
+ */
+const DEVICE_KEYS_KEPT = [STORAGE_KEYS.READY, STORAGE_KEYS.IMPORT_CHOICE];
+
+/**
+ * Keys that describe this device's address book, left out of backups
+ */
+const DEVICE_ONLY_KEYS = [STORAGE_KEYS.CONTACT_SNAPSHOT];
+
+// ============================================================================
+// FINGERPRINTS
+// ============================================================================
+
+/**
+ * Captures what identifies a contact across devices
+ *
+ * Raw values are kept; normalization happens when matching so improved
+ * rules apply to old backups too.
+ *
+ * @param {Object} contact - Contact from Expo Contacts
+ * @returns {Object} { name, phones: string[], emails: string[] }
+ */
+export function buildFingerprint(contact) {
+  return {
+    name: contact.name || '',
+    phones: (contact.phoneNumbers || []).map(phone => phone.number).filter(Boolean),
+    emails: (contact.emails || []).map(email => email.email).filter(Boolean),
+  };
+}
+
+/**
+ * Normalizes a fingerprint into comparable keys
+ *
+ * @param {Object} fingerprint - From buildFingerprint
+ * @returns {Object} { name, phones: Set, emails: Set }
+ */
+function fingerprintKeys({ name, phones, emails }) {
+  return {
+    name: nameMatchKey(name),
+    phones: new Set(phones.map(phoneMatchKey).filter(Boolean)),
+    emails: new Set(emails.map(email => email.trim().toLowerCase())),
+  };
+}
+
+/**
+ * Adds an ID to a multimap entry
+ *
+ * @param {Map<string, Set>} index - Key -> IDs
+ * @param {string} key - Lookup key
+ * @param {string} id - ID to add
+ */
+function addToIndex(index, key, id) {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(id);
+}
+
+/**
+ * Finds each backed-up contact among the device's contacts
+ *
+ * @param {Object} fingerprints - Backup contactId -> fingerprint
+ * @param {Object[]} deviceContacts - Every contact on this device
+ * @returns {Object} {
+ *   matches: { backupId: deviceId },
+ *   ambiguous: [{ backupId, fingerprint, candidateIds }],
+ *   unmatched: [{ backupId, fingerprint }]
+ * }
+ */
+export function matchBackupContacts(fingerprints, deviceContacts) {
+  const byPhone = new Map();
+  const byEmail = new Map();
+  const byName = new Map();
+
+  for (const contact of deviceContacts) {
+    const keys = fingerprintKeys(buildFingerprint(contact));
+    keys.phones.forEach(phone => addToIndex(byPhone, phone, contact.id));
+    keys.emails.forEach(email => addToIndex(byEmail, email, contact.id));
+    if (keys.name) addToIndex(byName, keys.name, contact.id);
+  }
+
+  const matches = {};
+  const ambiguous = [];
+  const unmatched = [];
+
+  for (const [backupId, fingerprint] of Object.entries(fingerprints)) {
+    const keys = fingerprintKeys(fingerprint);
+
+    // Shared identifiers count two points each; a shared name counts one
+    const scores = new Map();
+    const addScore = (ids, points) => {
+      for (const id of ids || []) scores.set(id, (scores.get(id) || 0) + points);
+    };
+    keys.phones.forEach(phone => addScore(byPhone.get(phone), 2));
+    keys.emails.forEach(email => addScore(byEmail.get(email), 2));
+    if (keys.name) addScore(byName.get(keys.name), 1);
+
+    if (scores.size === 0) {
+      unmatched.push({ backupId, fingerprint });
+      continue;
+    }
+
+    const bestScore = Math.max(...scores.values());
+    const best = [...scores].filter(([, score]) => score === bestScore).map(([id]) => id);
+
+    if (best.length === 1 && bestScore >= 2) {
+      matches[backupId] = best[0];
+    } else {
+      const candidateIds = [...scores]
+        .sort((a, b) => b[1] - a[1])
+        .map(([id]) => id);
+      ambiguous.push({ backupId, fingerprint, candidateIds });
+    }
+  }
+
+  return { matches, ambiguous, unmatched };
+}
+
+// ============================================================================
+// BACKUP
+// ============================================================================
+
+/**
+ * Collects every contact ID that per-contact keys hold data for
+ *
+ * @param {Object} entries - Parsed values keyed by storage key
+ * @returns {Set<string>} Contact IDs
+ */
+function referencedContactIds(entries) {
+  const ids = new Set();
+  for (const key of Object.keys(CONTACT_KEY_MERGERS)) {
+    Object.keys(entries[key] || {}).forEach(id => ids.add(id));
+  }
+  for (const event of entries[STORAGE_KEYS.EVENTS] || []) {
+    [...event.contactIds, ...event.excludedContactIds].forEach(id => ids.add(id));
+  }
+  return ids;
+}
+
+/**
+ * Parses raw storage values, keeping plain strings as they are
+ *
+ * @param {Object} rawEntries - Storage key -> raw string
+ * @returns {Object} Storage key -> parsed value
+ */
+function parseEntries(rawEntries) {
+  const parsed = {};
+  for (const [key, raw] of Object.entries(rawEntries)) {
+    try {
+      parsed[key] = JSON.parse(raw);
+    } catch {
+      parsed[key] = raw; // Plain strings such as @nf:importChoice
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Builds a backup of every @nf: key
+ *
+ * Why raw strings: Entries are stored exactly as AsyncStorage holds them,
+ * so restore can run them through the same migrations as an old install.
+ *
+ * @param {Object} storage - AsyncStorage-compatible adapter
+ * @param {Object[]} deviceContacts - Every contact on this device
+ * @param {Object} options
+ * @param {number} options.now - Backup time in epoch ms
+ * @returns {Promise<Object>} Backup document
+ */
+export async function createBackup(storage, deviceContacts, { now = Date.now() } = {}) {
+  const keys = (await storage.getAllKeys()).filter(key =>
+    key.startsWith(NF_KEY_PREFIX) && !DEVICE_ONLY_KEYS.includes(key)
+  );
+  const rawEntries = Object.fromEntries(
+    (await storage.multiGet(keys)).filter(([, value]) => value !== null)
+  );
+
+  const contactsById = new Map(deviceContacts.map(contact => [contact.id, contact]));
+  const fingerprints = {};
+  for (const contactId of referencedContactIds(parseEntries(rawEntries))) {
+    const contact = contactsById.get(contactId);
+    if (contact) fingerprints[contactId] = buildFingerprint(contact);
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date(now).toISOString(),
+    entries: rawEntries,
+    fingerprints,
+  };
+}
+
+/**
+ * Parses and validates a backup file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} Backup document
+ * @throws {Error} If the file isn't a usable NeverForget backup
+ */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error('This file isn\'t valid JSON.');
+  }
+
+  if (backup?.format !== BACKUP_FORMAT || typeof backup.entries !== 'object') {
+    throw new Error('This file isn\'t a NeverForget backup.');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of NeverForget. Update the app to restore it.');
+  }
+
+  return { ...backup, fingerprints: backup.fingerprints || {} };
+}
+
+/**
+ * Upgrades a backup's entries to the current storage schema
+ *
+ * @param {Object} backup - Parsed backup
+ * @returns {Promise<Object>} Storage key -> parsed value, current shape
+ * @throws {Error} If the backup's schema is newer than this build
+ */
+export async function migrateBackupEntries(backup) {
+  const backupVersion = parseInt(backup.entries[STORAGE_KEYS.SCHEMA_VERSION], 10) || 0;
+  if (backupVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error('This backup was made by a newer version of NeverForget. Update the app to restore it.');
+  }
+
+  const scratch = createMemoryStorage(backup.entries);
+  await runMigrations(scratch);
+
+  const migrated = scratch.snapshot();
+  delete migrated[STORAGE_KEYS.SCHEMA_VERSION];
+  return parseEntries(migrated);
+}
+
+// ============================================================================
+// RESTORE
+// ============================================================================
+
+/**
+ * Combines two lists of records that carry an id, keeping existing ones
+ *
+ * @param {Object[]} existing - Records already on the device
+ * @param {Object[]} restored - Records from the backup
+ * @returns {Object[]} Union by id
+ */
+function mergeById(existing, restored) {
+  const existingIds = new Set(existing.map(record => record.id));
+  return [...existing, ...restored.filter(record => !existingIds.has(record.id))];
+}
+
+/**
+ * Combines two entries for the same contact under a per-contact key
+ *
+ * Why exported: Contacts merged in the address book, or restored from the
+ * archive, combine their metadata by the same rules as a backup restore.
+ *
+ * @param {string} key - Per-contact storage key (tags, pins, notes, …)
+ * @param {*} existing - Entry the contact already has (undefined if none)
+ * @param {*} incoming - Entry being added
+ * @returns {*} Combined entry
+ */
+export function mergeContactEntry(key, existing, incoming) {
+  return CONTACT_KEY_MERGERS[key](existing, incoming);
+}
+
+/**
+ * Writes backup entries into storage under this device's contact IDs
+ *
+ * Existing data is merged, never replaced: restoring onto a phone that has
+ * already been used keeps what it has. Entries for contacts missing from
+ * idMap are left out. All keys are written in one multiSet.
+ *
+ * @param {Object} storage - AsyncStorage-compatible adapter
+ * @param {Object} entries - From migrateBackupEntries
+ * @param {Object} idMap - Backup contactId -> device contactId
+ * @returns {Promise<number>} Number of device contacts that received data
+ */
+export async function applyBackup(storage, entries, idMap) {
+  const keys = [
+    ...Object.keys(CONTACT_KEY_MERGERS),
+    ...DEVICE_KEYS_KEPT,
+    STORAGE_KEYS.SMART_LISTS,
+    STORAGE_KEYS.EVENTS,
+    STORAGE_KEYS.ARCHIVE,
+  ];
+  const current = parseEntries(Object.fromEntries(
+    (await storage.multiGet(keys)).filter(([, value]) => value !== null)
+  ));
+
+  const updates = [];
+  const restoredContactIds = new Set();
+
+  for (const [key, merge] of Object.entries(CONTACT_KEY_MERGERS)) {
+    const restored = entries[key];
+    if (!restored) continue;
+
+    const merged = { ...(current[key] || {}) };
+    for (const [backupId, value] of Object.entries(restored)) {
+      const deviceId = idMap[backupId];
+      if (!deviceId) continue;
+
+      merged[deviceId] = merge(merged[deviceId], value);
+      restoredContactIds.add(deviceId);
+    }
+    updates.push([key, JSON.stringify(merged)]);
+  }
+
+  for (const key of DEVICE_KEYS_KEPT) {
+    if (current[key] === undefined && entries[key] !== undefined) {
+      const value = entries[key];
+      updates.push([key, typeof value === 'string' ? value : JSON.stringify(value)]);
+    }
+  }
+
+  if (entries[STORAGE_KEYS.SMART_LISTS]) {
+    const smartLists = mergeById(current[STORAGE_KEYS.SMART_LISTS] || [], entries[STORAGE_KEYS.SMART_LISTS]);
+    updates.push([STORAGE_KEYS.SMART_LISTS, JSON.stringify(smartLists)]);
+  }
+
+  // Archived contacts aren't on any device, so their IDs stay as they are
+  if (entries[STORAGE_KEYS.ARCHIVE]) {
+    const archive = mergeById(current[STORAGE_KEYS.ARCHIVE] || [], entries[STORAGE_KEYS.ARCHIVE]);
+    updates.push([STORAGE_KEYS.ARCHIVE, JSON.stringify(archive)]);
+  }
+
+  // Events name their members, so they move to device IDs like everything else
+  if (entries[STORAGE_KEYS.EVENTS]) {
+    const toDeviceIds = ids => ids.map(id => idMap[id]).filter(Boolean);
+    const restoredEvents = entries[STORAGE_KEYS.EVENTS]
+      .map(event => ({
+        ...event,
+        contactIds: toDeviceIds(event.contactIds),
+        excludedContactIds: toDeviceIds(event.excludedContactIds),
+      }))
+      .filter(event => event.contactIds.length + event.excludedContactIds.length > 0);
+    const events = mergeById(current[STORAGE_KEYS.EVENTS] || [], restoredEvents);
+    updates.push([STORAGE_KEYS.EVENTS, JSON.stringify(events)]);
+  }
+
+  await storage.multiSet(updates);
+  return restoredContactIds.size;
+}
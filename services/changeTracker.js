@@ -0,0 +1,207 @@
+/**
+ * NeverForget - Change Tracking
+ *
+ * Purpose: Works out what happened to the address book between two reads:
+ *          which contacts were added, edited, deleted, or merged into
+ *          another, so metadata can follow them instead of being orphaned.
+ *
+ * How: Each read is reduced to a snapshot of contact fingerprints (name,
+ * phones, emails; see backup.js). Comparing two snapshots classifies
+ * every change.
+ *
+ * Merge rules:
+ * - A deleted contact with at least one phone or email is a merge when a
+ *   remaining contact now has all of its phones and emails
+ * - With several such contacts, the one that changed this time wins; if
+ *   that still isn't one contact, it's treated as a plain deletion
+ *
+ * Change log entry shape:
+ *   { id, type, at, details }
+ *   added:    { name }
+ *   edited:   { name?: { from, to }, phones?: { added, removed }, emails?: { added, removed } }
+ *   merged:   { fromId, name } (on the contact that absorbed the other)
+ *   deleted:  { name } (kept with the archived metadata)
+ *   restored: { name } (archived metadata attached to this contact)
+ */
+
+import { buildFingerprint } from './backup';
+import { phoneMatchKey } from './phone';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Kinds of change recorded in a contact's change log
+ */
+export const CHANGE_TYPES = {
+  ADDED: 'added',
+  EDITED: 'edited',
+  MERGED: 'merged',
+  DELETED: 'deleted',
+  RESTORED: 'restored',
+};
+
+/**
+ * Most change log entries kept per contact (oldest are dropped)
+ */
+export const MAX_CHANGES_PER_CONTACT = 50;
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+/**
+ * Reduces an address book read to comparable fingerprints
+ *
+ * @param {Object[]} deviceContacts - Every contact on this device
+ * @returns {Object} contactId -> { name, phones, emails }
+ */
+export function snapshotContacts(deviceContacts) {
+  return Object.fromEntries(
+    deviceContacts.map(contact => [contact.id, buildFingerprint(contact)])
+  );
+}
+
+/**
+ * Maps each phone or email in a fingerprint to its match key
+ *
+ * Why keys: Reformatting a number ("3035551212" -> "(303) 555-1212")
+ * isn't an edit worth recording.
+ *
+ * @param {Object} fingerprint - { phones, emails }
+ * @returns {Map<string, string>} Key -> raw value
+ */
+function contactPointKeys({ phones, emails }) {
+  const keys = new Map();
+  phones.forEach((phone) => {
+    const key = phoneMatchKey(phone);
+    if (key) keys.set(`phone:${key}`, phone);
+  });
+  emails.forEach((email) => {
+    const key = email.trim().toLowerCase();
+    if (key) keys.set(`email:${key}`, email);
+  });
+  return keys;
+}
+
+/**
+ * Lists what changed between two fingerprints of one contact
+ *
+ * @param {Object} before - Previous fingerprint
+ * @param {Object} after - Current fingerprint
+ * @returns {Object|null} Edited details (see header), or null if nothing changed
+ */
+export function describeFingerprintChanges(before, after) {
+  const details = {};
+  if (before.name !== after.name) {
+    details.name = { from: before.name, to: after.name };
+  }
+
+  const beforeKeys = contactPointKeys(before);
+  const afterKeys = contactPointKeys(after);
+  for (const field of ['phones', 'emails']) {
+    const prefix = field === 'phones' ? 'phone:' : 'email:';
+    const added = [...afterKeys].filter(([key]) => key.startsWith(prefix) && !beforeKeys.has(key));
+    const removed = [...beforeKeys].filter(([key]) => key.startsWith(prefix) && !afterKeys.has(key));
+    if (added.length > 0 || removed.length > 0) {
+      details[field] = {
+        added: added.map(([, value]) => value),
+        removed: removed.map(([, value]) => value),
+      };
+    }
+  }
+
+  return Object.keys(details).length > 0 ? details : null;
+}
+
+/**
+ * Classifies every change between two snapshots
+ *
+ * @param {Object} previous - Snapshot from the last read
+ * @param {Object} current - Snapshot from this read
+ * @returns {Object} {
+ *   added: [contactId],
+ *   edited: [{ contactId, details }],
+ *   merged: [{ contactId (gone), intoId }],
+ *   deleted: [contactId]
+ * }
+ */
+export function diffSnapshots(previous, current) {
+  const added = Object.keys(current).filter(contactId => !previous[contactId]);
+  const gone = Object.keys(previous).filter(contactId => !current[contactId]);
+
+  const edited = [];
+  for (const contactId of Object.keys(current)) {
+    if (!previous[contactId]) continue;
+    const details = describeFingerprintChanges(previous[contactId], current[contactId]);
+    if (details) edited.push({ contactId, details });
+  }
+
+  const changedIds = new Set([...added, ...edited.map(({ contactId }) => contactId)]);
+  const currentKeys = Object.entries(current).map(([contactId, fingerprint]) => ({
+    contactId,
+    keys: contactPointKeys(fingerprint),
+  }));
+
+  const merged = [];
+  const deleted = [];
+  for (const contactId of gone) {
+    const goneKeys = [...contactPointKeys(previous[contactId]).keys()];
+    const holders = goneKeys.length === 0 ? [] : currentKeys
+      .filter(({ keys }) => goneKeys.every(key => keys.has(key)))
+      .map(holder => holder.contactId);
+    const changedHolders = holders.filter(holderId => changedIds.has(holderId));
+
+    const intoId = holders.length === 1 ? holders[0]
+      : changedHolders.length === 1 ? changedHolders[0]
+        : null;
+    if (intoId) {
+      merged.push({ contactId, intoId });
+    } else {
+      deleted.push(contactId);
+    }
+  }
+
+  return { added, edited, merged, deleted };
+}
+
+// ============================================================================
+// CHANGE LOG
+// ============================================================================
+
+/**
+ * Appends entries to a contact's change log, keeping it bounded
+ *
+ * @param {Object[]} log - Existing entries, oldest first
+ * @param {Object[]} entries - New entries
+ * @returns {Object[]} Updated log
+ */
+export function appendChanges(log = [], entries) {
+  return [...log, ...entries]
+    .sort((a, b) => a.at - b.at)
+    .slice(-MAX_CHANGES_PER_CONTACT);
+}
+
+/**
+ * Describes a change log entry for display
+ *
+ * @param {Object} entry - Change log entry
+ * @returns {string} "Renamed from Sam to Samuel; added phone (303) 555-1212"
+ */
+export function describeChange({ type, details = {} }) {
+  if (type === CHANGE_TYPES.ADDED) return 'Added to Contacts';
+  if (type === CHANGE_TYPES.MERGED) return `Merged with ${details.name || 'a duplicate contact'}`;
+  if (type === CHANGE_TYPES.DELETED) return 'Deleted from Contacts';
+  if (type === CHANGE_TYPES.RESTORED) return `Restored notes and pins from ${details.name || 'a deleted contact'}`;
+
+  const parts = [];
+  if (details.name) parts.push(`Renamed from ${details.name.from || '(no name)'} to ${details.name.to || '(no name)'}`);
+  for (const [field, label] of [['phones', 'phone'], ['emails', 'email']]) {
+    const { added = [], removed = [] } = details[field] || {};
+    if (added.length > 0) parts.push(`added ${label} ${added.join(', ')}`);
+    if (removed.length > 0) parts.push(`removed ${label} ${removed.join(', ')}`);
+  }
+  const text = parts.join('; ') || 'Edited';
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
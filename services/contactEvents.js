@@ -0,0 +1,203 @@
+/**
+ * NeverForget - Contact Events
+ *
+ * Purpose: Handles ContactsChanged and ContactAddedWithLocation from the
+ *          native module (ios/ContactsEventsModule.swift), and the app's
+ *          own sync requests, one at a time, so overlapping events can't
+ *          process the same new contact twice.
+ *
+ * Rules:
+ * - A contact is new when @nf:firstSeen has no entry for it, never
+ *   because it wasn't on screen (the "only new" mode hides most contacts)
+ * - Whichever sync stamps a new contact pins it, so every sync goes
+ *   through the queue: launch, refresh and foreground included
+ * - Every handler is idempotent: replaying an event, or receiving it
+ *   twice, leaves the same data behind
+ * - Syncs waiting back to back (ContactsChanged included) are handled
+ *   once, since they'd all see the same address book
+ *
+ * Nothing here depends on React: the store, sync engine and locator are
+ * passed in, so event sequences can be replayed against an in-memory
+ * store (see createMemoryStorage).
+ */
+
+import { SYNC_REASONS } from './contactSync';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Events emitted by ContactsEventsModule
+ */
+export const CONTACT_EVENTS = {
+  CHANGED: 'ContactsChanged',                      // No payload
+  ADDED_WITH_LOCATION: 'ContactAddedWithLocation', // { id, lat, lng, timestamp }
+};
+
+/**
+ * Queue event for a sync the app asks for itself (launch, refresh,
+ * foreground), with payload { reasons: SYNC_REASONS values, immediate }
+ */
+export const SYNC_REQUEST = 'SyncRequested';
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+/**
+ * Creates the handler for each queue event: SYNC_REQUEST and
+ * ContactAddedWithLocation (the queue turns ContactsChanged into a
+ * SYNC_REQUEST)
+ *
+ * Handlers resolve with { newContacts }: contacts seen for the first time,
+ * for the quick note prompt.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Contact store (see contactStore.js)
+ * @param {Object} options.sync - Sync engine (see contactSync.js)
+ * @param {Function} options.locate - () => Promise<{ latitude, longitude }|null>, null without permission
+ * @param {Function} options.now - Clock, injectable for deterministic tests
+ * @returns {Object} Event name -> (payload) => Promise<Object>
+ */
+export function createContactEventHandlers({ store, sync, locate, now = Date.now }) {
+  /**
+   * Pins every contact a sync saw for the first time at the current
+   * location
+   *
+   * Why newlySeenIds: They're the contacts that sync stamped, so a
+   * repeated event finds nobody new, and neither does the first run that
+   * stamps the existing address book.
+   *
+   * Why check ready: Until an import choice has set the app up, nothing
+   * is stamped and no contact counts as new (the import modal may still
+   * be open).
+   *
+   * @param {Object} result - Sync result (see createContactSync)
+   * @returns {Promise<Object>} { newContacts }
+   */
+  const captureNewContacts = async ({ deviceContacts, newlySeenIds }) => {
+    if (!store.getState().ready || newlySeenIds.length === 0) return { newContacts: [] };
+
+    const newIds = new Set(newlySeenIds);
+    const newContacts = deviceContacts.filter(contact => newIds.has(contact.id));
+
+    try {
+      const position = await locate();
+      if (position) {
+        await store.addEncounter(newlySeenIds, { ...position, timestamp: now() });
+      }
+    } catch (error) {
+      console.error('Location capture error:', error);
+    }
+    return { newContacts };
+  };
+
+  /**
+   * Syncs for ContactsChanged or the app's own requests, then pins the
+   * contacts that sync found
+   *
+   * @param {Object} payload - { reasons, immediate }
+   * @returns {Promise<Object>} { newContacts }
+   */
+  const handleSyncRequest = async ({ reasons, immediate = false }) => {
+    // Requested together, every reason joins the same sync
+    const [result] = await Promise.all(reasons.map(reason => sync.requestSync(reason, { immediate })));
+    return captureNewContacts(result);
+  };
+
+  /**
+   * Records a contact added through the native UI, with the location the
+   * native side captured
+   *
+   * Why it's safe to repeat: First-seen is only set, to the event's own
+   * timestamp, when the contact has none yet, and an encounter at that
+   * time merges with the one already there (see ENCOUNTER_MERGE_WINDOW_MS).
+   *
+   * Ignored before an import choice, like every other capture.
+   *
+   * Contacts the follow-up sync finds on its own (say, one added in the
+   * Contacts app at the same moment) are pinned like for ContactsChanged.
+   *
+   * @param {Object} payload - { id, lat, lng, timestamp }
+   * @returns {Promise<Object>} { newContacts }
+   */
+  const handleContactAdded = async ({ id, lat, lng, timestamp } = {}) => {
+    if (!id || !store.getState().ready) return { newContacts: [] };
+
+    const isNew = !store.getState().firstSeen[id];
+    const eventTime = Number.isFinite(timestamp) ? timestamp : now();
+
+    if (isNew) await store.recordFirstSeen([id], eventTime);
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      await store.addEncounter(id, { latitude: lat, longitude: lng, timestamp: eventTime });
+    }
+    const { newContacts } = await captureNewContacts(await sync.requestSync(SYNC_REASONS.CONTACT_ADDED));
+
+    return { newContacts: isNew ? [{ id }, ...newContacts] : newContacts };
+  };
+
+  return {
+    [SYNC_REQUEST]: handleSyncRequest,
+    [CONTACT_EVENTS.ADDED_WITH_LOCATION]: handleContactAdded,
+  };
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Creates a queue that runs contact events one at a time, in order
+ *
+ * ContactsChanged is queued as a SYNC_REQUEST. A sync request joins the
+ * one waiting at the end of the queue, if any, adding its reasons.
+ *
+ * A failed event is reported to its caller and doesn't stop the queue.
+ *
+ * @param {Object} handlers - From createContactEventHandlers
+ * @returns {Object} { enqueue(name, payload) => Promise<Object>, whenIdle() => Promise }
+ */
+export function createContactEventQueue(handlers) {
+  let tail = Promise.resolve();
+  let waitingSync = null; // { payload, run } for a queued sync that hasn't started, if it's the last event
+
+  /**
+   * Adds an event to the queue
+   *
+   * @param {string} name - CONTACT_EVENTS value or SYNC_REQUEST
+   * @param {Object} payload - Event body from the native module, or { reasons, immediate }
+   * @returns {Promise<Object>} The handler's result
+   */
+  const enqueue = (name, payload) => {
+    if (name === CONTACT_EVENTS.CHANGED) {
+      return enqueue(SYNC_REQUEST, { reasons: [SYNC_REASONS.CONTACTS_CHANGED] });
+    }
+    if (name === SYNC_REQUEST && waitingSync) {
+      const waiting = waitingSync.payload;
+      waitingSync.payload = {
+        reasons: [...new Set([...waiting.reasons, ...payload.reasons])],
+        immediate: Boolean(waiting.immediate || payload.immediate),
+      };
+      return waitingSync.run;
+    }
+
+    const job = { payload };
+    job.run = tail.then(() => {
+      if (job === waitingSync) waitingSync = null;
+
+      const handler = handlers[name];
+      if (!handler) throw new Error(`Unknown contact event: ${name}`);
+      return handler(job.payload);
+    });
+
+    tail = job.run.catch(() => {});
+    waitingSync = name === SYNC_REQUEST ? job : null;
+    return job.run;
+  };
+
+  return {
+    enqueue,
+    whenIdle: () => tail,
+  };
+}
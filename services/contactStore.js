@@ -0,0 +1,1682 @@
+/**
+ * NeverForget - Contact Store
+ *
+ * Purpose: Owns the @nf: metadata that NeverForget layers on top of device
+ *          contacts (first-seen timestamps, tags, location pins, import mode)
+ *          and the rules for importing and tracking contacts.
+ *
+ * Why separate from App: The import and tracking rules have no React
+ * dependency, so they can be exercised against an in-memory storage
+ * stand-in instead of a simulator.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS, loadJSON, saveJSON } from './storage';
+import { runMigrations } from './migrations';
+import { coordinateKey, expoGeocoder } from './geocoder';
+import { buildSearchFields, createSearchIndex } from './searchIndex';
+import { collectRankingText, evaluateFilter, parseFilterQuery } from './filterQuery';
+import { addInterval, expoReminderScheduler, formatInterval } from './reminders';
+import { applyBackup, createBackup as buildBackup, mergeContactEntry } from './backup';
+import { CHANGE_TYPES, appendChanges, diffSnapshots, snapshotContacts } from './changeTracker';
+import {
+  commonPlaceLabel,
+  defaultEventName,
+  detectEvents as findEventGroups,
+  summarizeEncounters,
+} from './events';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Import modes offered on first launch
+ */
+export const IMPORT_MODES = {
+  ALL: 'all',          // Show every contact already on the device
+  NEW_ONLY: 'newOnly', // Only track contacts added after the cutoff
+};
+
+/**
+ * Where an encounter's coordinates came from
+ */
+export const PIN_SOURCES = {
+  GPS: 'gps',       // Captured from the device location
+  MANUAL: 'manual', // Placed or corrected by hand on the map
+  IMPORT: 'import', // Read from a CSV, KML or GPX file
+};
+
+/**
+ * Edits that can be applied to many selected contacts at once
+ */
+export const BATCH_ACTIONS = {
+  ADD_TAG: 'addTag',               // { tag }
+  REMOVE_TAG: 'removeTag',         // { tag }
+  SET_REMINDER: 'setReminder',     // { interval } (see REMINDER_PRESETS)
+  CLEAR_REMINDER: 'clearReminder',
+  CLEAR_PINS: 'clearPins',
+};
+
+/**
+ * Where each per-contact state slice is stored
+ */
+const CONTACT_SLICE_KEYS = {
+  firstSeen: STORAGE_KEYS.FIRST_SEEN,
+  tags: STORAGE_KEYS.TAGS,
+  pins: STORAGE_KEYS.PINS,
+  notes: STORAGE_KEYS.NOTES,
+  reminders: STORAGE_KEYS.REMINDERS,
+  changeLog: STORAGE_KEYS.CHANGE_LOG,
+};
+
+/**
+ * Where every state slice saveSlices() can write is stored
+ */
+const SLICE_KEYS = {
+  ...CONTACT_SLICE_KEYS,
+  events: STORAGE_KEYS.EVENTS,
+  contactSnapshot: STORAGE_KEYS.CONTACT_SNAPSHOT,
+  archive: STORAGE_KEYS.ARCHIVE,
+};
+
+/**
+ * Per-contact slices worth keeping when a contact is deleted
+ *
+ * Why not firstSeen or changeLog: They're archived along with these, but
+ * on their own they're no reason to keep an entry.
+ */
+const ARCHIVED_SLICES = ['tags', 'pins', 'notes', 'reminders'];
+
+/**
+ * Search prefixes that restrict a query to place labels ("met in Boulder")
+ */
+const PLACE_QUERY_PREFIX = /^met (in|at|near) /;
+
+/**
+ * Captures closer together than this are treated as the same encounter
+ *
+ * Why: Adding a contact through the native UI fires both ContactsChanged
+ *      and ContactAddedWithLocation, each with its own GPS fix.
+ */
+export const ENCOUNTER_MERGE_WINDOW_MS = 10 * 60 * 1000;
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * Creates a contact store bound to a storage adapter
+ *
+ * Every mutation updates the in-memory state synchronously, then persists
+ * it, and resolves with the updated slice so callers can mirror it into
+ * React state.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - AsyncStorage-compatible adapter
+ * @param {Function} options.now - Clock, injectable for deterministic tests
+ * @param {Object} options.geocoder - Reverse geocoder (see geocoder.js), null to disable
+ * @param {Object} options.scheduler - Reminder notification scheduler (see reminders.js)
+ * @returns {Object} Contact store API
+ */
+export function createContactStore({
+  storage = AsyncStorage,
+  now = Date.now,
+  geocoder = expoGeocoder,
+  scheduler = expoReminderScheduler,
+} = {}) {
+  let state = {
+    firstSeen: {},      // contactId -> epoch ms
+    tags: {},           // contactId -> string[]
+    pins: {},           // contactId -> encounters, oldest first
+    ready: null,        // { initializedAt, cutoff } once an import has run
+    importMode: null,   // IMPORT_MODES value or null before first choice
+    smartLists: [],     // [{ id, name, query, createdAt }] in tab order
+    notes: {},          // contactId -> [{ id, text, createdAt, updatedAt }], oldest first
+    reminders: {},      // contactId -> { id, dueAt, count, unit, repeats, createdAt, notificationId }
+    events: [],         // [{ id, name, contactIds, excludedContactIds, startAt, endAt, ... }] (see events.js)
+    contactSnapshot: null, // contactId -> fingerprint from the last sync, null before the first
+    changeLog: {},      // contactId -> [{ id, type, at, details }], oldest first (see changeTracker.js)
+    archive: [],        // [{ id, contactId, name, fingerprint, archivedAt, data, eventIds }] for deleted contacts
+  };
+  let migrationsDone = null;
+  let lastBatch = null; // { type, tag, slice, contactIds, contactNames, previous, applied } for undoBatch()
+
+  const searchIndex = createSearchIndex();
+  let indexedInputs = { contacts: null, tags: null, pins: null, notes: null };
+
+  /**
+   * Upgrades stored data, then loads every @nf: key into memory
+   *
+   * Why migrate here: Every read path goes through load(), so no caller can
+   * see a pre-migration shape. Migrations run once per store instance.
+   *
+   * @returns {Promise<Object>} Loaded state
+   */
+  const load = async () => {
+    migrationsDone = migrationsDone || runMigrations(storage).catch(error => {
+      migrationsDone = null; // Retry on the next load
+      throw error;
+    });
+    await migrationsDone;
+
+    const [
+      firstSeen,
+      tags,
+      pins,
+      ready,
+      importMode,
+      smartLists,
+      notes,
+      reminders,
+      events,
+      contactSnapshot,
+      changeLog,
+      archive,
+    ] = await Promise.all([
+      loadJSON(storage, STORAGE_KEYS.FIRST_SEEN, {}),
+      loadJSON(storage, STORAGE_KEYS.TAGS, {}),
+      loadJSON(storage, STORAGE_KEYS.PINS, {}),
+      loadJSON(storage, STORAGE_KEYS.READY, null),
+      storage.getItem(STORAGE_KEYS.IMPORT_CHOICE),
+      loadJSON(storage, STORAGE_KEYS.SMART_LISTS, []),
+      loadJSON(storage, STORAGE_KEYS.NOTES, {}),
+      loadJSON(storage, STORAGE_KEYS.REMINDERS, {}),
+      loadJSON(storage, STORAGE_KEYS.EVENTS, []),
+      loadJSON(storage, STORAGE_KEYS.CONTACT_SNAPSHOT, null),
+      loadJSON(storage, STORAGE_KEYS.CHANGE_LOG, {}),
+      loadJSON(storage, STORAGE_KEYS.ARCHIVE, []),
+    ]);
+
+    state = {
+      firstSeen,
+      tags,
+      pins,
+      ready,
+      importMode,
+      smartLists,
+      notes,
+      reminders,
+      events,
+      contactSnapshot,
+      changeLog,
+      archive,
+    };
+    return state;
+  };
+
+  /**
+   * Persists the import marker
+   *
+   * @param {Object} ready - { initializedAt, cutoff }
+   */
+  const saveReady = async (ready) => {
+    state = { ...state, ready };
+    await saveJSON(storage, STORAGE_KEYS.READY, ready);
+  };
+
+  /**
+   * Records when contacts were first seen by the app
+   *
+   * Why no overwrite by default: The first sighting is the meaningful one;
+   * later refreshes must not move a contact's timestamp forward.
+   *
+   * @param {string[]} contactIds - Contacts to stamp
+   * @param {number} timestamp - Epoch ms to record
+   * @param {Object} options
+   * @param {boolean} options.overwrite - Replace existing timestamps
+   * @returns {Promise<Object>} Updated first-seen map
+   */
+  const recordFirstSeen = async (contactIds, timestamp = now(), { overwrite = false } = {}) => {
+    const updated = { ...state.firstSeen };
+    let changed = false;
+
+    for (const contactId of contactIds) {
+      if (overwrite || !updated[contactId]) {
+        updated[contactId] = timestamp;
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      state = { ...state, firstSeen: updated };
+      await saveJSON(storage, STORAGE_KEYS.FIRST_SEEN, updated);
+    }
+    return state.firstSeen;
+  };
+
+  /**
+   * Logs an encounter (a location pin with optional note) for contacts
+   *
+   * Encounters are kept oldest first. A capture within
+   * ENCOUNTER_MERGE_WINDOW_MS of an existing encounter updates that one
+   * instead of adding a near-duplicate; a GPS capture never overrides
+   * coordinates the user placed by hand.
+   *
+   * @param {string|string[]} contactIds - Contact(s) met at this location
+   * @param {Object} encounter - { latitude, longitude, timestamp, note, source }
+   * @returns {Promise<Object>} Updated pins map
+   */
+  const addEncounter = async (contactIds, {
+    latitude,
+    longitude,
+    timestamp = now(),
+    note,
+    source = PIN_SOURCES.GPS,
+  }) => {
+    const updated = { ...state.pins };
+    const trimmedNote = (note || '').trim();
+
+    for (const contactId of [].concat(contactIds)) {
+      const encounters = [...(updated[contactId] || [])];
+      const duplicateIndex = encounters.findIndex(encounter =>
+        Math.abs((encounter.timestamp || 0) - timestamp) < ENCOUNTER_MERGE_WINDOW_MS
+      );
+
+      if (duplicateIndex >= 0) {
+        const existing = encounters[duplicateIndex];
+        const keepExistingCoordinates =
+          existing.source === PIN_SOURCES.MANUAL && source !== PIN_SOURCES.MANUAL;
+        encounters[duplicateIndex] = {
+          ...(keepExistingCoordinates ? existing : withoutPlaceLabel(existing)),
+          ...(keepExistingCoordinates ? {} : { latitude, longitude, source }),
+          ...(trimmedNote ? { note: trimmedNote } : {}),
+        };
+      } else {
+        encounters.push({
+          id: createId('enc', timestamp),
+          latitude,
+          longitude,
+          timestamp,
+          source,
+          ...(trimmedNote ? { note: trimmedNote } : {}),
+        });
+      }
+
+      updated[contactId] = encounters.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    state = { ...state, pins: updated };
+    await saveJSON(storage, STORAGE_KEYS.PINS, updated);
+    return updated;
+  };
+
+  /**
+   * Writes accepted rows from a pin import
+   *
+   * Re-importing the same file is harmless: an encounter at the same place
+   * within ENCOUNTER_MERGE_WINDOW_MS of an existing one is skipped. A dated
+   * row earlier than a contact's first-seen time moves it back, since we
+   * evidently knew them before the app did.
+   *
+   * @param {Object[]} rows - [{ contactId, latitude, longitude, timestamp, tags, note }]
+   *                          (coordinates and timestamp may be null)
+   * @returns {Promise<Object>} { pins, tags, firstSeen, added: { encounters, tags, firstSeen } }
+   */
+  const importRecords = async (rows) => {
+    const pins = { ...state.pins };
+    const tags = { ...state.tags };
+    const firstSeen = { ...state.firstSeen };
+    const added = { encounters: 0, tags: 0, firstSeen: 0 };
+    const importedAt = now();
+
+    for (const row of rows) {
+      const { contactId } = row;
+
+      if (row.latitude !== null && row.longitude !== null) {
+        const timestamp = row.timestamp ?? importedAt;
+        const place = coordinateKey(row);
+        const encounters = pins[contactId] || [];
+        const alreadyImported = encounters.some(encounter =>
+          coordinateKey(encounter) === place
+          && Math.abs(encounter.timestamp - timestamp) < ENCOUNTER_MERGE_WINDOW_MS
+        );
+
+        if (!alreadyImported) {
+          const trimmedNote = (row.note || '').trim();
+          pins[contactId] = [...encounters, {
+            id: createId('enc', timestamp),
+            latitude: row.latitude,
+            longitude: row.longitude,
+            timestamp,
+            source: PIN_SOURCES.IMPORT,
+            ...(trimmedNote ? { note: trimmedNote } : {}),
+          }].sort((a, b) => a.timestamp - b.timestamp);
+          added.encounters++;
+        }
+      }
+
+      const existingTags = tags[contactId] || [];
+      const newTags = row.tags.filter(tag => !existingTags.includes(tag));
+      if (newTags.length > 0) {
+        tags[contactId] = [...existingTags, ...newTags];
+        added.tags += newTags.length;
+      }
+
+      if (row.timestamp && (!firstSeen[contactId] || row.timestamp < firstSeen[contactId])) {
+        firstSeen[contactId] = row.timestamp;
+        added.firstSeen++;
+      }
+    }
+
+    state = { ...state, pins, tags, firstSeen };
+    await storage.multiSet([
+      [STORAGE_KEYS.PINS, JSON.stringify(pins)],
+      [STORAGE_KEYS.TAGS, JSON.stringify(tags)],
+      [STORAGE_KEYS.FIRST_SEEN, JSON.stringify(firstSeen)],
+    ]);
+    return { pins, tags, firstSeen, added };
+  };
+
+  /**
+   * Moves an existing encounter to corrected coordinates
+   *
+   * The encounter keeps its time and note but is flagged as manual so
+   * later GPS captures don't overwrite the correction.
+   *
+   * @param {string} contactId - Contact the encounter belongs to
+   * @param {string} encounterId - Encounter to move
+   * @param {Object} coordinate - { latitude, longitude }
+   * @returns {Promise<Object>} Updated pins map
+   */
+  const moveEncounter = async (contactId, encounterId, { latitude, longitude }) => {
+    const encounters = state.pins[contactId] || [];
+    if (!encounters.some(encounter => encounter.id === encounterId)) {
+      return state.pins;
+    }
+
+    const updated = {
+      ...state.pins,
+      [contactId]: encounters.map(encounter =>
+        encounter.id === encounterId
+          ? {
+              ...withoutPlaceLabel(encounter),
+              latitude,
+              longitude,
+              source: PIN_SOURCES.MANUAL,
+              correctedAt: now(),
+            }
+          : encounter
+      ),
+    };
+
+    state = { ...state, pins: updated };
+    await saveJSON(storage, STORAGE_KEYS.PINS, updated);
+    return updated;
+  };
+
+  /**
+   * Reverse geocodes every encounter that has no place label yet
+   *
+   * Labels are cached on the encounter, so each location is looked up once.
+   * A failed lookup stops the pass (the platform geocoder is rate limited);
+   * the remaining encounters are picked up on the next call.
+   *
+   * @returns {Promise<Object>} Updated pins map
+   */
+  const resolvePlaceLabels = async () => {
+    if (!geocoder) return state.pins;
+
+    const labelsByCoordinate = new Map();
+    const pending = Object.values(state.pins)
+      .flat()
+      .filter(encounter => encounter.placeLabel === undefined);
+
+    for (const encounter of pending) {
+      const key = coordinateKey(encounter);
+      if (labelsByCoordinate.has(key)) continue;
+
+      try {
+        // '' records "no address here" so the lookup isn't repeated
+        labelsByCoordinate.set(key, (await geocoder.reverseGeocode(encounter)) || '');
+      } catch (error) {
+        console.error('Reverse geocoding failed:', error);
+        break;
+      }
+    }
+
+    if (labelsByCoordinate.size === 0) return state.pins;
+
+    // Apply to the latest pins: encounters may have moved while we waited
+    const updated = {};
+    for (const [contactId, encounters] of Object.entries(state.pins)) {
+      updated[contactId] = encounters.map(encounter => {
+        const label = labelsByCoordinate.get(coordinateKey(encounter));
+        return encounter.placeLabel === undefined && label !== undefined
+          ? { ...encounter, placeLabel: label }
+          : encounter;
+      });
+    }
+
+    state = { ...state, pins: updated };
+    await saveJSON(storage, STORAGE_KEYS.PINS, updated);
+    return updated;
+  };
+
+  /**
+   * Adds a tag to a contact
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} tagText - Tag to add (trimmed; blank tags are ignored)
+   * @returns {Promise<Object>} Updated tags map
+   */
+  const addTag = async (contactId, tagText) => {
+    const trimmedTag = (tagText || '').trim();
+    if (!trimmedTag) return state.tags;
+
+    const existingTags = state.tags[contactId] || [];
+    const updated = {
+      ...state.tags,
+      [contactId]: Array.from(new Set([...existingTags, trimmedTag])),
+    };
+
+    state = { ...state, tags: updated };
+    await saveJSON(storage, STORAGE_KEYS.TAGS, updated);
+    return updated;
+  };
+
+  /**
+   * Removes a tag from a contact
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} tagToRemove - Tag to remove
+   * @returns {Promise<Object>} Updated tags map
+   */
+  const removeTag = async (contactId, tagToRemove) => {
+    const updated = {
+      ...state.tags,
+      [contactId]: (state.tags[contactId] || []).filter(tag => tag !== tagToRemove),
+    };
+
+    state = { ...state, tags: updated };
+    await saveJSON(storage, STORAGE_KEYS.TAGS, updated);
+    return updated;
+  };
+
+  /**
+   * Renames one of a contact's tags, keeping its position
+   *
+   * Renaming to a tag the contact already has merges the two.
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} oldTag - Tag to rename
+   * @param {string} newTagText - New tag text (blank is ignored)
+   * @returns {Promise<Object>} Updated tags map
+   */
+  const renameTag = async (contactId, oldTag, newTagText) => {
+    const trimmedTag = (newTagText || '').trim();
+    if (!trimmedTag || trimmedTag === oldTag) return state.tags;
+
+    const renamed = (state.tags[contactId] || []).map(tag => (tag === oldTag ? trimmedTag : tag));
+    const updated = {
+      ...state.tags,
+      [contactId]: Array.from(new Set(renamed)),
+    };
+
+    state = { ...state, tags: updated };
+    await saveJSON(storage, STORAGE_KEYS.TAGS, updated);
+    return updated;
+  };
+
+  /**
+   * Adds a note to a contact ("met through Sam, promised to send slides")
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} text - Note text (trimmed; blank notes are ignored)
+   * @returns {Promise<Object>} Updated notes map
+   */
+  const addNote = async (contactId, text) => {
+    const trimmedText = (text || '').trim();
+    if (!trimmedText) return state.notes;
+
+    const createdAt = now();
+    const updated = {
+      ...state.notes,
+      [contactId]: [
+        ...(state.notes[contactId] || []),
+        { id: createId('note', createdAt), text: trimmedText, createdAt, updatedAt: createdAt },
+      ],
+    };
+
+    state = { ...state, notes: updated };
+    await saveJSON(storage, STORAGE_KEYS.NOTES, updated);
+    return updated;
+  };
+
+  /**
+   * Replaces the text of a note
+   *
+   * Clearing the text deletes the note.
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} noteId - Note to edit
+   * @param {string} text - New text
+   * @returns {Promise<Object>} Updated notes map
+   */
+  const updateNote = async (contactId, noteId, text) => {
+    const trimmedText = (text || '').trim();
+    if (!trimmedText) return deleteNote(contactId, noteId);
+
+    const updated = {
+      ...state.notes,
+      [contactId]: (state.notes[contactId] || []).map(note =>
+        note.id === noteId ? { ...note, text: trimmedText, updatedAt: now() } : note
+      ),
+    };
+
+    state = { ...state, notes: updated };
+    await saveJSON(storage, STORAGE_KEYS.NOTES, updated);
+    return updated;
+  };
+
+  /**
+   * Deletes a note
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} noteId - Note to delete
+   * @returns {Promise<Object>} Updated notes map
+   */
+  const deleteNote = async (contactId, noteId) => {
+    const updated = {
+      ...state.notes,
+      [contactId]: (state.notes[contactId] || []).filter(note => note.id !== noteId),
+    };
+
+    state = { ...state, notes: updated };
+    await saveJSON(storage, STORAGE_KEYS.NOTES, updated);
+    return updated;
+  };
+
+  /**
+   * Schedules the notification for a reminder
+   *
+   * Why not fail the reminder: A denied permission or scheduling error
+   * shouldn't lose the follow-up; it still shows on the Due tab.
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @param {string} contactName - Shown in the notification
+   * @param {Object} reminder - Reminder to deliver
+   * @returns {Promise<string|null>} Notification ID
+   */
+  const scheduleReminderNotification = async (contactId, contactName, reminder) => {
+    try {
+      return await scheduler.schedule({
+        contactId,
+        title: `Follow up with ${contactName || 'your contact'}`,
+        body: reminder.repeats
+          ? `Time to check in (every ${formatInterval(reminder)}).`
+          : 'You asked NeverForget to remind you.',
+        dueAt: reminder.dueAt,
+      });
+    } catch (error) {
+      console.error('Error scheduling reminder:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Cancels a reminder's pending notification, if any
+   *
+   * @param {Object|undefined} reminder - Reminder being replaced or removed
+   */
+  const cancelReminderNotification = async (reminder) => {
+    if (!reminder?.notificationId) return;
+    try {
+      await scheduler.cancel(reminder.notificationId);
+    } catch (error) {
+      console.error('Error cancelling reminder:', error);
+    }
+  };
+
+  /**
+   * Persists one contact's reminder (null removes it)
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @param {Object|null} reminder - Reminder to store
+   * @returns {Promise<Object>} Updated reminders map
+   */
+  const saveReminder = async (contactId, reminder) => {
+    const updated = { ...state.reminders };
+    if (reminder) {
+      updated[contactId] = reminder;
+    } else {
+      delete updated[contactId];
+    }
+
+    state = { ...state, reminders: updated };
+    await saveJSON(storage, STORAGE_KEYS.REMINDERS, updated);
+    return updated;
+  };
+
+  /**
+   * Sets a contact's follow-up reminder, replacing any existing one
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @param {Object} interval - { count, unit, repeats } (see REMINDER_PRESETS)
+   * @param {Object} options
+   * @param {string} options.contactName - Shown in the notification
+   * @returns {Promise<Object>} Updated reminders map
+   */
+  const setReminder = async (contactId, interval, { contactName } = {}) => {
+    const reminder = createReminder(interval, now());
+
+    await cancelReminderNotification(state.reminders[contactId]);
+    reminder.notificationId = await scheduleReminderNotification(contactId, contactName, reminder);
+    return saveReminder(contactId, reminder);
+  };
+
+  /**
+   * Marks a follow-up done
+   *
+   * One-off reminders are removed; repeating ones are rescheduled one
+   * interval from now, so a late check-in doesn't leave the next one
+   * already overdue.
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @param {Object} options
+   * @param {string} options.contactName - Shown in the next notification
+   * @returns {Promise<Object>} Updated reminders map
+   */
+  const completeReminder = async (contactId, { contactName } = {}) => {
+    const reminder = state.reminders[contactId];
+    if (!reminder) return state.reminders;
+
+    await cancelReminderNotification(reminder);
+    if (!reminder.repeats) return saveReminder(contactId, null);
+
+    const next = {
+      ...reminder,
+      dueAt: addInterval(now(), reminder),
+      notificationId: null,
+    };
+    next.notificationId = await scheduleReminderNotification(contactId, contactName, next);
+    return saveReminder(contactId, next);
+  };
+
+  /**
+   * Removes a contact's reminder without completing it
+   *
+   * @param {string} contactId - Unique contact identifier
+   * @returns {Promise<Object>} Updated reminders map
+   */
+  const clearReminder = async (contactId) => {
+    const reminder = state.reminders[contactId];
+    if (!reminder) return state.reminders;
+
+    await cancelReminderNotification(reminder);
+    return saveReminder(contactId, null);
+  };
+
+  /**
+   * Schedules notifications for reminders that have none
+   *
+   * Why: Restored reminders arrive without notifications, since scheduled
+   * notifications don't move between devices.
+   *
+   * @param {Object} contactNames - contactId -> name, for notification text
+   * @returns {Promise<Object>} Updated reminders map
+   */
+  const rescheduleReminders = async (contactNames = {}) => {
+    const updated = { ...state.reminders };
+    let changed = false;
+
+    for (const [contactId, reminder] of Object.entries(state.reminders)) {
+      if (reminder.notificationId) continue;
+      const notificationId = await scheduleReminderNotification(contactId, contactNames[contactId], reminder);
+      if (notificationId) {
+        updated[contactId] = { ...reminder, notificationId };
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      state = { ...state, reminders: updated };
+      await saveJSON(storage, STORAGE_KEYS.REMINDERS, updated);
+    }
+    return state.reminders;
+  };
+
+  /**
+   * Persists several state slices in one multiSet
+   *
+   * Why one write: A batch, or its undo, must never leave tags saved but
+   * pins not; a merged contact must not be half moved.
+   *
+   * @param {Object} slices - Any of the slices in SLICE_KEYS
+   */
+  const saveSlices = async (slices) => {
+    state = { ...state, ...slices };
+    await storage.multiSet(Object.entries(slices).map(
+      ([slice, value]) => [SLICE_KEYS[slice], JSON.stringify(value)]
+    ));
+  };
+
+  /**
+   * Applies one edit to many contacts
+   *
+   * The slice the edit touches is written atomically, and the previous
+   * values are kept so undoBatch() can revert the edit. Only the most
+   * recent batch can be undone.
+   *
+   * @param {string[]} contactIds - Selected contacts
+   * @param {string} type - BATCH_ACTIONS value
+   * @param {Object} options
+   * @param {string} options.tag - For ADD_TAG and REMOVE_TAG
+   * @param {Object} options.interval - For SET_REMINDER: { count, unit, repeats }
+   * @param {Object} options.contactNames - contactId -> name, for notification text
+   * @returns {Promise<Object>} { tags, pins, reminders, changedCount }
+   */
+  const applyBatch = async (contactIds, type, { tag, interval, contactNames = {} } = {}) => {
+    const ids = Array.from(new Set(contactIds));
+    const trimmedTag = (tag || '').trim();
+    const slice = type === BATCH_ACTIONS.CLEAR_PINS ? 'pins'
+      : type === BATCH_ACTIONS.SET_REMINDER || type === BATCH_ACTIONS.CLEAR_REMINDER ? 'reminders'
+        : 'tags';
+
+    const current = state[slice];
+    const updated = { ...current };
+    const changedIds = [];
+
+    for (const contactId of ids) {
+      const before = current[contactId];
+
+      if (type === BATCH_ACTIONS.ADD_TAG) {
+        if (!trimmedTag || (before || []).includes(trimmedTag)) continue;
+        updated[contactId] = [...(before || []), trimmedTag];
+      } else if (type === BATCH_ACTIONS.REMOVE_TAG) {
+        if (!(before || []).includes(tag)) continue;
+        updated[contactId] = before.filter(existing => existing !== tag);
+      } else if (type === BATCH_ACTIONS.CLEAR_PINS) {
+        if (!before?.length) continue;
+        delete updated[contactId];
+      } else if (type === BATCH_ACTIONS.SET_REMINDER) {
+        await cancelReminderNotification(before);
+        const reminder = createReminder(interval, now());
+        reminder.notificationId = await scheduleReminderNotification(contactId, contactNames[contactId], reminder);
+        updated[contactId] = reminder;
+      } else if (type === BATCH_ACTIONS.CLEAR_REMINDER) {
+        if (!before) continue;
+        await cancelReminderNotification(before);
+        delete updated[contactId];
+      } else {
+        throw new Error(`Unknown batch action: ${type}`);
+      }
+      changedIds.push(contactId);
+    }
+
+    if (changedIds.length > 0) {
+      lastBatch = {
+        type,
+        tag: type === BATCH_ACTIONS.ADD_TAG ? trimmedTag : tag,
+        slice,
+        contactIds: changedIds,
+        contactNames,
+        previous: pickEntries(current, changedIds),
+        applied: pickEntries(updated, changedIds),
+      };
+      await saveSlices({ [slice]: updated });
+    }
+
+    const { tags, pins, reminders } = state;
+    return { tags, pins, reminders, changedCount: changedIds.length };
+  };
+
+  /**
+   * Reverts the most recent batch
+   *
+   * Only the batch's own edit is reverted (see revertBatchEntry), so tags,
+   * pins and reminders given to its contacts since then stay. Reminders
+   * put back get fresh notifications, since theirs were cancelled.
+   *
+   * @returns {Promise<Object>} { tags, pins, reminders, restoredCount }
+   */
+  const undoBatch = async () => {
+    const batch = lastBatch;
+    lastBatch = null;
+    if (!batch) {
+      const { tags, pins, reminders } = state;
+      return { tags, pins, reminders, restoredCount: 0 };
+    }
+
+    const restored = { ...state[batch.slice] };
+    let restoredCount = 0;
+
+    for (const contactId of batch.contactIds) {
+      const current = restored[contactId] ?? null;
+      let value = revertBatchEntry(batch, contactId, current);
+      if (value === current) continue;
+
+      if (batch.slice === 'reminders') {
+        await cancelReminderNotification(current);
+        if (value) {
+          value = {
+            ...value,
+            notificationId: await scheduleReminderNotification(contactId, batch.contactNames[contactId], value),
+          };
+        }
+      }
+
+      if (value === null) {
+        delete restored[contactId];
+      } else {
+        restored[contactId] = value;
+      }
+      restoredCount += 1;
+    }
+
+    if (restoredCount > 0) await saveSlices({ [batch.slice]: restored });
+    const { tags, pins, reminders } = state;
+    return { tags, pins, reminders, restoredCount };
+  };
+
+  /**
+   * Builds a backup of every @nf: key with contact fingerprints
+   *
+   * @param {Object[]} deviceContacts - Every contact on this device
+   * @returns {Promise<Object>} Backup document (see backup.js)
+   */
+  const createBackup = async (deviceContacts) => {
+    await load();
+    return buildBackup(storage, deviceContacts, { now: now() });
+  };
+
+  /**
+   * Merges backup entries into this device's data and reloads
+   *
+   * @param {Object} entries - Migrated backup entries (see migrateBackupEntries)
+   * @param {Object} idMap - Backup contactId -> device contactId
+   * @param {Object} contactNames - Device contactId -> name, for reminders
+   * @returns {Promise<Object>} { restoredCount, state }
+   */
+  const restoreBackup = async (entries, idMap, contactNames = {}) => {
+    lastBatch = null; // Restored entries aren't the batch's to revert
+    await load();
+    const restoredCount = await applyBackup(storage, entries, idMap);
+    await load();
+    await rescheduleReminders(contactNames);
+    return { restoredCount, state };
+  };
+
+  /**
+   * Persists events
+   *
+   * @param {Object[]} events - Every event, including deleted ones
+   * @returns {Promise<Object[]>} The saved events
+   */
+  const saveEvents = async (events) => {
+    state = { ...state, events };
+    await saveJSON(storage, STORAGE_KEYS.EVENTS, events);
+    return events;
+  };
+
+  /**
+   * Applies a change to one event
+   *
+   * @param {string} eventId - Event to change
+   * @param {Function} change - (event) => updated event
+   * @returns {Promise<Object[]>} Updated events
+   */
+  const updateEvent = async (eventId, change) => {
+    if (!state.events.some(event => event.id === eventId)) return state.events;
+    return saveEvents(state.events.map(event => (event.id === eventId ? change(event) : event)));
+  };
+
+  /**
+   * Fills in an event's place once its members' pins have been geocoded
+   *
+   * Events are usually detected before reverse geocoding finishes. A name
+   * the user hasn't changed follows the new label.
+   *
+   * @param {Object} event - Stored event
+   * @returns {Object} Same event, or a labelled copy
+   */
+  const withResolvedPlace = (event) => {
+    if (event.placeLabel || event.deletedAt) return event;
+
+    const placeLabel = commonPlaceLabel(
+      event.contactIds.map(contactId => state.pins[contactId]?.[0]).filter(Boolean)
+    );
+    if (!placeLabel) return event;
+
+    const isDefaultName = event.name === defaultEventName(null, event.startAt);
+    return {
+      ...event,
+      placeLabel,
+      name: isDefaultName ? defaultEventName(placeLabel, event.startAt) : event.name,
+    };
+  };
+
+  /**
+   * Groups newly met contacts into events
+   *
+   * Safe to run after every change: contacts already considered are
+   * skipped, and nothing is written when nothing changed.
+   *
+   * @returns {Promise<Object[]>} Updated events
+   */
+  const detectEvents = async () => {
+    const { joins, groups } = findEventGroups(state.pins, state.events);
+    const labelled = state.events.map(withResolvedPlace);
+    const isRelabelled = labelled.some((event, index) => event !== state.events[index]);
+    if (joins.length === 0 && groups.length === 0 && !isRelabelled) return state.events;
+
+    const joined = labelled.map((event) => {
+      const arrivals = joins.filter(join => join.eventId === event.id);
+      if (arrivals.length === 0) return event;
+
+      const timestamps = arrivals.map(({ encounter }) => encounter.timestamp);
+      return {
+        ...event,
+        contactIds: [...event.contactIds, ...arrivals.map(({ contactId }) => contactId)],
+        startAt: Math.min(event.startAt, ...timestamps),
+        endAt: Math.max(event.endAt, ...timestamps),
+      };
+    });
+
+    const createdAt = now();
+    const created = groups.map((members) => {
+      const summary = summarizeEncounters(members.map(({ encounter }) => encounter));
+      return {
+        id: createId('event', createdAt),
+        name: defaultEventName(summary.placeLabel, summary.startAt),
+        contactIds: members.map(({ contactId }) => contactId),
+        excludedContactIds: [],
+        ...summary,
+        createdAt,
+        deletedAt: null,
+      };
+    });
+
+    return saveEvents([...joined, ...created]);
+  };
+
+  /**
+   * Renames an event
+   *
+   * @param {string} eventId - Event to rename
+   * @param {string} name - New name (trimmed; blank is ignored)
+   * @returns {Promise<Object[]>} Updated events
+   */
+  const renameEvent = async (eventId, name) => {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) return state.events;
+    return updateEvent(eventId, event => ({ ...event, name: trimmedName }));
+  };
+
+  /**
+   * Adds a contact to an event by hand
+   *
+   * @param {string} eventId - Event to add to
+   * @param {string} contactId - Unique contact identifier
+   * @returns {Promise<Object[]>} Updated events
+   */
+  const addContactToEvent = async (eventId, contactId) => {
+    return updateEvent(eventId, event => ({
+      ...event,
+      contactIds: Array.from(new Set([...event.contactIds, contactId])),
+      excludedContactIds: event.excludedContactIds.filter(id => id !== contactId),
+    }));
+  };
+
+  /**
+   * Removes a contact from an event
+   *
+   * The contact is remembered as excluded so detection doesn't put them
+   * straight back.
+   *
+   * @param {string} eventId - Event to remove from
+   * @param {string} contactId - Unique contact identifier
+   * @returns {Promise<Object[]>} Updated events
+   */
+  const removeContactFromEvent = async (eventId, contactId) => {
+    return updateEvent(eventId, event => ({
+      ...event,
+      contactIds: event.contactIds.filter(id => id !== contactId),
+      excludedContactIds: Array.from(new Set([...event.excludedContactIds, contactId])),
+    }));
+  };
+
+  /**
+   * Deletes an event
+   *
+   * Why keep a tombstone: Its members would otherwise be detected as a new
+   * event on the next run.
+   *
+   * @param {string} eventId - Event to delete
+   * @returns {Promise<Object[]>} Updated events
+   */
+  const deleteEvent = async (eventId) => {
+    return updateEvent(eventId, event => ({ ...event, deletedAt: now() }));
+  };
+
+  /**
+   * Adds a tag to every member of an event
+   *
+   * @param {string} eventId - Event whose members to tag
+   * @param {string} tagText - Tag to add (trimmed; blank tags are ignored)
+   * @returns {Promise<Object>} Updated tags map
+   */
+  const tagEventMembers = async (eventId, tagText) => {
+    const trimmedTag = (tagText || '').trim();
+    const event = state.events.find(candidate => candidate.id === eventId);
+    if (!trimmedTag || !event) return state.tags;
+
+    const updated = { ...state.tags };
+    for (const contactId of event.contactIds) {
+      updated[contactId] = Array.from(new Set([...(updated[contactId] || []), trimmedTag]));
+    }
+
+    state = { ...state, tags: updated };
+    await saveJSON(storage, STORAGE_KEYS.TAGS, updated);
+    return updated;
+  };
+
+  /**
+   * Saves a search query as a named smart list
+   *
+   * Why store the query, not the results: Lists stay live as contacts,
+   * tags and pins change.
+   *
+   * @param {string} name - Tab label
+   * @param {string} queryText - Search bar text (free text and filters)
+   * @returns {Promise<Object[]>} Updated smart lists
+   */
+  const saveSmartList = async (name, queryText) => {
+    const trimmedName = (name || '').trim();
+    const trimmedQuery = (queryText || '').trim();
+    if (!trimmedName || !trimmedQuery) return state.smartLists;
+
+    const createdAt = now();
+    const updated = [
+      ...state.smartLists,
+      { id: createId('list', createdAt), name: trimmedName, query: trimmedQuery, createdAt },
+    ];
+
+    state = { ...state, smartLists: updated };
+    await saveJSON(storage, STORAGE_KEYS.SMART_LISTS, updated);
+    return updated;
+  };
+
+  /**
+   * Deletes a smart list
+   *
+   * @param {string} listId - Smart list to delete
+   * @returns {Promise<Object[]>} Updated smart lists
+   */
+  const deleteSmartList = async (listId) => {
+    const updated = state.smartLists.filter(list => list.id !== listId);
+
+    state = { ...state, smartLists: updated };
+    await saveJSON(storage, STORAGE_KEYS.SMART_LISTS, updated);
+    return updated;
+  };
+
+  /**
+   * Records what changed in the address book since the last sync
+   *
+   * Edits and additions go to the contact's change log. A contact merged
+   * into another hands its tags, pins, notes, reminder, events and log to
+   * the one that remains. A deleted contact's metadata moves to the
+   * archive, where it can be restored onto another contact later.
+   *
+   * The first sync only takes a snapshot: there's nothing to compare yet.
+   *
+   * @param {Object[]} deviceContacts - Every contact on this device
+   * @returns {Promise<Object>} { added, edited, merged, deleted } (see diffSnapshots)
+   */
+  const trackContactChanges = async (deviceContacts) => {
+    const previous = state.contactSnapshot;
+    const snapshot = snapshotContacts(deviceContacts);
+    const noChanges = { added: [], edited: [], merged: [], deleted: [] };
+
+    if (!previous) {
+      await saveSlices({ contactSnapshot: snapshot });
+      return noChanges;
+    }
+
+    // An empty read with contacts on record is a failed read, not everyone deleted
+    if (deviceContacts.length === 0 && Object.keys(previous).length > 0) {
+      return noChanges;
+    }
+
+    const changes = diffSnapshots(previous, snapshot);
+    const hasChanges = Object.values(changes).some(list => list.length > 0);
+    if (!hasChanges) {
+      if (JSON.stringify(previous) !== JSON.stringify(snapshot)) {
+        await saveSlices({ contactSnapshot: snapshot });
+      }
+      return changes;
+    }
+
+    const at = now();
+    const slices = Object.fromEntries(
+      Object.keys(CONTACT_SLICE_KEYS).map(slice => [slice, { ...state[slice] }])
+    );
+    let { events, archive } = state;
+
+    const logChange = (contactId, type, details) => {
+      slices.changeLog[contactId] = appendChanges(slices.changeLog[contactId], [
+        { id: createId('chg', at), type, at, details },
+      ]);
+    };
+
+    for (const contactId of changes.added) {
+      logChange(contactId, CHANGE_TYPES.ADDED, { name: snapshot[contactId].name });
+    }
+    for (const { contactId, details } of changes.edited) {
+      logChange(contactId, CHANGE_TYPES.EDITED, details);
+    }
+
+    for (const { contactId, intoId } of changes.merged) {
+      const hadReminder = Boolean(slices.reminders[intoId]);
+      await cancelReminderNotification(slices.reminders[contactId]);
+
+      for (const [slice, key] of Object.entries(CONTACT_SLICE_KEYS)) {
+        const value = slices[slice][contactId];
+        if (value === undefined) continue;
+        slices[slice][intoId] = mergeContactEntry(key, slices[slice][intoId], value);
+        delete slices[slice][contactId];
+      }
+
+      const reminder = slices.reminders[intoId];
+      if (reminder && !hadReminder) {
+        slices.reminders[intoId] = {
+          ...reminder,
+          notificationId: await scheduleReminderNotification(intoId, snapshot[intoId].name, reminder),
+        };
+      }
+
+      events = replaceEventMember(events, contactId, intoId);
+      logChange(intoId, CHANGE_TYPES.MERGED, { fromId: contactId, name: previous[contactId].name });
+    }
+
+    for (const contactId of changes.deleted) {
+      const eventIds = events
+        .filter(event => !event.deletedAt && event.contactIds.includes(contactId))
+        .map(event => event.id);
+      const isWorthKeeping = eventIds.length > 0
+        || ARCHIVED_SLICES.some(slice => slices[slice][contactId] !== undefined);
+
+      if (isWorthKeeping) {
+        logChange(contactId, CHANGE_TYPES.DELETED, { name: previous[contactId].name });
+        const data = {};
+        for (const slice of Object.keys(CONTACT_SLICE_KEYS)) {
+          if (slices[slice][contactId] !== undefined) data[slice] = slices[slice][contactId];
+        }
+        if (data.reminders) data.reminders = { ...data.reminders, notificationId: null };
+
+        archive = [...archive, {
+          id: createId('arc', at),
+          contactId,
+          name: previous[contactId].name,
+          fingerprint: previous[contactId],
+          archivedAt: at,
+          data,
+          eventIds,
+        }];
+      }
+
+      await cancelReminderNotification(slices.reminders[contactId]);
+      for (const slice of Object.keys(CONTACT_SLICE_KEYS)) {
+        delete slices[slice][contactId];
+      }
+      events = replaceEventMember(events, contactId, null);
+    }
+
+    await saveSlices({ ...slices, events, archive, contactSnapshot: snapshot });
+    return changes;
+  };
+
+  /**
+   * Attaches an archived contact's metadata to a contact on the device
+   *
+   * Metadata combines with what the contact already has, the same way a
+   * backup restore does, and the contact rejoins the archived events.
+   *
+   * @param {string} archiveId - Archive entry to restore
+   * @param {string} contactId - Device contact to attach it to
+   * @param {Object} options
+   * @param {string} options.contactName - Shown in the reminder notification
+   * @returns {Promise<Object>} Updated state
+   */
+  const restoreArchivedContact = async (archiveId, contactId, { contactName } = {}) => {
+    const entry = state.archive.find(candidate => candidate.id === archiveId);
+    if (!entry) return state;
+
+    const slices = {};
+    for (const [slice, key] of Object.entries(CONTACT_SLICE_KEYS)) {
+      const value = entry.data[slice];
+      if (value === undefined) continue;
+      slices[slice] = { ...state[slice], [contactId]: mergeContactEntry(key, state[slice][contactId], value) };
+    }
+
+    const reminder = slices.reminders?.[contactId];
+    if (reminder && !reminder.notificationId) {
+      reminder.notificationId = await scheduleReminderNotification(contactId, contactName, reminder);
+    }
+
+    const restoredAt = now();
+    const changeLog = slices.changeLog || { ...state.changeLog };
+    changeLog[contactId] = appendChanges(changeLog[contactId], [{
+      id: createId('chg', restoredAt),
+      type: CHANGE_TYPES.RESTORED,
+      at: restoredAt,
+      details: { name: entry.name },
+    }]);
+
+    const events = state.events.map(event => (
+      entry.eventIds.includes(event.id) && !event.deletedAt
+        ? {
+            ...event,
+            contactIds: Array.from(new Set([...event.contactIds, contactId])),
+            excludedContactIds: event.excludedContactIds.filter(id => id !== contactId),
+          }
+        : event
+    ));
+
+    await saveSlices({
+      ...slices,
+      changeLog,
+      events,
+      archive: state.archive.filter(candidate => candidate.id !== archiveId),
+    });
+    return state;
+  };
+
+  /**
+   * Permanently removes an archived contact's metadata
+   *
+   * @param {string} archiveId - Archive entry to discard
+   * @returns {Promise<Object[]>} Updated archive
+   */
+  const discardArchivedContact = async (archiveId) => {
+    const archive = state.archive.filter(entry => entry.id !== archiveId);
+    await saveSlices({ archive });
+    return archive;
+  };
+
+  /**
+   * Persists the user's import choice
+   *
+   * Why stamp everything for newOnly: Existing contacts get the cutoff time
+   * as their first-seen timestamp so they never show up as "new".
+   *
+   * @param {string} mode - IMPORT_MODES value
+   * @param {Object[]} deviceContacts - Every contact currently on the device
+   * @returns {Promise<Object>} Updated state
+   */
+  const chooseImportMode = async (mode, deviceContacts) => {
+    await storage.setItem(STORAGE_KEYS.IMPORT_CHOICE, mode);
+    state = { ...state, importMode: mode };
+
+    if (mode === IMPORT_MODES.NEW_ONLY) {
+      const cutoffTime = now();
+      await saveReady({ initializedAt: cutoffTime, cutoff: cutoffTime });
+      await recordFirstSeen(deviceContacts.map(c => c.id), cutoffTime, { overwrite: true });
+    }
+
+    return state;
+  };
+
+  /**
+   * Applies import mode rules to a fresh read of the address book
+   *
+   * Rules:
+   * - all: stamp any unseen contact with now, show every contact
+   * - newOnly (first run): stamp every contact with a cutoff, show none
+   * - newOnly: stamp unseen contacts with now, show those seen after cutoff
+   * - no mode chosen yet: show every contact, stamp nothing
+   *
+   * Changes since the last sync are tracked first (see
+   * trackContactChanges), so metadata has followed merged and deleted
+   * contacts before anything is stamped.
+   *
+   * newlySeenIds are the contacts stamped with now because they appeared
+   * after setup. Contacts stamped by the first run (either mode) were
+   * already in the address book, so they aren't new.
+   *
+   * @param {Object[]} deviceContacts - Contacts from Expo Contacts
+   * @returns {Promise<Object>} { firstSeen, visibleContacts, changes, newlySeenIds }
+   */
+  const syncDeviceContacts = async (deviceContacts) => {
+    const contactIds = deviceContacts.map(c => c.id);
+    const changes = await trackContactChanges(deviceContacts);
+
+    // Exactly the ids recordFirstSeen stamps below without overwrite
+    const unseenIds = contactIds.filter(contactId => !state.firstSeen[contactId]);
+
+    if (state.importMode === IMPORT_MODES.ALL) {
+      const newlySeenIds = state.ready ? unseenIds : [];
+      await recordFirstSeen(contactIds, now());
+      if (!state.ready) {
+        await saveReady({ initializedAt: now(), cutoff: null });
+      }
+      return { firstSeen: state.firstSeen, visibleContacts: deviceContacts, changes, newlySeenIds };
+    }
+
+    if (state.importMode === IMPORT_MODES.NEW_ONLY) {
+      if (!state.ready) {
+        // First run: mark all existing contacts with cutoff time
+        const cutoffTime = now();
+        await saveReady({ initializedAt: cutoffTime, cutoff: cutoffTime });
+        await recordFirstSeen(contactIds, cutoffTime, { overwrite: true });
+        return { firstSeen: state.firstSeen, visibleContacts: [], changes, newlySeenIds: [] };
+      }
+
+      // Subsequent runs: only show contacts added AFTER cutoff
+      const cutoffTime = state.ready.cutoff || 0;
+      await recordFirstSeen(contactIds, now());
+      const visibleContacts = deviceContacts.filter(contact => {
+        const seenTime = state.firstSeen[contact.id];
+        return seenTime && seenTime > cutoffTime;
+      });
+      return { firstSeen: state.firstSeen, visibleContacts, changes, newlySeenIds: unseenIds };
+    }
+
+    return { firstSeen: state.firstSeen, visibleContacts: deviceContacts, changes, newlySeenIds: [] };
+  };
+
+  /**
+   * Brings the search index up to date with contacts and metadata
+   *
+   * Why reference checks: Contacts, tags, pins and notes are replaced (never
+   * mutated) on change, so identical references mean nothing to re-index
+   * and a keystroke costs only the search itself.
+   *
+   * @param {Object[]} contacts - Contacts that should be searchable
+   * @param {Object} metadata - { tags, pins, notes } to index with them
+   */
+  const syncSearchIndex = (contacts, { tags, pins, notes }) => {
+    if (
+      indexedInputs.contacts === contacts &&
+      indexedInputs.tags === tags &&
+      indexedInputs.pins === pins &&
+      indexedInputs.notes === notes
+    ) {
+      return;
+    }
+
+    const fieldsByContactId = new Map(contacts.map(contact => [
+      contact.id,
+      buildSearchFields(contact, {
+        tags: tags[contact.id],
+        encounters: pins[contact.id],
+        notes: notes[contact.id],
+      }),
+    ]));
+    searchIndex.sync(fieldsByContactId);
+    indexedInputs = { contacts, tags, pins, notes };
+  };
+
+  /**
+   * Ranks contacts by free text over name, phone, email, organization,
+   * tags, places and notes
+   *
+   * Equally relevant contacts keep their input order. Text starting with
+   * "met in", "met at" or "met near" only matches encounter places.
+   * Expects the search index to already cover the contacts.
+   *
+   * @param {Object[]} contacts - Contacts to search
+   * @param {string} text - Free text
+   * @returns {Object[]} Matching contacts, best first
+   */
+  const rankByText = (contacts, text) => {
+    let queryLowercase = text.trim().toLowerCase();
+    if (!queryLowercase) return contacts.slice();
+
+    const placesOnly = PLACE_QUERY_PREFIX.test(queryLowercase);
+    queryLowercase = queryLowercase.replace(PLACE_QUERY_PREFIX, '');
+
+    const results = searchIndex.search(queryLowercase, placesOnly ? { fields: ['places'] } : {});
+
+    const positionById = new Map(contacts.map((contact, index) => [contact.id, index]));
+    const scoreById = new Map(results.map(({ contactId, score }) => [contactId, score]));
+
+    return contacts
+      .filter(contact => scoreById.has(contact.id))
+      .sort((a, b) =>
+        scoreById.get(b.id) - scoreById.get(a.id) ||
+        positionById.get(a.id) - positionById.get(b.id)
+      );
+  };
+
+  /**
+   * Searches contacts with the filter query language (see filterQuery.js)
+   *
+   * Free text is ranked by relevance; contacts matched only by filters
+   * follow in input order, so callers can pre-sort by recency. Malformed
+   * queries fall back to plain text search so the list never goes blank
+   * while the user is still typing.
+   *
+   * @param {Object[]} contacts - Contacts to search
+   * @param {Object} options
+   * @param {string} options.searchText - Query from the search bar
+   * @param {Function} options.getCreationTime - contact => epoch ms (0 if unknown)
+   * @param {Object} options.metadata - { tags, pins, notes } to search, the
+   *   store's own by default. Why: Callers that memoize on these slices
+   *   (React) pass the values they depend on.
+   * @returns {Object[]} Matching contacts (a new array)
+   */
+  const query = (contacts, {
+    searchText = '',
+    getCreationTime = () => 0,
+    metadata = { tags: state.tags, pins: state.pins, notes: state.notes },
+  } = {}) => {
+    if (!searchText.trim()) return contacts.slice();
+
+    syncSearchIndex(contacts, metadata);
+    const { filter, error } = parseFilterQuery(searchText, { now });
+    if (error || !filter) return rankByText(contacts, searchText);
+    if (filter.type === 'text') return rankByText(contacts, filter.value);
+
+    const textMatches = new Map(); // text -> Set<contactId>
+    const matchesText = (text, contactId) => {
+      if (!textMatches.has(text)) {
+        textMatches.set(text, new Set(rankByText(contacts, text).map(contact => contact.id)));
+      }
+      return textMatches.get(text).has(contactId);
+    };
+
+    const matching = contacts.filter(contact => evaluateFilter(filter, {
+      contact,
+      tags: metadata.tags[contact.id] || [],
+      encounters: metadata.pins[contact.id] || [],
+      notes: metadata.notes[contact.id] || [],
+      createdAt: getCreationTime(contact),
+    }, matchesText));
+
+    const rankingText = collectRankingText(filter).join(' ');
+    if (!rankingText) return matching;
+
+    // Text-ranked matches first, then filter-only matches (e.g. other OR branches)
+    const ranked = rankByText(matching, rankingText);
+    const rankedIds = new Set(ranked.map(contact => contact.id));
+    return [...ranked, ...matching.filter(contact => !rankedIds.has(contact.id))];
+  };
+
+  return {
+    getState: () => state,
+    load,
+    recordFirstSeen,
+    addEncounter,
+    moveEncounter,
+    importRecords,
+    resolvePlaceLabels,
+    addTag,
+    removeTag,
+    renameTag,
+    addNote,
+    updateNote,
+    deleteNote,
+    setReminder,
+    completeReminder,
+    clearReminder,
+    rescheduleReminders,
+    applyBatch,
+    undoBatch,
+    createBackup,
+    restoreBackup,
+    chooseImportMode,
+    syncDeviceContacts,
+    trackContactChanges,
+    restoreArchivedContact,
+    discardArchivedContact,
+    detectEvents,
+    renameEvent,
+    addContactToEvent,
+    removeContactFromEvent,
+    deleteEvent,
+    tagEventMembers,
+    saveSmartList,
+    deleteSmartList,
+    query,
+  };
+}
+
+// ============================================================================
+// SELECTORS
+// ============================================================================
+
+/**
+ * Returns every encounter stored for a contact, oldest first
+ *
+ * @param {Object} pinsByContactId - contactId -> encounter list
+ * @param {string} contactId - Contact to look up
+ * @returns {Object[]} Encounters ({ id, latitude, longitude, timestamp, note })
+ */
+export function getEncounters(pinsByContactId, contactId) {
+  return pinsByContactId[contactId] || [];
+}
+
+/**
+ * Returns the most recent pin stored for a contact
+ *
+ * @param {Object} pinsByContactId - contactId -> pin list
+ * @param {string} contactId - Contact to look up
+ * @returns {Object|null} { latitude, longitude, timestamp } or null
+ */
+export function getLatestPin(pinsByContactId, contactId) {
+  const pinList = pinsByContactId[contactId];
+  if (!pinList?.length) return null;
+
+  return pinList.reduce((latest, pin) =>
+    (pin.timestamp || 0) > (latest.timestamp || 0) ? pin : latest
+  );
+}
+
+/**
+ * Creates a unique id for a stored record
+ *
+ * @param {string} prefix - Record kind ('enc', 'list', …)
+ * @param {number} timestamp - Creation time
+ * @returns {string} Record id
+ */
+function createId(prefix, timestamp) {
+  return `${prefix}-${timestamp}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Creates a follow-up reminder due one interval from its creation
+ *
+ * @param {Object} interval - { count, unit, repeats } (see REMINDER_PRESETS)
+ * @param {number} createdAt - Creation time
+ * @returns {Object} Reminder without a notification
+ */
+function createReminder({ count, unit, repeats = false }, createdAt) {
+  return {
+    id: createId('rem', createdAt),
+    dueAt: addInterval(createdAt, { count, unit }),
+    count,
+    unit,
+    repeats,
+    createdAt,
+    notificationId: null,
+  };
+}
+
+/**
+ * Copies some contacts' entries out of a slice, for undo
+ *
+ * @param {Object} map - contactId -> value
+ * @param {string[]} contactIds - Contacts to copy
+ * @returns {Object} contactId -> value, or null where there was none
+ */
+function pickEntries(map, contactIds) {
+  return Object.fromEntries(contactIds.map(contactId => [contactId, map[contactId] ?? null]));
+}
+
+/**
+ * What one contact's entry goes back to when a batch is undone
+ *
+ * Why not the saved previous value: The contact may have been edited since
+ * the batch, and putting the old entry back would silently drop that edit.
+ * Only what the batch itself added or removed is reverted.
+ *
+ * @param {Object} batch - lastBatch in createContactStore
+ * @param {string} contactId - Contact the batch changed
+ * @param {*} current - The contact's entry now, or null
+ * @returns {*} Entry to store, null to delete it, or current if the batch's edit is already gone
+ */
+function revertBatchEntry({ type, tag, previous, applied }, contactId, current) {
+  const before = previous[contactId];
+
+  switch (type) {
+    case BATCH_ACTIONS.ADD_TAG:
+      return current?.includes(tag) ? current.filter(existing => existing !== tag) : current;
+    case BATCH_ACTIONS.REMOVE_TAG: {
+      const tags = current || [];
+      if (tags.includes(tag)) return current;
+      // Back in its old place, around tags added or removed since
+      return [
+        ...before.filter(existing => existing === tag || tags.includes(existing)),
+        ...tags.filter(existing => !before.includes(existing)),
+      ];
+    }
+    case BATCH_ACTIONS.CLEAR_PINS:
+      return mergeContactEntry(STORAGE_KEYS.PINS, current ?? undefined, before);
+    case BATCH_ACTIONS.SET_REMINDER: {
+      // A reminder set, cleared or checked in on since isn't the batch's
+      const set = applied[contactId];
+      return current?.id === set.id && current.dueAt === set.dueAt ? before : current;
+    }
+    case BATCH_ACTIONS.CLEAR_REMINDER:
+      return current ?? before;
+    default:
+      return current;
+  }
+}
+
+/**
+ * Moves or removes a contact in every event's member lists
+ *
+ * @param {Object[]} events - Stored events
+ * @param {string} contactId - Contact leaving
+ * @param {string|null} replacementId - Contact taking their place, or null to drop them
+ * @returns {Object[]} Events, with unchanged ones kept as they were
+ */
+function replaceEventMember(events, contactId, replacementId) {
+  const replace = ids => Array.from(new Set(
+    ids.map(id => (id === contactId ? replacementId : id)).filter(Boolean)
+  ));
+
+  return events.map(event => (
+    event.contactIds.includes(contactId) || event.excludedContactIds.includes(contactId)
+      ? {
+          ...event,
+          contactIds: replace(event.contactIds),
+          excludedContactIds: replace(event.excludedContactIds),
+        }
+      : event
+  ));
+}
+
+/**
+ * Drops a cached place label so it is geocoded again
+ *
+ * @param {Object} encounter - Encounter whose coordinates are changing
+ * @returns {Object} Encounter without placeLabel
+ */
+function withoutPlaceLabel(encounter) {
+  const { placeLabel, ...rest } = encounter;
+  return rest;
+}
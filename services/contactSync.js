@@ -0,0 +1,298 @@
+/**
+ * NeverForget - Contact Sync
+ *
+ * Purpose: Brings the store up to date with the address book without
+ *          rescanning it for every event: requests that arrive close
+ *          together share one read, @nf: keys are loaded once, and
+ *          contacts that didn't change keep their objects so React and the
+ *          search index skip them.
+ *
+ * How a sync runs:
+ * 1. Requests within SYNC_DEBOUNCE_MS of each other are coalesced; a
+ *    steady stream still syncs every SYNC_MAX_WAIT_MS
+ * 2. One address book read, diffed against the store's snapshot (see
+ *    changeTracker.js) by syncDeviceContacts
+ * 3. Requests made while a sync runs are queued for one more sync after it
+ *
+ * Status is published to subscribers so the UI can show what's happening
+ * and how long it took.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Quiet time after the last request before syncing
+ *
+ * Why: Saving one contact in the Contacts app fires several
+ *      ContactsChanged events in a row.
+ */
+export const SYNC_DEBOUNCE_MS = 500;
+
+/**
+ * Longest a request waits while more keep arriving
+ */
+export const SYNC_MAX_WAIT_MS = 3000;
+
+/**
+ * What the sync engine is doing
+ */
+export const SYNC_STATES = {
+  IDLE: 'idle',           // Nothing pending
+  SCHEDULED: 'scheduled', // Waiting for requests to settle
+  SYNCING: 'syncing',     // Reading the address book
+  ERROR: 'error',         // Last sync failed
+};
+
+/**
+ * Why a sync was requested (several can share one sync)
+ */
+export const SYNC_REASONS = {
+  LAUNCH: 'launch',                   // First load, or after an import choice or restore
+  REFRESH: 'refresh',                 // Pull to refresh
+  FOREGROUND: 'foreground',           // App came back to the foreground
+  CONTACTS_CHANGED: 'contactsChanged', // ContactsChanged from the native module
+  CONTACT_ADDED: 'contactAdded',      // ContactAddedWithLocation from the native module
+};
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+/**
+ * Creates a sync engine for a contact store
+ *
+ * Sync results look like:
+ *   { reasons, deviceContacts, visibleContacts, firstSeen, changes,
+ *     newlySeenIds, startedAt, durationMs }
+ * where changes and newlySeenIds are from syncDeviceContacts: newlySeenIds
+ * are contacts this sync stamped because they appeared after setup, never
+ * the address book stamped by the first run or anything before an import
+ * choice.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Contact store (see contactStore.js)
+ * @param {Function} options.readContacts - () => Promise<Object[]> of every device contact
+ * @param {Function} options.now - Clock, injectable for deterministic tests
+ * @param {number} options.debounceMs - See SYNC_DEBOUNCE_MS
+ * @param {number} options.maxWaitMs - See SYNC_MAX_WAIT_MS
+ * @param {Object} options.timers - { setTimeout, clearTimeout }, injectable for tests
+ * @returns {Object} Sync engine API
+ */
+export function createContactSync({
+  store,
+  readContacts,
+  now = Date.now,
+  debounceMs = SYNC_DEBOUNCE_MS,
+  maxWaitMs = SYNC_MAX_WAIT_MS,
+  timers = { setTimeout: (fn, ms) => setTimeout(fn, ms), clearTimeout: id => clearTimeout(id) },
+}) {
+  let status = {
+    state: SYNC_STATES.IDLE,
+    pendingReasons: [], // Reasons waiting for the next sync
+    lastSync: null,     // { finishedAt, durationMs, reasons, contactCount, changeCount }
+    lastResult: null,   // Result of the last successful sync
+    error: null,        // Error from the last sync, if it failed
+  };
+  const listeners = new Set();
+
+  let pending = null; // { reasons: Set, waiters: [{ resolve, reject }], firstRequestedAt }
+  let timer = null;
+  let isRunning = false;
+  let hasLoaded = false;
+  let cached = { signatures: new Map(), deviceContacts: [], visibleContacts: [] };
+
+  /**
+   * Replaces the published status and tells subscribers
+   *
+   * @param {Object} change - Fields to update
+   */
+  const publish = (change) => {
+    status = { ...status, ...change };
+    listeners.forEach(listener => listener(status));
+  };
+
+  /**
+   * Arms the timer for the pending requests
+   *
+   * @param {boolean} immediate - Skip the debounce
+   */
+  const schedule = (immediate) => {
+    if (timer) timers.clearTimeout(timer);
+    const waited = now() - pending.firstRequestedAt;
+    const delay = immediate ? 0 : Math.max(0, Math.min(debounceMs, maxWaitMs - waited));
+    timer = timers.setTimeout(flush, delay);
+  };
+
+  /**
+   * Keeps the previous object for every contact that didn't change
+   *
+   * Why: Unchanged references let React skip rows and the search index
+   * skip re-indexing. A list with nothing changed keeps its array too.
+   *
+   * @param {Object[]} contacts - Fresh read
+   * @returns {Object[]} Same contacts, reusing cached objects where equal
+   */
+  const reuseUnchanged = (contacts) => {
+    const previousById = new Map(cached.deviceContacts.map(contact => [contact.id, contact]));
+    const signatures = new Map();
+    let isSameList = contacts.length === cached.deviceContacts.length;
+
+    const reused = contacts.map((contact, index) => {
+      const signature = JSON.stringify(contact);
+      signatures.set(contact.id, signature);
+
+      const previous = previousById.get(contact.id);
+      const kept = previous && cached.signatures.get(contact.id) === signature ? previous : contact;
+      if (kept !== cached.deviceContacts[index]) isSameList = false;
+      return kept;
+    });
+
+    cached = { ...cached, signatures };
+    return isSameList ? cached.deviceContacts : reused;
+  };
+
+  /**
+   * Reads the address book once and applies it to the store
+   *
+   * @param {string[]} reasons - Why this sync runs
+   * @returns {Promise<Object>} Sync result (see createContactSync)
+   */
+  const runSync = async (reasons) => {
+    const startedAt = now();
+    if (!hasLoaded) {
+      await store.load();
+      hasLoaded = true;
+    }
+
+    const deviceContacts = reuseUnchanged(await readContacts());
+    const { firstSeen, visibleContacts, changes, newlySeenIds } = await store.syncDeviceContacts(deviceContacts);
+
+    const isSameVisible = visibleContacts.length === cached.visibleContacts.length
+      && visibleContacts.every((contact, index) => contact === cached.visibleContacts[index]);
+    cached = {
+      ...cached,
+      deviceContacts,
+      visibleContacts: isSameVisible ? cached.visibleContacts : visibleContacts,
+    };
+
+    return {
+      reasons,
+      deviceContacts,
+      visibleContacts: cached.visibleContacts,
+      firstSeen,
+      changes,
+      newlySeenIds,
+      startedAt,
+      durationMs: now() - startedAt,
+    };
+  };
+
+  /**
+   * Runs one sync for everything requested so far
+   */
+  const flush = async () => {
+    timer = null;
+    if (isRunning || !pending) return;
+
+    const batch = pending;
+    pending = null;
+    isRunning = true;
+    publish({ state: SYNC_STATES.SYNCING, pendingReasons: [], error: null });
+
+    let result = null;
+    let error = null;
+    try {
+      result = await runSync([...batch.reasons]);
+    } catch (syncError) {
+      error = syncError;
+    }
+    isRunning = false;
+
+    if (error) {
+      publish({ state: pending ? SYNC_STATES.SCHEDULED : SYNC_STATES.ERROR, error });
+      batch.waiters.forEach(({ reject }) => reject(error));
+    } else {
+      const { changes } = result;
+      publish({
+        state: pending ? SYNC_STATES.SCHEDULED : SYNC_STATES.IDLE,
+        lastResult: result,
+        lastSync: {
+          finishedAt: now(),
+          durationMs: result.durationMs,
+          reasons: result.reasons,
+          contactCount: result.deviceContacts.length,
+          changeCount: changes.added.length + changes.edited.length
+            + changes.merged.length + changes.deleted.length,
+        },
+      });
+      batch.waiters.forEach(({ resolve }) => resolve(result));
+    }
+
+    if (pending) schedule(false);
+  };
+
+  /**
+   * Asks for a sync, sharing it with other requests made around the same time
+   *
+   * @param {string} reason - SYNC_REASONS value
+   * @param {Object} options
+   * @param {boolean} options.immediate - Don't wait for more requests (pull to refresh)
+   * @returns {Promise<Object>} Result of the sync that covered this request
+   */
+  const requestSync = (reason, { immediate = false } = {}) => new Promise((resolve, reject) => {
+    if (!pending) {
+      pending = { reasons: new Set(), waiters: [], firstRequestedAt: now() };
+    }
+    pending.reasons.add(reason);
+    pending.waiters.push({ resolve, reject });
+
+    // While a sync runs, the next one is scheduled when it finishes
+    if (!isRunning) schedule(immediate);
+    publish({
+      state: isRunning ? SYNC_STATES.SYNCING : SYNC_STATES.SCHEDULED,
+      pendingReasons: [...pending.reasons],
+    });
+  });
+
+  /**
+   * Subscribes to status changes
+   *
+   * @param {Function} listener - (status) => void
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    getStatus: () => status,
+    requestSync,
+    syncNow: reason => requestSync(reason, { immediate: true }),
+    subscribe,
+  };
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Describes sync status for a caption under the header
+ *
+ * @param {Object} status - From getStatus() or a subscriber
+ * @returns {string} "Synced 3:41 PM · 1,204 contacts in 85 ms", or '' before the first sync
+ */
+export function describeSyncStatus({ state, lastSync }) {
+  if (state === SYNC_STATES.SYNCING || state === SYNC_STATES.SCHEDULED) return 'Syncing contacts…';
+  if (state === SYNC_STATES.ERROR) return 'Sync failed. Pull down to try again.';
+  if (!lastSync) return '';
+
+  const time = new Date(lastSync.finishedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  const changed = lastSync.changeCount > 0
+    ? ` · ${lastSync.changeCount} ${lastSync.changeCount === 1 ? 'change' : 'changes'}`
+    : '';
+  return `Synced ${time} · ${lastSync.contactCount.toLocaleString()} contacts in ${lastSync.durationMs} ms${changed}`;
+}
@@ -0,0 +1,97 @@
+/**
+ * NeverForget - Creation Dates
+ *
+ * Purpose: Matches the address book's creation dates (read natively, see
+ *          nativeContactDates.js) to Expo contacts.
+ *
+ * Matching rules:
+ * - A row with the contact's identifier wins outright
+ * - Otherwise every one of the contact's numbers is looked up by
+ *   phoneMatchKey, so a work line listed first doesn't hide the date
+ * - A number shared by several contacts can't say whose date it is, and
+ *   numbers that disagree can't say which is right: both are reported as
+ *   ambiguous rather than picking one
+ */
+
+import { phoneMatchKey } from './phone';
+
+// ============================================================================
+// INDEXING
+// ============================================================================
+
+/**
+ * Indexes native creation dates for matching
+ *
+ * @param {import('./nativeContactDates').NativeContactRecord[]} records - From loadRecords
+ * @param {Object[]} deviceContacts - Every contact on this device, to find shared numbers
+ * @returns {Object} {
+ *   byIdentifier: { identifier: timestamp },
+ *   byPhone: { phoneKey: timestamp[] } (several when numbers collide),
+ *   phoneOwners: { phoneKey: number of device contacts with it }
+ * }
+ */
+export function indexCreationDates(records = [], deviceContacts = []) {
+  const byIdentifier = {};
+  const byPhone = {};
+
+  for (const { identifier, createdAt, phones } of records) {
+    if (!createdAt) continue;
+
+    if (identifier) {
+      byIdentifier[identifier] = Math.min(byIdentifier[identifier] ?? Infinity, createdAt);
+    }
+
+    // Identified records still count here, so a number they share with an
+    // unidentified contact shows up as ambiguous
+    new Set(phones.map(phone => phoneMatchKey(phone))).forEach((phoneKey) => {
+      if (phoneKey) byPhone[phoneKey] = Array.from(new Set([...(byPhone[phoneKey] || []), createdAt]));
+    });
+  }
+
+  const phoneOwners = {};
+  for (const contact of deviceContacts) {
+    const keys = new Set((contact.phoneNumbers || []).map(phone => phoneMatchKey(phone.number)));
+    keys.forEach((phoneKey) => {
+      if (phoneKey) phoneOwners[phoneKey] = (phoneOwners[phoneKey] || 0) + 1;
+    });
+  }
+
+  return { byIdentifier, byPhone, phoneOwners };
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Finds a contact's creation date
+ *
+ * @param {Object} contact - Contact from Expo Contacts
+ * @param {Object} index - From indexCreationDates
+ * @returns {Object} One of:
+ *   { timestamp, match: 'identifier' | 'phone' },
+ *   { timestamp: 0, match: 'ambiguous', candidates: timestamp[] },
+ *   { timestamp: 0, match: null } when nothing matched
+ */
+export function matchCreationDate(contact, index) {
+  const identifierDate = index.byIdentifier[contact.id];
+  if (identifierDate) return { timestamp: identifierDate, match: 'identifier' };
+
+  const dates = new Set();
+  const sharedDates = new Set();
+  for (const phone of contact.phoneNumbers || []) {
+    const phoneKey = phoneMatchKey(phone.number);
+    const timestamps = phoneKey ? index.byPhone[phoneKey] : null;
+    if (!timestamps) continue;
+
+    const target = timestamps.length > 1 || index.phoneOwners[phoneKey] > 1 ? sharedDates : dates;
+    timestamps.forEach(timestamp => target.add(timestamp));
+  }
+
+  if (dates.size === 1) return { timestamp: [...dates][0], match: 'phone' };
+
+  const candidates = [...new Set([...dates, ...sharedDates])].sort((a, b) => a - b);
+  return candidates.length > 0
+    ? { timestamp: 0, match: 'ambiguous', candidates }
+    : { timestamp: 0, match: null };
+}
@@ -0,0 +1,207 @@
+/**
+ * NeverForget - Events
+ *
+ * Purpose: Groups contacts met at the same time and place ("Denver JS
+ *          meetup, Oct 3") so a meetup's worth of new people stays
+ *          together.
+ *
+ * Detection rules:
+ * - Each contact counts once, by their first encounter
+ * - Contacts first met through an import are left out: a file's rows
+ *   often share one place and time without anyone having met together
+ * - An arrival within EVENT_GAP_MS of an event's time span and within
+ *   EVENT_RADIUS_METERS of its center joins that event
+ * - Otherwise arrivals that fit together form a new event once there are
+ *   MIN_EVENT_MEMBERS of them; smaller groups wait for more arrivals
+ * - Contacts removed from an event, or in a deleted one, are never
+ *   grouped again automatically
+ *
+ * Event shape:
+ *   { id, name, contactIds, excludedContactIds, startAt, endAt,
+ *     latitude, longitude, placeLabel, createdAt, deletedAt }
+ */
+
+import { distanceMeters } from './mapRegion';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Longest quiet spell between arrivals at one event
+ */
+export const EVENT_GAP_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Farthest an arrival can be from an event's center
+ */
+export const EVENT_RADIUS_METERS = 1000;
+
+/**
+ * Fewest people that make a new event
+ */
+export const MIN_EVENT_MEMBERS = 3;
+
+/**
+ * Source of encounters read from a file (PIN_SOURCES.IMPORT in
+ * contactStore.js, which imports this module)
+ */
+const IMPORTED_PIN_SOURCE = 'import';
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Lists each contact's first encounter, oldest first, skipping contacts
+ * first met through an import
+ *
+ * @param {Object} pins - contactId -> encounters, oldest first
+ * @returns {Object[]} [{ contactId, encounter }]
+ */
+function firstEncounters(pins) {
+  return Object.entries(pins)
+    .filter(([, encounters]) => encounters.length > 0 && encounters[0].source !== IMPORTED_PIN_SOURCE)
+    .map(([contactId, encounters]) => ({ contactId, encounter: encounters[0] }))
+    .sort((a, b) => a.encounter.timestamp - b.encounter.timestamp);
+}
+
+/**
+ * Whether an encounter fits an event's time span and place
+ *
+ * @param {Object} event - { startAt, endAt, latitude, longitude }
+ * @param {Object} encounter - { timestamp, latitude, longitude }
+ * @returns {boolean} True if the encounter belongs with the event
+ */
+function fitsEvent(event, encounter) {
+  return encounter.timestamp >= event.startAt - EVENT_GAP_MS
+    && encounter.timestamp <= event.endAt + EVENT_GAP_MS
+    && distanceMeters(event, encounter) <= EVENT_RADIUS_METERS;
+}
+
+/**
+ * Picks the place label most members' encounters share
+ *
+ * @param {Object[]} encounters - Member encounters
+ * @returns {string|null} Most common label
+ */
+export function commonPlaceLabel(encounters) {
+  const counts = new Map();
+  for (const { placeLabel } of encounters) {
+    if (placeLabel) counts.set(placeLabel, (counts.get(placeLabel) || 0) + 1);
+  }
+  let best = null;
+  for (const [label, count] of counts) {
+    if (!best || count > counts.get(best)) best = label;
+  }
+  return best;
+}
+
+/**
+ * Default name for a new event
+ *
+ * @param {string|null} placeLabel - Where it happened
+ * @param {number} startAt - When it started (epoch ms)
+ * @returns {string} "Pearl Street Mall, Boulder · Oct 3"
+ */
+export function defaultEventName(placeLabel, startAt) {
+  const date = new Date(startAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return `${placeLabel || 'Meetup'} · ${date}`;
+}
+
+/**
+ * Describes an event's time span and place from its members' encounters
+ *
+ * @param {Object[]} encounters - At least one encounter
+ * @returns {Object} { startAt, endAt, latitude, longitude, placeLabel }
+ */
+export function summarizeEncounters(encounters) {
+  const timestamps = encounters.map(encounter => encounter.timestamp);
+  return {
+    startAt: Math.min(...timestamps),
+    endAt: Math.max(...timestamps),
+    latitude: encounters.reduce((sum, encounter) => sum + encounter.latitude, 0) / encounters.length,
+    longitude: encounters.reduce((sum, encounter) => sum + encounter.longitude, 0) / encounters.length,
+    placeLabel: commonPlaceLabel(encounters),
+  };
+}
+
+/**
+ * Finds contacts that belong to an existing event or form a new one
+ *
+ * @param {Object} pins - contactId -> encounters, oldest first
+ * @param {Object[]} events - Stored events, including deleted ones
+ * @returns {Object} {
+ *   joins: [{ eventId, contactId, encounter }],
+ *   groups: [[{ contactId, encounter }]] (each big enough for a new event)
+ * }
+ */
+export function detectEvents(pins, events) {
+  const considered = new Set(events.flatMap(event => [
+    ...event.contactIds,
+    ...event.excludedContactIds,
+  ]));
+  const liveEvents = events
+    .filter(event => !event.deletedAt)
+    .map(event => ({ ...event }));
+
+  const joins = [];
+  const openGroups = [];
+
+  for (const arrival of firstEncounters(pins)) {
+    if (considered.has(arrival.contactId)) continue;
+    const { encounter } = arrival;
+
+    const event = liveEvents.find(candidate => fitsEvent(candidate, encounter));
+    if (event) {
+      joins.push({ eventId: event.id, ...arrival });
+      // Later arrivals measure against the widened span
+      event.startAt = Math.min(event.startAt, encounter.timestamp);
+      event.endAt = Math.max(event.endAt, encounter.timestamp);
+      continue;
+    }
+
+    const group = openGroups.find(candidate => fitsEvent(candidate.span, encounter));
+    if (group) {
+      group.members.push(arrival);
+      group.span.endAt = encounter.timestamp;
+    } else {
+      openGroups.push({
+        members: [arrival],
+        // The first arrival anchors the group's place
+        span: {
+          startAt: encounter.timestamp,
+          endAt: encounter.timestamp,
+          latitude: encounter.latitude,
+          longitude: encounter.longitude,
+        },
+      });
+    }
+  }
+
+  return {
+    joins,
+    groups: openGroups
+      .filter(group => group.members.length >= MIN_EVENT_MEMBERS)
+      .map(group => group.members),
+  };
+}
+
+/**
+ * Picks the encounter that put a member at an event
+ *
+ * Members added by hand may have met the user elsewhere too, so the
+ * encounter closest to the event's time span is used.
+ *
+ * @param {Object} event - { startAt, endAt }
+ * @param {Object[]} encounters - Member's encounters
+ * @returns {Object|null} Encounter, or null if the member has none
+ */
+export function eventEncounter(event, encounters = []) {
+  const distanceFromSpan = ({ timestamp }) => Math.max(0, event.startAt - timestamp, timestamp - event.endAt);
+  let best = null;
+  for (const encounter of encounters) {
+    if (!best || distanceFromSpan(encounter) < distanceFromSpan(best)) best = encounter;
+  }
+  return best;
+}
@@ -0,0 +1,578 @@
+/**
+ * NeverForget - Export
+ *
+ * Purpose: Joins device contacts with their @nf: metadata and writes them
+ *          out as CSV (spreadsheets), JSON (everything, losslessly),
+ *          vCard 4.0 (other address books) or, for the map, GeoJSON and
+ *          KML (GIS tools, Google Earth), then hands the file to the
+ *          system share sheet.
+ *
+ * vCard mapping:
+ * - CATEGORIES: tags
+ * - GEO: most recent encounter
+ * - NOTE: when and where we met, every encounter, then free-form notes
+ *
+ * Map exports write one point per encounter, so someone met three times
+ * shows up in all three places, as they do on the map view.
+ */
+
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  VCARD: 'vcf',
+  GEOJSON: 'geojson',
+  KML: 'kml',
+};
+
+/**
+ * File details per format for the share sheet
+ */
+const FORMAT_DETAILS = {
+  [EXPORT_FORMATS.CSV]: { mimeType: 'text/csv', uti: 'public.comma-separated-values-text' },
+  [EXPORT_FORMATS.JSON]: { mimeType: 'application/json', uti: 'public.json' },
+  [EXPORT_FORMATS.VCARD]: { mimeType: 'text/vcard', uti: 'public.vcard' },
+  [EXPORT_FORMATS.GEOJSON]: { mimeType: 'application/geo+json', uti: 'public.json' },
+  [EXPORT_FORMATS.KML]: { mimeType: 'application/vnd.google-earth.kml+xml', uti: 'com.google.earth.kml' },
+};
+
+/**
+ * Identifies NeverForget JSON exports (and, later, backups)
+ */
+export const EXPORT_JSON_FORMAT = 'neverforget-export';
+
+/**
+ * vCard TYPE values for common contact labels
+ *
+ * Why a table: Device labels ("mobile", "iPhone") aren't vCard types, and
+ * free-form custom labels can't be written as parameters safely.
+ */
+const VCARD_TYPES_BY_LABEL = {
+  mobile: 'cell',
+  iphone: 'cell',
+  cell: 'cell',
+  home: 'home',
+  work: 'work',
+  main: 'voice',
+  fax: 'fax',
+  'home fax': 'fax',
+  'work fax': 'fax',
+  pager: 'pager',
+};
+
+/**
+ * vCard lines longer than this many bytes must be folded (RFC 6350 3.2)
+ */
+const VCARD_MAX_LINE_BYTES = 75;
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Joins contacts with the metadata NeverForget keeps about them
+ *
+ * @param {Object[]} contacts - Contacts from Expo Contacts
+ * @param {Object} metadata - Store state ({ firstSeen, tags, pins, notes, reminders })
+ * @param {Function} getCreationTime - (contact) => epoch ms or 0
+ * @returns {Object[]} One export record per contact
+ */
+export function buildExportRecords(contacts, metadata, getCreationTime) {
+  return contacts.map(contact => ({
+    id: contact.id,
+    name: contact.name || '',
+    firstName: contact.firstName || '',
+    lastName: contact.lastName || '',
+    company: contact.company || '',
+    jobTitle: contact.jobTitle || '',
+    department: contact.department || '',
+    phoneNumbers: (contact.phoneNumbers || []).map(({ label, number }) => ({ label: label || '', number })),
+    emails: (contact.emails || []).map(({ label, email }) => ({ label: label || '', email })),
+    createdAt: getCreationTime(contact) || null,
+    firstSeen: metadata.firstSeen[contact.id] || null,
+    tags: metadata.tags[contact.id] || [],
+    encounters: metadata.pins[contact.id] || [],
+    notes: metadata.notes[contact.id] || [],
+    reminder: metadata.reminders[contact.id] || null,
+  }));
+}
+
+/**
+ * Formats a timestamp for export files
+ *
+ * @param {number|null} timestamp - Epoch ms
+ * @returns {string} ISO 8601, or '' if unknown
+ */
+function toIsoString(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+/**
+ * Returns a record's most recent encounter
+ *
+ * @param {Object} record - Export record
+ * @returns {Object|null} Encounter
+ */
+function latestEncounter(record) {
+  return record.encounters[record.encounters.length - 1] || null;
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Text cells that a spreadsheet would run as a formula
+ *
+ * Why: E.164 numbers start with "+" and notes can start with anything;
+ * "=HYPERLINK(...)" in a note must open as text, not a live link.
+ */
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a CSV cell when needed (RFC 4180)
+ *
+ * Text that looks like a formula gets a leading "'" (OWASP CSV injection
+ * advice), which spreadsheets hide and importer.js strips. Numbers are
+ * left alone so negative coordinates stay numeric.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Safe cell text
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  const isFormulaLike = typeof value === 'string' && CSV_FORMULA_START.test(text);
+  const cellText = isFormulaLike ? `'${text}` : text;
+  return isFormulaLike || /[",\r\n]/.test(cellText) ? `"${cellText.replace(/"/g, '""')}"` : cellText;
+}
+
+/**
+ * Spreadsheet columns: header -> value for a record
+ *
+ * Why flattened: One row per contact is what spreadsheets expect; lists
+ * are joined with "; " and only the latest encounter gets its own columns.
+ */
+const CSV_COLUMNS = [
+  ['Name', record => record.name],
+  ['Phone Numbers', record => record.phoneNumbers.map(phone => phone.number).join('; ')],
+  ['Emails', record => record.emails.map(email => email.email).join('; ')],
+  ['Company', record => record.company],
+  ['Job Title', record => record.jobTitle],
+  ['Created', record => toIsoString(record.createdAt)],
+  ['First Seen', record => toIsoString(record.firstSeen)],
+  ['Tags', record => record.tags.join('; ')],
+  ['Encounters', record => record.encounters.length],
+  ['Last Met', record => toIsoString(latestEncounter(record)?.timestamp)],
+  ['Last Met Place', record => latestEncounter(record)?.placeLabel || ''],
+  ['Last Met Latitude', record => latestEncounter(record)?.latitude ?? ''],
+  ['Last Met Longitude', record => latestEncounter(record)?.longitude ?? ''],
+  ['Notes', record => record.notes.map(note => note.text).join('\n\n')],
+  ['Follow Up Due', record => toIsoString(record.reminder?.dueAt)],
+  ['Contact ID', record => record.id],
+];
+
+/**
+ * Writes records as CSV
+ *
+ * @param {Object[]} records - Export records
+ * @returns {string} CSV text with a header row
+ */
+export function toCSV(records) {
+  const rows = [
+    CSV_COLUMNS.map(([header]) => header),
+    ...records.map(record => CSV_COLUMNS.map(([, getValue]) => getValue(record))),
+  ];
+  // The byte order mark makes Excel read the file as UTF-8 ("José", not "JosÃ©")
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// JSON
+// ============================================================================
+
+/**
+ * Writes records as a JSON document
+ *
+ * Why keep the schema version: Stored shapes change through migrations;
+ * anything reading this file later needs to know which shape it holds.
+ *
+ * @param {Object[]} records - Export records
+ * @param {Object} options
+ * @param {number} options.exportedAt - Epoch ms
+ * @returns {string} Pretty-printed JSON
+ */
+export function toJSON(records, { exportedAt = Date.now() } = {}) {
+  return JSON.stringify({
+    format: EXPORT_JSON_FORMAT,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date(exportedAt).toISOString(),
+    contacts: records,
+  }, null, 2);
+}
+
+// ============================================================================
+// VCARD
+// ============================================================================
+
+/**
+ * Escapes a vCard text value (RFC 6350 3.4)
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function vCardText(text = '') {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Builds the TYPE parameter for a device label
+ *
+ * @param {string} label - Contact field label ("mobile", "work")
+ * @returns {string} ";TYPE=cell", or '' for unknown labels
+ */
+function vCardTypeParameter(label = '') {
+  const type = VCARD_TYPES_BY_LABEL[label.toLowerCase()];
+  return type ? `;TYPE=${type}` : '';
+}
+
+/**
+ * Folds a content line to 75 bytes per physical line
+ *
+ * Why bytes: The limit is in octets, and names and notes often contain
+ * multi-byte UTF-8 characters that must not be split.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line(s) joined with CRLF + space
+ */
+function foldVCardLine(line) {
+  const segments = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const character of line) {
+    const codePoint = character.codePointAt(0);
+    const bytes = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = segments.length === 0 ? VCARD_MAX_LINE_BYTES : VCARD_MAX_LINE_BYTES - 1;
+
+    if (currentBytes + bytes > limit) {
+      segments.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += character;
+    currentBytes += bytes;
+  }
+  segments.push(current);
+
+  return segments.join('\r\n ');
+}
+
+/**
+ * Describes where and when we met, plus notes, for the NOTE property
+ *
+ * @param {Object} record - Export record
+ * @returns {string} Multi-line note text
+ */
+function buildVCardNote(record) {
+  const lines = [];
+
+  if (record.createdAt) {
+    lines.push(`Met: ${toIsoString(record.createdAt)}`);
+  }
+  for (const encounter of record.encounters) {
+    const place = encounter.placeLabel
+      || `${encounter.latitude.toFixed(5)}, ${encounter.longitude.toFixed(5)}`;
+    const note = encounter.note ? ` (${encounter.note})` : '';
+    lines.push(`Encounter: ${toIsoString(encounter.timestamp)} at ${place}${note}`);
+  }
+  for (const note of record.notes) {
+    lines.push('', note.text);
+  }
+
+  return lines.join('\n').trim();
+}
+
+/**
+ * Writes one record as a vCard 4.0
+ *
+ * @param {Object} record - Export record
+ * @returns {string} vCard with CRLF line endings
+ */
+function toVCard(record) {
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:4.0',
+    `FN:${vCardText(record.name || record.company || 'Unnamed')}`,
+    `N:${vCardText(record.lastName)};${vCardText(record.firstName)};;;`,
+  ];
+
+  if (record.company || record.department) {
+    lines.push(`ORG:${vCardText(record.company)}${record.department ? `;${vCardText(record.department)}` : ''}`);
+  }
+  if (record.jobTitle) lines.push(`TITLE:${vCardText(record.jobTitle)}`);
+
+  for (const phone of record.phoneNumbers) {
+    lines.push(`TEL;VALUE=text${vCardTypeParameter(phone.label)}:${vCardText(phone.number)}`);
+  }
+  for (const email of record.emails) {
+    const type = vCardTypeParameter(email.label);
+    // Only home and work are valid TYPEs for EMAIL
+    lines.push(`EMAIL${/home|work/.test(type) ? type : ''}:${vCardText(email.email)}`);
+  }
+
+  if (record.tags.length > 0) {
+    lines.push(`CATEGORIES:${record.tags.map(vCardText).join(',')}`);
+  }
+
+  const encounter = latestEncounter(record);
+  if (encounter) {
+    lines.push(`GEO:geo:${encounter.latitude},${encounter.longitude}`);
+  }
+
+  const note = buildVCardNote(record);
+  if (note) lines.push(`NOTE:${vCardText(note)}`);
+
+  lines.push(`UID:urn:neverforget:${encodeURIComponent(record.id)}`, 'END:VCARD');
+  return lines.map(foldVCardLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes records as a vCard 4.0 file (one card per contact)
+ *
+ * @param {Object[]} records - Export records
+ * @returns {string} vCard text
+ */
+export function toVCards(records) {
+  return records.map(toVCard).join('');
+}
+
+// ============================================================================
+// MAP (GEOJSON, KML)
+// ============================================================================
+
+/**
+ * Flattens records into one entry per encounter, oldest first
+ *
+ * @param {Object[]} records - Export records
+ * @returns {Object[]} { record, encounter } pairs
+ */
+function encounterPoints(records) {
+  return records.flatMap(record => (
+    record.encounters.map(encounter => ({ record, encounter }))
+  ));
+}
+
+/**
+ * Properties carried by each map point
+ *
+ * @param {Object} record - Export record
+ * @param {Object} encounter - One of the record's encounters
+ * @returns {Object} Flat, JSON-safe properties
+ */
+function mapPointProperties(record, encounter) {
+  return {
+    contactId: record.id,
+    name: record.name,
+    phone: record.phoneNumbers[0]?.number || '',
+    tags: record.tags,
+    timestamp: toIsoString(encounter.timestamp),
+    place: encounter.placeLabel || '',
+    note: encounter.note || '',
+    notes: record.notes.map(note => note.text),
+    source: encounter.source || '',
+  };
+}
+
+/**
+ * Writes encounters as a GeoJSON FeatureCollection (RFC 7946)
+ *
+ * @param {Object[]} records - Export records
+ * @returns {string} Pretty-printed GeoJSON
+ */
+export function toGeoJSON(records) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: encounterPoints(records).map(({ record, encounter }) => ({
+      type: 'Feature',
+      id: encounter.id,
+      // GeoJSON positions are longitude first
+      geometry: { type: 'Point', coordinates: [encounter.longitude, encounter.latitude] },
+      properties: mapPointProperties(record, encounter),
+    })),
+  }, null, 2);
+}
+
+/**
+ * Escapes text for XML content and attribute values
+ *
+ * @param {*} value - Raw value
+ * @returns {string} Escaped text
+ */
+function xmlText(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Readable summary shown in a placemark's balloon
+ *
+ * @param {Object} properties - From mapPointProperties
+ * @returns {string} Multi-line description
+ */
+function buildKMLDescription({ place, note, tags, notes }) {
+  return [
+    place,
+    note,
+    tags.length ? tags.map(tag => `#${tag}`).join(' ') : '',
+    ...notes,
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Writes one encounter as a KML Placemark
+ *
+ * ExtendedData uses the field names the KML importer reads (name, phone,
+ * tags, note), so an exported map can be imported again.
+ *
+ * @param {Object} record - Export record
+ * @param {Object} encounter - One of the record's encounters
+ * @returns {string} Placemark element
+ */
+function toPlacemark(record, encounter) {
+  const properties = mapPointProperties(record, encounter);
+  const data = {
+    name: properties.name,
+    phone: properties.phone,
+    tags: properties.tags.join('; '),
+    place: properties.place,
+    note: properties.note,
+    notes: properties.notes.join('\n\n'),
+    contactId: properties.contactId,
+  };
+
+  const lines = [
+    '    <Placemark>',
+    `      <name>${xmlText(record.name || 'Unnamed')}</name>`,
+  ];
+  const description = buildKMLDescription(properties);
+  if (description) lines.push(`      <description>${xmlText(description)}</description>`);
+  if (properties.timestamp) {
+    lines.push(`      <TimeStamp><when>${properties.timestamp}</when></TimeStamp>`);
+  }
+  lines.push('      <ExtendedData>');
+  // Every field is written, even empty, so GIS tools see one schema
+  for (const [name, value] of Object.entries(data)) {
+    lines.push(`        <Data name="${name}"><value>${xmlText(value)}</value></Data>`);
+  }
+  lines.push(
+    '      </ExtendedData>',
+    // KML coordinates are longitude first, too
+    `      <Point><coordinates>${encounter.longitude},${encounter.latitude}</coordinates></Point>`,
+    '    </Placemark>'
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Writes encounters as a KML 2.2 document
+ *
+ * @param {Object[]} records - Export records
+ * @returns {string} KML text
+ */
+export function toKML(records) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>NeverForget</name>',
+    ...encounterPoints(records).map(({ record, encounter }) => toPlacemark(record, encounter)),
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+// ============================================================================
+// SHARING
+// ============================================================================
+
+/**
+ * Serializes records in the chosen format
+ *
+ * @param {Object[]} records - Export records
+ * @param {string} format - EXPORT_FORMATS value
+ * @returns {string} File contents
+ */
+export function serializeExport(records, format) {
+  switch (format) {
+    case EXPORT_FORMATS.CSV: return toCSV(records);
+    case EXPORT_FORMATS.JSON: return toJSON(records);
+    case EXPORT_FORMATS.VCARD: return toVCards(records);
+    case EXPORT_FORMATS.GEOJSON: return toGeoJSON(records);
+    case EXPORT_FORMATS.KML: return toKML(records);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Writes a text file to the cache and opens the share sheet for it
+ *
+ * @param {string} fileName - File name including extension
+ * @param {string} contents - File contents (UTF-8)
+ * @param {Object} options
+ * @param {string} options.mimeType - MIME type for Android
+ * @param {string} options.uti - Uniform Type Identifier for iOS
+ * @param {string} options.dialogTitle - Share sheet title
+ * @returns {Promise<void>}
+ */
+export async function shareTextFile(fileName, contents, { mimeType, uti, dialogTitle }) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, contents, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+  await Sharing.shareAsync(fileUri, { mimeType, UTI: uti, dialogTitle });
+}
+
+/**
+ * Writes an export file and opens the share sheet for it
+ *
+ * @param {Object[]} records - Export records
+ * @param {string} format - EXPORT_FORMATS value
+ * @param {Object} options
+ * @param {string} options.baseName - File name before the date
+ * @param {string} options.dialogTitle - Share sheet title
+ * @returns {Promise<void>}
+ */
+export function shareExport(records, format, {
+  baseName = 'NeverForget',
+  dialogTitle = 'Export contacts',
+} = {}) {
+  const date = new Date().toISOString().slice(0, 10);
+  return shareTextFile(`${baseName}-${date}.${format}`, serializeExport(records, format), {
+    ...FORMAT_DETAILS[format],
+    dialogTitle,
+  });
+}
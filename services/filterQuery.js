@@ -0,0 +1,449 @@
+/**
+ * NeverForget - Filter Query Language
+ *
+ * Purpose: Parses the search bar into structured filters combined with
+ *          free text, e.g. `tag:conference -tag:work added:last7d`.
+ *
+ * Syntax:
+ *   tag:conference          Has this tag (case-insensitive)
+ *   added:>2025-09-01       Created after that day (also <, >=, <=)
+ *   added:2025-09-01        Created on that day
+ *   added:2025-09-01..2025-09-30
+ *   added:last7d            Created in the last 7 days (d, w, m, y)
+ *   added:today
+ *   has:pin / no:pin        Has / lacks pins (also tag, phone, email, note)
+ *   near:"Denver"           Met somewhere whose place name matches
+ *   -filter, NOT filter     Negation
+ *   a b, a AND b            Both must match (AND is the default)
+ *   a OR b                  Either matches (binds looser than AND)
+ *   ( ... )                 Grouping
+ *   other words             Free-text search over names, phones, tags, …
+ *
+ * Why a real parser: Errors carry the position of the problem, so the UI
+ * can say exactly what is wrong instead of silently showing nothing.
+ */
+
+import { foldText } from './searchIndex';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Values accepted by has: and no:
+ */
+const PRESENCE_FIELDS = ['pin', 'tag', 'phone', 'email', 'note'];
+
+/**
+ * Filter keys the parser accepts
+ */
+const FILTER_KEYS = ['tag', 'added', 'has', 'no', 'near'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Length of each unit accepted by added:lastN<unit>
+ */
+const RELATIVE_UNITS_MS = {
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+  m: 30 * DAY_MS,
+  y: 365 * DAY_MS,
+};
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+/**
+ * Splits query text into tokens
+ *
+ * Token types: lparen, rparen, or, and, not, filter, word
+ *
+ * @param {string} text - Raw search text
+ * @returns {Object} { tokens } or { error: { message, position } }
+ */
+function tokenizeQuery(text) {
+  const tokens = [];
+  let position = 0;
+
+  const readQuoted = () => {
+    const start = position;
+    position++; // opening quote
+    const closing = text.indexOf('"', position);
+    if (closing === -1) {
+      return { error: { message: 'Missing closing quote', position: start } };
+    }
+    const value = text.slice(position, closing);
+    position = closing + 1;
+    return { value };
+  };
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position });
+      position++;
+      continue;
+    }
+
+    const start = position;
+    let negated = false;
+    if (char === '-' && position + 1 < text.length && !/[\s\d]/.test(text[position + 1])) {
+      negated = true;
+      position++;
+    }
+
+    if (text[position] === '"') {
+      const quoted = readQuoted();
+      if (quoted.error) return quoted;
+      if (negated) tokens.push({ type: 'not', position: start });
+      tokens.push({ type: 'word', value: quoted.value, position: start });
+      continue;
+    }
+
+    const keyMatch = /^([a-z]+):/i.exec(text.slice(position));
+    if (keyMatch) {
+      position += keyMatch[0].length;
+      let value = '';
+      if (text[position] === '"') {
+        const quoted = readQuoted();
+        if (quoted.error) return quoted;
+        value = quoted.value;
+      } else {
+        const valueMatch = /^[^\s()]*/.exec(text.slice(position));
+        value = valueMatch[0];
+        position += value.length;
+      }
+      if (negated) tokens.push({ type: 'not', position: start });
+      tokens.push({ type: 'filter', key: keyMatch[1].toLowerCase(), value, position: start });
+      continue;
+    }
+
+    const wordMatch = /^[^\s()"]+/.exec(text.slice(position));
+    const word = wordMatch ? wordMatch[0] : text[position];
+    position += word.length;
+
+    if (!negated && (word === 'OR' || word === 'AND' || word === 'NOT')) {
+      tokens.push({ type: word.toLowerCase(), position: start });
+    } else {
+      if (negated) tokens.push({ type: 'not', position: start });
+      tokens.push({ type: 'word', value: word, position: start });
+    }
+  }
+
+  return { tokens };
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Parses search text into a filter tree
+ *
+ * Node shapes:
+ *   { type: 'and' | 'or', children: Node[] }
+ *   { type: 'not', child: Node }
+ *   { type: 'text', value }                 Adjacent words, searched together
+ *   { type: 'filter', key, value, test }    test(contactContext) => boolean
+ *
+ * @param {string} text - Raw search text
+ * @param {Object} options
+ * @param {Function} options.now - Clock for relative dates
+ * @returns {Object} { filter: Node|null, error: { message, position }|null }
+ */
+export function parseFilterQuery(text = '', { now = Date.now } = {}) {
+  const { tokens, error: tokenError } = tokenizeQuery(text);
+  if (tokenError) return { filter: null, error: tokenError };
+  if (tokens.length === 0) return { filter: null, error: null };
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const fail = (message, token) => {
+    const failure = new Error(message);
+    failure.position = token ? token.position : text.length;
+    throw failure;
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      index++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+      if (peek().type === 'and') index++;
+      children.push(parseUnary());
+    }
+    const merged = mergeText(children);
+    return merged.length === 1 ? merged[0] : { type: 'and', children: merged };
+  };
+
+  const parseUnary = () => {
+    if (peek()?.type === 'not') {
+      index++;
+      return { type: 'not', child: parseUnary() };
+    }
+    return parseAtom();
+  };
+
+  const parseAtom = () => {
+    const token = peek();
+    if (!token) fail('Query ends too early');
+
+    switch (token.type) {
+      case 'lparen': {
+        index++;
+        const inner = parseOr();
+        if (peek()?.type !== 'rparen') fail('Missing closing parenthesis', token);
+        index++;
+        return inner;
+      }
+      case 'filter':
+        index++;
+        return compileFilter(token, now, fail);
+      case 'word':
+        index++;
+        return { type: 'text', value: token.value };
+      case 'rparen':
+        return fail('Unexpected ")"', token);
+      default:
+        return fail(`"${token.type.toUpperCase()}" needs something on both sides`, token);
+    }
+  };
+
+  try {
+    const filter = parseOr();
+    if (index < tokens.length) fail('Unexpected ")"', peek());
+    return { filter, error: null };
+  } catch (failure) {
+    return { filter: null, error: { message: failure.message, position: failure.position } };
+  }
+}
+
+/**
+ * Joins adjacent text nodes so multi-word searches rank as one phrase
+ *
+ * @param {Object[]} children - AND children in order
+ * @returns {Object[]} Children with consecutive text nodes merged
+ */
+function mergeText(children) {
+  const merged = [];
+  for (const child of children) {
+    const previous = merged[merged.length - 1];
+    if (child.type === 'text' && previous?.type === 'text') {
+      merged[merged.length - 1] = { type: 'text', value: `${previous.value} ${child.value}` };
+    } else {
+      merged.push(child);
+    }
+  }
+  return merged;
+}
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+/**
+ * Validates a key:value token and builds its test function
+ *
+ * @param {Object} token - Filter token
+ * @param {Function} now - Clock for relative dates
+ * @param {Function} fail - Throws a positioned parse error
+ * @returns {Object} Filter node
+ */
+function compileFilter(token, now, fail) {
+  const { key, value } = token;
+
+  if (!FILTER_KEYS.includes(key)) {
+    fail(`Unknown filter "${key}:" (try ${FILTER_KEYS.map(k => `${k}:`).join(', ')})`, token);
+  }
+  if (!value) fail(`"${key}:" needs a value`, token);
+
+  switch (key) {
+    case 'tag': {
+      const folded = foldText(value);
+      return {
+        type: 'filter', key, value,
+        test: ({ tags }) => tags.some(tag => foldText(tag) === folded),
+      };
+    }
+    case 'near': {
+      const folded = foldText(value);
+      return {
+        type: 'filter', key, value,
+        test: ({ encounters }) => encounters.some(
+          encounter => foldText(encounter.placeLabel || '').includes(folded)
+        ),
+      };
+    }
+    case 'has':
+    case 'no': {
+      const field = value.toLowerCase().replace(/s$/, '');
+      if (!PRESENCE_FIELDS.includes(field)) {
+        fail(`"${key}:" accepts ${PRESENCE_FIELDS.join(', ')}`, token);
+      }
+      const wantsPresent = key === 'has';
+      return {
+        type: 'filter', key, value: field,
+        test: (context) => hasField(context, field) === wantsPresent,
+      };
+    }
+    case 'added': {
+      const range = parseDateRange(value, now());
+      if (!range) {
+        fail(`Can't read date "${value}" (use 2025-09-01, >2025-09-01, last7d or today)`, token);
+      }
+      return {
+        type: 'filter', key, value, range,
+        test: ({ createdAt }) => createdAt > 0 && createdAt >= range.from && createdAt < range.to,
+      };
+    }
+    default:
+      return fail(`Unknown filter "${key}:"`, token);
+  }
+}
+
+/**
+ * Checks whether a contact has a kind of data
+ *
+ * @param {Object} context - Contact evaluation context
+ * @param {string} field - One of PRESENCE_FIELDS
+ * @returns {boolean} True if present
+ */
+function hasField({ contact, tags, encounters, notes }, field) {
+  switch (field) {
+    case 'pin': return encounters.length > 0;
+    case 'tag': return tags.length > 0;
+    case 'phone': return (contact.phoneNumbers || []).length > 0;
+    case 'email': return (contact.emails || []).length > 0;
+    case 'note': return notes.length > 0;
+    default: return false;
+  }
+}
+
+/**
+ * Parses a local calendar date (YYYY-MM-DD) to its midnight
+ *
+ * @param {string} text - Date text
+ * @returns {number|null} Epoch ms at local midnight, or null if invalid
+ */
+function parseLocalDate(text) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date.getTime() : null;
+}
+
+/**
+ * Returns local midnight of the day after a given midnight
+ *
+ * Why not + DAY_MS: Days around daylight saving changes are 23 or 25 hours.
+ *
+ * @param {number} midnight - Epoch ms at local midnight
+ * @returns {number} Epoch ms at the next local midnight
+ */
+function nextDay(midnight) {
+  const date = new Date(midnight);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
+
+/**
+ * Parses an added: value into a half-open time range
+ *
+ * @param {string} value - Date expression
+ * @param {number} nowMs - Current time
+ * @returns {Object|null} { from, to } in epoch ms, or null if unreadable
+ */
+export function parseDateRange(value, nowMs) {
+  const lowered = value.toLowerCase();
+
+  if (lowered === 'today') {
+    const today = new Date(nowMs);
+    return {
+      from: new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime(),
+      to: Infinity,
+    };
+  }
+
+  const relative = /^last(\d+)([dwmy])$/.exec(lowered);
+  if (relative) {
+    return { from: nowMs - Number(relative[1]) * RELATIVE_UNITS_MS[relative[2]], to: Infinity };
+  }
+
+  const between = /^(.+)\.\.(.+)$/.exec(lowered);
+  if (between) {
+    const start = parseLocalDate(between[1]);
+    const end = parseLocalDate(between[2]);
+    return start !== null && end !== null && start <= end
+      ? { from: start, to: nextDay(end) }
+      : null;
+  }
+
+  const comparison = /^(>=|<=|>|<|=)?(.+)$/.exec(lowered);
+  const day = parseLocalDate(comparison[2]);
+  if (day === null) return null;
+
+  switch (comparison[1]) {
+    case '>': return { from: nextDay(day), to: Infinity };
+    case '>=': return { from: day, to: Infinity };
+    case '<': return { from: -Infinity, to: day };
+    case '<=': return { from: -Infinity, to: nextDay(day) };
+    default: return { from: day, to: nextDay(day) };
+  }
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Collects the free-text parts of a filter that a match should rank by
+ *
+ * Negated text is skipped: it narrows results but says nothing about
+ * relevance.
+ *
+ * @param {Object} node - Filter tree
+ * @returns {string[]} Text values
+ */
+export function collectRankingText(node) {
+  if (!node) return [];
+  switch (node.type) {
+    case 'text': return [node.value];
+    case 'and':
+    case 'or': return node.children.flatMap(collectRankingText);
+    default: return [];
+  }
+}
+
+/**
+ * Evaluates a filter tree against one contact
+ *
+ * @param {Object} node - Filter tree
+ * @param {Object} context - { contact, tags, encounters, notes, createdAt }
+ * @param {Function} matchesText - (text, contactId) => boolean
+ * @returns {boolean} True if the contact matches
+ */
+export function evaluateFilter(node, context, matchesText) {
+  switch (node.type) {
+    case 'and': return node.children.every(child => evaluateFilter(child, context, matchesText));
+    case 'or': return node.children.some(child => evaluateFilter(child, context, matchesText));
+    case 'not': return !evaluateFilter(node.child, context, matchesText);
+    case 'text': return matchesText(node.value, context.contact.id);
+    case 'filter': return node.test(context);
+    default: return false;
+  }
+}
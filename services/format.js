@@ -0,0 +1,33 @@
+/**
+ * NeverForget - Formatting
+ *
+ * Purpose: Display helpers shared by the main screen and detail screens.
+ */
+
+/**
+ * Formats epoch timestamp as localized datetime string
+ *
+ * @param {number} milliseconds - Epoch timestamp
+ * @returns {string} Formatted date/time or empty string on error
+ */
+export const formatAbsoluteTime = (milliseconds) => {
+  try {
+    return new Date(milliseconds).toLocaleString();
+  } catch {
+    return '';
+  }
+};
+
+/**
+ * Formats epoch timestamp as a localized date without the time
+ *
+ * @param {number} milliseconds - Epoch timestamp
+ * @returns {string} Formatted date or empty string on error
+ */
+export const formatShortDate = (milliseconds) => {
+  try {
+    return new Date(milliseconds).toLocaleDateString();
+  } catch {
+    return '';
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * NeverForget - Geocoder
+ *
+ * Purpose: Turns pin coordinates into a short, human-readable place label
+ *          ("Pearl Street Mall, Boulder") for list rows, markers and search.
+ *
+ * Geocoder contract (anything with this shape can be passed to the store):
+ *   reverseGeocode({ latitude, longitude }) => Promise<string|null>
+ * Resolve null when the location has no usable address; throw when the
+ * lookup itself failed (offline, rate limited) so it is retried later.
+ */
+
+import * as Location from 'expo-location';
+
+/**
+ * Builds a place label from an expo-location address
+ *
+ * Priority: venue name, then street, then city/region for context.
+ *
+ * @param {Object} address - LocationGeocodedAddress from expo-location
+ * @returns {string|null} Label such as "Pearl Street Mall, Boulder"
+ */
+export function formatPlaceLabel(address) {
+  if (!address) return null;
+
+  const streetLine = [address.streetNumber, address.street].filter(Boolean).join(' ');
+  // iOS reports the street address as the name when there is no venue
+  const venue = address.name && address.name !== streetLine && address.name !== address.street
+    ? address.name
+    : null;
+  const locality = address.city || address.subregion || address.region;
+
+  const parts = [venue || address.street || null, locality, !locality ? address.country : null];
+  const uniqueParts = parts.filter((part, index) => part && parts.indexOf(part) === index);
+
+  return uniqueParts.length > 0 ? uniqueParts.join(', ') : null;
+}
+
+/**
+ * Geocoder backed by the platform reverse geocoder via expo-location
+ */
+export const expoGeocoder = {
+  reverseGeocode: async ({ latitude, longitude }) => {
+    const [address] = await Location.reverseGeocodeAsync({ latitude, longitude });
+    return formatPlaceLabel(address);
+  },
+};
+
+/**
+ * Creates a geocoder that answers from a fixed table
+ *
+ * Why: Lets the store's labelling logic run without network or device
+ *      services. Unknown coordinates resolve to null.
+ *
+ * @param {Object} labelsByCoordinate - "lat,lng" (4 decimals) -> label
+ * @returns {Object} Geocoder
+ */
+export function createStaticGeocoder(labelsByCoordinate = {}) {
+  return {
+    reverseGeocode: async (coordinate) => labelsByCoordinate[coordinateKey(coordinate)] ?? null,
+  };
+}
+
+/**
+ * Rounds a coordinate to a cache key (about 11 m precision)
+ *
+ * @param {Object} coordinate - { latitude, longitude }
+ * @returns {string} "lat,lng" with 4 decimals
+ */
+export function coordinateKey({ latitude, longitude }) {
+  return `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+}
@@ -0,0 +1,459 @@
+/**
+ * NeverForget - Pin Import
+ *
+ * Purpose: Reads where-we-met history kept outside the app (spreadsheets,
+ *          Google My Maps, GPS apps) and matches it to device contacts.
+ *
+ * Supported files:
+ * - CSV with a header row: name and/or phone, lat, lng, date, tags, note
+ * - KML placemarks (name, description, Point, TimeStamp, ExtendedData)
+ * - GPX waypoints (name, time, desc, type)
+ *
+ * Nothing is written here; the preview from matchImportRows is shown first
+ * and only the rows the user accepts go to contactStore.importRecords.
+ */
+
+import { nameMatchKey } from './searchIndex';
+import { phoneMatchKey } from './phone';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * File formats the importer understands
+ */
+export const IMPORT_FORMATS = {
+  CSV: 'csv',
+  KML: 'kml',
+  GPX: 'gpx',
+};
+
+/**
+ * How a row relates to the device's contacts
+ */
+export const IMPORT_ROW_STATUS = {
+  MATCHED: 'matched',     // Exactly one contact
+  CONFLICT: 'conflict',   // Several contacts, or phone and name disagree
+  UNMATCHED: 'unmatched', // No contact
+  INVALID: 'invalid',     // Unusable row (bad coordinates, nothing to import)
+};
+
+/**
+ * Accepted CSV header names per field (compared case-insensitively)
+ */
+const CSV_HEADER_ALIASES = {
+  name: ['name', 'contact', 'full name', 'person'],
+  phone: ['phone', 'phone number', 'mobile', 'tel', 'telephone'],
+  latitude: ['lat', 'latitude'],
+  longitude: ['lng', 'lon', 'long', 'longitude'],
+  date: ['date', 'met', 'date met', 'when', 'time', 'timestamp'],
+  tags: ['tags', 'tag', 'labels', 'categories'],
+  note: ['note', 'notes', 'description', 'comment'],
+};
+
+/**
+ * Separators accepted inside a tags cell ("work; ski" or "work|ski")
+ */
+const TAG_SEPARATOR = /[;|,]/;
+
+// ============================================================================
+// FORMAT DETECTION
+// ============================================================================
+
+/**
+ * Works out a file's format from its name, then its contents
+ *
+ * @param {string} fileName - Picked file name
+ * @param {string} text - File contents
+ * @returns {string|null} IMPORT_FORMATS value, or null if unknown
+ */
+export function detectImportFormat(fileName = '', text = '') {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (Object.values(IMPORT_FORMATS).includes(extension)) return extension;
+
+  const head = text.slice(0, 1000);
+  if (/<kml[\s>]/i.test(head)) return IMPORT_FORMATS.KML;
+  if (/<gpx[\s>]/i.test(head)) return IMPORT_FORMATS.GPX;
+  if (/^[^\n]*,/.test(head)) return IMPORT_FORMATS.CSV;
+  return null;
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180 quoting)
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows, blank lines removed
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ''); // Byte order mark from Excel
+
+  for (let index = 0; index < input.length; index++) {
+    const character = input[index];
+
+    if (inQuotes) {
+      if (character === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (character === '"') {
+        inQuotes = false;
+      } else {
+        cell += character;
+      }
+    } else if (character === '"') {
+      inQuotes = true;
+    } else if (character === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && input[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += character;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Finds which column holds each field
+ *
+ * @param {string[]} headerRow - First CSV row
+ * @returns {Object} Field -> column index (missing fields omitted)
+ */
+function mapCSVHeaders(headerRow) {
+  const columns = {};
+  headerRow.forEach((header, index) => {
+    const normalized = header.trim().toLowerCase();
+    for (const [field, aliases] of Object.entries(CSV_HEADER_ALIASES)) {
+      if (columns[field] === undefined && aliases.includes(normalized)) {
+        columns[field] = index;
+      }
+    }
+  });
+  return columns;
+}
+
+/**
+ * Reads import rows from CSV
+ *
+ * @param {string} text - CSV text with a header row
+ * @returns {Object[]} Raw import rows
+ * @throws {Error} If no column identifies the contact
+ */
+function parseCSVRows(text) {
+  const [headerRow = [], ...dataRows] = parseCSV(text);
+  const columns = mapCSVHeaders(headerRow);
+
+  if (columns.name === undefined && columns.phone === undefined) {
+    throw new Error('The CSV needs a "name" or "phone" column.');
+  }
+
+  // export.js prefixes formula-like text with "'"; drop it on the way back
+  const cellValue = (cells, field) => (
+    columns[field] === undefined ? '' : (cells[columns[field]] || '').replace(/^'(?=[=+\-@\t\r])/, '').trim()
+  );
+
+  return dataRows.map((cells, index) => ({
+    source: `Row ${index + 2}`, // Spreadsheet row number, counting the header
+    name: cellValue(cells, 'name'),
+    phone: cellValue(cells, 'phone'),
+    latitude: cellValue(cells, 'latitude'),
+    longitude: cellValue(cells, 'longitude'),
+    date: cellValue(cells, 'date'),
+    tags: cellValue(cells, 'tags').split(TAG_SEPARATOR),
+    note: cellValue(cells, 'note'),
+  }));
+}
+
+// ============================================================================
+// XML (KML, GPX)
+// ============================================================================
+
+/**
+ * Decodes XML entities and CDATA in element text
+ *
+ * @param {string} text - Raw element content
+ * @returns {string} Plain text
+ */
+function decodeXMLText(text = '') {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Returns every element with a tag name, ignoring namespace prefixes
+ *
+ * Why not a DOM parser: React Native has none built in, and these files
+ * only need a handful of flat elements read.
+ *
+ * @param {string} xml - XML text
+ * @param {string} tagName - Element name without prefix
+ * @returns {Object[]} [{ attributes, content }]
+ */
+function findElements(xml, tagName) {
+  const pattern = new RegExp(
+    `<(?:\\w+:)?${tagName}(\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:\\w+:)?${tagName}>)`,
+    'gi'
+  );
+  const elements = [];
+  for (const match of xml.matchAll(pattern)) {
+    const attributes = {};
+    for (const [, name, value] of (match[1] || '').matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+      attributes[name] = decodeXMLText(value);
+    }
+    elements.push({ attributes, content: match[2] || '' });
+  }
+  return elements;
+}
+
+/**
+ * Text of the first child element with a tag name
+ *
+ * @param {string} xml - Parent element content
+ * @param {string} tagName - Child element name
+ * @returns {string} Decoded text, or ''
+ */
+function childText(xml, tagName) {
+  const [element] = findElements(xml, tagName);
+  // KML descriptions are often HTML; keep just the text
+  return element ? decodeXMLText(element.content).replace(/<[^>]+>/g, '').trim() : '';
+}
+
+/**
+ * Reads import rows from KML placemarks
+ *
+ * ExtendedData fields named phone, tags or date are used when present
+ * (Google My Maps exports spreadsheet columns this way).
+ *
+ * @param {string} text - KML text
+ * @returns {Object[]} Raw import rows
+ */
+function parseKMLRows(text) {
+  return findElements(text, 'Placemark').map(({ content }, index) => {
+    const extendedData = {};
+    for (const { attributes, content: dataContent } of findElements(content, 'Data')) {
+      if (attributes.name) {
+        extendedData[attributes.name.trim().toLowerCase()] = childText(dataContent, 'value');
+      }
+    }
+
+    // KML writes longitude first: "lng,lat[,altitude]"
+    const [point] = findElements(content, 'Point');
+    const [longitude = '', latitude = ''] = (point ? childText(point.content, 'coordinates') : '')
+      .split(',');
+    const name = childText(content, 'name');
+
+    return {
+      source: `Placemark ${index + 1}${name ? ` (${name})` : ''}`,
+      name: extendedData.name || name,
+      phone: extendedData.phone || '',
+      latitude: latitude.trim(),
+      longitude: longitude.trim(),
+      date: childText(content, 'when') || extendedData.date || '',
+      tags: (extendedData.tags || '').split(TAG_SEPARATOR),
+      // An explicit note field wins even when empty; descriptions are often summaries
+      note: extendedData.note ?? childText(content, 'description'),
+    };
+  });
+}
+
+/**
+ * Reads import rows from GPX waypoints
+ *
+ * The waypoint type, when set, becomes a tag.
+ *
+ * @param {string} text - GPX text
+ * @returns {Object[]} Raw import rows
+ */
+function parseGPXRows(text) {
+  return findElements(text, 'wpt').map(({ attributes, content }, index) => {
+    const name = childText(content, 'name');
+    return {
+      source: `Waypoint ${index + 1}${name ? ` (${name})` : ''}`,
+      name,
+      phone: '',
+      latitude: attributes.lat || '',
+      longitude: attributes.lon || '',
+      date: childText(content, 'time'),
+      tags: [childText(content, 'type')],
+      note: childText(content, 'desc') || childText(content, 'cmt'),
+    };
+  });
+}
+
+// ============================================================================
+// ROWS
+// ============================================================================
+
+/**
+ * Parses a coordinate, checking its range
+ *
+ * @param {string} value - Raw coordinate text
+ * @param {number} limit - 90 for latitude, 180 for longitude
+ * @returns {number|null} Coordinate, or null if missing or invalid
+ */
+function parseCoordinate(value, limit) {
+  if (value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+}
+
+/**
+ * Parses a date cell (ISO 8601, "2024-05-01", or anything Date.parse reads)
+ *
+ * @param {string} value - Raw date text
+ * @returns {number|null} Epoch ms, or null if missing or unreadable
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const timestamp = Date.parse(value);
+  return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+/**
+ * Turns raw rows into typed rows, flagging unusable ones
+ *
+ * @param {Object[]} rawRows - From a format parser
+ * @returns {Object[]} [{ source, name, phone, latitude, longitude, timestamp, tags, note, error }]
+ */
+function normalizeRows(rawRows) {
+  return rawRows.map((raw) => {
+    const latitude = parseCoordinate(raw.latitude, 90);
+    const longitude = parseCoordinate(raw.longitude, 180);
+    const tags = Array.from(new Set(raw.tags.map(tag => tag.trim()).filter(Boolean)));
+    const hasCoordinates = latitude !== null && longitude !== null;
+
+    let error = null;
+    if ((raw.latitude || raw.longitude) && !hasCoordinates) {
+      error = 'Latitude or longitude is missing or out of range';
+    } else if (raw.date && parseDate(raw.date) === null) {
+      error = `Unreadable date "${raw.date}"`;
+    } else if (!hasCoordinates && tags.length === 0 && !raw.date) {
+      error = 'Nothing to import (no location, date or tags)';
+    } else if (!raw.name && !raw.phone) {
+      error = 'No name or phone to match a contact';
+    }
+
+    return {
+      source: raw.source,
+      name: raw.name,
+      phone: raw.phone,
+      latitude: hasCoordinates ? latitude : null,
+      longitude: hasCoordinates ? longitude : null,
+      timestamp: parseDate(raw.date),
+      tags,
+      note: raw.note,
+      error,
+    };
+  });
+}
+
+/**
+ * Parses an import file into typed rows
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - Picked file name (used to detect the format)
+ * @returns {Object} { format, rows }
+ * @throws {Error} If the format isn't supported or the file is unusable
+ */
+export function parseImportFile(text, fileName) {
+  const format = detectImportFormat(fileName, text);
+  const parsers = {
+    [IMPORT_FORMATS.CSV]: parseCSVRows,
+    [IMPORT_FORMATS.KML]: parseKMLRows,
+    [IMPORT_FORMATS.GPX]: parseGPXRows,
+  };
+
+  if (!format) {
+    throw new Error('Choose a CSV, KML or GPX file.');
+  }
+
+  const rows = normalizeRows(parsers[format](text));
+  if (rows.length === 0) {
+    throw new Error(`No ${format === IMPORT_FORMATS.CSV ? 'rows' : 'places'} found in this file.`);
+  }
+  return { format, rows };
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Matches import rows to device contacts
+ *
+ * Phones match on phoneMatchKey (E.164 in the device's region),
+ * names on nameMatchKey. A phone match wins over a name match; when both
+ * are given and point at different people, the row is a conflict.
+ *
+ * @param {Object[]} rows - From parseImportFile
+ * @param {Object[]} deviceContacts - Every contact on this device
+ * @returns {Object[]} Rows with { status, contactId, candidateIds }
+ */
+export function matchImportRows(rows, deviceContacts) {
+  const byPhone = new Map();
+  const byName = new Map();
+  const addToIndex = (index, key, id) => {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(id);
+  };
+
+  for (const contact of deviceContacts) {
+    (contact.phoneNumbers || []).forEach(phone => addToIndex(byPhone, phoneMatchKey(phone.number), contact.id));
+    addToIndex(byName, nameMatchKey(contact.name), contact.id);
+  }
+
+  return rows.map((row) => {
+    if (row.error) {
+      return { ...row, status: IMPORT_ROW_STATUS.INVALID, contactId: null, candidateIds: [] };
+    }
+
+    const phoneKey = phoneMatchKey(row.phone);
+    const phoneIds = phoneKey ? [...(byPhone.get(phoneKey) || [])] : [];
+    const nameIds = [...(byName.get(nameMatchKey(row.name)) || [])];
+
+    let candidateIds = phoneIds.length > 0 ? phoneIds : nameIds;
+    let status;
+    if (candidateIds.length === 0) {
+      status = IMPORT_ROW_STATUS.UNMATCHED;
+    } else if (candidateIds.length > 1) {
+      status = IMPORT_ROW_STATUS.CONFLICT;
+    } else if (phoneIds.length > 0 && nameIds.length > 0 && !nameIds.includes(phoneIds[0])) {
+      // The phone belongs to someone else with a different name
+      status = IMPORT_ROW_STATUS.CONFLICT;
+      candidateIds = [...phoneIds, ...nameIds];
+    } else {
+      status = IMPORT_ROW_STATUS.MATCHED;
+    }
+
+    return {
+      ...row,
+      status,
+      contactId: status === IMPORT_ROW_STATUS.MATCHED ? candidateIds[0] : null,
+      candidateIds,
+    };
+  });
+}
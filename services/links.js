@@ -0,0 +1,70 @@
+/**
+ * NeverForget - External Links
+ *
+ * Purpose: Hands off to other apps (Maps, Phone, Messages).
+ */
+
+import { Alert, Linking, Platform } from 'react-native';
+import { extractDigitsOnly } from './phone';
+
+/**
+ * Opens a URL, telling the user when no app can handle it
+ *
+ * Why: The simulator and iPads without cellular have no Phone app, and
+ *      openURL rejects silently from the user's point of view.
+ *
+ * @param {string} url - URL to open
+ * @param {string} unavailableMessage - Shown if nothing can open it
+ */
+async function openExternalUrl(url, unavailableMessage) {
+  try {
+    await Linking.openURL(url);
+  } catch (error) {
+    console.error('Error opening URL:', error);
+    Alert.alert('Not available', unavailableMessage);
+  }
+}
+
+/**
+ * Strips formatting from a phone number, keeping a leading +
+ *
+ * @param {string} phoneNumber - Formatted phone number
+ * @returns {string} "+13035551212" or "3035551212"
+ */
+function toDialableNumber(phoneNumber) {
+  const digits = extractDigitsOnly(phoneNumber);
+  return phoneNumber.trim().startsWith('+') ? `+${digits}` : digits;
+}
+
+/**
+ * Opens device's native maps app with coordinates
+ * 
+ * @param {Object} location - Location object with latitude/longitude
+ * @param {string} label - Label for the map pin
+ */
+export const openLocationInNativeMaps = ({ latitude, longitude }, label = 'Location') => {
+  const encodedLabel = encodeURIComponent(label);
+  const url = Platform.select({
+    ios: `http://maps.apple.com/?ll=${latitude},${longitude}&q=${encodedLabel}`,
+    android: `geo:${latitude},${longitude}?q=${latitude},${longitude}(${encodedLabel})`,
+  });
+  Linking.openURL(url);
+};
+
+/**
+ * Starts a phone call
+ *
+ * @param {string} phoneNumber - Formatted phone number
+ */
+export const callPhoneNumber = (phoneNumber) => {
+  return openExternalUrl(`tel:${toDialableNumber(phoneNumber)}`, 'This device can\'t make phone calls.');
+};
+
+/**
+ * Opens a new text message
+ *
+ * @param {string} phoneNumber - Formatted phone number
+ */
+export const textPhoneNumber = (phoneNumber) => {
+  return openExternalUrl(`sms:${toDialableNumber(phoneNumber)}`, 'This device can\'t send text messages.');
+};
@@ -0,0 +1,193 @@
+/**
+ * NeverForget - Map Clustering
+ *
+ * Purpose: Keeps the map fast with thousands of pins by rendering only
+ *          what's on screen and merging nearby pins into count badges,
+ *          and measures pin density for the heatmap.
+ *
+ * How it works:
+ * - Pins outside the visible region (plus a margin) are dropped
+ * - The rest are bucketed into a grid whose cell size follows the zoom
+ * - A cell holding one pin shows that pin; a cell holding more shows a
+ *   cluster at the pins' average position
+ *
+ * Why a grid: One pass over the pins per region change, no index to keep
+ * up to date when pins are added, and cells snap to zoom levels so
+ * clusters don't reshuffle while panning.
+ *
+ * Regions crossing the antimeridian aren't split; pins on the far side
+ * simply aren't rendered until the map is panned.
+ */
+
+import { regionForCoordinates } from './mapRegion';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Grid cells across the width of the map
+ */
+const CLUSTER_COLUMNS = 6;
+
+/**
+ * Heatmap cells across the width of the map (finer than clusters, so
+ * density reads as a gradient rather than blocks)
+ */
+const HEATMAP_COLUMNS = 16;
+
+/**
+ * Meters per degree of latitude (and of longitude at the equator)
+ */
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Extra area rendered around the visible region, as a fraction of its span,
+ * so short pans don't reveal empty edges
+ */
+const VISIBLE_MARGIN = 0.25;
+
+/**
+ * Below this longitude span (degrees, about a city block) pins are never
+ * clustered, so stacked pins can still be tapped and dragged
+ */
+const MIN_CLUSTER_DELTA = 0.002;
+
+// ============================================================================
+// CLUSTERING
+// ============================================================================
+
+/**
+ * Returns the visible bounds of a region, widened by a margin
+ *
+ * @param {Object} region - { latitude, longitude, latitudeDelta, longitudeDelta }
+ * @returns {Object} { north, south, east, west }
+ */
+function paddedBounds({ latitude, longitude, latitudeDelta, longitudeDelta }) {
+  const halfLatitude = latitudeDelta * (0.5 + VISIBLE_MARGIN);
+  const halfLongitude = longitudeDelta * (0.5 + VISIBLE_MARGIN);
+  return {
+    north: latitude + halfLatitude,
+    south: latitude - halfLatitude,
+    east: longitude + halfLongitude,
+    west: longitude - halfLongitude,
+  };
+}
+
+/**
+ * Picks the grid cell size for a region
+ *
+ * The span is snapped to a power-of-two zoom level so small zoom changes
+ * keep the same cells.
+ *
+ * @param {Object} region - Visible region
+ * @param {number} columns - Cells across the map
+ * @returns {Object} { zoom, latitudeSize, longitudeSize }
+ */
+function gridForRegion(region, columns) {
+  const zoom = Math.round(Math.log2(360 / region.longitudeDelta));
+  const longitudeSize = 360 / 2 ** zoom / columns;
+  // A degree of latitude covers more of the screen away from the equator
+  const latitudeSize = longitudeSize * Math.cos((region.latitude * Math.PI) / 180);
+  return { zoom, latitudeSize, longitudeSize };
+}
+
+/**
+ * Buckets the pins inside a region into grid cells
+ *
+ * @param {Object[]} points - [{ key, latitude, longitude, ... }]
+ * @param {Object} region - Visible region
+ * @param {number} columns - Cells across the map
+ * @param {boolean} useGrid - False gives every pin its own cell
+ * @returns {Object[]} [{ cellKey, latitude, longitude, points }], positioned at the pins' average
+ */
+function bucketPoints(points, region, columns, useGrid) {
+  const { north, south, east, west } = paddedBounds(region);
+  const { zoom, latitudeSize, longitudeSize } = gridForRegion(region, columns);
+  const cells = new Map();
+
+  for (const point of points) {
+    const { latitude, longitude } = point;
+    if (latitude > north || latitude < south || longitude > east || longitude < west) continue;
+
+    const cellKey = useGrid
+      ? `${zoom}:${Math.floor(latitude / latitudeSize)}:${Math.floor(longitude / longitudeSize)}`
+      : point.key;
+
+    const cell = cells.get(cellKey);
+    if (cell) {
+      cell.points.push(point);
+      cell.latitudeSum += latitude;
+      cell.longitudeSum += longitude;
+    } else {
+      cells.set(cellKey, { points: [point], latitudeSum: latitude, longitudeSum: longitude });
+    }
+  }
+
+  return Array.from(cells, ([cellKey, cell]) => ({
+    cellKey,
+    latitude: cell.latitudeSum / cell.points.length,
+    longitude: cell.longitudeSum / cell.points.length,
+    points: cell.points,
+  }));
+}
+
+/**
+ * Groups the pins in a region into clusters
+ *
+ * @param {Object[]} points - [{ key, latitude, longitude, ... }]
+ * @param {Object} region - Visible region
+ * @returns {Object[]} [{ key, latitude, longitude, points }], one pin or many
+ */
+export function clusterPoints(points, region) {
+  const shouldCluster = region.longitudeDelta >= MIN_CLUSTER_DELTA;
+
+  return bucketPoints(points, region, CLUSTER_COLUMNS, shouldCluster).map(
+    ({ cellKey, latitude, longitude, points: cellPoints }) => ({
+      // Single pins keep their own key so their marker survives regrouping
+      key: cellPoints.length === 1 ? cellPoints[0].key : `cluster:${cellKey}`,
+      latitude,
+      longitude,
+      points: cellPoints,
+    })
+  );
+}
+
+/**
+ * Measures how many pins fall in each part of the visible map
+ *
+ * @param {Object[]} points - [{ key, latitude, longitude, ... }]
+ * @param {Object} region - Visible region
+ * @returns {Object[]} [{ key, latitude, longitude, count, intensity, radius }]
+ *   intensity is 0-1 relative to the busiest cell, radius is in meters
+ */
+export function densityCells(points, region) {
+  const cells = bucketPoints(points, region, HEATMAP_COLUMNS, true);
+  const maxCount = Math.max(1, ...cells.map(cell => cell.points.length));
+  const { longitudeSize } = gridForRegion(region, HEATMAP_COLUMNS);
+
+  return cells.map(({ cellKey, latitude, longitude, points: cellPoints }) => ({
+    key: `heat:${cellKey}`,
+    latitude,
+    longitude,
+    count: cellPoints.length,
+    // Square root keeps lone pins visible next to a crowded cell
+    intensity: Math.sqrt(cellPoints.length / maxCount),
+    // Slightly wider than a cell so neighbors blend together
+    radius: longitudeSize * METERS_PER_DEGREE * Math.cos((latitude * Math.PI) / 180) * 0.8,
+  }));
+}
+
+/**
+ * Region to zoom to when a cluster is tapped
+ *
+ * Fits the cluster's pins, but never closer than the level where
+ * clustering stops, so the pins always come apart.
+ *
+ * @param {Object} cluster - From clusterPoints
+ * @returns {Object} Region
+ */
+export function clusterExpansionRegion(cluster) {
+  // regionForCoordinates pads by 1.5x; the result lands just under the cutoff
+  return regionForCoordinates(cluster.points, { minDelta: MIN_CLUSTER_DELTA / 1.6 });
+}
@@ -0,0 +1,66 @@
+/**
+ * NeverForget - Map Regions
+ *
+ * Purpose: Picks the map region that frames a set of pins, and measures
+ *          distances between them.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Region shown when there is nothing to frame (Denver, CO area)
+ */
+export const DEFAULT_REGION = {
+  latitude: 39.7392,
+  longitude: -104.9903,
+  latitudeDelta: 0.5,
+  longitudeDelta: 0.5,
+};
+
+/**
+ * Builds a region that fits every coordinate with some padding
+ *
+ * @param {Object[]} coordinates - [{ latitude, longitude }]
+ * @param {Object} options
+ * @param {number} options.minDelta - Smallest span in degrees, so a single pin isn't zoomed to street level
+ * @returns {Object} { latitude, longitude, latitudeDelta, longitudeDelta }
+ */
+export function regionForCoordinates(coordinates, { minDelta = 0.05 } = {}) {
+  if (coordinates.length === 0) return DEFAULT_REGION;
+
+  let minLatitude = Infinity;
+  let maxLatitude = -Infinity;
+  let minLongitude = Infinity;
+  let maxLongitude = -Infinity;
+
+  for (const { latitude, longitude } of coordinates) {
+    minLatitude = Math.min(minLatitude, latitude);
+    maxLatitude = Math.max(maxLatitude, latitude);
+    minLongitude = Math.min(minLongitude, longitude);
+    maxLongitude = Math.max(maxLongitude, longitude);
+  }
+
+  return {
+    latitude: (minLatitude + maxLatitude) / 2,
+    longitude: (minLongitude + maxLongitude) / 2,
+    latitudeDelta: Math.max(maxLatitude - minLatitude, minDelta) * 1.5,
+    longitudeDelta: Math.max(maxLongitude - minLongitude, minDelta) * 1.5,
+  };
+}
+
+/**
+ * Great-circle distance between two coordinates
+ *
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Meters
+ */
+export function distanceMeters(from, to) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const deltaLatitude = toRadians(to.latitude - from.latitude);
+  const deltaLongitude = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(deltaLatitude / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude))
+    * Math.sin(deltaLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
@@ -0,0 +1,110 @@
+/**
+ * NeverForget - Map Timeline
+ *
+ * Purpose: Date ranges and playback for the map, so it can show where the
+ *          network grew and when.
+ *
+ * Every map point carries the time it happened: the encounter's own
+ * timestamp, or the contact's creation time for pins that lack one. The
+ * date range limits which points exist at all; the playback cursor then
+ * reveals them in order, oldest first.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long playing the whole range takes, whatever its length
+ */
+export const TIMELINE_PLAYBACK_MS = 10000;
+
+/**
+ * How often the playback cursor advances while playing
+ */
+export const TIMELINE_TICK_MS = 100;
+
+/**
+ * Range that applies no limit
+ */
+export const ALL_TIME_RANGE_ID = 'all';
+
+// ============================================================================
+// DATE RANGES
+// ============================================================================
+
+/**
+ * Builds the date ranges offered above the map
+ *
+ * Rolling ranges come first, then one per calendar year that has points,
+ * newest first.
+ *
+ * @param {number[]} timestamps - Point timestamps (epoch ms)
+ * @param {number} now - Current time (epoch ms)
+ * @returns {Object[]} [{ id, label, start, end }], null bounds are open
+ */
+export function buildDateRanges(timestamps, now = Date.now()) {
+  const years = new Set(timestamps.filter(Boolean).map(timestamp => new Date(timestamp).getFullYear()));
+
+  return [
+    { id: ALL_TIME_RANGE_ID, label: 'All time', start: null, end: null },
+    { id: '30d', label: 'Last 30 days', start: now - 30 * DAY_MS, end: null },
+    { id: '90d', label: 'Last 90 days', start: now - 90 * DAY_MS, end: null },
+    ...[...years].sort((a, b) => b - a).map(year => ({
+      id: `year:${year}`,
+      label: String(year),
+      start: new Date(year, 0, 1).getTime(),
+      end: new Date(year + 1, 0, 1).getTime() - 1,
+    })),
+  ];
+}
+
+/**
+ * Keeps the points that happened within a range
+ *
+ * @param {Object[]} points - [{ timestamp, ... }]
+ * @param {Object} range - { start, end } in epoch ms, null for open
+ * @returns {Object[]} Points in the range, in their original order
+ */
+export function filterPointsByTime(points, { start, end }) {
+  if (start === null && end === null) return points;
+  return points.filter(({ timestamp }) => (
+    (start === null || timestamp >= start) && (end === null || timestamp <= end)
+  ));
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+/**
+ * Finds the earliest and latest point times
+ *
+ * @param {Object[]} points - [{ timestamp, ... }]
+ * @returns {Object|null} { start, end }, or null with no points
+ */
+export function timelineBounds(points) {
+  if (points.length === 0) return null;
+
+  let start = Infinity;
+  let end = -Infinity;
+  for (const { timestamp } of points) {
+    if (timestamp < start) start = timestamp;
+    if (timestamp > end) end = timestamp;
+  }
+  return { start, end };
+}
+
+/**
+ * Moves the playback cursor one tick forward
+ *
+ * @param {number} cursor - Current cursor (epoch ms)
+ * @param {Object} bounds - From timelineBounds
+ * @returns {number} Next cursor, never past the end
+ */
+export function advanceTimelineCursor(cursor, { start, end }) {
+  const step = Math.max(1, (end - start) * (TIMELINE_TICK_MS / TIMELINE_PLAYBACK_MS));
+  return Math.min(end, cursor + step);
+}
@@ -0,0 +1,295 @@
+/**
+ * NeverForget - Storage Migrations
+ *
+ * Purpose: Upgrades the @nf: AsyncStorage keys from whatever shape an older
+ *          build wrote to the shape the current build expects.
+ *
+ * How it works:
+ * - @nf:schemaVersion records the last migration applied (0 when missing)
+ * - Migrations run in ascending version order at startup
+ * - The version is bumped after each migration, so a crash mid-way resumes
+ *   from the first migration that did not finish
+ *
+ * Adding a migration:
+ * 1. Append an entry with the next version number (never edit shipped ones)
+ * 2. Give it fixtures: raw storage before and after, as strings, exactly as
+ *    AsyncStorage holds them
+ * 3. Update the readers in contactStore.js to the new shape
+ */
+
+import { STORAGE_KEYS, loadJSON, saveJSON } from './storage';
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+/**
+ * Ordered list of schema migrations
+ *
+ * Each entry:
+ * - version: Schema version after this migration runs
+ * - description: What changes, for logs and reviewers
+ * - up: async (storage) => void, must be safe to re-run
+ * - fixtures: [{ name, before, after }] raw storage snapshots
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize @nf:ready to { initializedAt, cutoff }',
+
+    /**
+     * Why: 'Import existing' wrote '1' while 'Only new' wrote the cutoff
+     *      in milliseconds, so readers had to guess which one they got.
+     */
+    up: async (storage) => {
+      const rawReady = await storage.getItem(STORAGE_KEYS.READY);
+      if (rawReady === null) return;
+
+      const importChoice = await storage.getItem(STORAGE_KEYS.IMPORT_CHOICE);
+      await saveJSON(storage, STORAGE_KEYS.READY, normalizeReadyMarker(rawReady, importChoice));
+    },
+
+    fixtures: [
+      {
+        name: 'import existing wrote a bare flag',
+        before: {
+          '@nf:importChoice': 'all',
+          '@nf:ready': '1',
+        },
+        after: {
+          '@nf:importChoice': 'all',
+          '@nf:ready': '{"initializedAt":null,"cutoff":null}',
+          '@nf:schemaVersion': '1',
+        },
+      },
+      {
+        name: 'only new wrote the cutoff',
+        before: {
+          '@nf:importChoice': 'newOnly',
+          '@nf:ready': '1763300000000',
+        },
+        after: {
+          '@nf:importChoice': 'newOnly',
+          '@nf:ready': '{"initializedAt":1763300000000,"cutoff":1763300000000}',
+          '@nf:schemaVersion': '1',
+        },
+      },
+      {
+        name: 'fresh install has nothing to normalize',
+        before: {},
+        after: {
+          '@nf:schemaVersion': '1',
+        },
+      },
+    ],
+  },
+  {
+    version: 2,
+    description: 'Store @nf:pins as a list of pins per contact',
+
+    /**
+     * Why: A single object per contact meant every new location overwrote
+     *      the last one. Lists leave room for repeat encounters.
+     */
+    up: async (storage) => {
+      const pins = await loadJSON(storage, STORAGE_KEYS.PINS, null);
+      if (!pins) return;
+
+      const upgraded = {};
+      for (const [contactId, value] of Object.entries(pins)) {
+        const pinList = (Array.isArray(value) ? value : [value]).filter(isValidPin);
+        if (pinList.length > 0) {
+          upgraded[contactId] = pinList;
+        }
+      }
+
+      await saveJSON(storage, STORAGE_KEYS.PINS, upgraded);
+    },
+
+    fixtures: [
+      {
+        name: 'single pin becomes a one-element list',
+        before: {
+          '@nf:schemaVersion': '1',
+          '@nf:pins': '{"c1":{"latitude":39.74,"longitude":-104.99,"timestamp":1763300000000}}',
+        },
+        after: {
+          '@nf:schemaVersion': '2',
+          '@nf:pins': '{"c1":[{"latitude":39.74,"longitude":-104.99,"timestamp":1763300000000}]}',
+        },
+      },
+      {
+        name: 'pins without coordinates are dropped',
+        before: {
+          '@nf:schemaVersion': '1',
+          '@nf:pins': '{"c1":{"timestamp":1763300000000},"c2":{"latitude":40.01,"longitude":-105.27,"timestamp":1763300000000}}',
+        },
+        after: {
+          '@nf:schemaVersion': '2',
+          '@nf:pins': '{"c2":[{"latitude":40.01,"longitude":-105.27,"timestamp":1763300000000}]}',
+        },
+      },
+    ],
+  },
+  {
+    version: 3,
+    description: 'Give every pin an encounter id and sort pins oldest first',
+
+    /**
+     * Why: Pins are now encounters that can be edited individually, which
+     *      needs a stable handle that survives re-sorting.
+     */
+    up: async (storage) => {
+      const pins = await loadJSON(storage, STORAGE_KEYS.PINS, null);
+      if (!pins) return;
+
+      const upgraded = {};
+      for (const [contactId, pinList] of Object.entries(pins)) {
+        upgraded[contactId] = pinList
+          .map((pin, index) => ({
+            ...pin,
+            id: pin.id || `enc-${pin.timestamp || 0}-${index}`,
+          }))
+          .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+      }
+
+      await saveJSON(storage, STORAGE_KEYS.PINS, upgraded);
+    },
+
+    fixtures: [
+      {
+        name: 'pins gain ids and are sorted by time',
+        before: {
+          '@nf:schemaVersion': '2',
+          '@nf:pins': '{"c1":[{"latitude":40.01,"longitude":-105.27,"timestamp":1763400000000},{"latitude":39.74,"longitude":-104.99,"timestamp":1763300000000}]}',
+        },
+        after: {
+          '@nf:schemaVersion': '3',
+          '@nf:pins': '{"c1":[{"latitude":39.74,"longitude":-104.99,"timestamp":1763300000000,"id":"enc-1763300000000-1"},{"latitude":40.01,"longitude":-105.27,"timestamp":1763400000000,"id":"enc-1763400000000-0"}]}',
+        },
+      },
+    ],
+  },
+  {
+    version: 4,
+    description: 'Flag existing encounters as GPS-captured',
+
+    /**
+     * Why: Encounters can now be placed by hand. Everything stored before
+     *      that came from the device location, so say so explicitly.
+     */
+    up: async (storage) => {
+      const pins = await loadJSON(storage, STORAGE_KEYS.PINS, null);
+      if (!pins) return;
+
+      const upgraded = {};
+      for (const [contactId, encounters] of Object.entries(pins)) {
+        upgraded[contactId] = encounters.map(encounter => ({
+          ...encounter,
+          source: encounter.source || 'gps',
+        }));
+      }
+
+      await saveJSON(storage, STORAGE_KEYS.PINS, upgraded);
+    },
+
+    fixtures: [
+      {
+        name: 'encounters are marked as GPS-captured',
+        before: {
+          '@nf:schemaVersion': '3',
+          '@nf:pins': '{"c1":[{"latitude":39.74,"longitude":-104.99,"timestamp":1763300000000,"id":"enc-1763300000000-0"}]}',
+        },
+        after: {
+          '@nf:schemaVersion': '4',
+          '@nf:pins': '{"c1":[{"latitude":39.74,"longitude":-104.99,"timestamp":1763300000000,"id":"enc-1763300000000-0","source":"gps"}]}',
+        },
+      },
+    ],
+  },
+];
+
+/**
+ * Schema version this build reads and writes
+ */
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Applies every migration newer than the stored schema version
+ *
+ * Why throw on failure: Continuing would let the store read a half-upgraded
+ * shape and write it back, which is how history gets lost. Leaving the data
+ * untouched lets the next launch retry.
+ *
+ * @param {Object} storage - AsyncStorage-compatible adapter
+ * @param {Object[]} migrations - Ordered migrations (defaults to MIGRATIONS)
+ * @returns {Promise<number>} Schema version after running
+ */
+export async function runMigrations(storage, migrations = MIGRATIONS) {
+  const storedVersion = parseInt(await storage.getItem(STORAGE_KEYS.SCHEMA_VERSION), 10) || 0;
+  const latestVersion = migrations.length ? migrations[migrations.length - 1].version : 0;
+
+  if (storedVersion > latestVersion) {
+    // Data written by a newer build: leave it alone rather than guess
+    console.warn(`Storage schema v${storedVersion} is newer than this build (v${latestVersion})`);
+    return storedVersion;
+  }
+
+  let currentVersion = storedVersion;
+  for (const migration of migrations) {
+    if (migration.version <= currentVersion) continue;
+
+    try {
+      await migration.up(storage);
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+    }
+
+    currentVersion = migration.version;
+    await storage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(currentVersion));
+  }
+
+  return currentVersion;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Converts a legacy @nf:ready value to { initializedAt, cutoff }
+ *
+ * @param {string} rawReady - '1', a millisecond cutoff, or already-migrated JSON
+ * @param {string|null} importChoice - Stored import mode
+ * @returns {Object} { initializedAt: number|null, cutoff: number|null }
+ */
+function normalizeReadyMarker(rawReady, importChoice) {
+  if (rawReady.startsWith('{')) {
+    return JSON.parse(rawReady);
+  }
+
+  const millis = Number(rawReady);
+  // '1' is the 'Import existing' flag, not a real timestamp
+  if (!Number.isFinite(millis) || millis <= 1) {
+    return { initializedAt: null, cutoff: null };
+  }
+
+  return {
+    initializedAt: millis,
+    cutoff: importChoice === 'all' ? null : millis,
+  };
+}
+
+/**
+ * Checks that a stored pin has usable coordinates
+ *
+ * @param {Object} pin - Stored pin
+ * @returns {boolean} True if latitude and longitude are finite numbers
+ */
+function isValidPin(pin) {
+  return Number.isFinite(pin?.latitude) && Number.isFinite(pin?.longitude);
+}
@@ -0,0 +1,172 @@
+/**
+ * NeverForget - Native Contact Dates
+ *
+ * Purpose: Wraps ContactsCreationDateModule (ios/ContactsCreationDateModule.swift)
+ *          so the rest of the app gets one typed record per contact,
+ *          whichever version of the native module is installed.
+ *
+ * Why a wrapper: The bridge hands back ISO strings and NSNull, and older
+ * builds only have getPhoneDates. Matching the records to Expo contacts
+ * lives in creationDates.js.
+ */
+
+import { NativeModules } from 'react-native';
+import { DEFAULT_PHONE_COUNTRY, isInternationalDigits } from './phone';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/**
+ * @typedef {Object} NativeContactRecord
+ * @property {string|null} identifier - CNContact identifier (the Expo contact `id`),
+ *                                      null when the native join wasn't unique
+ * @property {number|null} createdAt - When the address book entry was created (epoch ms)
+ * @property {number|null} modifiedAt - When it was last edited (epoch ms)
+ * @property {string[]} phones - Numbers as stored (legacy rows: the digits, and the digits
+ *                               after a "+" when they read as international)
+ * @property {string[]} emails - Addresses as stored
+ */
+
+/**
+ * @typedef {Object} NativeContactDates
+ * @property {boolean} isAvailable - False off iOS, in Expo Go, or before a native rebuild
+ * @property {function(): Promise<NativeContactRecord[]>} loadRecords - Empty when unavailable
+ */
+
+// ============================================================================
+// WRAPPER
+// ============================================================================
+
+/**
+ * Creates the native contact dates wrapper
+ *
+ * @param {Object} nativeModule - ContactsCreationDateModule, or a stand-in
+ *                                from createMockCreationDateModule
+ * @param {Object} options
+ * @param {string} options.defaultCountry - Region legacy digits were typed in (see phone.js)
+ * @returns {NativeContactDates} Wrapper
+ */
+export function createNativeContactDates(
+  nativeModule = NativeModules.ContactsCreationDateModule,
+  { defaultCountry = DEFAULT_PHONE_COUNTRY } = {}
+) {
+  const hasMetadata = typeof nativeModule?.getContactMetadata === 'function';
+  const hasPhoneDates = typeof nativeModule?.getPhoneDates === 'function';
+
+  /**
+   * Lists a legacy row's digits, and with the "+" put back when they read
+   * as international
+   *
+   * @param {string} digits - Number as getPhoneDates returns it
+   * @returns {string[]} Numbers to match on
+   */
+  const legacyPhones = (digits) => {
+    if (!digits) return [];
+    return isInternationalDigits(digits, { defaultCountry }) ? [digits, `+${digits}`] : [digits];
+  };
+
+  /**
+   * Loads one record per contact
+   *
+   * Builds without getContactMetadata only return dates per phone
+   * number; each becomes a record with no identifier, so matching falls
+   * back to phones. Those numbers are digits only, so "+44 20 7946 0958"
+   * arrives as "442079460958": the record lists it with the "+" put back
+   * as well, since read as a national number it would miss. National
+   * numbers ("3035551212") get no "+" (see isInternationalDigits).
+   *
+   * @returns {Promise<NativeContactRecord[]>} Records
+   */
+  const loadRecords = async () => {
+    if (hasMetadata) {
+      const rows = (await nativeModule.getContactMetadata()) || [];
+      return rows.map(row => ({
+        identifier: row.identifier || null,
+        createdAt: parseDate(row.creationDate),
+        modifiedAt: parseDate(row.modificationDate),
+        phones: (row.phones || []).filter(Boolean),
+        emails: (row.emails || []).filter(Boolean),
+      }));
+    }
+
+    if (hasPhoneDates) {
+      const rows = (await nativeModule.getPhoneDates()) || [];
+      return rows.map(row => ({
+        identifier: null,
+        createdAt: parseDate(row.creationDate),
+        modifiedAt: parseDate(row.modificationDate),
+        phones: legacyPhones(row.phone),
+        emails: [],
+      }));
+    }
+
+    return [];
+  };
+
+  return {
+    isAvailable: hasMetadata || hasPhoneDates,
+    loadRecords,
+  };
+}
+
+// ============================================================================
+// STAND-IN
+// ============================================================================
+
+/**
+ * Creates a ContactsCreationDateModule stand-in
+ *
+ * Why: Lets the wrapper and the matching in creationDates.js run outside
+ *      iOS (scripts, unit tests) with the same bridge contract, including
+ *      the per-phone aggregation getPhoneDates does natively.
+ *
+ * @param {Object[]} contacts - Native-shaped rows: [{ identifier, creationDate,
+ *                              modificationDate, phones, emails }] (dates as ISO strings)
+ * @param {Object} options
+ * @param {boolean} options.legacy - Only offer getPhoneDates, like builds before getContactMetadata
+ * @returns {Object} Module with the native methods
+ */
+export function createMockCreationDateModule(contacts = [], { legacy = false } = {}) {
+  const getPhoneDates = async () => {
+    const byPhone = new Map();
+    for (const contact of contacts) {
+      for (const phone of contact.phones || []) {
+        const digits = phone.replace(/\D/g, '');
+        if (!digits) continue;
+
+        const existing = byPhone.get(digits) || { phone: digits, creationDate: null, modificationDate: null };
+        // Earliest creation and latest modification, as the native module does
+        if (contact.creationDate && (!existing.creationDate || contact.creationDate < existing.creationDate)) {
+          existing.creationDate = contact.creationDate;
+        }
+        if (contact.modificationDate && (!existing.modificationDate || contact.modificationDate > existing.modificationDate)) {
+          existing.modificationDate = contact.modificationDate;
+        }
+        byPhone.set(digits, existing);
+      }
+    }
+    return [...byPhone.values()];
+  };
+
+  const getContactMetadata = async () => contacts.map(contact => ({
+    identifier: contact.identifier ?? null,
+    creationDate: contact.creationDate ?? null,
+    modificationDate: contact.modificationDate ?? null,
+    phones: contact.phones || [],
+    emails: contact.emails || [],
+  }));
+
+  return legacy ? { getPhoneDates } : { getPhoneDates, getContactMetadata };
+}
+
+/**
+ * Parses a bridge date
+ *
+ * @param {string|null} value - ISO 8601 string, or null for NSNull
+ * @returns {number|null} Epoch ms
+ */
+function parseDate(value) {
+  const timestamp = value ? Date.parse(value) : NaN;
+  return Number.isFinite(timestamp) ? timestamp : null;
+}
@@ -0,0 +1,197 @@
+/**
+ * NeverForget - Phone Numbers
+ *
+ * Purpose: Phone number helpers shared by creation-date matching, search
+ *          and matching contacts from files (backups, imports).
+ *
+ * Normalization:
+ * - Numbers are parsed to E.164 ("+13035551212") so "+1 303-555-1212",
+ *   "(303) 555-1212" and "001 303 555 1212" compare equal
+ * - Numbers without a country code are read in a default country, taken
+ *   from the device region
+ * - Extensions ("x12", "ext. 12", ";ext=12", "#12", pauses) are split off
+ *   and never take part in matching
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Country calling codes for regions whose national numbers we can parse
+ *
+ * Why a short table: Matching only needs the calling code and trunk
+ * prefix; numbers written with "+" parse whatever their country.
+ */
+const COUNTRY_CALLING_CODES = {
+  US: '1', CA: '1', PR: '1',
+  GB: '44', IE: '353', DE: '49', FR: '33', ES: '34', IT: '39', PT: '351',
+  NL: '31', BE: '32', CH: '41', AT: '43', DK: '45', SE: '46', NO: '47',
+  FI: '358', PL: '48', IL: '972', ZA: '27', IN: '91', JP: '81', KR: '82',
+  CN: '86', HK: '852', SG: '65', AU: '61', NZ: '64', MX: '52', BR: '55',
+  AR: '54',
+};
+
+/**
+ * Calling code shared by the North American Numbering Plan
+ */
+const NANP_CALLING_CODE = '1';
+
+/**
+ * Regions whose leading 0 is part of the number, not a trunk prefix
+ */
+const TRUNK_ZERO_KEPT = new Set(['IT']);
+
+/**
+ * Longest and shortest international numbers (country code included)
+ */
+const MAX_E164_DIGITS = 15;
+const MIN_E164_DIGITS = 8;
+
+/**
+ * Extension markers at the end of a number ("x12", "ext. 12", ";ext=12",
+ * "#12", or a dialling pause ",12")
+ */
+const EXTENSION_PATTERN = /\s*(?:;\s*ext=|(?:extension|extn|ext|x)\.?|#|,+|;)\s*(\d+)\s*$/i;
+
+/**
+ * Region used for numbers written without a country code
+ *
+ * Why the device locale: Address book entries without a "+" were almost
+ * always typed in the owner's country.
+ */
+export const DEFAULT_PHONE_COUNTRY = localeCountry() || 'US';
+
+/**
+ * Digits compared when a number can't be parsed to E.164
+ *
+ * Why the last 10: The same number is often stored with and without a
+ * country code ("+1 303…" vs "303…").
+ */
+const PHONE_MATCH_DIGITS = 10;
+
+/**
+ * Shortest digit string treated as a real phone number when matching
+ */
+const MIN_PHONE_MATCH_DIGITS = 7;
+
+/**
+ * Extracts only digits from a phone number string
+ *
+ * Why: Phone numbers can have various formats (+1-303-555-1212)
+ *      but we need consistent comparison (13035551212)
+ *
+ * @param {string} phoneNumber - Formatted phone number
+ * @returns {string} Digits only
+ */
+export const extractDigitsOnly = (phoneNumber = '') => {
+  return (phoneNumber.match(/\d+/g) || []).join('');
+};
+
+/**
+ * Parses a phone number to E.164, splitting off any extension
+ *
+ * @param {string} phoneNumber - Number as typed ("(303) 555-1212 x4")
+ * @param {Object} options
+ * @param {string} options.defaultCountry - ISO region for numbers without a country code
+ * @returns {Object|null} { e164: '+13035551212', extension: '4' | null },
+ *                        or null if the number can't be placed in a country
+ */
+export function normalizePhoneNumber(phoneNumber = '', { defaultCountry = DEFAULT_PHONE_COUNTRY } = {}) {
+  const extensionMatch = phoneNumber.match(EXTENSION_PATTERN);
+  const mainPart = extensionMatch ? phoneNumber.slice(0, extensionMatch.index) : phoneNumber;
+  const extension = extensionMatch ? extensionMatch[1] : null;
+
+  // "+49 (0)30…" marks the trunk 0 as dialled only within the country
+  const digits = extractDigitsOnly(mainPart.replace('(0)', ''));
+  const region = (defaultCountry || '').toUpperCase();
+  const callingCode = COUNTRY_CALLING_CODES[region];
+  const isNanpRegion = callingCode === NANP_CALLING_CODE;
+
+  let international = null;
+  if (mainPart.trim().startsWith('+')) {
+    international = digits;
+  } else if (isNanpRegion && digits.startsWith('011')) {
+    international = digits.slice(3);
+  } else if (callingCode && digits.startsWith('00')) {
+    // North American numbers never start with 0, so "00" is the
+    // international prefix there too (numbers saved abroad)
+    international = digits.slice(2);
+  } else if (isNanpRegion) {
+    const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+    if (national.length === 10) international = `${NANP_CALLING_CODE}${national}`;
+  } else if (callingCode) {
+    const national = digits.startsWith('0') && !TRUNK_ZERO_KEPT.has(region) ? digits.slice(1) : digits;
+    international = `${callingCode}${national}`;
+  }
+
+  if (!international || international.startsWith('0')) return null;
+  if (international.length < MIN_E164_DIGITS || international.length > MAX_E164_DIGITS) return null;
+  // North American numbers always have 10 digits after the 1
+  if (international.startsWith(NANP_CALLING_CODE) && international.length !== 11) return null;
+
+  return { e164: `+${international}`, extension };
+}
+
+/**
+ * Whether a digits-only number had its "+" stripped
+ *
+ * Why: Some sources keep digits only, so "+44 20 7946 0958" arrives as
+ * "442079460958" and reads wrong as a national number. Putting a "+" back
+ * on a national number ("3035551212") is just as wrong (+30 is Greece),
+ * so it's only done for digits that can't be a number typed nationally in
+ * the default country: in North America anything but 10 digits (or 11
+ * starting with 1), elsewhere anything without the trunk 0.
+ *
+ * @param {string} digits - Digits only
+ * @param {Object} options - See normalizePhoneNumber
+ * @returns {boolean} True if the digits read as an international number
+ */
+export function isInternationalDigits(digits = '', { defaultCountry = DEFAULT_PHONE_COUNTRY } = {}) {
+  const region = (defaultCountry || '').toUpperCase();
+  const callingCode = COUNTRY_CALLING_CODES[region];
+
+  // Numbers can't be read nationally in a region we don't know
+  if (!callingCode) return true;
+  if (digits.startsWith('0')) return false;
+
+  if (callingCode === NANP_CALLING_CODE) {
+    return !(digits.length === 10 || (digits.length === 11 && digits.startsWith(NANP_CALLING_CODE)));
+  }
+  return !TRUNK_ZERO_KEPT.has(region) || digits.startsWith(callingCode);
+}
+
+/**
+ * Reduces a phone number to the key used to match contacts across sources
+ *
+ * Numbers that parse compare by E.164, without extension. Anything else
+ * (short codes, numbers from regions we don't know) falls back to its
+ * last 10 digits, so it still matches itself.
+ *
+ * @param {string} phoneNumber - Formatted phone number
+ * @param {Object} options - See normalizePhoneNumber
+ * @returns {string|null} Match key, or null if too short to trust
+ */
+export const phoneMatchKey = (phoneNumber = '', options = {}) => {
+  const normalized = normalizePhoneNumber(phoneNumber, options);
+  if (normalized) return normalized.e164;
+
+  const mainPart = phoneNumber.replace(EXTENSION_PATTERN, '');
+  const digits = extractDigitsOnly(mainPart).slice(-PHONE_MATCH_DIGITS);
+  return digits.length >= MIN_PHONE_MATCH_DIGITS ? digits : null;
+};
+
+/**
+ * Reads the region from the device locale ("en-GB" -> "GB")
+ *
+ * @returns {string|null} Region with a known calling code, or null
+ */
+function localeCountry() {
+  try {
+    const { locale } = Intl.DateTimeFormat().resolvedOptions();
+    const region = locale.split(/[-_]/).slice(1).find(part => /^[A-Z]{2}$/.test(part));
+    return region && COUNTRY_CALLING_CODES[region] ? region : null;
+  } catch {
+    return null;
+  }
+}
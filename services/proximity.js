@@ -0,0 +1,526 @@
+/**
+ * NeverForget - Nearby Reminders
+ *
+ * Purpose: Notices when the user is back at a place where they met people
+ *          (a venue, gym or client site) and sends a local notification
+ *          listing who they met there.
+ *
+ * Why geofences: The OS watches the regions and wakes the app only on
+ * entry, which costs far less battery than tracking the position. iOS
+ * allows 20 regions per app, so only the 19 places nearest the user are
+ * armed. The last slot is a refresh region around the user's position:
+ * leaving it wakes the app to re-pick the places, so nothing tracks the
+ * position continuously (and Android needs no foreground service).
+ * Without background permission, a foreground watcher does the same
+ * checks while the app is open.
+ *
+ * Locator contract (anything with this shape can be passed to the monitor):
+ *   requestPermissions() => Promise<{ foreground, background }>
+ *   hasBackgroundPermission() => Promise<boolean>
+ *   getLastKnownPosition() => Promise<{ latitude, longitude }|null>
+ *   getCurrentPosition() => Promise<{ latitude, longitude }|null>
+ *   startGeofencing(regions) / stopGeofencing() => Promise
+ *   watchPosition(callback) => Promise<{ remove }>
+ *
+ * Notifier contract:
+ *   requestPermission() => Promise<boolean>
+ *   notify({ title, body, data }) => Promise
+ *
+ * Background tasks run without App mounted, so everything they need
+ * (settings, places and contact names) is persisted when monitoring is
+ * armed rather than read from React state.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+import { STORAGE_KEYS, loadJSON, saveJSON } from './storage';
+import { coordinateKey } from './geocoder';
+import { distanceMeters } from './mapRegion';
+import { ensureNotificationPermission } from './reminders';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Background task name registered with TaskManager
+ */
+const GEOFENCE_TASK = 'nf-proximity-geofence';
+
+/**
+ * Most regions iOS lets one app monitor at a time
+ */
+const MAX_GEOFENCES = 20;
+
+/**
+ * Identifier of the region whose exit re-picks the armed places
+ */
+const REFRESH_REGION_ID = 'nf-refresh';
+
+/**
+ * Radius of the refresh region: distance moved before the armed places are
+ * re-picked
+ */
+const GEOFENCE_REFRESH_METERS = 1000;
+
+/**
+ * A place alerts at most once in this window, however often it's entered
+ */
+const PLACE_ALERT_COOLDOWN_MS = 12 * HOUR_MS;
+
+/**
+ * Names listed in a notification before "and N others"
+ */
+const MAX_NAMES_IN_ALERT = 3;
+
+/**
+ * Distances offered in settings
+ */
+export const PROXIMITY_RADIUS_OPTIONS = [100, 250, 500, 1000];
+
+/**
+ * Settings for a fresh install
+ *
+ * tags: null watches every contact with a pin; an array only contacts
+ *       carrying at least one of those tags.
+ * quietHours: local hours, start inclusive and end exclusive; a start
+ *             after the end wraps past midnight.
+ */
+export const DEFAULT_PROXIMITY_SETTINGS = {
+  enabled: false,
+  radiusMeters: 250,
+  tags: null,
+  quietHours: { enabled: true, startHour: 22, endHour: 7 },
+};
+
+// ============================================================================
+// PLACES
+// ============================================================================
+
+/**
+ * Whether a contact is covered by the tag opt-in
+ *
+ * @param {string[]} contactTags - The contact's tags
+ * @param {string[]|null} optedInTags - From settings
+ * @returns {boolean} True if the contact's pins should be watched
+ */
+function isContactOptedIn(contactTags = [], optedInTags) {
+  if (optedInTags === null) return true;
+  return contactTags.some(tag => optedInTags.includes(tag));
+}
+
+/**
+ * Groups pins into places worth watching
+ *
+ * Pins closer than the radius to a place's first pin join that place, so a
+ * venue visited many times becomes one geofence listing everyone met
+ * there. A grid of radius-sized cells keeps this linear in the pin count.
+ *
+ * @param {Object} metadata - { pins, tags, names } keyed by contact ID
+ * @param {Object} settings - { radiusMeters, tags }
+ * @returns {Object[]} [{ id, latitude, longitude, contactIds, names }]
+ */
+export function buildProximityPlaces({ pins, tags, names }, { radiusMeters, tags: optedInTags }) {
+  const cellDegrees = radiusMeters / 111320;
+  const cellOf = ({ latitude, longitude }) => [
+    Math.floor(latitude / cellDegrees),
+    Math.floor(longitude / cellDegrees),
+  ];
+
+  const places = [];
+  const placesByCell = new Map();
+
+  for (const [contactId, contactPins] of Object.entries(pins)) {
+    if (!isContactOptedIn(tags[contactId], optedInTags)) continue;
+
+    for (const pin of contactPins) {
+      const [row, column] = cellOf(pin);
+      let place = null;
+
+      // Cells narrow toward the poles, so far north a nearby place can be
+      // missed and a second one made; that only costs an extra geofence
+      search: for (let rowOffset = -1; rowOffset <= 1; rowOffset++) {
+        for (let columnOffset = -1; columnOffset <= 1; columnOffset++) {
+          for (const candidate of placesByCell.get(`${row + rowOffset}:${column + columnOffset}`) || []) {
+            if (distanceMeters(candidate, pin) <= radiusMeters) {
+              place = candidate;
+              break search;
+            }
+          }
+        }
+      }
+
+      if (!place) {
+        place = {
+          id: `place:${coordinateKey(pin)}`,
+          latitude: pin.latitude,
+          longitude: pin.longitude,
+          contactIds: [],
+          names: [],
+        };
+        places.push(place);
+        const cellKey = `${row}:${column}`;
+        placesByCell.set(cellKey, [...(placesByCell.get(cellKey) || []), place]);
+      }
+
+      if (!place.contactIds.includes(contactId)) {
+        place.contactIds.push(contactId);
+        place.names.push(names[contactId] || '(No name)');
+      }
+    }
+  }
+
+  return places;
+}
+
+/**
+ * Picks the places closest to a location
+ *
+ * @param {Object[]} places - From buildProximityPlaces
+ * @param {Object|null} location - { latitude, longitude }, null if unknown
+ * @param {number} limit - Most places to return
+ * @returns {Object[]} Nearest first (original order if location is unknown)
+ */
+export function nearestPlaces(places, location, limit = MAX_GEOFENCES) {
+  if (!location) return places.slice(0, limit);
+  return places
+    .map(place => ({ place, distance: distanceMeters(place, location) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ place }) => place);
+}
+
+/**
+ * Whether a time falls within quiet hours
+ *
+ * @param {Object} quietHours - { enabled, startHour, endHour }
+ * @param {Date} date - Time to check (local)
+ * @returns {boolean} True if alerts should be held back
+ */
+export function isWithinQuietHours({ enabled, startHour, endHour }, date) {
+  if (!enabled || startHour === endHour) return false;
+  const hour = date.getHours();
+  return startHour < endHour
+    ? hour >= startHour && hour < endHour
+    : hour >= startHour || hour < endHour;
+}
+
+/**
+ * Writes the notification for a place
+ *
+ * @param {Object} place - From buildProximityPlaces
+ * @returns {Object} { title, body, data }
+ */
+export function describePlaceAlert(place) {
+  const shown = place.names.slice(0, MAX_NAMES_IN_ALERT);
+  const others = place.names.length - shown.length;
+  const last = others > 0 ? `${others} ${others === 1 ? 'other' : 'others'}` : shown.pop();
+  const people = shown.length > 0 ? `${shown.join(', ')} and ${last}` : last;
+
+  return {
+    title: 'You\'ve been here before',
+    body: `You met ${people} here.`,
+    // One person opens their detail screen; several just open the app
+    data: place.contactIds.length === 1 ? { contactId: place.contactIds[0] } : {},
+  };
+}
+
+// ============================================================================
+// MONITOR
+// ============================================================================
+
+/**
+ * Creates a nearby-reminder monitor bound to storage and device services
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - AsyncStorage-compatible adapter
+ * @param {Function} options.now - Clock, injectable for deterministic tests
+ * @param {Object} options.locator - Location services (see contract above)
+ * @param {Object} options.notifier - Notification delivery (see contract above)
+ * @returns {Object} Monitor API
+ */
+export function createProximityMonitor({
+  storage = AsyncStorage,
+  now = Date.now,
+  locator = expoProximityLocator,
+  notifier = expoProximityNotifier,
+} = {}) {
+  /**
+   * Reads settings, filling in anything added since they were saved
+   *
+   * @returns {Promise<Object>} Settings
+   */
+  async function loadSettings() {
+    const stored = await loadJSON(storage, STORAGE_KEYS.PROXIMITY, {});
+    return {
+      ...DEFAULT_PROXIMITY_SETTINGS,
+      ...stored,
+      quietHours: { ...DEFAULT_PROXIMITY_SETTINGS.quietHours, ...stored.quietHours },
+    };
+  }
+
+  /**
+   * Arms geofences around the places nearest a location, plus the refresh
+   * region around the location itself
+   *
+   * @param {Object[]} places - Watched places
+   * @param {Object|null} location - Current position, if known
+   * @param {Object} settings - For the radius
+   */
+  async function armNearestPlaces(places, location, settings) {
+    const regions = nearestPlaces(places, location, location ? MAX_GEOFENCES - 1 : MAX_GEOFENCES)
+      .map(place => ({
+        identifier: place.id,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        radius: settings.radiusMeters,
+        notifyOnEnter: true,
+        notifyOnExit: false,
+      }));
+
+    // Only worth it when there are more places than slots
+    if (location && places.length > regions.length) {
+      regions.push({
+        identifier: REFRESH_REGION_ID,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        radius: GEOFENCE_REFRESH_METERS,
+        notifyOnEnter: false,
+        notifyOnExit: true,
+      });
+    }
+    await locator.startGeofencing(regions);
+  }
+
+  /**
+   * Sends the alert for a place unless it's quiet hours or too soon
+   *
+   * Safe to call repeatedly for the same place: geofence entries and the
+   * foreground watcher can both report one arrival.
+   *
+   * @param {string} placeId - Watched place ID
+   * @returns {Promise<boolean>} True if a notification was sent
+   */
+  async function alertPlace(placeId) {
+    const settings = await loadSettings();
+    if (!settings.enabled || isWithinQuietHours(settings.quietHours, new Date(now()))) {
+      return false;
+    }
+
+    const alerts = await loadJSON(storage, STORAGE_KEYS.PROXIMITY_ALERTS, {});
+    if (alerts[placeId] && now() - alerts[placeId] < PLACE_ALERT_COOLDOWN_MS) return false;
+
+    const places = await loadJSON(storage, STORAGE_KEYS.PROXIMITY_PLACES, []);
+    const place = places.find(candidate => candidate.id === placeId);
+    if (!place) return false;
+
+    await saveJSON(storage, STORAGE_KEYS.PROXIMITY_ALERTS, { ...alerts, [placeId]: now() });
+    await notifier.notify(describePlaceAlert(place));
+    return true;
+  }
+
+  /**
+   * Responds to a new position: alerts for places within range and, in
+   * the background, re-picks which places are armed
+   *
+   * @param {Object} location - { latitude, longitude }
+   * @param {Object} options
+   * @param {boolean} options.rearm - Re-pick geofences (refresh region exit)
+   */
+  async function handleLocation(location, { rearm = false } = {}) {
+    const settings = await loadSettings();
+    if (!settings.enabled) return;
+
+    const places = await loadJSON(storage, STORAGE_KEYS.PROXIMITY_PLACES, []);
+    for (const place of places) {
+      if (distanceMeters(place, location) <= settings.radiusMeters) {
+        await alertPlace(place.id);
+      }
+    }
+
+    if (rearm) await armNearestPlaces(places, location, settings);
+  }
+
+  /**
+   * Handles a geofence event from the background task
+   *
+   * Entering a place alerts for it; leaving the refresh region re-picks the
+   * armed places around the new position.
+   *
+   * @param {Object} event - { regionId, isEnter }
+   */
+  async function handleGeofenceEvent({ regionId, isEnter }) {
+    if (regionId !== REFRESH_REGION_ID) {
+      if (isEnter) await alertPlace(regionId);
+      return;
+    }
+    if (isEnter) return;
+
+    const location = await locator.getCurrentPosition();
+    if (location) await handleLocation(location, { rearm: true });
+  }
+
+  /**
+   * Rebuilds the watched places from current metadata and re-arms them
+   *
+   * @param {Object} metadata - { pins, tags, names } keyed by contact ID
+   * @returns {Promise<number>} Number of places watched
+   */
+  async function syncPlaces(metadata) {
+    const settings = await loadSettings();
+    if (!settings.enabled) return 0;
+
+    const places = buildProximityPlaces(metadata, settings);
+    await saveJSON(storage, STORAGE_KEYS.PROXIMITY_PLACES, places);
+
+    if (await locator.hasBackgroundPermission()) {
+      await armNearestPlaces(places, await locator.getLastKnownPosition(), settings);
+    }
+    return places.length;
+  }
+
+  /**
+   * Saves settings and starts or stops monitoring to match
+   *
+   * @param {Object} settings - Full settings object
+   * @param {Object} metadata - { pins, tags, names } keyed by contact ID
+   * @returns {Promise<Object>} { settings, background } where background
+   *   is false when only the foreground watcher can run
+   */
+  async function updateSettings(settings, metadata) {
+    let saved = settings;
+
+    if (settings.enabled) {
+      const permissions = await locator.requestPermissions();
+      if (permissions.foreground) {
+        await notifier.requestPermission();
+      } else {
+        saved = { ...settings, enabled: false };
+      }
+    }
+
+    await saveJSON(storage, STORAGE_KEYS.PROXIMITY, saved);
+
+    if (!saved.enabled) {
+      await stop();
+      return { settings: saved, background: false };
+    }
+
+    await syncPlaces(metadata);
+    return { settings: saved, background: await locator.hasBackgroundPermission() };
+  }
+
+  /**
+   * Stops geofencing
+   */
+  async function stop() {
+    await locator.stopGeofencing();
+  }
+
+  /**
+   * Checks for nearby places while the app is open
+   *
+   * @returns {Promise<Object>} Subscription with remove()
+   */
+  function watchWhileOpen() {
+    return locator.watchPosition(location => {
+      handleLocation(location).catch(error => console.error('Nearby check error:', error));
+    });
+  }
+
+  return {
+    loadSettings,
+    updateSettings,
+    syncPlaces,
+    handleLocation,
+    handleGeofenceEvent,
+    alertPlace,
+    watchWhileOpen,
+    stop,
+  };
+}
+
+// ============================================================================
+// DEVICE SERVICES
+// ============================================================================
+
+/**
+ * Location services backed by expo-location geofencing and TaskManager
+ */
+export const expoProximityLocator = {
+  requestPermissions: async () => {
+    const foreground = await Location.requestForegroundPermissionsAsync();
+    if (!foreground.granted) return { foreground: false, background: false };
+
+    const background = await Location.requestBackgroundPermissionsAsync();
+    return { foreground: true, background: background.granted };
+  },
+  hasBackgroundPermission: async () => {
+    return (await Location.getBackgroundPermissionsAsync()).granted;
+  },
+  getLastKnownPosition: async () => {
+    const position = await Location.getLastKnownPositionAsync();
+    return position?.coords || null;
+  },
+  getCurrentPosition: async () => {
+    // Cell and Wi-Fi accuracy is plenty for picking places a kilometre apart
+    const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Low })
+      .catch(() => Location.getLastKnownPositionAsync());
+    return position?.coords || null;
+  },
+  startGeofencing: async (regions) => {
+    if (regions.length === 0) return expoProximityLocator.stopGeofencing();
+    // Starting again replaces the regions being monitored
+    await Location.startGeofencingAsync(GEOFENCE_TASK, regions);
+  },
+  stopGeofencing: async () => {
+    if (await Location.hasStartedGeofencingAsync(GEOFENCE_TASK)) {
+      await Location.stopGeofencingAsync(GEOFENCE_TASK);
+    }
+  },
+  watchPosition: (callback) => {
+    return Location.watchPositionAsync(
+      { accuracy: Location.Accuracy.Balanced, distanceInterval: 100 },
+      ({ coords }) => callback(coords)
+    );
+  },
+};
+
+/**
+ * Immediate local notifications via expo-notifications
+ *
+ * notify() doesn't ask for permission: it may run in the background,
+ * where no prompt can be shown. requestPermission() asks up front.
+ */
+export const expoProximityNotifier = {
+  requestPermission: ensureNotificationPermission,
+  notify: async ({ title, body, data }) => {
+    if (!(await Notifications.getPermissionsAsync()).granted) return null;
+    return Notifications.scheduleNotificationAsync({ content: { title, body, data }, trigger: null });
+  },
+};
+
+/**
+ * Registers the background task that feeds a monitor
+ *
+ * Must run when the JS bundle loads (module scope), because the OS can
+ * launch the app in the background just to deliver a geofence event.
+ *
+ * @param {Object} monitor - From createProximityMonitor
+ */
+export function defineProximityTasks(monitor) {
+  TaskManager.defineTask(GEOFENCE_TASK, async ({ data, error }) => {
+    if (error) {
+      console.error('Geofence task error:', error);
+      return;
+    }
+    await monitor.handleGeofenceEvent({
+      regionId: data.region.identifier,
+      isEnter: data.eventType === Location.GeofencingEventType.Enter,
+    });
+  });
+}
@@ -0,0 +1,155 @@
+/**
+ * NeverForget - Follow-up Reminders
+ *
+ * Purpose: Timing rules for "follow up in 3 days" / "check in every 2 months"
+ *          reminders, and the local notifications that deliver them.
+ *
+ * Scheduler contract (anything with this shape can be passed to the store):
+ *   schedule({ contactId, title, body, dueAt }) => Promise<string|null>
+ *   cancel(notificationId) => Promise
+ * schedule() resolves null when notifications aren't allowed; the reminder
+ * still shows on the Due tab.
+ *
+ * Why one notification at a time: Repeating triggers only support fixed
+ * second intervals, and "every 2 months" isn't one. A repeating reminder is
+ * rescheduled from the moment it's marked done instead.
+ */
+
+import * as Notifications from 'expo-notifications';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Units a reminder interval can be expressed in
+ */
+export const REMINDER_UNITS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+};
+
+/**
+ * Reminder choices offered in the UI
+ */
+export const REMINDER_PRESETS = [
+  { id: 'in-3-days', label: 'In 3 days', count: 3, unit: REMINDER_UNITS.DAY, repeats: false },
+  { id: 'in-1-week', label: 'In 1 week', count: 1, unit: REMINDER_UNITS.WEEK, repeats: false },
+  { id: 'in-1-month', label: 'In 1 month', count: 1, unit: REMINDER_UNITS.MONTH, repeats: false },
+  { id: 'every-2-weeks', label: 'Every 2 weeks', count: 2, unit: REMINDER_UNITS.WEEK, repeats: true },
+  { id: 'every-2-months', label: 'Every 2 months', count: 2, unit: REMINDER_UNITS.MONTH, repeats: true },
+];
+
+// ============================================================================
+// TIMING
+// ============================================================================
+
+/**
+ * Moves a timestamp forward by a calendar interval
+ *
+ * Why calendar months: "Every month" from Jan 15 should land on Feb 15,
+ * not 30 days later. Short months clamp (Jan 31 + 1 month -> Feb 28/29).
+ *
+ * @param {number} timestamp - Start time in milliseconds
+ * @param {Object} interval - { count, unit }
+ * @returns {number} Shifted timestamp
+ */
+export function addInterval(timestamp, { count, unit }) {
+  const date = new Date(timestamp);
+
+  if (unit === REMINDER_UNITS.MONTH) {
+    const dayOfMonth = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + count);
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(dayOfMonth, daysInMonth));
+    return date.getTime();
+  }
+
+  const days = unit === REMINDER_UNITS.WEEK ? count * 7 : count;
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+}
+
+/**
+ * Describes an interval ("3 days", "1 month")
+ *
+ * @param {Object} interval - { count, unit }
+ * @returns {string} Human-readable interval
+ */
+export function formatInterval({ count, unit }) {
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describes when a reminder is due relative to now
+ *
+ * @param {Object} reminder - { dueAt, count, unit, repeats }
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} "Overdue by 2 days", "Due today", "Due in 5 days"
+ */
+export function describeDueDate(reminder, now = Date.now()) {
+  const startOfToday = new Date(now).setHours(0, 0, 0, 0);
+  const startOfDueDay = new Date(reminder.dueAt).setHours(0, 0, 0, 0);
+  const dayDifference = Math.round((startOfDueDay - startOfToday) / DAY_MS);
+
+  let description;
+  if (dayDifference === 0) {
+    description = 'Due today';
+  } else if (dayDifference < 0) {
+    description = `Overdue by ${formatInterval({ count: -dayDifference, unit: REMINDER_UNITS.DAY })}`;
+  } else {
+    description = `Due in ${formatInterval({ count: dayDifference, unit: REMINDER_UNITS.DAY })}`;
+  }
+
+  return reminder.repeats ? `${description} · every ${formatInterval(reminder)}` : description;
+}
+
+/**
+ * Whether a reminder's due time has passed
+ *
+ * @param {Object} reminder - { dueAt }
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if overdue
+ */
+export function isReminderOverdue(reminder, now = Date.now()) {
+  return reminder.dueAt <= now;
+}
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Asks for notification permission the first time it's needed
+ *
+ * @returns {Promise<boolean>} True if notifications can be shown
+ */
+export async function ensureNotificationPermission() {
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  if (!current.canAskAgain) return false;
+
+  const requested = await Notifications.requestPermissionsAsync();
+  return requested.granted;
+}
+
+/**
+ * Scheduler backed by local notifications via expo-notifications
+ */
+export const expoReminderScheduler = {
+  schedule: async ({ contactId, title, body, dueAt }) => {
+    if (!(await ensureNotificationPermission())) return null;
+
+    return Notifications.scheduleNotificationAsync({
+      content: { title, body, data: { contactId } },
+      trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: dueAt },
+    });
+  },
+  cancel: async (notificationId) => {
+    await Notifications.cancelScheduledNotificationAsync(notificationId);
+  },
+};
@@ -0,0 +1,417 @@
+/**
+ * NeverForget - Search Index
+ *
+ * Purpose: In-memory full-text index over contacts and their NeverForget
+ *          metadata, ranked by relevance.
+ *
+ * Matching (per query term, best match wins):
+ * - exact term          ("boulder" -> "boulder")
+ * - prefix              ("boul"    -> "boulder")
+ * - substring           ("ulde"    -> "boulder")
+ * - fuzzy, 1-2 typos    ("bolder"  -> "boulder")
+ * Every query term must match somewhere for a contact to be returned.
+ * Fuzzy matches keep the first character ("voulder" finds nothing), so only
+ * terms sharing it are compared letter by letter.
+ * Text is lowercased and diacritics are folded, so "jose" finds "José".
+ * Phone-looking queries match digit strings, so "555-12" finds
+ * "+1 (303) 555-1212"; when no phone matches they're searched as text.
+ *
+ * Why incremental: Each document keeps a signature of its indexed text.
+ * sync() only re-tokenizes contacts whose signature changed, and search()
+ * never touches the contacts themselves, so typing stays cheap.
+ */
+
+import { extractDigitsOnly } from './phone';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Relevance weight per indexed field
+ *
+ * Why this order: People search by name first; a matching phone number is
+ * nearly as specific. Places and notes are broader context.
+ */
+export const FIELD_WEIGHTS = {
+  name: 10,
+  phones: 8,
+  tags: 6,
+  organization: 5,
+  emails: 4,
+  places: 4,
+  notes: 3,
+};
+
+/**
+ * Score multiplier per match type
+ */
+const MATCH_QUALITY = {
+  EXACT: 1,
+  PREFIX: 0.75,
+  SUBSTRING: 0.5,
+  FUZZY: 0.35,
+};
+
+/**
+ * Minimum digits before a query is treated as a phone number search
+ */
+const MIN_PHONE_QUERY_DIGITS = 3;
+
+// ============================================================================
+// TEXT NORMALIZATION
+// ============================================================================
+
+/**
+ * Lowercases text and strips diacritics
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Folded text ("José" -> "jose")
+ */
+export function foldText(text = '') {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Normalizes a name for matching contacts across sources
+ *
+ * @param {string} name - Raw name
+ * @returns {string} Folded name with single spaces ("  José  Ruiz" -> "jose ruiz")
+ */
+export function nameMatchKey(name = '') {
+  return foldText(name).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Splits text into folded search terms
+ *
+ * @param {string} text - Raw text
+ * @returns {string[]} Terms
+ */
+export function tokenize(text = '') {
+  return foldText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Splits a query into terms, keeping phone numbers whole
+ *
+ * @param {string} queryText - Raw search text
+ * @returns {Object[]} [{ term, isPhone }]
+ */
+function parseQueryTerms(queryText) {
+  const trimmed = queryText.trim();
+  const digits = extractDigitsOnly(trimmed);
+
+  if (/^[\d\s\-().+]+$/.test(trimmed) && digits.length >= MIN_PHONE_QUERY_DIGITS) {
+    return [{ term: digits, isPhone: true }];
+  }
+  return tokenize(trimmed).map(term => ({ term, isPhone: false }));
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Levenshtein distance with an early exit
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop once the distance must exceed this
+ * @returns {number} Distance, or maxDistance + 1 if over the limit
+ */
+function boundedEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const currentRow = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      currentRow[j] = Math.min(
+        previousRow[j] + 1,
+        currentRow[j - 1] + 1,
+        previousRow[j - 1] + substitutionCost
+      );
+      rowMinimum = Math.min(rowMinimum, currentRow[j]);
+    }
+
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+    previousRow = currentRow;
+  }
+
+  return previousRow[b.length];
+}
+
+/**
+ * Scores an exact, prefix or substring match of a query term
+ *
+ * @param {string} queryTerm - Folded query term
+ * @param {string} indexedTerm - Folded indexed term
+ * @returns {number} MATCH_QUALITY value, or 0 for no match
+ */
+function literalMatchQuality(queryTerm, indexedTerm) {
+  if (indexedTerm === queryTerm) return MATCH_QUALITY.EXACT;
+  if (indexedTerm.startsWith(queryTerm)) return MATCH_QUALITY.PREFIX;
+  if (queryTerm.length >= 2 && indexedTerm.includes(queryTerm)) return MATCH_QUALITY.SUBSTRING;
+  return 0;
+}
+
+/**
+ * Typos a query term may have and still match fuzzily
+ *
+ * Why none below 4 letters: Typos only count once there is enough of a
+ * word to be confident.
+ *
+ * @param {string} queryTerm - Folded query term
+ * @returns {number} 0, 1 or 2
+ */
+function allowedTypos(queryTerm) {
+  if (queryTerm.length < 4) return 0;
+  return queryTerm.length >= 8 ? 2 : 1;
+}
+
+/**
+ * Checks whether an indexed term, or its start, is within the allowed typos
+ *
+ * @param {string} queryTerm - Folded query term
+ * @param {string} indexedTerm - Folded indexed term
+ * @param {number} maxTypos - From allowedTypos
+ * @returns {boolean} True for a fuzzy match
+ */
+function isFuzzyMatch(queryTerm, indexedTerm, maxTypos) {
+  // Shorter terms can't be reached by maxTypos deletions
+  if (indexedTerm.length < queryTerm.length - maxTypos) return false;
+
+  const comparedPrefix = indexedTerm.slice(0, queryTerm.length + maxTypos);
+  return Math.min(
+    boundedEditDistance(queryTerm, indexedTerm, maxTypos),
+    boundedEditDistance(queryTerm, comparedPrefix, maxTypos)
+  ) <= maxTypos;
+}
+
+// ============================================================================
+// INDEX
+// ============================================================================
+
+/**
+ * Builds the searchable fields for a contact
+ *
+ * @param {Object} contact - Contact from Expo Contacts
+ * @param {Object} metadata - { tags: string[], encounters: Object[], notes: Object[] }
+ * @returns {Object} Field name -> array of raw strings
+ */
+export function buildSearchFields(contact, { tags = [], encounters = [], notes = [] } = {}) {
+  return {
+    name: [contact.name || ''],
+    phones: (contact.phoneNumbers || []).map(phone => extractDigitsOnly(phone.number)),
+    emails: (contact.emails || []).map(email => email.email || ''),
+    organization: [contact.company || '', contact.jobTitle || '', contact.department || ''],
+    tags,
+    places: encounters.map(encounter => encounter.placeLabel || ''),
+    notes: [...notes.map(note => note.text), ...encounters.map(encounter => encounter.note || '')],
+  };
+}
+
+/**
+ * Creates an empty search index
+ *
+ * @returns {Object} Search index API
+ */
+export function createSearchIndex() {
+  const documents = new Map(); // contactId -> { signature, terms: Map<term, Set<field>> }
+  const postings = new Map();  // term -> Set<contactId>
+  const termsByInitial = new Map(); // first character -> Set<term>, fuzzy candidates
+
+  /**
+   * Removes a contact's terms from the postings
+   *
+   * @param {string} contactId - Contact to drop
+   */
+  const remove = (contactId) => {
+    const document = documents.get(contactId);
+    if (!document) return;
+
+    for (const term of document.terms.keys()) {
+      const contactIds = postings.get(term);
+      contactIds.delete(contactId);
+      if (contactIds.size === 0) {
+        postings.delete(term);
+        termsByInitial.get(term[0]).delete(term);
+      }
+    }
+    documents.delete(contactId);
+  };
+
+  /**
+   * Adds or replaces a contact's document
+   *
+   * @param {string} contactId - Contact to index
+   * @param {Object} fields - Field name -> array of raw strings
+   * @returns {boolean} True if the document changed
+   */
+  const upsert = (contactId, fields) => {
+    const signature = JSON.stringify(fields);
+    if (documents.get(contactId)?.signature === signature) return false;
+
+    remove(contactId);
+
+    const terms = new Map();
+    for (const [field, values] of Object.entries(fields)) {
+      for (const value of values) {
+        // Digits are indexed whole; splitting them would break partial matches
+        const fieldTerms = field === 'phones' ? [value].filter(Boolean) : tokenize(value);
+        for (const term of fieldTerms) {
+          if (!terms.has(term)) terms.set(term, new Set());
+          terms.get(term).add(field);
+        }
+      }
+    }
+
+    for (const term of terms.keys()) {
+      if (!postings.has(term)) {
+        postings.set(term, new Set());
+        if (!termsByInitial.has(term[0])) termsByInitial.set(term[0], new Set());
+        termsByInitial.get(term[0]).add(term);
+      }
+      postings.get(term).add(contactId);
+    }
+    documents.set(contactId, { signature, terms });
+    return true;
+  };
+
+  /**
+   * Brings the index in line with a full set of documents
+   *
+   * Unchanged documents are skipped and missing ones are removed.
+   *
+   * @param {Map<string, Object>} fieldsByContactId - contactId -> fields
+   * @returns {number} Number of documents added, changed or removed
+   */
+  const sync = (fieldsByContactId) => {
+    let changes = 0;
+
+    for (const contactId of [...documents.keys()]) {
+      if (!fieldsByContactId.has(contactId)) {
+        remove(contactId);
+        changes++;
+      }
+    }
+    for (const [contactId, fields] of fieldsByContactId) {
+      if (upsert(contactId, fields)) changes++;
+    }
+
+    return changes;
+  };
+
+  /**
+   * Scores every indexed term that matches a query term
+   *
+   * Why two passes: Literal matches are cheap string checks over the whole
+   * vocabulary. Edit distance is not, so it only runs on terms sharing the
+   * query's first character that didn't already match literally.
+   *
+   * @param {string} queryTerm - Folded query term
+   * @returns {Map<string, number>} Indexed term -> MATCH_QUALITY value
+   */
+  const matchTerms = (queryTerm) => {
+    const qualities = new Map();
+    for (const indexedTerm of postings.keys()) {
+      const quality = literalMatchQuality(queryTerm, indexedTerm);
+      if (quality) qualities.set(indexedTerm, quality);
+    }
+
+    const maxTypos = allowedTypos(queryTerm);
+    if (maxTypos === 0) return qualities;
+
+    for (const indexedTerm of termsByInitial.get(queryTerm[0]) || []) {
+      if (!qualities.has(indexedTerm) && isFuzzyMatch(queryTerm, indexedTerm, maxTypos)) {
+        qualities.set(indexedTerm, MATCH_QUALITY.FUZZY);
+      }
+    }
+    return qualities;
+  };
+
+  /**
+   * Finds contacts matching every one of the given terms
+   *
+   * @param {Object[]} queryTerms - From parseQueryTerms
+   * @param {string[]} fields - Only match these fields
+   * @returns {Object[]} [{ contactId, score }] best match first
+   */
+  const searchTerms = (queryTerms, fields) => {
+    const allowedFields = new Set(fields);
+    let totals = null; // contactId -> summed score across query terms
+
+    for (const { term: queryTerm, isPhone } of queryTerms) {
+      const bestScores = new Map();
+
+      for (const [indexedTerm, quality] of matchTerms(queryTerm)) {
+        for (const contactId of postings.get(indexedTerm)) {
+          for (const field of documents.get(contactId).terms.get(indexedTerm)) {
+            if (!allowedFields.has(field)) continue;
+            // Digit queries only make sense against phone numbers
+            if (isPhone !== (field === 'phones')) continue;
+
+            const score = FIELD_WEIGHTS[field] * quality;
+            if (score > (bestScores.get(contactId) || 0)) {
+              bestScores.set(contactId, score);
+            }
+          }
+        }
+      }
+
+      // AND semantics: keep only contacts that matched every term so far
+      if (totals === null) {
+        totals = bestScores;
+      } else {
+        const intersected = new Map();
+        for (const [contactId, score] of bestScores) {
+          if (totals.has(contactId)) {
+            intersected.set(contactId, totals.get(contactId) + score);
+          }
+        }
+        totals = intersected;
+      }
+      if (totals.size === 0) return [];
+    }
+
+    return [...totals]
+      .map(([contactId, score]) => ({ contactId, score }))
+      .sort((a, b) => b.score - a.score);
+  };
+
+  /**
+   * Finds contacts matching every term of a query
+   *
+   * A number that matches no phone is searched again as text, since it
+   * may be a year, street number or anything else in a note or place.
+   *
+   * @param {string} queryText - Raw search text
+   * @param {Object} options
+   * @param {string[]} options.fields - Only match these fields (default: all)
+   * @returns {Object[]} [{ contactId, score }] best match first
+   */
+  const search = (queryText, { fields = Object.keys(FIELD_WEIGHTS) } = {}) => {
+    const queryTerms = parseQueryTerms(queryText);
+    if (queryTerms.length === 0) return [];
+
+    const results = searchTerms(queryTerms, fields);
+    if (results.length > 0 || !queryTerms[0].isPhone) return results;
+
+    return searchTerms(tokenize(queryText).map(term => ({ term, isPhone: false })), fields);
+  };
+
+  return {
+    upsert,
+    remove,
+    sync,
+    search,
+    get size() { return documents.size; },
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * NeverForget - Storage
+ *
+ * Purpose: AsyncStorage keys and JSON helpers shared by the contact store
+ *          and the schema migrations.
+ *
+ * Why an adapter parameter: Every helper takes the storage to use, so the
+ * same code runs against AsyncStorage on device and an in-memory stand-in
+ * everywhere else.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * AsyncStorage persistence keys
+ * Prefixed with @nf: to avoid collisions with other apps
+ */
+export const STORAGE_KEYS = {
+  FIRST_SEEN: '@nf:firstSeen',         // When contact was first seen by app
+  TAGS: '@nf:tags',                    // User-created tags per contact
+  PINS: '@nf:pins',                    // Location pins for contacts
+  READY: '@nf:ready',                  // { initializedAt, cutoff } once imported
+  IMPORT_CHOICE: '@nf:importChoice',   // 'all' | 'newOnly'
+  SCHEMA_VERSION: '@nf:schemaVersion', // Last migration applied to the keys above
+  SMART_LISTS: '@nf:smartLists',       // Saved search queries shown as tabs
+  NOTES: '@nf:notes',                  // Timestamped notes per contact
+  REMINDERS: '@nf:reminders',          // Follow-up reminder per contact
+  EVENTS: '@nf:events',                // Contacts grouped by when and where they were met
+  PROXIMITY: '@nf:proximity',          // Nearby-reminder settings
+  PROXIMITY_PLACES: '@nf:proximityPlaces', // Places being watched, with who was met there
+  PROXIMITY_ALERTS: '@nf:proximityAlerts', // Place ID -> when it last raised an alert
+  CONTACT_SNAPSHOT: '@nf:contactSnapshot', // Contact fingerprints from the last address book read
+  CHANGE_LOG: '@nf:changeLog',         // Address book changes per contact
+  ARCHIVE: '@nf:archive',              // Metadata of contacts deleted from the address book
+};
+
+// ============================================================================
+// STORAGE HELPERS
+// ============================================================================
+
+/**
+ * Loads and parses JSON data from storage
+ *
+ * @param {Object} storage - AsyncStorage-compatible adapter
+ * @param {string} key - Storage key
+ * @param {*} fallbackValue - Default value if key doesn't exist
+ * @returns {Promise<*>} Parsed data or fallback
+ */
+export const loadJSON = async (storage, key, fallbackValue) => {
+  try {
+    const value = await storage.getItem(key);
+    return value ? JSON.parse(value) : fallbackValue;
+  } catch (error) {
+    console.error(`Failed to load ${key}:`, error);
+    return fallbackValue;
+  }
+};
+
+/**
+ * Saves data to storage as JSON
+ *
+ * @param {Object} storage - AsyncStorage-compatible adapter
+ * @param {string} key - Storage key
+ * @param {*} data - Data to serialize and save
+ * @returns {Promise<void>}
+ */
+export const saveJSON = (storage, key, data) => {
+  return storage.setItem(key, JSON.stringify(data));
+};
+
+/**
+ * Creates an in-memory AsyncStorage stand-in
+ *
+ * Why: Lets the store run outside React Native (scripts, unit tests)
+ *      with the same getItem/setItem/removeItem contract.
+ *
+ * @param {Object} initialEntries - Raw string values keyed by storage key
+ * @returns {Object} AsyncStorage-compatible adapter
+ */
+export function createMemoryStorage(initialEntries = {}) {
+  const entries = new Map(Object.entries(initialEntries));
+
+  return {
+    getItem: async (key) => (entries.has(key) ? entries.get(key) : null),
+    setItem: async (key, value) => { entries.set(key, String(value)); },
+    removeItem: async (key) => { entries.delete(key); },
+    getAllKeys: async () => [...entries.keys()],
+    multiGet: async (keys) => keys.map(key => [key, entries.has(key) ? entries.get(key) : null]),
+    multiSet: async (pairs) => { pairs.forEach(([key, value]) => entries.set(key, String(value))); },
+    multiRemove: async (keys) => { keys.forEach(key => entries.delete(key)); },
+    snapshot: () => Object.fromEntries(entries),
+  };
+}